@@ -0,0 +1,194 @@
+/**
+ * CommandHistory Class
+ *
+ * This class gives the league an undo and a redo button.
+ * Every change to the league (adding a team, recording a match, a transfer...)
+ * is run through it as a "command": a name for the change plus the code that makes it.
+ * Think of it like the history list in a drawing program: each step has a name,
+ * and you can step back and forward through them.
+ *
+ * HOW UNDO WORKS:
+ * 1. Before a command runs, the history writes down a copy of the whole league and its cups
+ *    (the same data that is saved to localStorage)
+ * 2. The command makes its change
+ * 3. Undo puts the copy back, and keeps a copy of the changed league for redo
+ *
+ * Copying the whole league is simple and always correct: it does not matter how
+ * complicated the change was (removing a team also removes its matches and fixtures),
+ * putting the copy back restores everything exactly.
+ *
+ * Team crests are the exception: an uploaded image can be far bigger than the rest of the
+ * league, and it hardly ever changes, so copying it into every one of the remembered commands
+ * would fill the memory. Each crest is kept once in a crest store, and the copies only
+ * hold a short key to it (e.g. 'crest-1').
+ *
+ * WHAT THE HISTORY HAS:
+ * - undoStack: The commands that can be undone, most recent last
+ * - redoStack: The commands that were undone and can be done again, most recent last
+ * - limit: How many commands are remembered (the oldest are forgotten first)
+ * - crests: Every crest the copies refer to, by key (see keepCrest())
+ */
+
+import Competitions from './Competitions.js';
+
+export default class CommandHistory {
+    /**
+     * Creates a new CommandHistory instance
+     *
+     * @param {Competitions} competitions - The league and cups whose changes are recorded
+     * @param {number} [limit=50] - How many commands can be undone at most
+     */
+    constructor(competitions, limit = 50) {
+        this.competitions = competitions;
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        // The crest store, both ways round: key to crest, and crest to key
+        this.crests = new Map();
+        this.crestKeys = new Map();
+    }
+
+    /**
+     * Runs a command and remembers it so it can be undone
+     *
+     * @param {string} label - What the command does, shown to the user (e.g. "Remove team Inter")
+     * @param {Function} action - The code that changes the league
+     * @returns {*} - Whatever the action returned. If it returned false or null
+     *   (the change was refused), nothing is remembered
+     * @throws {Error} - Whatever the action threw (such as a LeagueError), after putting back
+     *   anything the action had already changed
+     */
+    execute(label, action) {
+        const before = this.snapshot();
+        let result;
+        try {
+            result = action();
+        } catch (error) {
+            // A command that stops halfway must not leave half its change behind
+            this.restore(before);
+            throw error;
+        }
+        if (result === false || result === null) {
+            return result;
+        }
+
+        this.undoStack.push({ label, state: before });
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        // A new change starts a new branch: the undone commands cannot come back
+        this.redoStack = [];
+        return result;
+    }
+
+    /**
+     * Undoes the most recent command
+     *
+     * @returns {string|null} - The name of the command that was undone, or null if there was none
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) {
+            return null;
+        }
+        this.redoStack.push({ label: command.label, state: this.snapshot() });
+        this.restore(command.state);
+        return command.label;
+    }
+
+    /**
+     * Does the most recently undone command again
+     *
+     * @returns {string|null} - The name of the command that was redone, or null if there was none
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) {
+            return null;
+        }
+        this.undoStack.push({ label: command.label, state: this.snapshot() });
+        this.restore(command.state);
+        return command.label;
+    }
+
+    /**
+     * Gets the name of the command that undo would undo
+     *
+     * @returns {string|null} - The command name, or null if there is nothing to undo
+     */
+    getUndoLabel() {
+        const command = this.undoStack[this.undoStack.length - 1];
+        return command ? command.label : null;
+    }
+
+    /**
+     * Gets the name of the command that redo would do again
+     *
+     * @returns {string|null} - The command name, or null if there is nothing to redo
+     */
+    getRedoLabel() {
+        const command = this.redoStack[this.redoStack.length - 1];
+        return command ? command.label : null;
+    }
+
+    /**
+     * Forgets every remembered command
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.crests.clear();
+        this.crestKeys.clear();
+    }
+
+    /**
+     * Writes down a copy of the whole league and its cups
+     * The copy is kept as text, so later changes can never reach it.
+     * Crests are left out of the text: it holds their key in the crest store instead.
+     *
+     * @returns {string} - The league and cups as JSON text
+     */
+    snapshot() {
+        const data = this.competitions.toJSON();
+        data.divisions.forEach(division => division.teams.forEach(team => {
+            if (team.crest) {
+                team.crest = this.keepCrest(team.crest);
+            }
+        }));
+        return JSON.stringify(data);
+    }
+
+    /**
+     * Puts a copy of the league and its cups back
+     * The league object itself is kept, so the rest of the app keeps working with it
+     *
+     * @param {string} state - JSON text made by snapshot()
+     */
+    restore(state) {
+        const data = JSON.parse(state);
+        data.divisions.forEach(division => division.teams.forEach(team => {
+            if (team.crest) {
+                team.crest = this.crests.get(team.crest);
+            }
+        }));
+        this.competitions.replaceWith(Competitions.fromJSON(data));
+    }
+
+    /**
+     * Puts a crest in the crest store, once
+     * The same image always gets the same key, so a crest that never changes is stored
+     * a single time however many copies of the league refer to it.
+     *
+     * @param {string} crest - The crest image, as a data: URL
+     * @returns {string} - The crest's key in the store
+     */
+    keepCrest(crest) {
+        let key = this.crestKeys.get(crest);
+        if (!key) {
+            key = `crest-${this.crestKeys.size + 1}`;
+            this.crestKeys.set(crest, key);
+            this.crests.set(key, crest);
+        }
+        return key;
+    }
+}
@@ -0,0 +1,508 @@
+/**
+ * Competitions Class
+ *
+ * This class holds everything the app keeps: the league divisions, any cups played alongside them
+ * and the archive of finished seasons.
+ * Think of it like the club secretary's folder: each division's table is a page (the top division first),
+ * each cup bracket is another page, and the yearbooks of past seasons sit at the back.
+ *
+ * WHAT THE COMPETITIONS HAVE:
+ * - divisions: The league tiers, top division first; each is a League that owns its teams and players
+ * - cups: The knockout cups, which refer to the divisions' teams by ID
+ * - seasons: The finished seasons, oldest first (see Season)
+ *
+ * WHAT THE COMPETITIONS CAN DO:
+ * - Add, find and remove divisions and cups
+ * - Find a team in whichever division it plays in
+ * - Transfer and loan players to a team in any division
+ * - Merge the teams of imported divisions into one division
+ * - List every competition with its type
+ * - Work out who goes up and down at the end of the season, archive the season,
+ *   develop the players and start the next one with the teams moved
+ * - Bring every division up to today (ended loans and injuries)
+ * - Save themselves for storage and be rebuilt from saved data
+ * - Take over the contents of another set of competitions (used by undo and import)
+ *
+ * HOW PROMOTION AND RELEGATION WORK:
+ * Each division's table zones (see League.zones) decide who moves:
+ * - Teams in a 'relegation' zone go down to the division below (not from the bottom division)
+ * - Teams in a 'promotion' zone go up to the division above (not from the top division)
+ * - Teams in a 'playoff' zone of a lower division play off for one more place going up
+ * - Divisions keep their size: if more teams come up to a division than its zones send down,
+ *   its lowest-placed other teams go down too (and if more go down than come up, the best-placed
+ *   other teams of the division below go up)
+ */
+
+import League from './League.js';
+import Cup from './Cup.js';
+import Season from './Season.js';
+import PlayerDevelopment from './PlayerDevelopment.js';
+import IdGenerator from './IdGenerator.js';
+import LeagueError, { ERROR_CODES } from './LeagueError.js';
+
+export default class Competitions {
+    /**
+     * Creates a new Competitions instance
+     *
+     * @param {League|Array<League>} divisions - The league, or the divisions with the top division first
+     * @param {Array<Cup>} [cups=[]] - The cups played alongside them
+     * @param {Array<Season>} [seasons=[]] - The finished seasons, oldest first
+     */
+    constructor(divisions, cups = [], seasons = []) {
+        this.divisions = Array.isArray(divisions) ? divisions : [divisions];
+        this.cups = cups;
+        this.seasons = seasons;
+    }
+
+    /**
+     * Adds a division below the existing ones
+     *
+     * @param {League} league - The division to add
+     * @returns {League} - The division
+     * @throws {LeagueError} - INVALID_DIVISION if it is not a League
+     */
+    addDivision(league) {
+        if (!(league instanceof League)) {
+            throw new LeagueError(ERROR_CODES.INVALID_DIVISION, 'Only a league can be added as a division.');
+        }
+        this.divisions.push(league);
+        return league;
+    }
+
+    /**
+     * Gets a division by its tier
+     *
+     * @param {number} index - The division's place in the list (0 = the top division)
+     * @returns {League|null} - The division, or null if there is none at that place
+     */
+    getDivision(index) {
+        return this.divisions[index] || null;
+    }
+
+    /**
+     * Removes a division, with its teams
+     * The last division cannot be removed: there is always at least one league
+     *
+     * @param {number} index - The division's place in the list (0 = the top division)
+     * @returns {boolean} - True once the division has been removed
+     * @throws {LeagueError} - DIVISION_NOT_FOUND if there is no division at that place,
+     *   LAST_DIVISION if it is the only one
+     */
+    removeDivision(index) {
+        if (!this.divisions[index]) {
+            throw new LeagueError(ERROR_CODES.DIVISION_NOT_FOUND, 'That division no longer exists.');
+        }
+        if (this.divisions.length === 1) {
+            throw new LeagueError(ERROR_CODES.LAST_DIVISION, 'The only division cannot be removed.');
+        }
+        this.divisions.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Finds the division a team plays in
+     *
+     * @param {string} teamId - The ID of the team
+     * @returns {number} - The division's place in the list, or -1 if the team is in none
+     */
+    findTeamDivision(teamId) {
+        return this.divisions.findIndex(league => league.getTeam(teamId));
+    }
+
+    /**
+     * Finds a team in any division
+     * This has the same shape as League.getTeam(), so cups can look their teams up here
+     *
+     * @param {string} teamId - The ID of the team
+     * @returns {Team|null} - The team, or null if not found
+     */
+    getTeam(teamId) {
+        const index = this.findTeamDivision(teamId);
+        return index === -1 ? null : this.divisions[index].getTeam(teamId);
+    }
+
+    /**
+     * Adds the teams of other leagues (such as the divisions of an imported file) to one division
+     * Names and IDs are checked against every division, since a team name or ID may only
+     * be used once across all of them:
+     * - A team whose name is already used (ignoring case) is left out
+     * - A team or player whose ID is already used is given a new one
+     * Matches and fixtures are not copied, so the cards they gave are kept as carried cards.
+     * Everything is checked before anything is added.
+     *
+     * @param {League} division - The division to add the teams to
+     * @param {Array<League>} leagues - The leagues to take teams from
+     * @returns {{added: Array<string>, skipped: Array<string>}} - Names of the teams added and left out
+     * @throws {LeagueError} - DIVISION_NOT_FOUND if the division is not one of these divisions,
+     *   DUPLICATE_TEAM if every team is already here, so there is nothing to merge
+     */
+    mergeTeams(division, leagues) {
+        if (!this.divisions.includes(division)) {
+            throw new LeagueError(ERROR_CODES.DIVISION_NOT_FOUND, 'That division no longer exists.');
+        }
+        const teams = this.divisions.flatMap(league => league.teams);
+        const names = new Set(teams.map(team => team.name.toLowerCase()));
+        const teamIds = new Set(teams.map(team => team.id));
+        const playerIds = new Set(teams.flatMap(team => team.players.map(player => player.id)));
+
+        const incoming = [];
+        const skipped = [];
+        leagues.flatMap(league => league.teams).forEach(team => {
+            const name = team.name.toLowerCase();
+            if (names.has(name)) {
+                skipped.push(team.name);
+                return;
+            }
+            names.add(name);
+            incoming.push(team);
+        });
+        if (incoming.length === 0) {
+            throw new LeagueError(ERROR_CODES.DUPLICATE_TEAM, 'Every team in the file is already in the league, so there is nothing to merge.');
+        }
+
+        incoming.forEach(team => {
+            if (teamIds.has(team.id)) {
+                team.id = IdGenerator.generate('team');
+            }
+            teamIds.add(team.id);
+            team.players.forEach(player => {
+                if (playerIds.has(player.id)) {
+                    player.id = IdGenerator.generate('player');
+                }
+                playerIds.add(player.id);
+                player.setCards(player.yellowCards, player.redCards);
+            });
+        });
+        incoming.forEach(team => division.addTeam(team));
+        return { added: incoming.map(team => team.name), skipped };
+    }
+
+    /**
+     * Transfers or loans a player to a team in any division
+     * A move inside one division is left to that division (see League.transferPlayer()).
+     * A move to another division is checked against the transfer windows of both, and is
+     * written in both transfer registers.
+     *
+     * @param {string} playerId - ID of the player to move
+     * @param {string} toTeamId - ID of the team the player joins
+     * @param {Object} [options] - Fee, type, date and loan end (see League.validateTransfer())
+     * @returns {Object} - The transfer register entry
+     * @throws {LeagueError} - PLAYER_NOT_FOUND if the player is in no division,
+     *   INVALID_TRANSFER if the transfer is not allowed (the message lists every problem)
+     */
+    transferPlayer(playerId, toTeamId, options = {}) {
+        const from = this.divisions.find(league => league.findPlayer(playerId));
+        if (!from) {
+            throw new LeagueError(ERROR_CODES.PLAYER_NOT_FOUND, 'That player is no longer in the league.');
+        }
+        // A team in no division is reported by the transfer check, like any missing team
+        const index = this.findTeamDivision(toTeamId);
+        const to = index === -1 ? from : this.divisions[index];
+        return from.transferPlayer(playerId, toTeamId, options, to);
+    }
+
+    /**
+     * Sends players back to clubs in another division when their loan has ended
+     * Loans inside one division are left to that division (see League.returnEndedLoans()).
+     * The return is written in the transfer registers of both divisions.
+     *
+     * @param {string} [date] - Today's date ('YYYY-MM-DD', worked out if left out)
+     * @param {Array<League>} [divisions] - The divisions whose loaned-in players to check (all if left out)
+     * @returns {Array<Object>} - The loan return entries
+     */
+    returnEndedLoans(date = League.formatDate(), divisions = this.divisions) {
+        const returns = [];
+        divisions.forEach(league => {
+            league.transfers
+                .filter(transfer => transfer.type === 'loan' && !transfer.returned && transfer.until <= date)
+                .forEach(loan => {
+                    const found = league.findPlayer(loan.playerId);
+                    if (!found || found.team.id !== loan.to || league.getTeam(loan.from)) {
+                        return;
+                    }
+                    const index = this.findTeamDivision(loan.from);
+                    const home = index === -1 ? null : this.divisions[index];
+                    const copy = home ? home.transfers.find(transfer => transfer.id === loan.id) : null;
+                    loan.returned = true;
+                    if (copy) {
+                        copy.returned = true;
+                    }
+                    // A player whose club has left the competitions has nowhere to go back to
+                    if (!home) {
+                        return;
+                    }
+                    league.sendPlayer(found.player, found.team, home, home.getTeam(loan.from));
+                    const entry = {
+                        id: IdGenerator.generate('transfer'),
+                        playerId: loan.playerId,
+                        from: loan.to,
+                        to: loan.from,
+                        fee: 0,
+                        type: 'loanReturn',
+                        date: loan.until
+                    };
+                    league.transfers.push(entry);
+                    home.transfers.push({ ...entry });
+                    returns.push(entry);
+                });
+        });
+        return returns;
+    }
+
+    /**
+     * Gets the name to show for a team ID from any division
+     *
+     * @param {string} teamId - The ID of the team
+     * @returns {string} - The team's current name, or 'Unknown team'
+     */
+    getTeamName(teamId) {
+        const team = this.getTeam(teamId);
+        return team ? team.name : 'Unknown team';
+    }
+
+    /**
+     * Adds a cup
+     *
+     * @param {Cup} cup - The cup to add
+     * @returns {Cup} - The cup
+     * @throws {LeagueError} - INVALID_CUP if it is not a Cup
+     */
+    addCup(cup) {
+        if (!(cup instanceof Cup)) {
+            throw new LeagueError(ERROR_CODES.INVALID_CUP, 'Only a cup can be added.');
+        }
+        this.cups.push(cup);
+        return cup;
+    }
+
+    /**
+     * Gets a cup by its ID
+     *
+     * @param {string} cupId - The ID of the cup
+     * @returns {Cup|null} - The cup, or null if not found
+     */
+    getCup(cupId) {
+        return this.cups.find(cup => cup.id === cupId) || null;
+    }
+
+    /**
+     * Removes a cup
+     *
+     * @param {string} cupId - The ID of the cup to remove
+     * @returns {boolean} - True once the cup has been removed
+     * @throws {LeagueError} - CUP_NOT_FOUND if there is no cup with that ID
+     */
+    removeCup(cupId) {
+        const index = this.cups.findIndex(cup => cup.id === cupId);
+        if (index === -1) {
+            throw new LeagueError(ERROR_CODES.CUP_NOT_FOUND, 'That cup no longer exists.');
+        }
+        this.cups.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Lists every competition
+     *
+     * @returns {Array<{id: string|null, name: string, type: string, tier?: number}>} - The divisions
+     *   first (their id is null and their tier counts from 1 at the top), then each cup
+     */
+    list() {
+        return [
+            ...this.divisions.map((league, index) => ({ id: null, name: league.name, type: 'league', tier: index + 1 })),
+            ...this.cups.map(cup => ({ id: cup.id, name: cup.name, type: 'cup' }))
+        ];
+    }
+
+    /**
+     * Works out who goes up and who goes down at the end of the season
+     * Nothing is changed here: the plan can be shown to the user before applySeasonEnd()
+     * As many teams go down from a division as come up to it, so the divisions keep their size
+     * (a playoff place, for example, sends one more team down from the division above)
+     *
+     * @param {Object<number, string>} [playoffWinners={}] - The team that won each division's
+     *   playoff, by division index; a division left out is won by its best-placed playoff team
+     * @returns {{moves: Array<Object>, playoffs: Array<Object>}} - The plan:
+     *   - moves: { teamId, name, from, to, reason } for every team changing division
+     *     (from/to are division indexes, reason is 'promotion', 'playoff' or 'relegation')
+     *   - playoffs: { division, teamIds, winner } for every division with playoff places,
+     *     with the teams in table order
+     */
+    planSeasonEnd(playoffWinners = {}) {
+        const moves = [];
+        const playoffs = [];
+        const last = this.divisions.length - 1;
+
+        this.divisions.forEach((league, index) => {
+            const byZone = type => league.getStandings().filter(row => {
+                const zone = league.getZone(row.position);
+                return zone && zone.type === type;
+            });
+            const move = (row, to, reason) => moves.push({ teamId: row.id, name: row.name, from: index, to, reason });
+
+            if (index > 0) {
+                byZone('promotion').forEach(row => move(row, index - 1, 'promotion'));
+
+                const teamIds = byZone('playoff').map(row => row.id);
+                if (teamIds.length > 0) {
+                    const winner = teamIds.includes(playoffWinners[index]) ? playoffWinners[index] : teamIds[0];
+                    playoffs.push({ division: index, teamIds, winner });
+                    move({ id: winner, name: league.getTeamName(winner) }, index - 1, 'playoff');
+                }
+            }
+            if (index < last) {
+                byZone('relegation').forEach(row => move(row, index + 1, 'relegation'));
+            }
+        });
+
+        for (let index = 0; index < last; index++) {
+            const up = moves.filter(move => move.from === index + 1 && move.to === index).length;
+            const down = moves.filter(move => move.from === index && move.to === index + 1).length;
+            if (up > down) {
+                this.addMoves(moves, index, index + 1, up - down, 'relegation');
+            } else if (down > up) {
+                this.addMoves(moves, index + 1, index, down - up, 'promotion');
+            }
+        }
+
+        return { moves, playoffs };
+    }
+
+    /**
+     * Adds moves for teams outside the zones, to keep two divisions the same size
+     * Teams going down are taken from the bottom of the table, teams going up from the top,
+     * leaving out teams that are already moving
+     *
+     * @param {Array<Object>} moves - The moves planned so far (added to)
+     * @param {number} from - The division the teams leave
+     * @param {number} to - The division the teams join (the one above or below)
+     * @param {number} count - How many teams move
+     * @param {string} reason - 'promotion' or 'relegation'
+     */
+    addMoves(moves, from, to, count, reason) {
+        const moving = new Set(moves.map(move => move.teamId));
+        const rows = this.divisions[from].getStandings().filter(row => !moving.has(row.id));
+        (to > from ? rows.reverse() : rows)
+            .slice(0, count)
+            .forEach(row => moves.push({ teamId: row.id, name: row.name, from, to, reason }));
+    }
+
+    /**
+     * Ends the season
+     * 1. Archives the final tables, results and cards of every division as a Season
+     * 2. Develops the players, if asked, using the playing time of the season that ended
+     *    (see PlayerDevelopment)
+     * 3. Sends players whose loan ends with the season back to their clubs, in any division,
+     *    and starts a new season in every division (see League.startNewSeason())
+     * 4. Moves the teams going up and down
+     * Rosters, rules and cups are kept
+     *
+     * @param {{moves: Array<Object>}} plan - A plan made by planSeasonEnd()
+     * @param {Object} [options] - How to end the season
+     * @param {string} [options.name] - The name to archive the season under (e.g. "2024/25")
+     * @param {boolean} [options.agePlayers=false] - Whether every player gets a year older
+     * @param {number|string|null} [options.developSeed=null] - The seed for developing the players;
+     *   players are only developed when a seed is given
+     * @returns {Season} - The archived season
+     * @throws {LeagueError} - MISSING_FIELD if the name is missing, INVALID_PLAN if a team in the
+     *   plan was not found, DUPLICATE_TEAM if a team moving division has the name of a team already there
+     */
+    applySeasonEnd(plan, { name = `Season ${this.seasons.length + 1}`, agePlayers = false, developSeed = null } = {}) {
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new LeagueError(ERROR_CODES.MISSING_FIELD, 'Please enter a name for the season.', 'name');
+        }
+        const missing = plan.moves.filter(move => !this.divisions[move.from] || !this.divisions[move.to] ||
+            !this.divisions[move.from].getTeam(move.teamId));
+        if (missing.length > 0) {
+            throw new LeagueError(ERROR_CODES.INVALID_PLAN, 'The teams have changed since the season end was planned. Please try again.');
+        }
+
+        const season = Season.archive(name.trim(), this.divisions);
+        this.seasons.push(season);
+
+        if (developSeed !== null) {
+            const development = new PlayerDevelopment(developSeed);
+            this.divisions.forEach(league => development.developLeague(league, `End of ${season.name}`));
+        }
+        // Loans to another division end with the season too (startNewSeason() does the rest)
+        this.divisions.forEach(league => {
+            if (league.seasonEnd) {
+                this.returnEndedLoans(league.seasonEnd, [league]);
+            }
+        });
+        this.divisions.forEach(league => league.startNewSeason({ agePlayers }));
+        plan.moves.forEach(move => {
+            this.divisions[move.to].addTeam(this.divisions[move.from].detachTeam(move.teamId));
+        });
+        return season;
+    }
+
+    /**
+     * Gets a finished season by its ID
+     *
+     * @param {string} seasonId - The ID of the season
+     * @returns {Season|null} - The season, or null if not found
+     */
+    getSeason(seasonId) {
+        return this.seasons.find(season => season.id === seasonId) || null;
+    }
+
+    /**
+     * Brings every division up to today
+     * Players whose loan has ended go back to their clubs (in any division), and injuries
+     * whose time is up end.
+     * Recording a match does this for its own division; this is for when the date has moved
+     * on with nothing recorded (when the app is opened, or a saved league is imported).
+     *
+     * @param {string} [date] - Today's date ('YYYY-MM-DD', worked out if left out)
+     */
+    catchUp(date = League.formatDate()) {
+        this.returnEndedLoans(date);
+        this.divisions.forEach(league => {
+            league.returnEndedLoans(date);
+            league.updateInjuries(date);
+        });
+    }
+
+    /**
+     * Replaces everything with the contents of another set of competitions
+     *
+     * @param {Competitions} other - The competitions to copy from
+     */
+    replaceWith(other) {
+        this.divisions = other.divisions;
+        this.cups = other.cups;
+        this.seasons = other.seasons;
+    }
+
+    /**
+     * Converts the competitions into plain data that can be saved
+     *
+     * @returns {{divisions: Array<Object>, cups: Array<Object>, seasons: Array<Object>}} - The division,
+     *   cup and season data
+     */
+    toJSON() {
+        return {
+            divisions: this.divisions.map(league => league.toJSON()),
+            cups: this.cups.map(cup => cup.toJSON()),
+            seasons: this.seasons.map(season => season.toJSON())
+        };
+    }
+
+    /**
+     * Rebuilds real Competitions from saved data
+     *
+     * @param {{divisions: Array<Object>, cups: Array<Object>, seasons: Array<Object>}} data - Data
+     *   previously produced by toJSON()
+     *   (data with a single "league" instead of divisions is read as one division)
+     * @returns {Competitions} - A new Competitions instance
+     */
+    static fromJSON(data) {
+        const divisions = Array.isArray(data.divisions) ? data.divisions : [data.league];
+        return new Competitions(
+            divisions.map(leagueData => League.fromJSON(leagueData)),
+            (data.cups || []).map(cupData => Cup.fromJSON(cupData)),
+            (data.seasons || []).map(seasonData => Season.fromJSON(seasonData))
+        );
+    }
+}
@@ -0,0 +1,484 @@
+/**
+ * Cup Class
+ *
+ * This class represents a knockout cup played by teams of the league.
+ * Think of it like the bracket poster on the clubhouse wall: every tie has two teams,
+ * the winner's name is written into the next round, and the last team standing lifts the cup.
+ *
+ * WHAT A CUP HAS:
+ * 1. Basic Information:
+ *    - id: A permanent, unique label
+ *    - name: The cup's name (e.g., "FA Cup")
+ *
+ * 2. Rules:
+ *    - legs: 1 (one match per tie) or 2 (home and away, decided on aggregate)
+ *    - extraTime: Whether a level tie goes to extra time before penalties
+ *    - draw: 'seeded' (the best teams are kept apart until late rounds) or 'random'
+ *
+ * 3. The Bracket:
+ *    - entrants: IDs of the teams in the cup, in draw order (seed 1 first for a seeded draw)
+ *    - rounds: Every round from the first to the final, each with a name and its ties
+ *
+ * Teams are referred to by ID, so the same Team objects (and names) as the league are used.
+ * When the number of teams is not a power of two (2, 4, 8, 16...), some teams get a bye
+ * straight into the second round; in a seeded draw the byes go to the top seeds.
+ *
+ * A tie looks like:
+ *   { id, home, away, bye, legs, extraTime, penalties, winner }
+ * - home and away are team IDs (null while the team is not known yet, or for a bye)
+ * - legs lists the score of each leg played as { homeGoals, awayGoals }, always counted for
+ *   the tie's home and away teams (the home team hosts the first leg, the away team the second)
+ * - extraTime and penalties are { homeGoals, awayGoals } when they were needed, or null
+ * - winner is the ID of the team going through, or null while the tie is undecided
+ *
+ * WHAT A CUP CAN DO:
+ * - Make the draw for a list of teams
+ * - Check, record and clear the result of a tie
+ * - Move winners into the next round, and work the later rounds out again when a result changes
+ * - Save itself for storage and be rebuilt from saved data
+ */
+
+import IdGenerator from './IdGenerator.js';
+import SeededRandom from './SeededRandom.js';
+import LeagueError, { ERROR_CODES } from './LeagueError.js';
+
+/**
+ * The ways the teams can be drawn
+ * - seeded: the first team listed is seed 1, and seeds meet as late as possible
+ * - random: the teams (and the byes) are drawn at random
+ */
+export const CUP_DRAWS = ['seeded', 'random'];
+
+export default class Cup {
+    /**
+     * Creates a new Cup instance (with no teams drawn yet, see Cup.create())
+     *
+     * @param {string} name - The cup's name
+     * @param {Object} [options] - The cup rules
+     * @param {number} [options.legs=1] - Matches per tie: 1 or 2
+     * @param {boolean} [options.extraTime=true] - Whether level ties go to extra time before penalties
+     * @param {string} [options.draw='seeded'] - How the teams are drawn (see CUP_DRAWS)
+     */
+    constructor(name, { legs = 1, extraTime = true, draw = 'seeded' } = {}) {
+        this.id = IdGenerator.generate('cup');
+        this.name = name;
+        this.legs = legs;
+        this.extraTime = extraTime;
+        this.draw = draw;
+        this.entrants = [];
+        this.rounds = [];
+    }
+
+    /**
+     * Checks the details of a new cup
+     *
+     * @param {string} name - The cup's name
+     * @param {Array<string>} teamIds - IDs of the teams taking part
+     * @param {Object} [options] - The cup rules (see the constructor)
+     * @returns {Array<string>} - A list of problems (empty if the cup can be created)
+     */
+    static validateSettings(name, teamIds, { legs = 1, draw = 'seeded' } = {}) {
+        const errors = [];
+        if (typeof name !== 'string' || !name.trim()) {
+            errors.push('The cup needs a name');
+        }
+        if (!Array.isArray(teamIds) || teamIds.length < 2) {
+            errors.push('A cup needs at least 2 teams');
+        } else if (new Set(teamIds).size !== teamIds.length) {
+            errors.push('A team can only enter once');
+        }
+        if (legs !== 1 && legs !== 2) {
+            errors.push('Ties are played over 1 or 2 legs');
+        }
+        if (!CUP_DRAWS.includes(draw)) {
+            errors.push(`Unknown draw "${draw}"`);
+        }
+        return errors;
+    }
+
+    /**
+     * Creates a cup and makes its draw
+     *
+     * @param {string} name - The cup's name
+     * @param {Array<string>} teamIds - IDs of the teams taking part, strongest first for a seeded draw
+     * @param {Object} [options] - The cup rules (see the constructor)
+     * @param {number|string} [seed] - Seed for a random draw (a new one is made if left out)
+     * @returns {Cup} - The cup
+     * @throws {LeagueError} - INVALID_CUP if the details are not valid (the message lists every problem)
+     */
+    static create(name, teamIds, options = {}, seed = SeededRandom.createSeed()) {
+        const errors = Cup.validateSettings(name, teamIds, options);
+        if (errors.length > 0) {
+            throw LeagueError.fromProblems(ERROR_CODES.INVALID_CUP, errors);
+        }
+        const cup = new Cup(name.trim(), options);
+        cup.makeDraw(teamIds, new SeededRandom(seed));
+        return cup;
+    }
+
+    /**
+     * Gets the order of seeds down a bracket, so the top seeds meet as late as possible
+     * e.g. for 8 places: 1, 8, 4, 5, 2, 7, 3, 6 (1 plays 8, 4 plays 5, and so on)
+     *
+     * @param {number} size - Places in the bracket (a power of two)
+     * @returns {Array<number>} - The seed number for each place
+     */
+    static seedOrder(size) {
+        let order = [1];
+        while (order.length < size) {
+            const total = order.length * 2 + 1;
+            order = order.flatMap(seed => [seed, total - seed]);
+        }
+        return order;
+    }
+
+    /**
+     * Gets the name of a round from how many rounds are left after it
+     *
+     * @param {number} index - The round (0 = first round)
+     * @param {number} roundCount - How many rounds the cup has
+     * @returns {string} - e.g. "Final", "Semi-finals" or "Round of 16"
+     */
+    static roundName(index, roundCount) {
+        const teamsLeft = Math.pow(2, roundCount - index);
+        if (teamsLeft === 2) {
+            return 'Final';
+        }
+        if (teamsLeft === 4) {
+            return 'Semi-finals';
+        }
+        if (teamsLeft === 8) {
+            return 'Quarter-finals';
+        }
+        return `Round of ${teamsLeft}`;
+    }
+
+    /**
+     * Makes the draw: places the teams in the bracket and sets up every round
+     *
+     * @param {Array<string>} teamIds - IDs of the teams, strongest first for a seeded draw
+     * @param {SeededRandom} random - The random generator for a random draw
+     */
+    makeDraw(teamIds, random) {
+        const entrants = [...teamIds];
+        if (this.draw === 'random') {
+            // Shuffle the teams, so the seed numbers (and the byes) land at random
+            for (let i = entrants.length - 1; i > 0; i--) {
+                const j = random.nextInt(0, i);
+                [entrants[i], entrants[j]] = [entrants[j], entrants[i]];
+            }
+        }
+        this.entrants = entrants;
+
+        let size = 2;
+        while (size < entrants.length) {
+            size *= 2;
+        }
+        const roundCount = Math.log2(size);
+
+        // Seeds beyond the number of teams are byes
+        const places = Cup.seedOrder(size).map(seed => entrants[seed - 1] || null);
+        this.rounds = [];
+        for (let index = 0; index < roundCount; index++) {
+            const tieCount = size / Math.pow(2, index + 1);
+            this.rounds.push({
+                name: Cup.roundName(index, roundCount),
+                ties: Array.from({ length: tieCount }, (_, tieIndex) => ({
+                    id: IdGenerator.generate('tie'),
+                    home: index === 0 ? places[tieIndex * 2] : null,
+                    away: index === 0 ? places[tieIndex * 2 + 1] : null,
+                    bye: index === 0 && (!places[tieIndex * 2] || !places[tieIndex * 2 + 1]),
+                    legs: [],
+                    extraTime: null,
+                    penalties: null,
+                    winner: null
+                }))
+            });
+        }
+        this.updateBracket();
+    }
+
+    /**
+     * Gets a tie by its ID
+     *
+     * @param {string} tieId - The ID of the tie
+     * @returns {Object|null} - The tie, or null if not found
+     */
+    getTie(tieId) {
+        for (const round of this.rounds) {
+            const tie = round.ties.find(t => t.id === tieId);
+            if (tie) {
+                return tie;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Adds up the score of a tie over its legs
+     *
+     * @param {Object} tie - The tie
+     * @returns {{homeGoals: number, awayGoals: number}} - The aggregate score (extra time included)
+     */
+    getAggregate(tie) {
+        const total = { homeGoals: 0, awayGoals: 0 };
+        [...tie.legs, tie.extraTime].filter(Boolean).forEach(score => {
+            total.homeGoals += score.homeGoals;
+            total.awayGoals += score.awayGoals;
+        });
+        return total;
+    }
+
+    /**
+     * Works out which team goes through
+     * A bye sends its only team through; otherwise every leg must have been played,
+     * then the aggregate score decides, then extra time, then penalties
+     *
+     * @param {Object} tie - The tie
+     * @returns {string|null} - The ID of the winner, or null if the tie is undecided
+     */
+    decideWinner(tie) {
+        if (tie.bye) {
+            return tie.home || tie.away;
+        }
+        if (!tie.home || !tie.away || tie.legs.length < this.legs) {
+            return null;
+        }
+        const total = this.getAggregate(tie);
+        if (total.homeGoals !== total.awayGoals) {
+            return total.homeGoals > total.awayGoals ? tie.home : tie.away;
+        }
+        if (tie.penalties && tie.penalties.homeGoals !== tie.penalties.awayGoals) {
+            return tie.penalties.homeGoals > tie.penalties.awayGoals ? tie.home : tie.away;
+        }
+        return null;
+    }
+
+    /**
+     * Moves winners into the next round, working every round out again from the first
+     * A tie whose teams change (because an earlier result was corrected) loses its result
+     */
+    updateBracket() {
+        this.rounds.forEach((round, index) => {
+            round.ties.forEach((tie, tieIndex) => {
+                if (index > 0) {
+                    const previous = this.rounds[index - 1].ties;
+                    const home = previous[tieIndex * 2].winner;
+                    const away = previous[tieIndex * 2 + 1].winner;
+                    if (tie.home !== home || tie.away !== away) {
+                        tie.home = home;
+                        tie.away = away;
+                        tie.legs = [];
+                        tie.extraTime = null;
+                        tie.penalties = null;
+                    }
+                }
+                tie.winner = this.decideWinner(tie);
+            });
+        });
+    }
+
+    /**
+     * Checks the result of a tie before it is recorded
+     * The legs can be recorded one at a time; extra time and penalties
+     * only come after the last leg, and only while the tie is level
+     *
+     * @param {string} tieId - ID of the tie
+     * @param {Object} result - The result
+     * @param {Array<{homeGoals: number, awayGoals: number}>} result.legs - The legs played so far
+     * @param {{homeGoals: number, awayGoals: number}|null} [result.extraTime=null] - Goals in extra time
+     * @param {{homeGoals: number, awayGoals: number}|null} [result.penalties=null] - The penalty shoot-out
+     * @returns {Array<string>} - A list of problems (empty if the result can be recorded)
+     */
+    validateResult(tieId, { legs = [], extraTime = null, penalties = null } = {}) {
+        const tie = this.getTie(tieId);
+        if (!tie) {
+            return ['Tie not found'];
+        }
+        if (tie.bye) {
+            return ['A bye has no result'];
+        }
+        if (!tie.home || !tie.away) {
+            return ['Both teams of this tie are not known yet'];
+        }
+
+        const errors = [];
+        const isScore = score => score && Number.isInteger(score.homeGoals) && score.homeGoals >= 0 &&
+            Number.isInteger(score.awayGoals) && score.awayGoals >= 0;
+        if (!Array.isArray(legs) || legs.length < 1 || legs.length > this.legs) {
+            errors.push(this.legs === 1 ? 'Enter the score of the match' : 'Enter the score of 1 or 2 legs');
+            return errors;
+        }
+        legs.forEach((leg, index) => {
+            if (!isScore(leg)) {
+                errors.push(`${this.legs === 1 ? 'The score' : `Leg ${index + 1}`}: goals must be whole numbers of 0 or more`);
+            }
+        });
+        if (errors.length > 0) {
+            return errors;
+        }
+
+        const afterLegs = this.getAggregate({ legs, extraTime: null });
+        const levelAfterLegs = afterLegs.homeGoals === afterLegs.awayGoals;
+        if (legs.length < this.legs || !levelAfterLegs) {
+            if (extraTime || penalties) {
+                errors.push(legs.length < this.legs
+                    ? 'Extra time and penalties come after the last leg'
+                    : 'Extra time and penalties are only needed when the tie is level');
+            }
+            return errors;
+        }
+
+        if (this.extraTime && !extraTime) {
+            errors.push('The tie is level: enter the extra time score');
+            return errors;
+        }
+        if (!this.extraTime && extraTime) {
+            errors.push('This cup goes straight to penalties, without extra time');
+            return errors;
+        }
+        if (extraTime && !isScore(extraTime)) {
+            errors.push('Extra time: goals must be whole numbers of 0 or more');
+            return errors;
+        }
+
+        const levelAfterExtraTime = !extraTime || extraTime.homeGoals === extraTime.awayGoals;
+        if (!levelAfterExtraTime) {
+            if (penalties) {
+                errors.push('Penalties are only needed when the tie is still level');
+            }
+        } else if (!isScore(penalties) || penalties.homeGoals === penalties.awayGoals) {
+            errors.push('The tie is still level: enter a penalty shoot-out with a winner');
+        }
+        return errors;
+    }
+
+    /**
+     * Records the result of a tie, and moves the winner (if decided) into the next round
+     *
+     * @param {string} tieId - ID of the tie
+     * @param {Object} result - The result (see validateResult())
+     * @returns {Object} - The updated tie
+     * @throws {LeagueError} - INVALID_RESULT if the result is not valid (the message lists every problem)
+     */
+    recordResult(tieId, result) {
+        const errors = this.validateResult(tieId, result);
+        if (errors.length > 0) {
+            throw LeagueError.fromProblems(ERROR_CODES.INVALID_RESULT, errors);
+        }
+        const tie = this.getTie(tieId);
+        const copy = score => (score ? { homeGoals: score.homeGoals, awayGoals: score.awayGoals } : null);
+        tie.legs = result.legs.map(copy);
+        tie.extraTime = copy(result.extraTime);
+        tie.penalties = copy(result.penalties);
+        this.updateBracket();
+        return tie;
+    }
+
+    /**
+     * Clears the result of a tie
+     * Later ties its winner had reached lose their results too
+     *
+     * @param {string} tieId - ID of the tie
+     * @returns {boolean} - True once the result has been cleared
+     * @throws {LeagueError} - TIE_NOT_FOUND if there is no tie with that ID,
+     *   INVALID_RESULT if the tie has no result to clear
+     */
+    clearResult(tieId) {
+        const tie = this.getTie(tieId);
+        if (!tie) {
+            throw new LeagueError(ERROR_CODES.TIE_NOT_FOUND, `That tie is no longer in ${this.name}.`);
+        }
+        if (tie.legs.length === 0) {
+            throw new LeagueError(ERROR_CODES.INVALID_RESULT, 'That tie has no result to clear.');
+        }
+        tie.legs = [];
+        tie.extraTime = null;
+        tie.penalties = null;
+        this.updateBracket();
+        return true;
+    }
+
+    /**
+     * Gets the ties that can be played now: both teams known, not yet decided
+     *
+     * @returns {Array<Object>} - The ties of the earliest round that still has some, in bracket order
+     */
+    getPendingTies() {
+        for (const round of this.rounds) {
+            const pending = round.ties.filter(tie => tie.home && tie.away && !tie.winner);
+            if (pending.length > 0) {
+                return pending;
+            }
+        }
+        return [];
+    }
+
+    /**
+     * Gets the team that won the cup
+     *
+     * @returns {string|null} - The ID of the winner of the final, or null if it has not been decided
+     */
+    getWinner() {
+        const final = this.rounds[this.rounds.length - 1];
+        return final ? final.ties[0].winner : null;
+    }
+
+    /**
+     * Converts the cup into plain data that can be saved
+     * Winners are left out: they are worked out again from the results
+     *
+     * @returns {Object} - Cup data
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            legs: this.legs,
+            extraTime: this.extraTime,
+            draw: this.draw,
+            entrants: [...this.entrants],
+            rounds: this.rounds.map(round => ({
+                name: round.name,
+                ties: round.ties.map(tie => ({
+                    id: tie.id,
+                    home: tie.home,
+                    away: tie.away,
+                    bye: tie.bye,
+                    legs: tie.legs.map(leg => ({ ...leg })),
+                    extraTime: tie.extraTime ? { ...tie.extraTime } : null,
+                    penalties: tie.penalties ? { ...tie.penalties } : null
+                }))
+            }))
+        };
+    }
+
+    /**
+     * Rebuilds a real Cup from saved data
+     *
+     * @param {Object} data - Data previously produced by toJSON()
+     * @returns {Cup} - A new Cup instance with its bracket and results restored
+     */
+    static fromJSON(data) {
+        const cup = new Cup(data.name, { legs: data.legs, extraTime: data.extraTime, draw: data.draw });
+        if (data.id) {
+            cup.id = data.id;
+        }
+        cup.entrants = [...(data.entrants || [])];
+        cup.rounds = (data.rounds || []).map(round => ({
+            name: round.name,
+            ties: (round.ties || []).map(tie => ({
+                id: tie.id,
+                home: tie.home,
+                away: tie.away,
+                bye: Boolean(tie.bye),
+                legs: (tie.legs || []).map(leg => ({ ...leg })),
+                extraTime: tie.extraTime ? { ...tie.extraTime } : null,
+                penalties: tie.penalties ? { ...tie.penalties } : null,
+                winner: null
+            }))
+        }));
+        cup.updateBracket();
+        return cup;
+    }
+}
@@ -0,0 +1,24 @@
+/**
+ * IdGenerator Class
+ *
+ * This class hands out unique IDs for things that need a permanent label,
+ * such as recorded matches. Think of it like a ticket machine: every ticket
+ * has a different number, and the number never changes once it is printed.
+ */
+
+export default class IdGenerator {
+    /**
+     * Creates a new unique ID
+     * Uses the browser's random UUID generator when available, and a
+     * time + random number combination otherwise
+     *
+     * @param {string} prefix - What the ID is for (e.g. 'match'), so IDs are easy to recognise
+     * @returns {string} - A unique ID such as "match-1b9d6bcd-bbfd-4b2d-9b5d-ab8dfbbd4bed"
+     */
+    static generate(prefix) {
+        const unique = typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+            ? crypto.randomUUID()
+            : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        return `${prefix}-${unique}`;
+    }
+}
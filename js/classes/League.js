@@ -11,19 +11,148 @@
  * 
  * 2. Teams:
  *    - teams: A list of all teams in the league
+ *    - formerPlayers: Names of players who have left, by ID, so old match events can still name them
  * 
  * 3. Matches:
- *    - matches: A record of all matches played
+ *    - matches: A record of all matches played (the "results book"); matches, events and
+ *      fixtures refer to teams and players by ID, so names can be changed freely
+ *    - Team statistics are always worked out from this record, never edited directly
+ *    - fixtures: The schedule of who plays whom, grouped into matchdays
+ * 
+ * 4. Rules:
+ *    - tiebreakers: The order of tiebreakers for teams level on points
+ *    - zones: Table positions to highlight (qualification, promotion, playoff, relegation);
+ *      when the league is one division of several, they also decide who goes up and down
+ *    - transferWindows: Date ranges when transfers are allowed (none = always allowed)
+ *    - seasonEnd: The last day of the season, when loaned players go back to their clubs
+ *    - disciplineRules: How long bans for red cards and piled-up yellow cards last
+ * 
+ * 5. Transfers:
+ *    - transfers: Every move of a player between teams (the "transfer register")
  * 
  * WHAT A LEAGUE CAN DO:
  * - Add new teams to the league
- * - Remove teams from the league
- * - Record match results
- * - Calculate league standings
+ * - Remove teams from the league, and players from their teams
+ * - Transfer and loan players between teams, inside the transfer windows
+ * - Look up teams and players by their permanent IDs
+ * - Record, correct and delete match results, with goals, cards and substitutions
+ * - List top scorers, top assists and the discipline table
+ * - Suspend players for red cards and piled-up yellow cards, and list who is suspended
+ * - Record injuries, and send players back when the injury's days or matches have passed
+ * - Build a round-robin fixture schedule
+ * - Keep each team's lineup (formation, starting XI and bench) for its fixtures and matches
+ * - Calculate league standings, with configurable tiebreakers
  * - Provide complete league information
+ * - Save itself for storage and be rebuilt from saved data
+ * - Take over the contents of another (imported) league
+ * - Hand a team over to another division, and start a new season with the same teams
  */
 
 import Team from './Team.js';
+import IdGenerator from './IdGenerator.js';
+import Lineup from './Lineup.js';
+import LeagueError, { ERROR_CODES } from './LeagueError.js';
+
+/**
+ * The tiebreakers that can be used to order teams level on points
+ * Each has a label (shown in the table) and a compare function that puts the better team first.
+ * Head-to-head tiebreakers use the mini-table among just the teams that are level.
+ */
+export const TIEBREAKERS = {
+    goalDifference: {
+        label: 'Goal difference',
+        compare: (a, b) => b.goalDifference - a.goalDifference
+    },
+    goalsFor: {
+        label: 'Goals scored',
+        compare: (a, b) => b.goalsFor - a.goalsFor
+    },
+    headToHeadPoints: {
+        label: 'Head-to-head points',
+        compare: (a, b, records) => records.get(b.id).points - records.get(a.id).points
+    },
+    headToHeadGoalDifference: {
+        label: 'Head-to-head goal difference',
+        compare: (a, b, records) => records.get(b.id).goalDifference - records.get(a.id).goalDifference
+    },
+    awayGoals: {
+        label: 'Away goals',
+        compare: (a, b) => b.awayGoals - a.awayGoals
+    },
+    wins: {
+        label: 'Wins',
+        compare: (a, b) => b.won - a.won
+    },
+    fairPlay: {
+        label: 'Fair-play points',
+        compare: (a, b) => b.fairPlayPoints - a.fairPlayPoints
+    },
+    alphabetical: {
+        label: 'Alphabetical',
+        compare: (a, b) => a.name.localeCompare(b.name)
+    }
+};
+
+/**
+ * The kinds of event a recorded match can contain
+ * - goal: player scored (assist is optional)
+ * - ownGoal: player put the ball in their own net (counts for the other team)
+ * - yellow / red: player was shown a card
+ * - substitution: player went off and playerIn came on
+ * team, player, assist and playerIn hold IDs, not names
+ */
+export const EVENT_TYPES = ['goal', 'ownGoal', 'yellow', 'red', 'substitution'];
+
+/**
+ * The kinds of entry in the transfer register
+ * - permanent: the player joined a new team for good
+ * - loan: the player joined a team until the end of the season
+ * - loanReturn: a loan ended and the player went back to their club
+ */
+export const TRANSFER_TYPES = ['permanent', 'loan', 'loanReturn'];
+
+/**
+ * How the length of an injury can be measured
+ * - days: the player is back once that many days have passed
+ * - matches: the player is back once their team has played that many matches
+ */
+export const INJURY_UNITS = ['days', 'matches'];
+
+/**
+ * The kinds of table zone a league can mark (see League.zones)
+ */
+export const ZONE_TYPES = ['qualification', 'promotion', 'playoff', 'relegation'];
+
+/**
+ * What a date looks like in saved data and date inputs: 'YYYY-MM-DD'
+ */
+export const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * The discipline rules a new league starts with
+ * - redCardBan: Matches banned for a red card (or two yellows in one match)
+ * - yellowCardLimit: Every this many yellow cards means a ban (0 = yellows never lead to a ban)
+ * - yellowCardBan: Matches banned for reaching the yellow card limit
+ * - yellowResetAfter: Yellow card tallies start again from zero once a team has played
+ *   this many matches (null = never, e.g. 19 to wipe the slate at the halfway point)
+ */
+export const DEFAULT_DISCIPLINE_RULES = {
+    redCardBan: 1,
+    yellowCardLimit: 5,
+    yellowCardBan: 1,
+    yellowResetAfter: null
+};
+
+/**
+ * Ready-made tiebreak chains used by real competitions
+ */
+export const TIEBREAK_PRESETS = {
+    'Premier League': ['goalDifference', 'goalsFor', 'headToHeadPoints', 'awayGoals', 'alphabetical'],
+    'Serie A': ['headToHeadPoints', 'headToHeadGoalDifference', 'goalDifference', 'goalsFor', 'alphabetical'],
+    'La Liga': ['headToHeadPoints', 'headToHeadGoalDifference', 'goalDifference', 'goalsFor', 'fairPlay', 'alphabetical'],
+    'Bundesliga': ['goalDifference', 'goalsFor', 'headToHeadPoints', 'headToHeadGoalDifference', 'awayGoals', 'alphabetical'],
+    'UEFA group stage': ['headToHeadPoints', 'headToHeadGoalDifference', 'goalDifference', 'goalsFor', 'wins', 'fairPlay', 'alphabetical']
+};
 
 /**
  * League Class
@@ -45,19 +174,90 @@ export default class League {
         // Initialize league data
         this.teams = [];
         this.matches = [];
+        this.fixtures = [];
+
+        // Players who have left still appear in old match events, so keep their names
+        this.formerPlayers = {};
+
+        // The order of tiebreakers for teams level on points (see TIEBREAKERS)
+        this.tiebreakers = [...TIEBREAK_PRESETS['Premier League']];
+
+        // Bands of table positions to highlight, e.g. qualification and relegation places.
+        // Positions count from the top (1 = first); negative positions count from the bottom (-1 = last)
+        this.zones = [
+            { label: 'Champions', type: 'qualification', from: 1, to: 1 },
+            { label: 'Relegation', type: 'relegation', from: -1, to: -1 }
+        ];
+
+        // The transfer register, and the rules for when players may move.
+        // Dates are 'YYYY-MM-DD' text, like the browser's date inputs
+        this.transfers = [];
+        this.transferWindows = [];
+        this.seasonEnd = null;
+
+        // How long players are banned for cards (see DEFAULT_DISCIPLINE_RULES)
+        this.disciplineRules = { ...DEFAULT_DISCIPLINE_RULES };
+    }
+
+    /**
+     * Writes a date as 'YYYY-MM-DD' text (in local time), the format used for transfer dates
+     * 
+     * @param {Date} [date=new Date()] - The date to write (today if left out)
+     * @returns {string} - e.g. "2024-08-31"
+     */
+    static formatDate(date = new Date()) {
+        const pad = number => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Works out the day a number of days after another day
+     * 
+     * @param {string} date - The starting day ('YYYY-MM-DD')
+     * @param {number} days - How many days later
+     * @returns {string} - The later day ('YYYY-MM-DD')
+     */
+    static addDays(date, days) {
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Works out the same day a number of years later
+     * 29 February becomes 1 March in a year that is not a leap year
+     * 
+     * @param {string} date - The starting day ('YYYY-MM-DD')
+     * @param {number} years - How many years later
+     * @returns {string} - The later day ('YYYY-MM-DD')
+     */
+    static addYears(date, years) {
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(Date.UTC(year + years, month - 1, day)).toISOString().slice(0, 10);
     }
 
     /**
      * Adds a new team to the league
-     * This is like a team joining the league
+     * This is like a team joining the league.
+     * Two teams cannot share a name (upper and lower case count the same) or an ID
      * 
      * @param {Team} team - The team to add
-     * @returns {boolean} - Whether the team was successfully added
+     * @returns {boolean} - True once the team has been added
+     * @throws {LeagueError} - INVALID_TEAM if it is not a Team, MISSING_FIELD if it has no name,
+     *   DUPLICATE_TEAM if its name or ID is already used in the league
      */
     addTeam(team) {
         if (!(team instanceof Team)) {
-            console.error('Invalid team object');
-            return false;
+            throw new LeagueError(ERROR_CODES.INVALID_TEAM, 'Only a team can join the league.');
+        }
+        if (typeof team.name !== 'string' || !team.name.trim()) {
+            throw new LeagueError(ERROR_CODES.MISSING_FIELD, 'Please enter a team name.', 'name');
+        }
+        const clash = this.findTeamByName(team.name);
+        if (clash) {
+            throw new LeagueError(ERROR_CODES.DUPLICATE_TEAM, `There is already a team called ${clash.name}. Please choose another name.`, 'name');
+        }
+        if (this.getTeam(team.id)) {
+            throw new LeagueError(ERROR_CODES.DUPLICATE_TEAM, `${team.name} is already in the league.`);
         }
         this.teams.push(team);
         return true;
@@ -65,57 +265,843 @@ export default class League {
 
     /**
      * Removes a team from the league
-     * This is like a team leaving the league
+     * This is like a team leaving the league: its results are struck from the
+     * record (so its opponents lose the points earned against it) and its fixtures are dropped
      * 
-     * @param {string} teamName - Name of the team to remove
-     * @returns {boolean} - Whether the team was successfully removed
+     * @param {string} teamId - ID of the team to remove
+     * @returns {boolean} - True once the team has been removed
+     * @throws {LeagueError} - TEAM_NOT_FOUND if no team in the league has that ID
      */
-    removeTeam(teamName) {
-        const index = this.teams.findIndex(t => t.name === teamName);
+    removeTeam(teamId) {
+        const index = this.teams.findIndex(t => t.id === teamId);
         if (index === -1) {
-            console.error('Team not found');
-            return false;
+            throw new LeagueError(ERROR_CODES.TEAM_NOT_FOUND, 'That team is no longer in the league.');
         }
         this.teams.splice(index, 1);
+
+        const involvesTeam = match => match.homeTeam === teamId || match.awayTeam === teamId;
+        this.matches = this.matches.filter(match => !involvesTeam(match));
+        this.fixtures.forEach(matchday => {
+            matchday.matches = matchday.matches.filter(fixture => !involvesTeam(fixture));
+            if (matchday.bye === teamId) {
+                matchday.bye = null;
+            }
+        });
+        this.rebuildStats();
         return true;
     }
 
     /**
-     * Gets a team by name
+     * Takes a team out of the league so it can join another division
+     * Unlike removeTeam(), the team's results are left in the record; call this once
+     * the season is over and the results have been cleared (see startNewSeason())
+     * 
+     * @param {string} teamId - ID of the team to take out
+     * @returns {Team} - The team (with its players)
+     * @throws {LeagueError} - TEAM_NOT_FOUND if no team in the league has that ID
+     */
+    detachTeam(teamId) {
+        const index = this.teams.findIndex(t => t.id === teamId);
+        if (index === -1) {
+            throw new LeagueError(ERROR_CODES.TEAM_NOT_FOUND, 'That team is no longer in the league.');
+        }
+        return this.teams.splice(index, 1)[0];
+    }
+
+    /**
+     * Starts a new season
+     * This is like turning to a clean page of the notebook: the results and fixtures are
+     * cleared, so team statistics, cards and bans start again from zero. Teams, players,
+     * rules and the transfer register are kept.
+     * - Loans that end with the season go back to their clubs first
+     * - The season end and the transfer windows move on by a year
+     * - Players can be made a year older
+     * 
+     * @param {Object} [options] - How to start the season
+     * @param {boolean} [options.agePlayers=false] - Whether every player gets a year older
+     */
+    startNewSeason({ agePlayers = false } = {}) {
+        if (this.seasonEnd) {
+            this.returnEndedLoans(this.seasonEnd);
+            this.seasonEnd = League.addYears(this.seasonEnd, 1);
+        }
+        this.transferWindows = this.transferWindows.map(window => ({
+            ...window,
+            from: League.addYears(window.from, 1),
+            to: League.addYears(window.to, 1)
+        }));
+
+        this.matches = [];
+        this.fixtures = [];
+        this.teams.forEach(team => {
+            team.players.forEach(player => {
+                player.carriedCards = { yellow: 0, red: 0 };
+                if (agePlayers) {
+                    player.age++;
+                }
+            });
+        });
+        this.rebuildStats();
+    }
+
+    /**
+     * Replaces everything in this league with the contents of another league
+     * This is like swapping the whole notebook for a colleague's copy.
+     * The league object itself is kept, so anything holding on to it sees the new contents.
+     * 
+     * @param {League} otherLeague - The league to copy from
+     */
+    replaceWith(otherLeague) {
+        this.name = otherLeague.name;
+        this.country = otherLeague.country;
+        this.teams = otherLeague.teams;
+        this.matches = otherLeague.matches;
+        this.fixtures = otherLeague.fixtures;
+        this.tiebreakers = otherLeague.tiebreakers;
+        this.zones = otherLeague.zones;
+        this.formerPlayers = otherLeague.formerPlayers;
+        this.transfers = otherLeague.transfers;
+        this.transferWindows = otherLeague.transferWindows;
+        this.seasonEnd = otherLeague.seasonEnd;
+        this.disciplineRules = otherLeague.disciplineRules;
+    }
+
+    /**
+     * Gets a team by its ID
      * This is like looking up a team in the league table
      * 
-     * @param {string} teamName - Name of the team to find
+     * @param {string} teamId - ID of the team to find
      * @returns {Team|null} - The found team or null if not found
      */
-    getTeam(teamName) {
-        return this.teams.find(t => t.name === teamName) || null;
+    getTeam(teamId) {
+        return this.teams.find(t => t.id === teamId) || null;
+    }
+
+    /**
+     * Gets a team by its name
+     * Only for places where a person typed the name, such as a CSV file
+     * Upper and lower case count the same, so "inter" finds Inter
+     * 
+     * @param {string} teamName - Name of the team to find
+     * @returns {Team|null} - The first team with that name, or null if there is none
+     */
+    findTeamByName(teamName) {
+        const wanted = teamName.trim().toLowerCase();
+        return this.teams.find(t => t.name.toLowerCase() === wanted) || null;
+    }
+
+    /**
+     * Finds a player anywhere in the league
+     * 
+     * @param {string} playerId - ID of the player to find
+     * @returns {{team: Team, player: Player}|null} - The player and their team, or null if not found
+     */
+    findPlayer(playerId) {
+        for (const team of this.teams) {
+            const player = team.getPlayer(playerId);
+            if (player) {
+                return { team, player };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Removes a player from a team
+     * The player's name is kept in formerPlayers so their old goals and cards still show a name
+     * 
+     * @param {string} teamId - ID of the player's team
+     * @param {string} playerId - ID of the player to remove
+     * @returns {boolean} - True once the player has been removed
+     * @throws {LeagueError} - TEAM_NOT_FOUND or PLAYER_NOT_FOUND if the team or the player is not there
+     */
+    removePlayer(teamId, playerId) {
+        const team = this.getTeam(teamId);
+        if (!team) {
+            throw new LeagueError(ERROR_CODES.TEAM_NOT_FOUND, 'That team is no longer in the league.');
+        }
+        const player = team.getPlayer(playerId);
+        if (!player) {
+            throw new LeagueError(ERROR_CODES.PLAYER_NOT_FOUND, `That player no longer plays for ${team.name}.`);
+        }
+        this.formerPlayers[player.id] = player.name;
+        return team.removePlayer(playerId);
+    }
+
+    /**
+     * Gets the name to show for a team ID
+     * 
+     * @param {string} teamId - ID of the team
+     * @returns {string} - The team's current name, or 'Unknown team'
+     */
+    getTeamName(teamId) {
+        const team = this.getTeam(teamId);
+        return team ? team.name : 'Unknown team';
+    }
+
+    /**
+     * Gets the name to show for a player ID
+     * Players who have left the league are shown by the name they had when they left
+     * 
+     * @param {string} playerId - ID of the player
+     * @returns {string} - The player's current (or last known) name, or 'Unknown player'
+     */
+    getPlayerName(playerId) {
+        const found = this.findPlayer(playerId);
+        if (found) {
+            return found.player.name;
+        }
+        return this.formerPlayers[playerId] || 'Unknown player';
+    }
+
+    /**
+     * Checks whether transfers are allowed on a date
+     * With no transfer windows set up, transfers are always allowed
+     * 
+     * @param {string} date - The date to check ('YYYY-MM-DD')
+     * @returns {boolean} - Whether the date falls inside a transfer window
+     */
+    isTransferWindowOpen(date) {
+        return this.transferWindows.length === 0 ||
+            this.transferWindows.some(window => window.from <= date && date <= window.to);
+    }
+
+    /**
+     * Changes the transfer windows
+     * 
+     * @param {Array<{label: string, from: string, to: string}>} windows - The windows, with
+     *   first and last days as 'YYYY-MM-DD' (an empty list allows transfers at any time)
+     * @returns {boolean} - True once the windows have been changed
+     * @throws {LeagueError} - INVALID_DATE if any window is invalid
+     */
+    setTransferWindows(windows) {
+        const isDate = value => typeof value === 'string' && DATE_PATTERN.test(value);
+        const invalid = windows.filter(window =>
+            !window.label || !isDate(window.from) || !isDate(window.to) || window.from > window.to
+        );
+        if (invalid.length > 0) {
+            throw new LeagueError(
+                ERROR_CODES.INVALID_DATE,
+                'Every window needs a name, a first and a last day, and must not end before it starts.'
+            );
+        }
+        this.transferWindows = windows.map(window => ({ ...window }));
+        return true;
+    }
+
+    /**
+     * Sets the last day of the season, when loans end
+     * 
+     * @param {string|null} date - The last day ('YYYY-MM-DD'), or null for no set end
+     * @returns {boolean} - True once the date has been changed
+     * @throws {LeagueError} - INVALID_DATE if it is not a valid date
+     */
+    setSeasonEnd(date) {
+        if (date !== null && !DATE_PATTERN.test(date)) {
+            throw new LeagueError(ERROR_CODES.INVALID_DATE, 'The season end must be a valid date.', 'seasonEnd');
+        }
+        this.seasonEnd = date;
+        return true;
+    }
+
+    /**
+     * Finds the loan a player is currently on
+     * 
+     * @param {string} playerId - ID of the player
+     * @returns {Object|null} - The loan entry in the transfer register, or null if the player is not on loan
+     */
+    getActiveLoan(playerId) {
+        return this.transfers.find(transfer =>
+            transfer.type === 'loan' && transfer.playerId === playerId && !transfer.returned
+        ) || null;
+    }
+
+    /**
+     * Checks a transfer before it is made
+     * 
+     * @param {string} playerId - ID of the player to move
+     * @param {string} toTeamId - ID of the team the player joins
+     * @param {Object} [options] - Details of the transfer
+     * @param {number} [options.fee=0] - Transfer fee (0 or more)
+     * @param {string} [options.type='permanent'] - 'permanent' or 'loan'
+     * @param {string} [options.date] - Day of the transfer ('YYYY-MM-DD', today if left out)
+     * @param {string} [options.until] - Last day of a loan (the season end if left out)
+     * @param {League} [toLeague=this] - The division of the team the player joins,
+     *   for a move to another division (see Competitions.transferPlayer())
+     * @returns {Array<string>} - A list of problems (empty if the transfer can go ahead)
+     */
+    validateTransfer(playerId, toTeamId, { fee = 0, type = 'permanent', date = League.formatDate(), until = this.seasonEnd } = {}, toLeague = this) {
+        const errors = [];
+        const found = this.findPlayer(playerId);
+        const toTeam = toLeague.getTeam(toTeamId);
+
+        if (!found) {
+            errors.push('Player not found');
+        }
+        if (!toTeam) {
+            errors.push('Choose the team the player is joining');
+        }
+        if (found && toTeam && found.team === toTeam) {
+            errors.push(`${found.player.name} already plays for ${toTeam.name}`);
+        }
+        if (found && this.getActiveLoan(playerId)) {
+            errors.push(`${found.player.name} is on loan and cannot move until the loan ends`);
+        }
+        if (type !== 'permanent' && type !== 'loan') {
+            errors.push('A transfer must be permanent or a loan');
+        }
+        if (typeof fee !== 'number' || !Number.isFinite(fee) || fee < 0) {
+            errors.push('The fee must be a number of 0 or more');
+        }
+        if (!DATE_PATTERN.test(date)) {
+            errors.push('The transfer date must be a valid date');
+        } else if (!this.isTransferWindowOpen(date)) {
+            errors.push(`The transfer window is closed on ${date}`);
+        } else if (!toLeague.isTransferWindowOpen(date)) {
+            errors.push(`The transfer window of ${toLeague.name} is closed on ${date}`);
+        }
+        if (type === 'loan') {
+            if (!until) {
+                errors.push('Set the season end date so the loan knows when to end');
+            } else if (!DATE_PATTERN.test(until) || until <= date) {
+                errors.push('A loan must end after the day it starts');
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Moves a player to another team, and writes it in the transfer register
+     * This is like a signing: the player keeps everything (cards, injury, ID) and
+     * only their team changes. Either the whole move happens or nothing changes.
+     * A squad number already worn at the new team is cleared (set to 0).
+     * A move to another division is written in the transfer registers of both divisions
+     * (see sendPlayer() for what the player takes with them).
+     * 
+     * @param {string} playerId - ID of the player to move
+     * @param {string} toTeamId - ID of the team the player joins
+     * @param {Object} [options] - Fee, type, date and loan end (see validateTransfer())
+     * @param {League} [toLeague=this] - The division of the team the player joins
+     * @returns {Object} - The transfer register entry
+     * @throws {LeagueError} - INVALID_TRANSFER if the transfer is not allowed (the message lists every problem)
+     */
+    transferPlayer(playerId, toTeamId, options = {}, toLeague = this) {
+        const errors = this.validateTransfer(playerId, toTeamId, options, toLeague);
+        if (errors.length > 0) {
+            throw LeagueError.fromProblems(ERROR_CODES.INVALID_TRANSFER, errors);
+        }
+
+        const { fee = 0, type = 'permanent', date = League.formatDate(), until = this.seasonEnd } = options;
+        const { team: fromTeam, player } = this.findPlayer(playerId);
+        const transfer = {
+            id: IdGenerator.generate('transfer'),
+            playerId,
+            from: fromTeam.id,
+            to: toTeamId,
+            fee,
+            type,
+            date
+        };
+        if (type === 'loan') {
+            transfer.until = until;
+            transfer.returned = false;
+        }
+
+        if (toLeague === this) {
+            this.movePlayer(player, fromTeam, this.getTeam(toTeamId));
+        } else {
+            this.sendPlayer(player, fromTeam, toLeague, toLeague.getTeam(toTeamId));
+            toLeague.transfers.push({ ...transfer });
+        }
+        this.transfers.push(transfer);
+        return transfer;
+    }
+
+    /**
+     * Sends players back to their clubs when their loan has ended
+     * A player on loan here from a club in another division is left to
+     * Competitions.returnEndedLoans(), which can reach both divisions.
+     * 
+     * @param {string} [date] - Today's date ('YYYY-MM-DD', worked out if left out)
+     * @returns {Array<Object>} - The loan return entries added to the transfer register
+     */
+    returnEndedLoans(date = League.formatDate()) {
+        const returns = [];
+        this.transfers
+            .filter(transfer => transfer.type === 'loan' && !transfer.returned && transfer.until <= date)
+            .forEach(loan => {
+                const found = this.findPlayer(loan.playerId);
+                const parentTeam = this.getTeam(loan.from);
+                // A player still here on loan from a club in another division is not ours to send back
+                if (found && found.team.id === loan.to && !parentTeam) {
+                    return;
+                }
+                loan.returned = true;
+                // A player who has left, or whose club has left, has nowhere to go back to
+                if (!found || !parentTeam || found.team.id !== loan.to) {
+                    return;
+                }
+                this.movePlayer(found.player, found.team, parentTeam);
+                const entry = {
+                    id: IdGenerator.generate('transfer'),
+                    playerId: loan.playerId,
+                    from: loan.to,
+                    to: loan.from,
+                    fee: 0,
+                    type: 'loanReturn',
+                    date: loan.until
+                };
+                this.transfers.push(entry);
+                returns.push(entry);
+            });
+        return returns;
+    }
+
+    /**
+     * Moves a player object from one roster to another
+     * 
+     * @param {Player} player - The player to move
+     * @param {Team} fromTeam - The team the player leaves
+     * @param {Team} toTeam - The team the player joins
+     */
+    movePlayer(player, fromTeam, toTeam) {
+        if (toTeam.getPlayerByNumber(player.jerseyNumber)) {
+            player.jerseyNumber = 0;
+        }
+        fromTeam.removePlayer(player.id);
+        toTeam.addPlayer(player);
+        // A ban goes with the player, and is now served over the new team's fixtures
+        this.updateSuspensionMatchdays();
+    }
+
+    /**
+     * Moves a player object to a team in another division
+     * This division's matches stay behind, so:
+     * - The player's name is kept in formerPlayers, for their old goals and cards
+     * - The cards they were shown here go with them as carried cards
+     * - A ban stays behind, like any ban given in another competition
+     * A player coming back to the new division (e.g. at the end of a loan) finds their
+     * old cards and bans there again, from its match log.
+     * 
+     * @param {Player} player - The player to move
+     * @param {Team} fromTeam - The team the player leaves (in this division)
+     * @param {League} toLeague - The division the player joins
+     * @param {Team} toTeam - The team the player joins (in that division)
+     */
+    sendPlayer(player, fromTeam, toLeague, toTeam) {
+        if (toTeam.getPlayerByNumber(player.jerseyNumber)) {
+            player.jerseyNumber = 0;
+        }
+        this.formerPlayers[player.id] = player.name;
+        fromTeam.removePlayer(player.id);
+        this.updateSuspensionMatchdays();
+
+        // The new division's own matches are counted again by its rebuild, so they are not carried
+        const logged = toLeague.countCards(player.id);
+        player.setCards(player.yellowCards - logged.yellow, player.redCards - logged.red);
+        toTeam.addPlayer(player);
+        delete toLeague.formerPlayers[player.id];
+        toLeague.rebuildStats();
+    }
+
+    /**
+     * Gets a player's career: every move in the transfer register, oldest first
+     * 
+     * @param {string} playerId - ID of the player
+     * @returns {Array<Object>} - The player's transfer register entries
+     */
+    getPlayerHistory(playerId) {
+        return this.transfers
+            .filter(transfer => transfer.playerId === playerId)
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Checks an injury before it is recorded
+     * 
+     * @param {string} playerId - ID of the injured player
+     * @param {Object} [options] - Details of the injury
+     * @param {string} [options.type] - What the injury is (e.g. "Hamstring")
+     * @param {string} [options.startDate] - Day it happened ('YYYY-MM-DD', today if left out)
+     * @param {number} [options.length] - How long the player is expected to be out
+     * @param {string} [options.unit='days'] - What the length counts: 'days' or 'matches'
+     * @returns {Array<string>} - A list of problems (empty if the injury can be recorded)
+     */
+    validateInjury(playerId, { type = '', startDate = League.formatDate(), length, unit = 'days' } = {}) {
+        const errors = [];
+        const found = this.findPlayer(playerId);
+        if (!found) {
+            errors.push('Player not found');
+        } else if (found.player.isInjured) {
+            errors.push(`${found.player.name} is already injured`);
+        }
+        if (typeof type !== 'string' || !type.trim()) {
+            errors.push('Say what the injury is');
+        }
+        if (!DATE_PATTERN.test(startDate || '')) {
+            errors.push('The injury needs a date');
+        }
+        if (!INJURY_UNITS.includes(unit)) {
+            errors.push(`Unknown injury length unit "${unit}"`);
+        }
+        if (!Number.isInteger(length) || length < 1) {
+            errors.push('The expected length must be a whole number of 1 or more');
+        }
+        return errors;
+    }
+
+    /**
+     * Records an injury for a player
+     * This is like the club doctor's report: the player is out until the days
+     * or matches have passed, and the injury goes into their history.
+     * 
+     * @param {string} playerId - ID of the injured player
+     * @param {Object} [options] - Details of the injury (see validateInjury)
+     * @returns {Object} - The injury record. It has: id, type, startDate, recordedAt
+     *   (exact time, so only later matches count), length, unit,
+     *   expectedReturn (for injuries counted in days), endDate and matchesMissed
+     * @throws {LeagueError} - INVALID_INJURY if the injury is not valid (the message lists every problem)
+     */
+    injurePlayer(playerId, options = {}) {
+        const errors = this.validateInjury(playerId, options);
+        if (errors.length > 0) {
+            throw LeagueError.fromProblems(ERROR_CODES.INVALID_INJURY, errors);
+        }
+
+        const { type, startDate = League.formatDate(), length, unit = 'days' } = options;
+        const injury = {
+            id: IdGenerator.generate('injury'),
+            type: type.trim(),
+            startDate,
+            recordedAt: new Date().toISOString(),
+            length,
+            unit,
+            expectedReturn: unit === 'days' ? League.addDays(startDate, length) : null
+        };
+        const { player } = this.findPlayer(playerId);
+        player.injure(injury);
+        // An injury dated in the past may already be over
+        this.updateInjuries();
+        return player.injuries[player.injuries.length - 1];
+    }
+
+    /**
+     * Marks an injured player as fit straight away
+     * 
+     * @param {string} playerId - ID of the player
+     * @param {string} [date] - The day they recovered ('YYYY-MM-DD', today if left out)
+     * @returns {boolean} - True once the player is fit
+     * @throws {LeagueError} - PLAYER_NOT_FOUND if the player is not in the league,
+     *   PLAYER_NOT_INJURED if they are not injured
+     */
+    recoverPlayer(playerId, date = League.formatDate()) {
+        const found = this.findPlayer(playerId);
+        if (!found) {
+            throw new LeagueError(ERROR_CODES.PLAYER_NOT_FOUND, 'That player is no longer in the league.');
+        }
+        if (!found.player.isInjured) {
+            throw new LeagueError(ERROR_CODES.PLAYER_NOT_INJURED, `${found.player.name} is not injured.`);
+        }
+        found.player.recover(date);
+        return true;
+    }
+
+    /**
+     * Sends injured players back when their injury is over
+     * - Injuries counted in days end on their expected return day
+     * - Injuries counted in matches end once the player's team has played that many
+     *   matches since the injury was recorded
+     * - Injuries with no length (e.g. from a CSV file) last until the player is marked fit
+     * 
+     * @param {string} [date] - Today's date ('YYYY-MM-DD', worked out if left out)
+     * @returns {Array<{player: Player, team: Team, injury: Object}>} - The players who came back
+     */
+    updateInjuries(date = League.formatDate()) {
+        const recovered = [];
+        this.teams.forEach(team => {
+            team.players.forEach(player => {
+                const injury = player.getCurrentInjury();
+                if (!injury) {
+                    return;
+                }
+
+                const since = new Date(injury.recordedAt);
+                const missed = this.matches
+                    .filter(match => (match.homeTeam === team.id || match.awayTeam === team.id) && match.date > since)
+                    .sort((a, b) => a.date - b.date);
+                injury.matchesMissed = missed.length;
+
+                if (injury.unit === 'days' && injury.expectedReturn <= date) {
+                    player.recover(injury.expectedReturn);
+                } else if (injury.unit === 'matches' && missed.length >= injury.length) {
+                    injury.matchesMissed = injury.length;
+                    player.recover(League.formatDate(missed[injury.length - 1].date));
+                } else {
+                    return;
+                }
+                recovered.push({ player, team, injury });
+            });
+        });
+        return recovered;
     }
 
     /**
      * Records a match result
-     * This is like updating the league table after a game
+     * This is like writing a new line in the results book.
+     * The match gets a permanent ID so it can be corrected or deleted later.
      * 
-     * @param {string} homeTeamName - Name of the home team
-     * @param {string} awayTeamName - Name of the away team
+     * @param {string} homeTeamId - ID of the home team
+     * @param {string} awayTeamId - ID of the away team
      * @param {number} homeGoals - Goals scored by home team
      * @param {number} awayGoals - Goals scored by away team
-     * @returns {boolean} - Whether the match was successfully recorded
+     * @param {Array<Object>} [events=[]] - What happened in the match: goals, cards and
+     *   substitutions (see validateMatchEvents() for the shape of each event)
+     * @returns {Object} - The recorded match
+     * @throws {LeagueError} - TEAM_NOT_FOUND if a team is not in the league, SAME_TEAM if a team
+     *   would play itself, INVALID_SCORE if a score is not a whole number of 0 or more,
+     *   INVALID_EVENTS if the events do not fit the match (the message lists every problem)
      */
-    recordMatch(homeTeamName, awayTeamName, homeGoals, awayGoals) {
-        const homeTeam = this.getTeam(homeTeamName);
-        const awayTeam = this.getTeam(awayTeamName);
+    recordMatch(homeTeamId, awayTeamId, homeGoals, awayGoals, events = []) {
+        const homeTeam = this.getTeam(homeTeamId);
+        const awayTeam = this.getTeam(awayTeamId);
 
         if (!homeTeam || !awayTeam) {
-            console.error('One or both teams not found');
-            return false;
+            throw new LeagueError(ERROR_CODES.TEAM_NOT_FOUND, 'Both teams must be in the league to record a result.', homeTeam ? 'awayTeam' : 'homeTeam');
+        }
+        if (homeTeamId === awayTeamId) {
+            throw new LeagueError(ERROR_CODES.SAME_TEAM, 'A team cannot play against itself.', 'awayTeam');
+        }
+        League.checkScore(homeGoals, awayGoals);
+
+        const eventErrors = this.validateMatchEvents(homeTeamId, awayTeamId, homeGoals, awayGoals, events);
+        if (eventErrors.length > 0) {
+            throw LeagueError.fromProblems(ERROR_CODES.INVALID_EVENTS, eventErrors);
+        }
+
+        // Record match
+        const match = {
+            id: IdGenerator.generate('match'),
+            homeTeam: homeTeamId,
+            awayTeam: awayTeamId,
+            homeGoals,
+            awayGoals,
+            events: events.map(event => ({ ...event })),
+            lineups: {},
+            date: new Date()
+        };
+        this.matches.push(match);
+
+        // Update team stats, player cards and bans, and tick off the fixture
+        // (the match keeps the lineups picked for it)
+        this.applyMatch(match);
+        const fixture = this.markFixturePlayed(match);
+        if (fixture && fixture.lineups) {
+            match.lineups = JSON.parse(JSON.stringify(fixture.lineups));
+        }
+        this.updateSuspensionMatchdays();
+        // A match moves the league on to today: loans that have ended and injuries whose time is up end
+        this.returnEndedLoans();
+        this.updateInjuries();
+
+        return match;
+    }
+
+    /**
+     * Checks the score of a match
+     * 
+     * @param {number} homeGoals - Goals scored by the home team
+     * @param {number} awayGoals - Goals scored by the away team
+     * @throws {LeagueError} - INVALID_SCORE if either is not a whole number of 0 or more
+     */
+    static checkScore(homeGoals, awayGoals) {
+        [['homeGoals', homeGoals], ['awayGoals', awayGoals]].forEach(([field, goals]) => {
+            if (!Number.isInteger(goals) || goals < 0) {
+                throw new LeagueError(ERROR_CODES.INVALID_SCORE, 'Goals must be whole numbers of 0 or more.', field);
+            }
+        });
+    }
+
+    /**
+     * Checks the events of a match before it is recorded
+     * 
+     * Each event looks like:
+     *   { type, team, player, minute, assist?, playerIn? }
+     * where team is the ID of the home or away team, player (and assist/playerIn)
+     * are IDs of players in that team, and minute is 1-120.
+     * A goal's player is null when the scorer is not known (it then has no assist).
+     * When any goals are listed, goals plus own goals must add up to the score.
+     * 
+     * @param {string} homeTeamId - ID of the home team
+     * @param {string} awayTeamId - ID of the away team
+     * @param {number} homeGoals - Goals scored by the home team
+     * @param {number} awayGoals - Goals scored by the away team
+     * @param {Array<Object>} events - The events to check
+     * @returns {Array<string>} - A list of problems (empty if the events are valid)
+     */
+    validateMatchEvents(homeTeamId, awayTeamId, homeGoals, awayGoals, events) {
+        const errors = [];
+        const scored = { [homeTeamId]: 0, [awayTeamId]: 0 };
+        let goalEvents = 0;
+
+        events.forEach((event, index) => {
+            const label = `Event ${index + 1}`;
+            if (!EVENT_TYPES.includes(event.type)) {
+                errors.push(`${label}: unknown event type "${event.type}"`);
+                return;
+            }
+            if (event.team !== homeTeamId && event.team !== awayTeamId) {
+                errors.push(`${label}: ${this.getTeamName(event.team)} is not playing in this match`);
+                return;
+            }
+            const team = this.getTeam(event.team);
+            const inTeam = playerId => team && team.getPlayer(playerId) !== null;
+            const notInTeam = playerId => `${label}: ${this.getPlayerName(playerId)} does not play for ${team ? team.name : 'this team'}`;
+
+            const unknownScorer = event.type === 'goal' && event.player === null;
+            if (!unknownScorer && !inTeam(event.player)) {
+                errors.push(notInTeam(event.player));
+            }
+            if (unknownScorer && event.assist) {
+                errors.push(`${label}: a goal with no scorer cannot have an assist`);
+            }
+            if (!Number.isInteger(event.minute) || event.minute < 1 || event.minute > 120) {
+                errors.push(`${label}: minute must be a whole number from 1 to 120`);
+            }
+            if (event.type === 'goal' && event.assist) {
+                if (!inTeam(event.assist)) {
+                    errors.push(notInTeam(event.assist));
+                } else if (event.assist === event.player) {
+                    errors.push(`${label}: a player cannot assist their own goal`);
+                }
+            }
+            if (event.type === 'substitution') {
+                if (!inTeam(event.playerIn)) {
+                    errors.push(notInTeam(event.playerIn));
+                } else if (event.playerIn === event.player) {
+                    errors.push(`${label}: a player cannot replace themselves`);
+                }
+            }
+
+            if (event.type === 'goal') {
+                scored[event.team]++;
+                goalEvents++;
+            } else if (event.type === 'ownGoal') {
+                scored[event.team === homeTeamId ? awayTeamId : homeTeamId]++;
+                goalEvents++;
+            }
+        });
+
+        if (goalEvents > 0 && (scored[homeTeamId] !== homeGoals || scored[awayTeamId] !== awayGoals)) {
+            errors.push(`The goals listed make ${scored[homeTeamId]}-${scored[awayTeamId]}, but the score is ${homeGoals}-${awayGoals}`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Gets a recorded match by its ID
+     * 
+     * @param {string} matchId - The ID given to the match when it was recorded
+     * @returns {Object|null} - The match or null if not found
+     */
+    getMatch(matchId) {
+        return this.matches.find(m => m.id === matchId) || null;
+    }
+
+    /**
+     * Corrects the score (and optionally the events) of a recorded match
+     * This is like fixing a typo in the results book: the table is then
+     * worked out again from the whole book, so it can never drift out of step
+     * 
+     * @param {string} matchId - ID of the match to correct
+     * @param {number} homeGoals - Correct goals scored by the home team
+     * @param {number} awayGoals - Correct goals scored by the away team
+     * @param {Array<Object>} [events] - Correct match events (the current ones are kept if left out)
+     * @returns {boolean} - True once the match has been corrected
+     * @throws {LeagueError} - MATCH_NOT_FOUND if there is no match with that ID, INVALID_SCORE if
+     *   a score is not a whole number of 0 or more, INVALID_EVENTS if the events do not fit the match
+     */
+    editMatch(matchId, homeGoals, awayGoals, events) {
+        const match = this.getMatch(matchId);
+        if (!match) {
+            throw new LeagueError(ERROR_CODES.MATCH_NOT_FOUND, 'That match is no longer in the results.');
         }
+        League.checkScore(homeGoals, awayGoals);
+
+        const newEvents = events || match.events;
+        const eventErrors = this.validateMatchEvents(match.homeTeam, match.awayTeam, homeGoals, awayGoals, newEvents);
+        if (eventErrors.length > 0) {
+            throw LeagueError.fromProblems(ERROR_CODES.INVALID_EVENTS, eventErrors);
+        }
+
+        match.homeGoals = homeGoals;
+        match.awayGoals = awayGoals;
+        match.events = newEvents.map(event => ({ ...event }));
+        this.rebuildStats();
+        return true;
+    }
+
+    /**
+     * Deletes a recorded match
+     * The table is worked out again without it, and its fixture becomes pending again
+     * 
+     * @param {string} matchId - ID of the match to delete
+     * @returns {boolean} - True once the match has been deleted
+     * @throws {LeagueError} - MATCH_NOT_FOUND if there is no match with that ID
+     */
+    deleteMatch(matchId) {
+        const index = this.matches.findIndex(m => m.id === matchId);
+        if (index === -1) {
+            throw new LeagueError(ERROR_CODES.MATCH_NOT_FOUND, 'That match is no longer in the results.');
+        }
+        this.matches.splice(index, 1);
+        this.rebuildStats();
+        return true;
+    }
+
+    /**
+     * Works out every team's statistics again from the match log
+     * This is like starting a fresh table and replaying every result in order.
+     * Player cards and fixtures are redone too, so they always match the log.
+     */
+    rebuildStats() {
+        this.teams.forEach(team => {
+            team.resetStats();
+            team.players.forEach(player => player.resetCards());
+        });
+        this.matches.forEach(match => this.applyMatch(match));
+
+        this.fixtures.forEach(matchday => {
+            matchday.matches.forEach(fixture => {
+                fixture.played = false;
+                fixture.matchId = null;
+                fixture.homeGoals = null;
+                fixture.awayGoals = null;
+            });
+        });
+        this.matches.forEach(match => this.markFixturePlayed(match));
+        this.updateSuspensionMatchdays();
+    }
+
+    /**
+     * Adds one match result to both teams' statistics, and its cards to the players shown them
+     * removeTeam() deletes a team's matches along with the team, so both teams of a match are
+     * normally in the league. If one is missing anyway (detachTeam() called before the results
+     * were cleared), the match still counts for the team that is here.
+     * 
+     * @param {Object} match - A recorded match
+     */
+    applyMatch(match) {
+        const homeTeam = this.getTeam(match.homeTeam);
+        const awayTeam = this.getTeam(match.awayTeam);
 
         // Calculate points (3 for win, 1 for draw, 0 for loss)
         let homePoints = 0;
         let awayPoints = 0;
-        if (homeGoals > awayGoals) {
+        if (match.homeGoals > match.awayGoals) {
             homePoints = 3;
-        } else if (homeGoals < awayGoals) {
+        } else if (match.homeGoals < match.awayGoals) {
             awayPoints = 3;
         } else {
             homePoints = 1;
@@ -123,38 +1109,666 @@ export default class League {
         }
 
         // Update team stats
-        homeTeam.updateStats(homeGoals, awayGoals, homePoints);
-        awayTeam.updateStats(awayGoals, homeGoals, awayPoints);
+        if (homeTeam) {
+            homeTeam.updateStats(match.homeGoals, match.awayGoals, homePoints);
+        }
+        if (awayTeam) {
+            awayTeam.updateStats(match.awayGoals, match.homeGoals, awayPoints);
+        }
 
-        // Record match
-        this.matches.push({
-            homeTeam: homeTeamName,
-            awayTeam: awayTeamName,
-            homeGoals,
-            awayGoals,
-            date: new Date()
+        // Fair play counts the cards shown to each side in this match
+        (match.events || [])
+            .filter(event => event.type === 'yellow' || event.type === 'red')
+            .forEach(event => {
+                const team = event.team === match.homeTeam ? homeTeam : event.team === match.awayTeam ? awayTeam : null;
+                if (team) {
+                    team.addCard(event.type);
+                }
+            });
+
+        this.applyDiscipline(match, [homeTeam, awayTeam].filter(Boolean));
+    }
+
+    /**
+     * Applies the discipline rules for one match
+     * This is like the referee's report reaching the league office:
+     * - Players of both teams who were banned sit this match out, so it counts towards their ban
+     * - Once a team has played yellowResetAfter matches, its players' yellow card tallies start again
+     * - A red card, or a second yellow in the same match, means a ban of redCardBan matches
+     * - The first yellow of a match adds to the player's tally; reaching yellowCardLimit means
+     *   a ban of yellowCardBan matches and the tally starts again
+     * 
+     * @param {Object} match - A recorded match (its team statistics already added)
+     * @param {Array<Team>} teams - The teams of the match that are still in the league
+     */
+    applyDiscipline(match, teams) {
+        const rules = this.disciplineRules;
+        teams.forEach(team => {
+            team.players.forEach(player => player.serveSuspension());
+            if (rules.yellowResetAfter && team.played === rules.yellowResetAfter + 1) {
+                team.players.forEach(player => {
+                    player.accumulatedYellows = 0;
+                });
+            }
+        });
+
+        const yellowsThisMatch = new Map();
+        (match.events || [])
+            .filter(event => event.type === 'yellow' || event.type === 'red')
+            .sort((a, b) => a.minute - b.minute)
+            .forEach(event => {
+                // Cards stay with the player, even one who has moved to another team since
+                const found = this.findPlayer(event.player);
+                if (!found) {
+                    return;
+                }
+                const player = found.player;
+                player.addCard(event.type);
+
+                if (event.type === 'red') {
+                    player.suspend(rules.redCardBan, 'Red card');
+                    return;
+                }
+                const yellows = (yellowsThisMatch.get(player.id) || 0) + 1;
+                yellowsThisMatch.set(player.id, yellows);
+                if (yellows === 2) {
+                    // A second yellow is a sending off, so it also counts as a red card
+                    player.addCard('red');
+                    player.suspend(rules.redCardBan, 'Sent off (two yellow cards)');
+                } else if (yellows === 1) {
+                    player.accumulatedYellows++;
+                    if (rules.yellowCardLimit > 0 && player.accumulatedYellows >= rules.yellowCardLimit) {
+                        player.accumulatedYellows = 0;
+                        player.suspend(rules.yellowCardBan, `${rules.yellowCardLimit} yellow cards`);
+                    }
+                }
+            });
+    }
+
+    /**
+     * Counts the cards a player was shown in this league's match log
+     * A second yellow in the same match also counts as a red card, like in applyDiscipline().
+     * 
+     * @param {string} playerId - ID of the player
+     * @returns {{yellow: number, red: number}} - The player's cards in the recorded matches
+     */
+    countCards(playerId) {
+        const cards = { yellow: 0, red: 0 };
+        this.matches.forEach(match => {
+            const events = (match.events || []).filter(event => event.player === playerId);
+            const yellows = events.filter(event => event.type === 'yellow').length;
+            cards.yellow += yellows;
+            cards.red += events.filter(event => event.type === 'red').length + (yellows >= 2 ? 1 : 0);
+        });
+        return cards;
+    }
+
+    /**
+     * Works out the last matchday each suspended player misses
+     * The ban is served over the team's next unplayed fixtures, in schedule order.
+     * Players whose ban goes beyond the schedule (or with no schedule) get null.
+     */
+    updateSuspensionMatchdays() {
+        const remaining = this.getRemainingFixtures();
+        this.teams.forEach(team => {
+            const upcoming = remaining
+                .filter(fixture => fixture.homeTeam === team.id || fixture.awayTeam === team.id)
+                .map(fixture => fixture.matchday)
+                .sort((a, b) => a - b);
+            team.players.forEach(player => {
+                player.suspendedUntilMatchday = player.suspendedMatches > 0 && upcoming.length >= player.suspendedMatches
+                    ? upcoming[player.suspendedMatches - 1]
+                    : null;
+            });
+        });
+    }
+
+    /**
+     * Gets every player who is serving a ban
+     * 
+     * @returns {Array<{playerId: string, player: string, teamId: string, team: string, matches: number, untilMatchday: number|null, reason: string}>} -
+     *   The suspensions, longest ban first
+     */
+    getSuspensions() {
+        const rows = [];
+        this.teams.forEach(team => {
+            team.players
+                .filter(player => player.suspendedMatches > 0)
+                .forEach(player => rows.push({
+                    playerId: player.id,
+                    player: player.name,
+                    teamId: team.id,
+                    team: team.name,
+                    matches: player.suspendedMatches,
+                    untilMatchday: player.suspendedUntilMatchday,
+                    reason: player.suspensionReason
+                }));
+        });
+        return rows.sort((a, b) => b.matches - a.matches || a.player.localeCompare(b.player));
+    }
+
+    /**
+     * Changes the discipline rules and works out every ban again
+     * 
+     * @param {Object} rules - The new rules (see DEFAULT_DISCIPLINE_RULES); rules left out keep their value
+     * @returns {boolean} - True once the rules have been changed
+     * @throws {LeagueError} - INVALID_RULES if any rule is invalid
+     */
+    setDisciplineRules(rules) {
+        const merged = { ...this.disciplineRules, ...rules };
+        const isCount = value => Number.isInteger(value) && value >= 0;
+        const valid = isCount(merged.redCardBan) && isCount(merged.yellowCardLimit) && isCount(merged.yellowCardBan) &&
+            (merged.yellowResetAfter === null || (Number.isInteger(merged.yellowResetAfter) && merged.yellowResetAfter > 0));
+        if (!valid) {
+            throw new LeagueError(
+                ERROR_CODES.INVALID_RULES,
+                'Bans and the yellow card limit must be whole numbers of 0 or more, and the reset point 1 or more.'
+            );
+        }
+        this.disciplineRules = {
+            redCardBan: merged.redCardBan,
+            yellowCardLimit: merged.yellowCardLimit,
+            yellowCardBan: merged.yellowCardBan,
+            yellowResetAfter: merged.yellowResetAfter
+        };
+        this.rebuildStats();
+        return true;
+    }
+
+    /**
+     * Counts match events per player
+     * 
+     * @param {Function} playerOf - Gives the ID of the player an event counts for (or null to skip it)
+     * @returns {Array<{playerId: string, player: string, teamId: string, team: string, count: number}>} -
+     *   One entry per player and team they did it for (with current names), most first
+     */
+    countEventsByPlayer(playerOf) {
+        const counts = new Map();
+        this.matches.forEach(match => {
+            (match.events || []).forEach(event => {
+                const playerId = playerOf(event);
+                if (!playerId) {
+                    return;
+                }
+                const key = `${event.team}\u0000${playerId}`;
+                if (!counts.has(key)) {
+                    counts.set(key, {
+                        playerId,
+                        player: this.getPlayerName(playerId),
+                        teamId: event.team,
+                        team: this.getTeamName(event.team),
+                        count: 0
+                    });
+                }
+                counts.get(key).count++;
+            });
+        });
+        return [...counts.values()].sort((a, b) => b.count - a.count || a.player.localeCompare(b.player));
+    }
+
+    /**
+     * Gets the top goal scorers (own goals do not count)
+     * 
+     * @param {number} [limit=10] - How many players to list
+     * @returns {Array<{playerId: string, player: string, teamId: string, team: string, goals: number}>} - Scorers, most goals first
+     */
+    getTopScorers(limit = 10) {
+        return this.countEventsByPlayer(event => (event.type === 'goal' ? event.player : null))
+            .slice(0, limit)
+            .map(({ count, ...entry }) => ({ ...entry, goals: count }));
+    }
+
+    /**
+     * Gets the players with the most assists
+     * 
+     * @param {number} [limit=10] - How many players to list
+     * @returns {Array<{playerId: string, player: string, teamId: string, team: string, assists: number}>} - Assisters, most assists first
+     */
+    getTopAssists(limit = 10) {
+        return this.countEventsByPlayer(event => (event.type === 'goal' && event.assist ? event.assist : null))
+            .slice(0, limit)
+            .map(({ count, ...entry }) => ({ ...entry, assists: count }));
+    }
+
+    /**
+     * Gets every player who has been shown a card, worst record first
+     * 
+     * @returns {Array<{playerId: string, player: string, teamId: string, team: string, yellowCards: number, redCards: number}>} -
+     *   The discipline table
+     */
+    getDisciplineTable() {
+        const rows = [];
+        this.teams.forEach(team => {
+            team.players
+                .filter(player => player.yellowCards > 0 || player.redCards > 0)
+                .forEach(player => rows.push({
+                    playerId: player.id,
+                    player: player.name,
+                    teamId: team.id,
+                    team: team.name,
+                    yellowCards: player.yellowCards,
+                    redCards: player.redCards
+                }));
+        });
+        return rows.sort((a, b) =>
+            b.redCards - a.redCards || b.yellowCards - a.yellowCards || a.player.localeCompare(b.player)
+        );
+    }
+
+    /**
+     * Builds a round-robin fixture schedule for all teams in the league
+     * This is like drawing up the season calendar before the first kick-off
+     * 
+     * How it works (the "circle method"):
+     * - One team stays in place while the others rotate one step each matchday,
+     *   so every team meets every other team exactly once
+     * - With an odd number of teams, an empty "bye" slot is added and
+     *   whoever is paired with it rests that matchday
+     * - Home and away alternate so no team plays more than two home
+     *   (or two away) games in a row
+     * - In a double round-robin the second half repeats the first with home and away
+     *   swapped, starting from the second matchday so nobody plays the same opponent twice in a row
+     * 
+     * Matches already in the results are ticked off against the new schedule.
+     * 
+     * @param {boolean} [doubleRoundRobin=false] - Whether every pair meets twice (home and away)
+     * @returns {Array<Object>} - The matchdays, each with its number, matches and (if any) the
+     *   ID of the team with a bye
+     */
+    generateFixtures(doubleRoundRobin = false) {
+        const ids = this.teams.map(team => team.id);
+        if (ids.length % 2 === 1) {
+            ids.push(null); // The bye slot
+        }
+
+        const slotCount = ids.length;
+        const rotating = slotCount - 1; // Every slot except the last one moves round the circle
+        const rounds = [];
+
+        for (let round = 0; round < rotating; round++) {
+            // The fixed slot plays the slot at the top of the circle, alternating home and away
+            const pairs = [round % 2 === 0 ? [round, rotating] : [rotating, round]];
+
+            // The rest pair up across the circle, alternating who is at home
+            for (let step = 1; step < slotCount / 2; step++) {
+                const first = (round + step) % rotating;
+                const second = (round - step + rotating) % rotating;
+                pairs.push(step % 2 === 1 ? [first, second] : [second, first]);
+            }
+
+            rounds.push(pairs.map(([home, away]) => [ids[home], ids[away]]));
+        }
+
+        if (doubleRoundRobin) {
+            const returnLegs = rounds.map((_, index) => rounds[(index + 1) % rounds.length]
+                .map(([home, away]) => [away, home]));
+            rounds.push(...returnLegs);
+        }
+
+        this.fixtures = rounds.map((pairs, index) => {
+            const byePair = pairs.find(([home, away]) => home === null || away === null);
+            return {
+                matchday: index + 1,
+                bye: byePair ? (byePair[0] || byePair[1]) : null,
+                matches: pairs
+                    .filter(pair => pair !== byePair)
+                    .map(([homeTeam, awayTeam]) => ({
+                        homeTeam,
+                        awayTeam,
+                        played: false,
+                        matchId: null,
+                        homeGoals: null,
+                        awayGoals: null,
+                        lineups: {}
+                    }))
+            };
         });
 
+        this.matches.forEach(match => this.markFixturePlayed(match));
+        this.updateSuspensionMatchdays();
+        return this.fixtures;
+    }
+
+    /**
+     * Ticks off the first pending fixture between the same home and away teams
+     * 
+     * @param {Object} match - A recorded match (homeTeam, awayTeam, homeGoals, awayGoals)
+     * @returns {Object|null} - The fixture that was filled in, or null if none was waiting
+     */
+    markFixturePlayed(match) {
+        const fixture = this.getNextFixture(match.homeTeam, match.awayTeam);
+        if (fixture) {
+            fixture.played = true;
+            fixture.matchId = match.id;
+            fixture.homeGoals = match.homeGoals;
+            fixture.awayGoals = match.awayGoals;
+        }
+        return fixture;
+    }
+
+    /**
+     * Gets the first pending fixture between the same home and away teams
+     * This is the fixture a result between them will tick off
+     * 
+     * @param {string} homeTeamId - ID of the home team
+     * @param {string} awayTeamId - ID of the away team
+     * @returns {Object|null} - The fixture, or null if none is waiting
+     */
+    getNextFixture(homeTeamId, awayTeamId) {
+        for (const matchday of this.fixtures) {
+            const fixture = matchday.matches.find(f =>
+                !f.played && f.homeTeam === homeTeamId && f.awayTeam === awayTeamId
+            );
+            if (fixture) {
+                return fixture;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Gets the fixture a team plays on a matchday
+     * A team plays at most once per matchday, so the two together pick one fixture
+     * 
+     * @param {number} matchdayNumber - The matchday
+     * @param {string} teamId - ID of the team
+     * @returns {Object|null} - The fixture, or null if the team has no game that matchday
+     */
+    getFixture(matchdayNumber, teamId) {
+        const matchday = this.fixtures.find(day => day.matchday === matchdayNumber);
+        if (!matchday) {
+            return null;
+        }
+        return matchday.matches.find(fixture => fixture.homeTeam === teamId || fixture.awayTeam === teamId) || null;
+    }
+
+    /**
+     * Checks a lineup before it is saved for a fixture
+     * 
+     * @param {number} matchdayNumber - The matchday of the fixture
+     * @param {string} teamId - ID of the team the lineup is for
+     * @param {Object} lineup - The lineup (see Lineup for its shape)
+     * @returns {Array<string>} - A list of problems (empty if the lineup can be saved)
+     */
+    validateLineup(matchdayNumber, teamId, lineup) {
+        const team = this.getTeam(teamId);
+        if (!team) {
+            return ['Team not found'];
+        }
+        const fixture = this.getFixture(matchdayNumber, teamId);
+        if (!fixture) {
+            return [`${team.name} do not play on matchday ${matchdayNumber}`];
+        }
+        if (fixture.played) {
+            return [`${team.name}'s match on matchday ${matchdayNumber} has already been played`];
+        }
+        return Lineup.validate(lineup, team, matchdayNumber);
+    }
+
+    /**
+     * Saves a team's lineup for one of its fixtures
+     * When the result is recorded, the match keeps the lineups of its fixture.
+     * 
+     * @param {number} matchdayNumber - The matchday of the fixture
+     * @param {string} teamId - ID of the team the lineup is for
+     * @param {Object|null} lineup - The lineup, or null to take the saved one away
+     * @returns {Object|boolean} - The saved lineup (true when one was taken away)
+     * @throws {LeagueError} - LINEUP_NOT_FOUND if there is no saved lineup to take away,
+     *   INVALID_LINEUP if the lineup cannot be picked (the message lists every problem)
+     */
+    setLineup(matchdayNumber, teamId, lineup) {
+        const fixture = this.getFixture(matchdayNumber, teamId);
+        if (lineup === null) {
+            if (!fixture || fixture.played || !fixture.lineups || !fixture.lineups[teamId]) {
+                throw new LeagueError(ERROR_CODES.LINEUP_NOT_FOUND, `There is no lineup to take away for matchday ${matchdayNumber}.`);
+            }
+            delete fixture.lineups[teamId];
+            return true;
+        }
+
+        const errors = this.validateLineup(matchdayNumber, teamId, lineup);
+        if (errors.length > 0) {
+            throw LeagueError.fromProblems(ERROR_CODES.INVALID_LINEUP, errors);
+        }
+        fixture.lineups = fixture.lineups || {};
+        fixture.lineups[teamId] = {
+            formation: lineup.formation.trim(),
+            starters: [...lineup.starters],
+            bench: [...lineup.bench]
+        };
+        return fixture.lineups[teamId];
+    }
+
+    /**
+     * Gets every fixture in the schedule that has not been played yet
+     *
+     * @returns {Array<Object>} - The pending fixtures in schedule order, each with its matchday number
+     */
+    getRemainingFixtures() {
+        return this.fixtures.flatMap(matchday => matchday.matches
+            .filter(fixture => !fixture.played)
+            .map(fixture => ({ ...fixture, matchday: matchday.matchday })));
+    }
+
+    /**
+     * Changes the tiebreak rules used to order teams level on points
+     * 
+     * @param {Array<string>} tiebreakers - Tiebreaker keys in order (see TIEBREAKERS)
+     * @returns {boolean} - True once the rules have been changed
+     * @throws {LeagueError} - INVALID_RULES if any key is unknown
+     */
+    setTiebreakers(tiebreakers) {
+        const unknown = tiebreakers.filter(key => !TIEBREAKERS[key]);
+        if (unknown.length > 0) {
+            throw new LeagueError(ERROR_CODES.INVALID_RULES, `Unknown tiebreaker(s): ${unknown.join(', ')}.`);
+        }
+        this.tiebreakers = [...tiebreakers];
         return true;
     }
 
+    /**
+     * Changes the table zones (e.g. qualification and relegation places)
+     * 
+     * @param {Array<{label: string, type: string, from: number, to: number}>} zones - The zones;
+     *   from/to are positions counted from the top, or from the bottom when negative
+     * @returns {boolean} - True once the zones have been changed
+     * @throws {LeagueError} - INVALID_RULES if any zone is invalid
+     */
+    setZones(zones) {
+        const invalid = zones.filter(zone =>
+            !zone.label || !ZONE_TYPES.includes(zone.type) ||
+            !Number.isInteger(zone.from) || !Number.isInteger(zone.to) ||
+            zone.from === 0 || zone.to === 0
+        );
+        if (invalid.length > 0) {
+            throw new LeagueError(ERROR_CODES.INVALID_RULES, 'Every zone needs a name and whole-number positions other than 0.');
+        }
+        this.zones = zones.map(zone => ({ ...zone }));
+        return true;
+    }
+
+    /**
+     * Finds the table zone a position falls in
+     * If zones overlap (e.g. in a very small league), the first one listed wins
+     * 
+     * @param {number} position - A table position (1 = first)
+     * @returns {Object|null} - The zone, or null if the position is in no zone
+     */
+    getZone(position) {
+        const teamCount = this.teams.length;
+        const toPosition = value => (value < 0 ? teamCount + 1 + value : value);
+        return this.zones.find(zone => {
+            const start = Math.min(toPosition(zone.from), toPosition(zone.to));
+            const end = Math.max(toPosition(zone.from), toPosition(zone.to));
+            return position >= start && position <= end;
+        }) || null;
+    }
+
+    /**
+     * Works out each team's full table line from the match log
+     * 
+     * @returns {Array<Object>} - One unsorted row per team with its id and name, played, won, drawn,
+     *   lost, goals for/against, goal difference, points, away goals and fair-play points
+     */
+    buildTableRows() {
+        const rows = new Map(this.teams.map(team => [team.id, {
+            id: team.id,
+            name: team.name,
+            played: 0,
+            won: 0,
+            drawn: 0,
+            lost: 0,
+            goalsFor: 0,
+            goalsAgainst: 0,
+            goalDifference: 0,
+            points: 0,
+            awayGoals: 0,
+            // Fair play comes from the cards in this league's matches (see applyMatch()), so cards a
+            // player brought from another club do not count, and those of players who left still do
+            fairPlayPoints: team.fairPlayPoints
+        }]));
+
+        this.matches.forEach(match => {
+            const sides = [
+                { row: rows.get(match.homeTeam), scored: match.homeGoals, conceded: match.awayGoals, away: false },
+                { row: rows.get(match.awayTeam), scored: match.awayGoals, conceded: match.homeGoals, away: true }
+            ];
+            sides.forEach(({ row, scored, conceded, away }) => {
+                if (!row) {
+                    return;
+                }
+                row.played++;
+                row.goalsFor += scored;
+                row.goalsAgainst += conceded;
+                row.goalDifference = row.goalsFor - row.goalsAgainst;
+                if (away) {
+                    row.awayGoals += scored;
+                }
+                if (scored > conceded) {
+                    row.won++;
+                    row.points += 3;
+                } else if (scored === conceded) {
+                    row.drawn++;
+                    row.points += 1;
+                } else {
+                    row.lost++;
+                }
+            });
+        });
+
+        return [...rows.values()];
+    }
+
+    /**
+     * Works out the head-to-head mini-table between a group of teams
+     * Only matches where both teams are in the group count
+     * 
+     * @param {Array<Object>} group - Table rows of the teams in the group
+     * @returns {Map<string, {points: number, goalDifference: number}>} - Head-to-head record by team ID
+     */
+    headToHead(group) {
+        const ids = new Set(group.map(row => row.id));
+        const records = new Map(group.map(row => [row.id, { points: 0, goalDifference: 0 }]));
+
+        this.matches
+            .filter(match => ids.has(match.homeTeam) && ids.has(match.awayTeam))
+            .forEach(match => {
+                const home = records.get(match.homeTeam);
+                const away = records.get(match.awayTeam);
+                home.goalDifference += match.homeGoals - match.awayGoals;
+                away.goalDifference += match.awayGoals - match.homeGoals;
+                if (match.homeGoals > match.awayGoals) {
+                    home.points += 3;
+                } else if (match.homeGoals < match.awayGoals) {
+                    away.points += 3;
+                } else {
+                    home.points += 1;
+                    away.points += 1;
+                }
+            });
+
+        return records;
+    }
+
+    /**
+     * Orders a group of teams that are level on points, using the tiebreak chain
+     * 
+     * How it works:
+     * - The current tiebreaker sorts the group; teams it separates are marked with its name
+     * - Each smaller group still level is sorted again from the same tiebreaker, so
+     *   head-to-head records are worked out among just the teams still level
+     *   (as in Serie A and UEFA rules)
+     * - When a tiebreaker separates nobody, the next one in the chain is tried
+     * 
+     * @param {Array<Object>} group - Table rows level on points
+     * @param {number} [step=0] - Position in the tiebreak chain to start from
+     * @returns {Array<Object>} - The group in table order
+     */
+    breakTies(group, step = 0) {
+        if (group.length <= 1) {
+            return group;
+        }
+        if (step >= this.tiebreakers.length) {
+            group.forEach(row => {
+                row.decidedBy = 'Level on all tiebreakers';
+            });
+            return group;
+        }
+
+        const key = this.tiebreakers[step];
+        const compare = TIEBREAKERS[key].compare;
+        const records = this.headToHead(group);
+        const sorted = [...group].sort((a, b) => compare(a, b, records));
+
+        // Split into smaller groups of teams this tiebreaker cannot separate
+        const subgroups = [[sorted[0]]];
+        for (let i = 1; i < sorted.length; i++) {
+            if (compare(sorted[i - 1], sorted[i], records) === 0) {
+                subgroups[subgroups.length - 1].push(sorted[i]);
+            } else {
+                subgroups.push([sorted[i]]);
+            }
+        }
+
+        if (subgroups.length === 1) {
+            return this.breakTies(group, step + 1);
+        }
+
+        sorted.forEach(row => {
+            row.decidedBy = TIEBREAKERS[key].label;
+        });
+        return subgroups.flatMap(subgroup => this.breakTies(subgroup, step));
+    }
+
     /**
      * Gets the league standings
      * This is like looking at the league table
      * 
-     * @returns {Array<Object>} - Array of team standings, sorted by:
-     *   1. Points (most points first)
-     *   2. Goal difference (if points are equal)
+     * @returns {Array<Object>} - One row per team, sorted by points (most first) and then by
+     *   the league's tiebreak chain. Each row has: position, id, name, played, won, drawn, lost,
+     *   goalsFor, goalsAgainst, goalDifference, points, awayGoals, fairPlayPoints and
+     *   decidedBy (the tiebreaker that settled the team's place, or null if points did)
      */
     getStandings() {
-        return this.teams
-            .map(team => team.getTeamInfo())
-            .sort((a, b) => {
-                if (b.stats.points !== a.stats.points) {
-                    return b.stats.points - a.stats.points;
-                }
-                return b.stats.goalDifference - a.stats.goalDifference;
-            });
+        const rows = this.buildTableRows();
+        rows.forEach(row => {
+            row.decidedBy = null;
+        });
+
+        // Group teams level on points, most points first
+        const byPoints = new Map();
+        [...rows].sort((a, b) => b.points - a.points).forEach(row => {
+            if (!byPoints.has(row.points)) {
+                byPoints.set(row.points, []);
+            }
+            byPoints.get(row.points).push(row);
+        });
+
+        const ordered = [...byPoints.values()].flatMap(group => this.breakTies(group));
+        ordered.forEach((row, index) => {
+            row.position = index + 1;
+        });
+        return ordered;
     }
 
     /**
@@ -176,4 +1790,68 @@ export default class League {
             standings: this.getStandings()
         };
     }
+
+    /**
+     * Converts the league into plain data that can be saved
+     * Unlike getLeagueInfo(), this keeps only what is needed to rebuild the league
+     * (no calculated values such as standings or team points)
+     * 
+     * @returns {Object} - League data with every team and match converted too
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            country: this.country,
+            teams: this.teams.map(team => team.toJSON()),
+            matches: this.matches.map(match => ({
+                ...match,
+                date: match.date instanceof Date ? match.date.toISOString() : match.date
+            })),
+            fixtures: this.fixtures,
+            tiebreakers: this.tiebreakers,
+            zones: this.zones,
+            formerPlayers: this.formerPlayers,
+            transfers: this.transfers,
+            transferWindows: this.transferWindows,
+            seasonEnd: this.seasonEnd,
+            disciplineRules: this.disciplineRules
+        };
+    }
+
+    /**
+     * Rebuilds a real League (with real Team and Player objects) from saved data
+     * Team statistics are not saved; they are worked out again from the matches
+     * 
+     * @param {Object} data - Data previously produced by toJSON()
+     * @returns {League} - A new League instance with its teams and matches restored
+     */
+    static fromJSON(data) {
+        const league = new League(data.name, data.country);
+        if (data.disciplineRules) {
+            league.setDisciplineRules(data.disciplineRules);
+        }
+        // Saved teams are taken as they are: older data may hold names addTeam() would now refuse
+        league.teams = (data.teams || []).map(teamData => Team.fromJSON(teamData));
+        league.matches = (data.matches || []).map(match => ({
+            ...match,
+            events: match.events || [],
+            lineups: match.lineups || {},
+            date: new Date(match.date)
+        }));
+        league.fixtures = data.fixtures || [];
+        if (data.tiebreakers) {
+            league.setTiebreakers(data.tiebreakers);
+        }
+        if (data.zones) {
+            league.setZones(data.zones);
+        }
+        league.formerPlayers = { ...(data.formerPlayers || {}) };
+        league.transfers = (data.transfers || []).map(transfer => ({ ...transfer }));
+        if (data.transferWindows) {
+            league.setTransferWindows(data.transferWindows);
+        }
+        league.seasonEnd = data.seasonEnd || null;
+        league.rebuildStats();
+        return league;
+    }
 } 
\ No newline at end of file
@@ -0,0 +1,93 @@
+/**
+ * LeagueError Class
+ *
+ * This class describes a change to the league that was refused, and why.
+ * Think of it like the note the league office sends back with a rejected form:
+ * a reference code for the kind of problem, a sentence a person can read,
+ * and (when it is about one box on the form) which box was wrong.
+ *
+ * WHAT A LEAGUE ERROR HAS:
+ * - code: What kind of problem it is (one of ERROR_CODES), for code that needs to tell problems apart
+ * - message: What went wrong, written to be shown to the user
+ * - field: The form field the problem is about (e.g. 'name' or 'pace'), or null
+ *
+ * League and Team methods throw a LeagueError when asked to do something that cannot
+ * be done. The change is refused as a whole: CommandHistory puts back anything a command
+ * had already changed, and the UI shows the message. Checks of what a person typed
+ * (such as Player.checkRatings()) return one instead, so a form can show it next to the field.
+ * StorageManager throws one when the browser cannot save or load the league, for the UI to show.
+ */
+
+/**
+ * The kinds of problem a LeagueError can describe
+ */
+export const ERROR_CODES = {
+    // Teams and players
+    INVALID_TEAM: 'INVALID_TEAM',
+    DUPLICATE_TEAM: 'DUPLICATE_TEAM',
+    TEAM_NOT_FOUND: 'TEAM_NOT_FOUND',
+    SAME_TEAM: 'SAME_TEAM',
+    INVALID_PLAYER: 'INVALID_PLAYER',
+    PLAYER_NOT_FOUND: 'PLAYER_NOT_FOUND',
+    DUPLICATE_JERSEY: 'DUPLICATE_JERSEY',
+    INVALID_POSITION: 'INVALID_POSITION',
+    INVALID_TRANSFER: 'INVALID_TRANSFER',
+    INVALID_INJURY: 'INVALID_INJURY',
+    PLAYER_INJURED: 'PLAYER_INJURED',
+    PLAYER_NOT_INJURED: 'PLAYER_NOT_INJURED',
+    // Matches and lineups
+    MATCH_NOT_FOUND: 'MATCH_NOT_FOUND',
+    INVALID_SCORE: 'INVALID_SCORE',
+    INVALID_EVENTS: 'INVALID_EVENTS',
+    INVALID_LINEUP: 'INVALID_LINEUP',
+    LINEUP_NOT_FOUND: 'LINEUP_NOT_FOUND',
+    // League rules and dates
+    INVALID_RULES: 'INVALID_RULES',
+    INVALID_DATE: 'INVALID_DATE',
+    // Divisions, cups and seasons
+    INVALID_DIVISION: 'INVALID_DIVISION',
+    DIVISION_NOT_FOUND: 'DIVISION_NOT_FOUND',
+    LAST_DIVISION: 'LAST_DIVISION',
+    INVALID_CUP: 'INVALID_CUP',
+    CUP_NOT_FOUND: 'CUP_NOT_FOUND',
+    TIE_NOT_FOUND: 'TIE_NOT_FOUND',
+    TIE_NOT_READY: 'TIE_NOT_READY',
+    INVALID_RESULT: 'INVALID_RESULT',
+    INVALID_PLAN: 'INVALID_PLAN',
+    // Saving and loading in the browser
+    SAVE_FAILED: 'SAVE_FAILED',
+    LOAD_FAILED: 'LOAD_FAILED',
+    // What a person typed in a form
+    MISSING_FIELD: 'MISSING_FIELD',
+    INVALID_VALUE: 'INVALID_VALUE',
+    INVALID_RATING: 'INVALID_RATING'
+};
+
+export default class LeagueError extends Error {
+    /**
+     * Creates a new LeagueError
+     *
+     * @param {string} code - What kind of problem it is (one of ERROR_CODES)
+     * @param {string} message - What went wrong, written for the user
+     * @param {string|null} [field=null] - The form field the problem is about
+     */
+    constructor(code, message, field = null) {
+        super(message);
+        this.name = 'LeagueError';
+        this.code = code;
+        this.field = field;
+    }
+
+    /**
+     * Creates a LeagueError from the list of problems a check found
+     * (such as the list from League.validateTransfer()), one sentence per problem
+     *
+     * @param {string} code - What kind of problem it is (one of ERROR_CODES)
+     * @param {Array<string>} problems - The problems, without full stops
+     * @param {string|null} [field=null] - The form field the problems are about
+     * @returns {LeagueError} - The error; its message lists every problem
+     */
+    static fromProblems(code, problems, field = null) {
+        return new LeagueError(code, `${problems.join('. ')}.`, field);
+    }
+}
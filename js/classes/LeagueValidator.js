@@ -0,0 +1,919 @@
+/**
+ * LeagueValidator Class
+ *
+ * This class checks league data (for example an imported JSON file) before it is used.
+ * Think of it like a referee inspecting the team sheets before kick-off:
+ * nothing is changed, it only writes down every problem it finds.
+ *
+ * WHAT THE VALIDATOR CHECKS:
+ * 1. League: has a name, a list of teams and a list of matches
+ * 2. Teams: have a unique ID, a name no other team has (ignoring case), valid details (capacity, founded year, colours and crest)
+ *    and a list of players in which no two share a jersey number
+ * 3. Players: have an ID that is unique in the league, a name, a known position, skills between 1 and 10,
+ *    a sensible age, date of birth and jersey number, a nationality from the country list (or Unknown),
+ *    valid status fields, a valid injury history, a potential between 1 and 10 and a valid rating history
+ * 4. Matches: have a unique ID, refer to teams that exist, have whole non-negative scores, a valid date,
+ *    events that belong to one of the two teams and well-formed lineups for the two teams
+ * 5. Fixtures: numbered matchdays whose matches refer to teams that exist and have well-formed lineups
+ * 6. Former players: every name kept for a player who left is a non-empty string
+ * 7. Tiebreakers: only known tiebreakers are used
+ * 8. Zones: have a label, a known type and non-zero positions
+ * 9. Transfers: have an ID, a player, two teams, a fee of 0 or more, a known type
+ *    and a date; loans also have an end date
+ * 10. Transfer windows and season end: valid dates, with every window ending after it starts
+ * 11. Discipline rules: ban lengths and the yellow card limit are whole numbers of 0 or more
+ * 12. Cups (saved next to the league): have a unique ID, a name, known rules, team IDs
+ *     and a bracket whose rounds halve down to a final, with valid scores
+ * 13. Divisions: there is at least one, each is a valid league, no team plays in two of them
+ *     and no two teams share a name (ignoring case)
+ * 14. Seasons (the archive of finished seasons): have a unique ID, a name, an end date and, for each
+ *     division, a final table, a match log and discipline totals with well-formed IDs, names and numbers
+ */
+
+import Player, { POSITIONS, ATTRIBUTES } from './Player.js';
+import { TIEBREAKERS, ZONE_TYPES, EVENT_TYPES, TRANSFER_TYPES, INJURY_UNITS, DATE_PATTERN } from './League.js';
+import Lineup from './Lineup.js';
+import { CUP_DRAWS } from './Cup.js';
+import { COLOR_PATTERN } from './Team.js';
+
+export default class LeagueValidator {
+    /**
+     * Validates league data in the current storage format (see League.toJSON())
+     *
+     * @param {Object} data - The league data to check
+     * @returns {Array<string>} - A list of problems (empty if the data is valid)
+     */
+    static validate(data) {
+        const errors = [];
+
+        if (!LeagueValidator.isObject(data)) {
+            return ['league: must be an object'];
+        }
+        if (!LeagueValidator.isNonEmptyString(data.name)) {
+            errors.push('league.name: must be a non-empty string');
+        }
+        if (data.country !== undefined && typeof data.country !== 'string') {
+            errors.push('league.country: must be a string');
+        }
+
+        if (!Array.isArray(data.teams)) {
+            errors.push('league.teams: must be a list');
+        } else {
+            const seenTeamIds = new Set();
+            const seenTeamNames = new Set();
+            const seenPlayerIds = new Set();
+            data.teams.forEach((team, index) => {
+                const path = `teams[${index}]`;
+                errors.push(...LeagueValidator.validateTeam(team, path));
+                if (!LeagueValidator.isObject(team)) {
+                    return;
+                }
+                if (seenTeamIds.has(team.id)) {
+                    errors.push(`${path}.id: duplicate team ID "${team.id}"`);
+                }
+                seenTeamIds.add(team.id);
+                // Names are compared without case, as when a team is added ("inter" clashes with "Inter")
+                if (LeagueValidator.isNonEmptyString(team.name)) {
+                    const name = team.name.trim().toLowerCase();
+                    if (seenTeamNames.has(name)) {
+                        errors.push(`${path}.name: duplicate team name "${team.name}"`);
+                    }
+                    seenTeamNames.add(name);
+                }
+                // Player IDs must be unique across the whole league, not just the team
+                (Array.isArray(team.players) ? team.players : [])
+                    .filter(LeagueValidator.isObject)
+                    .forEach((player, playerIndex) => {
+                        if (seenPlayerIds.has(player.id)) {
+                            errors.push(`${path}.players[${playerIndex}].id: duplicate player ID "${player.id}"`);
+                        }
+                        seenPlayerIds.add(player.id);
+                    });
+            });
+        }
+
+        const teamIds = Array.isArray(data.teams)
+            ? data.teams.filter(LeagueValidator.isObject).map(team => team.id)
+            : [];
+
+        if (data.matches !== undefined && !Array.isArray(data.matches)) {
+            errors.push('league.matches: must be a list');
+        } else {
+            const seenIds = new Set();
+            (data.matches || []).forEach((match, index) => {
+                const path = `matches[${index}]`;
+                errors.push(...LeagueValidator.validateMatch(match, path, teamIds));
+                if (LeagueValidator.isObject(match) && seenIds.has(match.id)) {
+                    errors.push(`${path}.id: duplicate match ID "${match.id}"`);
+                }
+                seenIds.add(match.id);
+            });
+        }
+
+        if (data.fixtures !== undefined && !Array.isArray(data.fixtures)) {
+            errors.push('league.fixtures: must be a list');
+        } else {
+            (data.fixtures || []).forEach((matchday, index) => {
+                errors.push(...LeagueValidator.validateMatchday(matchday, `fixtures[${index}]`, teamIds));
+            });
+        }
+
+        if (data.formerPlayers !== undefined) {
+            if (!LeagueValidator.isObject(data.formerPlayers)) {
+                errors.push('league.formerPlayers: must be an object of player names by ID');
+            } else {
+                Object.entries(data.formerPlayers).forEach(([id, name]) => {
+                    if (!LeagueValidator.isNonEmptyString(name)) {
+                        errors.push(`formerPlayers.${id}: must be a player's name`);
+                    }
+                });
+            }
+        }
+
+        if (data.tiebreakers !== undefined) {
+            if (!Array.isArray(data.tiebreakers)) {
+                errors.push('league.tiebreakers: must be a list');
+            } else {
+                data.tiebreakers.forEach((key, index) => {
+                    if (!TIEBREAKERS[key]) {
+                        errors.push(`tiebreakers[${index}]: unknown tiebreaker "${key}" (expected one of ${Object.keys(TIEBREAKERS).join(', ')})`);
+                    }
+                });
+            }
+        }
+
+        if (data.zones !== undefined) {
+            if (!Array.isArray(data.zones)) {
+                errors.push('league.zones: must be a list');
+            } else {
+                data.zones.forEach((zone, index) => {
+                    const path = `zones[${index}]`;
+                    if (!LeagueValidator.isObject(zone)) {
+                        errors.push(`${path}: must be an object`);
+                        return;
+                    }
+                    if (!LeagueValidator.isNonEmptyString(zone.label)) {
+                        errors.push(`${path}.label: must be a non-empty string`);
+                    }
+                    if (!ZONE_TYPES.includes(zone.type)) {
+                        errors.push(`${path}.type: unknown zone type "${zone.type}" (expected one of ${ZONE_TYPES.join(', ')})`);
+                    }
+                    ['from', 'to'].forEach(field => {
+                        if (!LeagueValidator.isWholeNumber(zone[field]) || zone[field] === 0) {
+                            errors.push(`${path}.${field}: must be a whole number other than 0`);
+                        }
+                    });
+                });
+            }
+        }
+
+        if (data.transfers !== undefined) {
+            if (!Array.isArray(data.transfers)) {
+                errors.push('league.transfers: must be a list');
+            } else {
+                data.transfers.forEach((transfer, index) => {
+                    errors.push(...LeagueValidator.validateTransfer(transfer, `transfers[${index}]`));
+                });
+            }
+        }
+
+        if (data.transferWindows !== undefined) {
+            if (!Array.isArray(data.transferWindows)) {
+                errors.push('league.transferWindows: must be a list');
+            } else {
+                data.transferWindows.forEach((window, index) => {
+                    const path = `transferWindows[${index}]`;
+                    if (!LeagueValidator.isObject(window)) {
+                        errors.push(`${path}: must be an object`);
+                        return;
+                    }
+                    if (!LeagueValidator.isNonEmptyString(window.label)) {
+                        errors.push(`${path}.label: must be a non-empty string`);
+                    }
+                    ['from', 'to'].forEach(field => {
+                        if (!LeagueValidator.isDate(window[field])) {
+                            errors.push(`${path}.${field}: must be a date (YYYY-MM-DD)`);
+                        }
+                    });
+                    if (LeagueValidator.isDate(window.from) && LeagueValidator.isDate(window.to) && window.from > window.to) {
+                        errors.push(`${path}: must not end before it starts`);
+                    }
+                });
+            }
+        }
+
+        if (data.seasonEnd !== undefined && data.seasonEnd !== null && !LeagueValidator.isDate(data.seasonEnd)) {
+            errors.push('league.seasonEnd: must be a date (YYYY-MM-DD) or null');
+        }
+
+        if (data.disciplineRules !== undefined) {
+            const rules = data.disciplineRules;
+            if (!LeagueValidator.isObject(rules)) {
+                errors.push('league.disciplineRules: must be an object');
+            } else {
+                ['redCardBan', 'yellowCardLimit', 'yellowCardBan'].forEach(rule => {
+                    if (!LeagueValidator.isWholeNumber(rules[rule], 0)) {
+                        errors.push(`league.disciplineRules.${rule}: must be a whole number of 0 or more`);
+                    }
+                });
+                if (rules.yellowResetAfter !== null && !LeagueValidator.isWholeNumber(rules.yellowResetAfter, 1)) {
+                    errors.push('league.disciplineRules.yellowResetAfter: must be a whole number of 1 or more, or null');
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validates the league data of every division
+     * With several divisions, each problem starts with the division it was found in
+     *
+     * @param {Array<Object>} divisions - The league data of each division, top division first
+     * @returns {Array<string>} - A list of problems (empty if the divisions are valid)
+     */
+    static validateDivisions(divisions) {
+        if (!Array.isArray(divisions) || divisions.length === 0) {
+            return ['divisions: must be a list with at least one league'];
+        }
+        if (divisions.length === 1) {
+            return LeagueValidator.validate(divisions[0]);
+        }
+
+        const errors = [];
+        const seenTeamIds = new Set();
+        const seenTeamNames = new Set();
+        divisions.forEach((data, index) => {
+            const path = `divisions[${index}]`;
+            errors.push(...LeagueValidator.validate(data).map(error => `${path}: ${error}`));
+            if (!LeagueValidator.isObject(data) || !Array.isArray(data.teams)) {
+                return;
+            }
+            data.teams.filter(LeagueValidator.isObject).forEach((team, teamIndex) => {
+                if (seenTeamIds.has(team.id)) {
+                    errors.push(`${path}.teams[${teamIndex}].id: team "${team.id}" already plays in another division`);
+                }
+                seenTeamIds.add(team.id);
+            });
+            // Names that clash within this division were already reported by validate()
+            const names = data.teams
+                .filter(team => LeagueValidator.isObject(team) && LeagueValidator.isNonEmptyString(team.name))
+                .map(team => team.name.trim().toLowerCase());
+            data.teams.filter(LeagueValidator.isObject).forEach((team, teamIndex) => {
+                if (LeagueValidator.isNonEmptyString(team.name) && seenTeamNames.has(team.name.trim().toLowerCase())) {
+                    errors.push(`${path}.teams[${teamIndex}].name: a team called "${team.name}" already plays in another division`);
+                }
+            });
+            names.forEach(name => seenTeamNames.add(name));
+        });
+        return errors;
+    }
+
+    /**
+     * Validates the archive of finished seasons
+     * An archive is a record of the past, so teams and players only need well-formed IDs and names
+     *
+     * @param {Array<Object>} seasons - The season data to check
+     * @returns {Array<string>} - A list of problems (empty if the seasons are valid)
+     */
+    static validateSeasons(seasons) {
+        if (!Array.isArray(seasons)) {
+            return ['seasons: must be a list'];
+        }
+        const errors = [];
+        const seenIds = new Set();
+        seasons.forEach((season, index) => {
+            const path = `seasons[${index}]`;
+            errors.push(...LeagueValidator.validateSeason(season, path));
+            if (LeagueValidator.isObject(season) && seenIds.has(season.id)) {
+                errors.push(`${path}.id: duplicate season ID "${season.id}"`);
+            }
+            seenIds.add(season.id);
+        });
+        return errors;
+    }
+
+    /**
+     * Validates a single finished season
+     *
+     * @param {Object} season - The season data to check
+     * @param {string} path - Where the season is in the file (used in messages)
+     * @returns {Array<string>} - A list of problems
+     */
+    static validateSeason(season, path) {
+        if (!LeagueValidator.isObject(season)) {
+            return [`${path}: must be an object`];
+        }
+
+        const errors = [];
+        ['id', 'name'].forEach(field => {
+            if (!LeagueValidator.isNonEmptyString(season[field])) {
+                errors.push(`${path}.${field}: must be a non-empty string`);
+            }
+        });
+        if (!LeagueValidator.isDate(season.endedOn)) {
+            errors.push(`${path}.endedOn: must be a date (YYYY-MM-DD)`);
+        }
+        if (!Array.isArray(season.divisions)) {
+            errors.push(`${path}.divisions: must be a list`);
+            return errors;
+        }
+
+        season.divisions.forEach((division, divisionIndex) => {
+            const divisionPath = `${path}.divisions[${divisionIndex}]`;
+            if (!LeagueValidator.isObject(division)) {
+                errors.push(`${divisionPath}: must be an object`);
+                return;
+            }
+            if (!LeagueValidator.isNonEmptyString(division.name)) {
+                errors.push(`${divisionPath}.name: must be a non-empty string`);
+            }
+
+            const checkList = (field, check) => {
+                if (!Array.isArray(division[field])) {
+                    errors.push(`${divisionPath}.${field}: must be a list`);
+                    return;
+                }
+                division[field].forEach((item, itemIndex) => {
+                    const itemPath = `${divisionPath}.${field}[${itemIndex}]`;
+                    if (!LeagueValidator.isObject(item)) {
+                        errors.push(`${itemPath}: must be an object`);
+                        return;
+                    }
+                    check(item, itemPath);
+                });
+            };
+            const checkStrings = (item, itemPath, fields) => fields.forEach(field => {
+                if (!LeagueValidator.isNonEmptyString(item[field])) {
+                    errors.push(`${itemPath}.${field}: must be a non-empty string`);
+                }
+            });
+            const checkNumbers = (item, itemPath, fields, min) => fields.forEach(field => {
+                if (!LeagueValidator.isWholeNumber(item[field], min)) {
+                    errors.push(`${itemPath}.${field}: must be a whole number${min === 0 ? ' of 0 or more' : ''}`);
+                }
+            });
+
+            checkList('standings', (row, rowPath) => {
+                checkStrings(row, rowPath, ['id', 'name']);
+                checkNumbers(row, rowPath, ['position', 'played', 'won', 'drawn', 'lost', 'goalsFor', 'goalsAgainst', 'points'], 0);
+                checkNumbers(row, rowPath, ['goalDifference']);
+            });
+            checkList('matches', (match, matchPath) => {
+                checkStrings(match, matchPath, ['id', 'homeTeam', 'awayTeam', 'homeName', 'awayName']);
+                checkNumbers(match, matchPath, ['homeGoals', 'awayGoals'], 0);
+                if (isNaN(new Date(match.date).getTime())) {
+                    errors.push(`${matchPath}.date: must be a valid date`);
+                }
+            });
+            checkList('discipline', (row, rowPath) => {
+                checkStrings(row, rowPath, ['playerId', 'player', 'teamId', 'team']);
+                checkNumbers(row, rowPath, ['yellowCards', 'redCards'], 0);
+            });
+        });
+        return errors;
+    }
+
+    /**
+     * Validates the cups saved next to a league
+     * Teams may have left the league since a cup was drawn, so only the team IDs' form is checked
+     *
+     * @param {Array<Object>} cups - The cup data to check
+     * @returns {Array<string>} - A list of problems (empty if the cups are valid)
+     */
+    static validateCups(cups) {
+        if (!Array.isArray(cups)) {
+            return ['cups: must be a list'];
+        }
+        const errors = [];
+        const seenIds = new Set();
+        cups.forEach((cup, index) => {
+            const path = `cups[${index}]`;
+            errors.push(...LeagueValidator.validateCup(cup, path));
+            if (LeagueValidator.isObject(cup) && seenIds.has(cup.id)) {
+                errors.push(`${path}.id: duplicate cup ID "${cup.id}"`);
+            }
+            seenIds.add(cup.id);
+        });
+        return errors;
+    }
+
+    /**
+     * Validates a single cup and its bracket
+     *
+     * @param {Object} cup - The cup data to check
+     * @param {string} path - Where the cup is in the file (used in messages)
+     * @returns {Array<string>} - A list of problems
+     */
+    static validateCup(cup, path) {
+        if (!LeagueValidator.isObject(cup)) {
+            return [`${path}: must be an object`];
+        }
+
+        const errors = [];
+        ['id', 'name'].forEach(field => {
+            if (!LeagueValidator.isNonEmptyString(cup[field])) {
+                errors.push(`${path}.${field}: must be a non-empty string`);
+            }
+        });
+        if (cup.legs !== 1 && cup.legs !== 2) {
+            errors.push(`${path}.legs: must be 1 or 2`);
+        }
+        if (typeof cup.extraTime !== 'boolean') {
+            errors.push(`${path}.extraTime: must be true or false`);
+        }
+        if (!CUP_DRAWS.includes(cup.draw)) {
+            errors.push(`${path}.draw: unknown draw "${cup.draw}" (expected one of ${CUP_DRAWS.join(', ')})`);
+        }
+        if (!Array.isArray(cup.entrants)) {
+            errors.push(`${path}.entrants: must be a list`);
+        } else {
+            cup.entrants.forEach((teamId, index) => {
+                if (!LeagueValidator.isNonEmptyString(teamId)) {
+                    errors.push(`${path}.entrants[${index}]: must be a team ID`);
+                }
+            });
+        }
+
+        if (!Array.isArray(cup.rounds) || cup.rounds.length === 0) {
+            errors.push(`${path}.rounds: must be a list of at least one round`);
+            return errors;
+        }
+        const isTeam = teamId => teamId === null || LeagueValidator.isNonEmptyString(teamId);
+        const isScore = score => LeagueValidator.isObject(score) &&
+            LeagueValidator.isWholeNumber(score.homeGoals, 0) && LeagueValidator.isWholeNumber(score.awayGoals, 0);
+        cup.rounds.forEach((round, roundIndex) => {
+            const roundPath = `${path}.rounds[${roundIndex}]`;
+            // Each round has half the ties of the one before, down to a final of one tie
+            const expectedTies = Math.pow(2, cup.rounds.length - roundIndex - 1);
+            if (!LeagueValidator.isObject(round) || !Array.isArray(round.ties) || round.ties.length !== expectedTies) {
+                errors.push(`${roundPath}: must have a list of ${expectedTies} tie(s)`);
+                return;
+            }
+            round.ties.forEach((tie, tieIndex) => {
+                const tiePath = `${roundPath}.ties[${tieIndex}]`;
+                if (!LeagueValidator.isObject(tie)) {
+                    errors.push(`${tiePath}: must be an object`);
+                    return;
+                }
+                if (!LeagueValidator.isNonEmptyString(tie.id)) {
+                    errors.push(`${tiePath}.id: must be a non-empty string`);
+                }
+                ['home', 'away'].forEach(side => {
+                    if (!isTeam(tie[side])) {
+                        errors.push(`${tiePath}.${side}: must be a team ID or null`);
+                    }
+                });
+                if (!Array.isArray(tie.legs) || tie.legs.length > cup.legs || !tie.legs.every(isScore)) {
+                    errors.push(`${tiePath}.legs: must be a list of up to ${cup.legs} score(s)`);
+                }
+                ['extraTime', 'penalties'].forEach(field => {
+                    if (tie[field] !== null && !isScore(tie[field])) {
+                        errors.push(`${tiePath}.${field}: must be a score or null`);
+                    }
+                });
+            });
+        });
+        return errors;
+    }
+
+    /**
+     * Validates a single entry of the transfer register
+     * Teams and players may have left the league since, so only the IDs are checked
+     *
+     * @param {Object} transfer - The transfer data to check
+     * @param {string} path - Where the transfer is in the file (used in messages)
+     * @returns {Array<string>} - A list of problems
+     */
+    static validateTransfer(transfer, path) {
+        if (!LeagueValidator.isObject(transfer)) {
+            return [`${path}: must be an object`];
+        }
+
+        const errors = [];
+        ['id', 'playerId', 'from', 'to'].forEach(field => {
+            if (!LeagueValidator.isNonEmptyString(transfer[field])) {
+                errors.push(`${path}.${field}: must be a non-empty string`);
+            }
+        });
+        if (typeof transfer.fee !== 'number' || !Number.isFinite(transfer.fee) || transfer.fee < 0) {
+            errors.push(`${path}.fee: must be a number of 0 or more`);
+        }
+        if (!TRANSFER_TYPES.includes(transfer.type)) {
+            errors.push(`${path}.type: unknown transfer type "${transfer.type}" (expected one of ${TRANSFER_TYPES.join(', ')})`);
+        }
+        if (!LeagueValidator.isDate(transfer.date)) {
+            errors.push(`${path}.date: must be a date (YYYY-MM-DD)`);
+        }
+        if (transfer.type === 'loan') {
+            if (!LeagueValidator.isDate(transfer.until)) {
+                errors.push(`${path}.until: a loan must have an end date (YYYY-MM-DD)`);
+            }
+            if (typeof transfer.returned !== 'boolean') {
+                errors.push(`${path}.returned: must be true or false`);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validates a single entry of a player's injury history
+     * Injuries set from a plain injured flag have no date, length or unit
+     *
+     * @param {Object} injury - The injury data to check
+     * @param {string} path - Where the injury is in the file (used in messages)
+     * @returns {Array<string>} - A list of problems
+     */
+    static validateInjury(injury, path) {
+        if (!LeagueValidator.isObject(injury)) {
+            return [`${path}: must be an object`];
+        }
+
+        const errors = [];
+        ['id', 'type'].forEach(field => {
+            if (!LeagueValidator.isNonEmptyString(injury[field])) {
+                errors.push(`${path}.${field}: must be a non-empty string`);
+            }
+        });
+        if (typeof injury.recordedAt !== 'string' || Number.isNaN(new Date(injury.recordedAt).getTime())) {
+            errors.push(`${path}.recordedAt: must be a valid date and time`);
+        }
+        ['startDate', 'expectedReturn', 'endDate'].forEach(field => {
+            if (injury[field] !== null && !LeagueValidator.isDate(injury[field])) {
+                errors.push(`${path}.${field}: must be a date (YYYY-MM-DD) or null`);
+            }
+        });
+        if (injury.unit !== null && !INJURY_UNITS.includes(injury.unit)) {
+            errors.push(`${path}.unit: unknown unit "${injury.unit}" (expected one of ${INJURY_UNITS.join(', ')}, or null)`);
+        }
+        if (injury.length !== null && !LeagueValidator.isWholeNumber(injury.length, 1)) {
+            errors.push(`${path}.length: must be a whole number of 1 or more, or null`);
+        }
+        if (!LeagueValidator.isWholeNumber(injury.matchesMissed, 0)) {
+            errors.push(`${path}.matchesMissed: must be a whole number of 0 or more`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validates a single matchday of the fixture schedule
+     *
+     * @param {Object} matchday - The matchday data to check
+     * @param {string} path - Where the matchday is in the file (used in messages)
+     * @param {Array<string>} teamIds - IDs of the teams in the same file
+     * @returns {Array<string>} - A list of problems
+     */
+    static validateMatchday(matchday, path, teamIds) {
+        if (!LeagueValidator.isObject(matchday)) {
+            return [`${path}: must be an object`];
+        }
+
+        const errors = [];
+        if (!LeagueValidator.isWholeNumber(matchday.matchday, 1)) {
+            errors.push(`${path}.matchday: must be a whole number of 1 or more`);
+        }
+        if (!Array.isArray(matchday.matches)) {
+            errors.push(`${path}.matches: must be a list`);
+            return errors;
+        }
+        matchday.matches.forEach((fixture, index) => {
+            const fixturePath = `${path}.matches[${index}]`;
+            if (!LeagueValidator.isObject(fixture)) {
+                errors.push(`${fixturePath}: must be an object`);
+                return;
+            }
+            ['homeTeam', 'awayTeam'].forEach(side => {
+                if (!teamIds.includes(fixture[side])) {
+                    errors.push(`${fixturePath}.${side}: unknown team "${fixture[side]}"`);
+                }
+            });
+            if (typeof fixture.played !== 'boolean') {
+                errors.push(`${fixturePath}.played: must be true or false`);
+            }
+            errors.push(...LeagueValidator.validateLineups(fixture.lineups, `${fixturePath}.lineups`, fixture));
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validates a single team and its players
+     *
+     * @param {Object} team - The team data to check
+     * @param {string} path - Where the team is in the file (used in messages)
+     * @returns {Array<string>} - A list of problems
+     */
+    static validateTeam(team, path) {
+        if (!LeagueValidator.isObject(team)) {
+            return [`${path}: must be an object`];
+        }
+
+        const errors = [];
+        if (!LeagueValidator.isNonEmptyString(team.id)) {
+            errors.push(`${path}.id: must be a non-empty string`);
+        }
+        if (!LeagueValidator.isNonEmptyString(team.name)) {
+            errors.push(`${path}.name: must be a non-empty string`);
+        }
+        ['city', 'stadium'].forEach(field => {
+            if (team[field] !== undefined && typeof team[field] !== 'string') {
+                errors.push(`${path}.${field}: must be a string`);
+            }
+        });
+        if (team.capacity !== undefined && team.capacity !== null && !LeagueValidator.isWholeNumber(team.capacity, 0)) {
+            errors.push(`${path}.capacity: must be a whole number of 0 or more, or null`);
+        }
+        if (team.founded !== undefined && team.founded !== null && !LeagueValidator.isWholeNumber(team.founded, 1800, 2100)) {
+            errors.push(`${path}.founded: must be a year from 1800 to 2100, or null`);
+        }
+        ['primaryColor', 'secondaryColor'].forEach(field => {
+            if (team[field] !== undefined && !(typeof team[field] === 'string' && COLOR_PATTERN.test(team[field]))) {
+                errors.push(`${path}.${field}: must be a colour like #1a1a1a`);
+            }
+        });
+        if (team.crest !== undefined && team.crest !== null &&
+            !(typeof team.crest === 'string' && team.crest.startsWith('data:image/'))) {
+            errors.push(`${path}.crest: must be an image data URL, or null`);
+        }
+
+        if (!Array.isArray(team.players)) {
+            errors.push(`${path}.players: must be a list`);
+        } else {
+            const numbers = new Set();
+            team.players.forEach((player, index) => {
+                errors.push(...LeagueValidator.validatePlayer(player, `${path}.players[${index}]`));
+                // 0 means "no number yet", so only real numbers have to be unique
+                if (LeagueValidator.isObject(player) && player.jerseyNumber > 0) {
+                    if (numbers.has(player.jerseyNumber)) {
+                        errors.push(`${path}.players[${index}].jerseyNumber: ${player.jerseyNumber} is already worn by another player in the team`);
+                    }
+                    numbers.add(player.jerseyNumber);
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validates a single player
+     *
+     * @param {Object} player - The player data to check
+     * @param {string} path - Where the player is in the file (used in messages)
+     * @returns {Array<string>} - A list of problems
+     */
+    static validatePlayer(player, path) {
+        if (!LeagueValidator.isObject(player)) {
+            return [`${path}: must be an object`];
+        }
+
+        const errors = [];
+        if (!LeagueValidator.isNonEmptyString(player.id)) {
+            errors.push(`${path}.id: must be a non-empty string`);
+        }
+        if (!LeagueValidator.isNonEmptyString(player.name)) {
+            errors.push(`${path}.name: must be a non-empty string`);
+        }
+        if (!POSITIONS.includes(player.position)) {
+            errors.push(`${path}.position: unknown position "${player.position}" (expected one of ${POSITIONS.join(', ')})`);
+        }
+        ATTRIBUTES.forEach(skill => {
+            if (!LeagueValidator.isWholeNumber(player[skill], 1, 10)) {
+                errors.push(`${path}.${skill}: must be a whole number from 1 to 10 (got ${JSON.stringify(player[skill])})`);
+            }
+        });
+        if (player.age !== undefined && !LeagueValidator.isWholeNumber(player.age, 10, 60)) {
+            errors.push(`${path}.age: must be a whole number from 10 to 60`);
+        }
+        if (player.dateOfBirth !== undefined && player.dateOfBirth !== null && !LeagueValidator.isDate(player.dateOfBirth)) {
+            errors.push(`${path}.dateOfBirth: must be a date (YYYY-MM-DD) or null`);
+        }
+        // The same choices as the player form and CSV import, spelled as in the list
+        if (player.nationality !== undefined && Player.findNationality(player.nationality) !== player.nationality) {
+            errors.push(`${path}.nationality: must be Unknown or a country from the list (e.g. "Italy")`);
+        }
+        if (player.jerseyNumber !== undefined && !LeagueValidator.isWholeNumber(player.jerseyNumber, 0, 99)) {
+            errors.push(`${path}.jerseyNumber: must be a whole number from 0 to 99`);
+        }
+        if (player.isInjured !== undefined && typeof player.isInjured !== 'boolean') {
+            errors.push(`${path}.isInjured: must be true or false`);
+        }
+        if (player.injuries !== undefined) {
+            if (!Array.isArray(player.injuries)) {
+                errors.push(`${path}.injuries: must be a list`);
+            } else {
+                player.injuries.forEach((injury, index) => {
+                    errors.push(...LeagueValidator.validateInjury(injury, `${path}.injuries[${index}]`));
+                });
+            }
+        }
+        ['yellowCards', 'redCards', 'carriedYellowCards', 'carriedRedCards'].forEach(field => {
+            if (player[field] !== undefined && !LeagueValidator.isWholeNumber(player[field], 0)) {
+                errors.push(`${path}.${field}: must be a whole number of 0 or more`);
+            }
+        });
+        if (player.potential !== undefined && !LeagueValidator.isWholeNumber(player.potential, 1, 10)) {
+            errors.push(`${path}.potential: must be a whole number from 1 to 10`);
+        }
+        if (player.ratingHistory !== undefined) {
+            if (!Array.isArray(player.ratingHistory)) {
+                errors.push(`${path}.ratingHistory: must be a list`);
+            } else {
+                player.ratingHistory.forEach((entry, index) => {
+                    const entryPath = `${path}.ratingHistory[${index}]`;
+                    if (!LeagueValidator.isObject(entry)) {
+                        errors.push(`${entryPath}: must be an object`);
+                        return;
+                    }
+                    if (!LeagueValidator.isDate(entry.date)) {
+                        errors.push(`${entryPath}.date: must be a date (YYYY-MM-DD)`);
+                    }
+                    if (typeof entry.label !== 'string') {
+                        errors.push(`${entryPath}.label: must be a string`);
+                    }
+                    if (!LeagueValidator.isWholeNumber(entry.age, 0)) {
+                        errors.push(`${entryPath}.age: must be a whole number of 0 or more`);
+                    }
+                    ['overallRating', ...ATTRIBUTES].forEach(field => {
+                        if (typeof entry[field] !== 'number' || entry[field] < 1 || entry[field] > 10) {
+                            errors.push(`${entryPath}.${field}: must be a number from 1 to 10`);
+                        }
+                    });
+                });
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validates a single match record
+     *
+     * @param {Object} match - The match data to check
+     * @param {string} path - Where the match is in the file (used in messages)
+     * @param {Array<string>} teamIds - IDs of the teams in the same file
+     * @returns {Array<string>} - A list of problems
+     */
+    static validateMatch(match, path, teamIds) {
+        if (!LeagueValidator.isObject(match)) {
+            return [`${path}: must be an object`];
+        }
+
+        const errors = [];
+        if (!LeagueValidator.isNonEmptyString(match.id)) {
+            errors.push(`${path}.id: must be a non-empty string`);
+        }
+        ['homeTeam', 'awayTeam'].forEach(side => {
+            if (!teamIds.includes(match[side])) {
+                errors.push(`${path}.${side}: unknown team "${match[side]}"`);
+            }
+        });
+        if (match.homeTeam === match.awayTeam) {
+            errors.push(`${path}: a team cannot play itself`);
+        }
+        ['homeGoals', 'awayGoals'].forEach(field => {
+            if (!LeagueValidator.isWholeNumber(match[field], 0)) {
+                errors.push(`${path}.${field}: must be a whole number of 0 or more`);
+            }
+        });
+        if (match.date !== undefined && isNaN(new Date(match.date).getTime())) {
+            errors.push(`${path}.date: not a valid date`);
+        }
+
+        if (match.events !== undefined && !Array.isArray(match.events)) {
+            errors.push(`${path}.events: must be a list`);
+        } else {
+            (match.events || []).forEach((event, index) => {
+                errors.push(...LeagueValidator.validateEvent(event, `${path}.events[${index}]`, match));
+            });
+        }
+        errors.push(...LeagueValidator.validateLineups(match.lineups, `${path}.lineups`, match));
+
+        return errors;
+    }
+
+    /**
+     * Validates the lineups of a fixture or match
+     * Only the shape is checked here: who was allowed to play depends on
+     * injuries and bans at the time, which the file does not keep
+     *
+     * @param {Object} [lineups] - The lineups by team ID (may be left out)
+     * @param {string} path - Where the lineups are in the file (used in messages)
+     * @param {Object} match - The fixture or match they belong to
+     * @returns {Array<string>} - A list of problems
+     */
+    static validateLineups(lineups, path, match) {
+        if (lineups === undefined) {
+            return [];
+        }
+        if (!LeagueValidator.isObject(lineups)) {
+            return [`${path}: must be an object of lineups by team ID`];
+        }
+
+        const errors = [];
+        Object.entries(lineups).forEach(([teamId, lineup]) => {
+            const lineupPath = `${path}.${teamId}`;
+            if (teamId !== match.homeTeam && teamId !== match.awayTeam) {
+                errors.push(`${lineupPath}: the team is not playing in this match`);
+            }
+            if (!LeagueValidator.isObject(lineup)) {
+                errors.push(`${lineupPath}: must be an object`);
+                return;
+            }
+            const slots = Lineup.getSlots(lineup.formation);
+            if (!slots) {
+                errors.push(`${lineupPath}.formation: must be like "4-4-2", adding up to 10 outfield players`);
+            } else if (!Array.isArray(lineup.starters) || lineup.starters.length !== slots.length) {
+                errors.push(`${lineupPath}.starters: must be a list of ${slots.length} player IDs or nulls`);
+            } else if (lineup.starters.some(playerId => playerId !== null && !LeagueValidator.isNonEmptyString(playerId))) {
+                errors.push(`${lineupPath}.starters: must be a list of ${slots.length} player IDs or nulls`);
+            }
+            if (!Array.isArray(lineup.bench) || !lineup.bench.every(LeagueValidator.isNonEmptyString)) {
+                errors.push(`${lineupPath}.bench: must be a list of player IDs`);
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Validates a single match event (goal, card or substitution)
+     *
+     * @param {Object} event - The event data to check
+     * @param {string} path - Where the event is in the file (used in messages)
+     * @param {Object} match - The match the event belongs to
+     * @returns {Array<string>} - A list of problems
+     */
+    static validateEvent(event, path, match) {
+        if (!LeagueValidator.isObject(event)) {
+            return [`${path}: must be an object`];
+        }
+
+        const errors = [];
+        if (!EVENT_TYPES.includes(event.type)) {
+            errors.push(`${path}.type: unknown event type "${event.type}" (expected one of ${EVENT_TYPES.join(', ')})`);
+        }
+        if (event.team !== match.homeTeam && event.team !== match.awayTeam) {
+            errors.push(`${path}.team: "${event.team}" is not playing in this match`);
+            return errors;
+        }
+
+        // Players who have since left the team stay in old events, so only the IDs are checked.
+        // A goal whose scorer is not known has a null player
+        ['player', 'assist', 'playerIn'].forEach(field => {
+            const required = (field === 'player' && !(event.type === 'goal' && event.player === null)) ||
+                (field === 'playerIn' && event.type === 'substitution');
+            if ((required || event[field]) && !LeagueValidator.isNonEmptyString(event[field])) {
+                errors.push(`${path}.${field}: must be a player ID`);
+            }
+        });
+        if (!LeagueValidator.isWholeNumber(event.minute, 1, 120)) {
+            errors.push(`${path}.minute: must be a whole number from 1 to 120`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Checks whether a value is a date written as 'YYYY-MM-DD'
+     *
+     * @param {*} value - The value to check
+     * @returns {boolean}
+     */
+    static isDate(value) {
+        return typeof value === 'string' && DATE_PATTERN.test(value);
+    }
+
+    /**
+     * Checks whether a value is a plain object (not null and not a list)
+     *
+     * @param {*} value - The value to check
+     * @returns {boolean}
+     */
+    static isObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+
+    /**
+     * Checks whether a value is a string with something other than spaces in it
+     *
+     * @param {*} value - The value to check
+     * @returns {boolean}
+     */
+    static isNonEmptyString(value) {
+        return typeof value === 'string' && value.trim() !== '';
+    }
+
+    /**
+     * Checks whether a value is a whole number within a range
+     *
+     * @param {*} value - The value to check
+     * @param {number} [min=-Infinity] - Smallest allowed value
+     * @param {number} [max=Infinity] - Largest allowed value
+     * @returns {boolean}
+     */
+    static isWholeNumber(value, min = -Infinity, max = Infinity) {
+        return Number.isInteger(value) && value >= min && value <= max;
+    }
+}
@@ -0,0 +1,302 @@
+/**
+ * Lineup Class
+ *
+ * This class works with the matchday squad a team names for one match.
+ * Think of it like the team sheet handed to the referee: a formation,
+ * eleven starting players in their places and a few substitutes on the bench.
+ *
+ * A lineup is plain data, so it can be saved with the fixture (and later the match):
+ *   { formation: '4-4-2', starters: [playerId or null, ...], bench: [playerId, ...] }
+ * starters has one entry per place in the formation, in the order given by getSlots():
+ * the goalkeeper first, then the defenders, midfielders and forwards.
+ *
+ * WHAT LINEUP DOES:
+ * 1. Turns a formation such as "4-2-3-1" into the eleven places on the pitch
+ * 2. Checks a lineup: every place filled by a player of the right position,
+ *    exactly one goalkeeper, nobody picked twice, nobody injured or suspended
+ * 3. Picks the best XI for a formation from the players' overall ratings
+ * 4. Moves players between places, the bench and the rest of the squad
+ */
+
+/**
+ * The formations offered in the lineup editor
+ * Any other "defenders-midfielders-forwards" shape adding up to ten outfield players
+ * can be used as a custom formation (e.g. "4-2-3-1": the middle numbers are all midfielders)
+ */
+export const FORMATIONS = ['4-4-2', '4-3-3', '3-5-2'];
+
+/**
+ * How many substitutes can sit on the bench
+ */
+export const BENCH_SIZE = 7;
+
+export default class Lineup {
+    /**
+     * Creates an empty lineup
+     *
+     * @param {string} [formation='4-4-2'] - The formation
+     * @returns {Object} - A lineup with every place and the bench empty
+     */
+    static create(formation = FORMATIONS[0]) {
+        const slots = Lineup.getSlots(formation) || [];
+        return { formation, starters: slots.map(() => null), bench: [] };
+    }
+
+    /**
+     * Turns a formation into the position of every place on the pitch
+     *
+     * @param {string} formation - e.g. "4-4-2" or "4-2-3-1"
+     * @returns {Array<string>|null} - Eleven positions (goalkeeper first, forwards last),
+     *   or null if the formation is not valid
+     */
+    static getSlots(formation) {
+        if (typeof formation !== 'string' || !/^\d+(-\d+){2,4}$/.test(formation.trim())) {
+            return null;
+        }
+        const lines = formation.trim().split('-').map(Number);
+        if (lines.some(count => count < 1) || lines.reduce((sum, count) => sum + count, 0) !== 10) {
+            return null;
+        }
+
+        const slots = ['Goalkeeper'];
+        lines.forEach((count, index) => {
+            let position = 'Midfielder';
+            if (index === 0) {
+                position = 'Defender';
+            } else if (index === lines.length - 1) {
+                position = 'Forward';
+            }
+            for (let i = 0; i < count; i++) {
+                slots.push(position);
+            }
+        });
+        return slots;
+    }
+
+    /**
+     * Groups the places of a formation into the lines they stand in on the pitch
+     *
+     * @param {string} formation - e.g. "4-3-3"
+     * @returns {Array<Array<number>>} - The place numbers (indexes into starters) of each line,
+     *   goalkeeper first, or an empty list if the formation is not valid
+     */
+    static getLines(formation) {
+        if (!Lineup.getSlots(formation)) {
+            return [];
+        }
+        const lines = [[0]];
+        let next = 1;
+        formation.trim().split('-').map(Number).forEach(count => {
+            lines.push(Array.from({ length: count }, (_, i) => next + i));
+            next += count;
+        });
+        return lines;
+    }
+
+    /**
+     * Checks whether a player can be picked for a match
+     * Injured players are never available. A suspended player is available again for
+     * matchdays after the last one their ban covers.
+     *
+     * @param {Player} player - The player
+     * @param {number|null} [matchday=null] - The matchday the lineup is for (null = the next match)
+     * @returns {boolean} - Whether the player can be picked
+     */
+    static canPick(player, matchday = null) {
+        if (player.isInjured) {
+            return false;
+        }
+        if (player.suspendedMatches > 0) {
+            return matchday !== null && player.suspendedUntilMatchday !== null && matchday > player.suspendedUntilMatchday;
+        }
+        return true;
+    }
+
+    /**
+     * Checks a lineup against a team
+     *
+     * @param {Object} lineup - The lineup to check
+     * @param {Team} team - The team it is for
+     * @param {number|null} [matchday=null] - The matchday it is for (used for bans, see canPick)
+     * @returns {Array<string>} - A list of problems (empty if the lineup is valid)
+     */
+    static validate(lineup, team, matchday = null) {
+        const errors = [];
+        const slots = Lineup.getSlots(lineup && lineup.formation);
+        if (!slots) {
+            errors.push('The formation must be like "4-4-2": defenders, midfielders and forwards adding up to 10');
+            return errors;
+        }
+        if (!Array.isArray(lineup.starters) || lineup.starters.length !== slots.length) {
+            errors.push(`The starting XI must have ${slots.length} places`);
+            return errors;
+        }
+        if (!Array.isArray(lineup.bench)) {
+            errors.push('The bench must be a list');
+            return errors;
+        }
+
+        const empty = lineup.starters.filter(playerId => !playerId).length;
+        if (empty > 0) {
+            errors.push(empty === 1 ? '1 starting place is empty' : `${empty} starting places are empty`);
+        }
+        if (lineup.bench.length > BENCH_SIZE) {
+            errors.push(`The bench has room for ${BENCH_SIZE} players`);
+        }
+
+        const seen = new Set();
+        const check = (playerId, slot) => {
+            const player = team.getPlayer(playerId);
+            if (!player) {
+                errors.push(`A player who is not in ${team.name} has been picked`);
+                return;
+            }
+            if (seen.has(playerId)) {
+                errors.push(`${player.name} has been picked twice`);
+            }
+            seen.add(playerId);
+            if (!Lineup.canPick(player, matchday)) {
+                errors.push(`${player.name} is ${player.isInjured ? 'injured' : 'suspended'} and cannot be picked`);
+            }
+            if (slot && player.position !== slot) {
+                errors.push(`${player.name} is a ${player.position} but has been put in a ${slot} place`);
+            }
+        };
+        lineup.starters.forEach((playerId, index) => {
+            if (playerId) {
+                check(playerId, slots[index]);
+            }
+        });
+        lineup.bench.forEach(playerId => check(playerId, null));
+
+        const goalkeepers = lineup.starters
+            .map(playerId => team.getPlayer(playerId))
+            .filter(player => player && player.position === 'Goalkeeper')
+            .length;
+        if (empty === 0 && goalkeepers !== 1) {
+            errors.push(`The starting XI must have exactly one goalkeeper (it has ${goalkeepers})`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Picks the strongest lineup a team can field in a formation
+     * Every place gets the highest-rated available player of its position,
+     * and the bench is filled with the best of the rest. Places no player can fill stay empty.
+     *
+     * @param {Team} team - The team
+     * @param {string} [formation='4-4-2'] - The formation to play
+     * @param {number|null} [matchday=null] - The matchday it is for (used for bans, see canPick)
+     * @returns {Object|null} - The lineup, or null if the formation is not valid
+     */
+    static bestXI(team, formation = FORMATIONS[0], matchday = null) {
+        const slots = Lineup.getSlots(formation);
+        if (!slots) {
+            return null;
+        }
+        const pool = team.players
+            .filter(player => Lineup.canPick(player, matchday))
+            .sort((a, b) => b.overallRating - a.overallRating);
+
+        const starters = slots.map(position => {
+            const index = pool.findIndex(player => player.position === position);
+            return index === -1 ? null : pool.splice(index, 1)[0].id;
+        });
+        return {
+            formation,
+            starters,
+            bench: pool.slice(0, BENCH_SIZE).map(player => player.id)
+        };
+    }
+
+    /**
+     * Changes the formation of a lineup, keeping as many players as possible
+     * Each starter moves to a free place of their position in the new formation;
+     * starters with no such place are left out.
+     *
+     * @param {Object} lineup - The lineup
+     * @param {Team} team - The team it is for
+     * @param {string} formation - The new formation
+     * @returns {Object|null} - The new lineup, or null if the formation is not valid
+     */
+    static changeFormation(lineup, team, formation) {
+        const slots = Lineup.getSlots(formation);
+        if (!slots) {
+            return null;
+        }
+        const starters = slots.map(() => null);
+        lineup.starters.forEach(playerId => {
+            const player = playerId && team.getPlayer(playerId);
+            const index = player ? slots.findIndex((position, i) => position === player.position && !starters[i]) : -1;
+            if (index !== -1) {
+                starters[index] = playerId;
+            }
+        });
+        return { formation, starters, bench: [...lineup.bench] };
+    }
+
+    /**
+     * Moves a player within a lineup
+     * This is what dragging a player on the pitch does. Places are given as
+     * { area, index } where area is 'starters', 'bench' or 'squad' (not picked).
+     * - Dropping on a filled place swaps the two players
+     * - Dropping on the bench adds the player at the end when no bench place is given
+     * - Dropping on the squad takes the player out of the lineup
+     *
+     * @param {Object} lineup - The lineup
+     * @param {{area: string, index: number, playerId: string}} from - Where the player is
+     *   (playerId is needed when they come from the squad)
+     * @param {{area: string, index: number}} to - Where the player is dropped
+     * @returns {Object} - The new lineup (the old one is not changed)
+     */
+    static move(lineup, from, to) {
+        const result = { formation: lineup.formation, starters: [...lineup.starters], bench: [...lineup.bench] };
+        const playerId = from.area === 'squad' ? from.playerId : result[from.area][from.index];
+        if (!playerId || from.area === to.area && from.index === to.index) {
+            return result;
+        }
+        if (from.area === 'bench' && to.area === 'bench' && result.bench[to.index]) {
+            [result.bench[from.index], result.bench[to.index]] = [result.bench[to.index], playerId];
+            return result;
+        }
+
+        const target = to.area === 'squad' || (to.area === 'bench' && to.index === undefined)
+            ? null
+            : result[to.area][to.index] || null;
+
+        // Take the player out of where they were; a swapped player takes their place
+        if (from.area === 'starters') {
+            result.starters[from.index] = target;
+        } else if (from.area === 'bench') {
+            if (target) {
+                result.bench[from.index] = target;
+            } else {
+                result.bench.splice(from.index, 1);
+            }
+        }
+
+        if (to.area === 'starters') {
+            result.starters[to.index] = playerId;
+        } else if (to.area === 'bench') {
+            // Take the place of the player who was there, or sit at the end of the bench
+            const index = to.index === undefined ? -1 : result.bench.indexOf(target);
+            if (index === -1) {
+                result.bench.push(playerId);
+            } else {
+                result.bench[index] = playerId;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Gets every player named in a lineup
+     *
+     * @param {Object} lineup - The lineup
+     * @returns {Array<string>} - The IDs of the starters and substitutes
+     */
+    static getPlayerIds(lineup) {
+        return [...lineup.starters.filter(Boolean), ...lineup.bench];
+    }
+}
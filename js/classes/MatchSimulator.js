@@ -0,0 +1,393 @@
+/**
+ * MatchSimulator Class
+ *
+ * This class plays out a match between two teams using their players' ratings.
+ * Think of it like a very small football video game that only shows the final
+ * score and who scored, assisted and was booked.
+ *
+ * HOW A MATCH IS SIMULATED:
+ * 1. Only available players take part (not injured, not suspended); when a team
+ *    has picked a lineup for the fixture, only its available starters take part
+ * 2. Each side gets an attack and a defence strength from its players' skills,
+ *    weighted by position (forwards count most in attack, defenders and
+ *    goalkeepers in defence; goalkeepers defend with their goalkeeping)
+ * 3. Expected goals come from attack against the other side's defence,
+ *    with a boost for the home team
+ * 4. Goals are drawn from a Poisson distribution, and scorers, assisters,
+ *    own goals and cards are picked with a seeded random generator
+ *
+ * Cup ties are played the same way, with extra time and a penalty shoot-out when level.
+ *
+ * The same seed and the same teams always give the same result.
+ */
+
+import SeededRandom from './SeededRandom.js';
+import LeagueError, { ERROR_CODES } from './LeagueError.js';
+
+/**
+ * How much each position counts towards a side's attack and defence
+ */
+const POSITION_WEIGHTS = {
+    Forward: { attack: 1.0, defence: 0.2 },
+    Midfielder: { attack: 0.6, defence: 0.6 },
+    Defender: { attack: 0.2, defence: 1.0 },
+    Goalkeeper: { attack: 0.0, defence: 1.2 }
+};
+
+/**
+ * Average goals per team per match when two equal sides meet on neutral ground
+ */
+const BASE_GOALS = 1.2;
+
+export default class MatchSimulator {
+    /**
+     * Creates a new MatchSimulator instance
+     *
+     * @param {number|string} [seed] - Seed for the random generator (a new one is made if left out)
+     * @param {number} [homeAdvantage=1.2] - How much more the home side is expected to score (1 = no advantage)
+     */
+    constructor(seed = SeededRandom.createSeed(), homeAdvantage = 1.2) {
+        this.seed = seed;
+        this.random = new SeededRandom(seed);
+        this.homeAdvantage = homeAdvantage;
+    }
+
+    /**
+     * Gets the players who can take part in a match
+     *
+     * @param {Team} team - The team
+     * @param {Object} [lineups={}] - The lineups picked for the match, by team ID (see Lineup)
+     * @returns {Array<Player>} - The players who are neither injured nor suspended
+     *   (only the starters, if the team has a lineup)
+     */
+    availablePlayers(team, lineups = {}) {
+        const lineup = lineups[team.id];
+        const players = lineup
+            ? lineup.starters.map(playerId => playerId && team.getPlayer(playerId)).filter(Boolean)
+            : team.players;
+        return players.filter(player => player.isAvailable);
+    }
+
+    /**
+     * Works out a side's attack and defence strength (each roughly 1-10)
+     * A side with no available players is as weak as possible
+     *
+     * @param {Array<Player>} players - The available players
+     * @returns {{attack: number, defence: number}} - The side's strengths
+     */
+    rateSide(players) {
+        const strength = { attack: 1, defence: 1 };
+        ['attack', 'defence'].forEach(area => {
+            let total = 0;
+            let weights = 0;
+            players.forEach(player => {
+                const weight = (POSITION_WEIGHTS[player.position] || POSITION_WEIGHTS.Midfielder)[area];
+                const score = area === 'attack'
+                    ? this.attackScore(player)
+                    : this.defenceScore(player);
+                total += weight * score;
+                weights += weight;
+            });
+            if (weights > 0) {
+                strength[area] = total / weights;
+            }
+        });
+        return strength;
+    }
+
+    /**
+     * Rates how much a player adds going forward (1-10)
+     *
+     * @param {Player} player - The player
+     * @returns {number} - The attacking score
+     */
+    attackScore(player) {
+        return 0.45 * player.shooting + 0.25 * player.pace + 0.2 * player.passing + 0.1 * player.physical;
+    }
+
+    /**
+     * Rates how much a player adds at the back (1-10)
+     * Goalkeepers are rated on their goalkeeping alone
+     *
+     * @param {Player} player - The player
+     * @returns {number} - The defending score
+     */
+    defenceScore(player) {
+        if (player.position === 'Goalkeeper') {
+            return player.goalkeeping;
+        }
+        return 0.4 * player.defending + 0.2 * player.physical + 0.2 * player.pace + 0.2 * player.passing;
+    }
+
+    /**
+     * Works out how many goals each side is expected to score
+     *
+     * @param {Team} homeTeam - The home team
+     * @param {Team} awayTeam - The away team
+     * @param {Object} [lineups={}] - The lineups picked for the match, by team ID
+     * @returns {{home: number, away: number}} - Expected goals for each side
+     */
+    expectedGoals(homeTeam, awayTeam, lineups = {}) {
+        const home = this.rateSide(this.availablePlayers(homeTeam, lineups));
+        const away = this.rateSide(this.availablePlayers(awayTeam, lineups));
+        const clamp = value => Math.max(0.1, Math.min(5, value));
+        return {
+            home: clamp(BASE_GOALS * this.homeAdvantage * Math.pow(home.attack / away.defence, 1.5)),
+            away: clamp(BASE_GOALS * Math.pow(away.attack / home.defence, 1.5))
+        };
+    }
+
+    /**
+     * Simulates one match
+     *
+     * @param {Team} homeTeam - The home team
+     * @param {Team} awayTeam - The away team
+     * @param {Object} [lineups={}] - The lineups picked for the match, by team ID
+     * @returns {{homeGoals: number, awayGoals: number, events: Array<Object>}} - The score and
+     *   match events, in the shape League.recordMatch() expects
+     */
+    simulate(homeTeam, awayTeam, lineups = {}) {
+        const expected = this.expectedGoals(homeTeam, awayTeam, lineups);
+        const homeGoals = this.random.poisson(expected.home);
+        const awayGoals = this.random.poisson(expected.away);
+
+        const events = [
+            ...this.createGoalEvents(homeTeam, awayTeam, homeGoals, lineups),
+            ...this.createGoalEvents(awayTeam, homeTeam, awayGoals, lineups),
+            ...this.createCardEvents(homeTeam, lineups),
+            ...this.createCardEvents(awayTeam, lineups)
+        ].sort((a, b) => a.minute - b.minute);
+
+        return { homeGoals, awayGoals, events };
+    }
+
+    /**
+     * Creates the goal events for one side's goals
+     * Scorers are picked by shooting and position; about three in four goals have an assist
+     * (picked by passing), and a few are own goals by the other side. If neither side has
+     * a player available (everyone injured or banned), the goal has no scorer.
+     *
+     * @param {Team} team - The side that scored
+     * @param {Team} opponent - The side that conceded
+     * @param {number} goals - How many goals were scored
+     * @param {Object} [lineups={}] - The lineups picked for the match, by team ID
+     * @returns {Array<Object>} - One goal or own-goal event per goal, so they always add up to the score
+     */
+    createGoalEvents(team, opponent, goals, lineups = {}) {
+        const players = this.availablePlayers(team, lineups);
+        const opponents = this.availablePlayers(opponent, lineups);
+        const events = [];
+
+        for (let i = 0; i < goals; i++) {
+            const minute = this.random.nextInt(1, 90);
+            const scorer = this.random.pickWeighted(players, player =>
+                player.shooting * ((POSITION_WEIGHTS[player.position] || POSITION_WEIGHTS.Midfielder).attack + 0.05)
+            );
+
+            // A scorer is needed for a goal; without one (or now and then) it is an own goal
+            if (!scorer || this.random.next() < 0.04) {
+                const unlucky = this.random.pickWeighted(opponents, player =>
+                    (POSITION_WEIGHTS[player.position] || POSITION_WEIGHTS.Midfielder).defence
+                );
+                if (unlucky) {
+                    events.push({ type: 'ownGoal', team: opponent.id, player: unlucky.id, minute });
+                    continue;
+                }
+            }
+            if (!scorer) {
+                events.push({ type: 'goal', team: team.id, player: null, minute });
+                continue;
+            }
+
+            const event = { type: 'goal', team: team.id, player: scorer.id, minute };
+            const teammates = players.filter(player => player !== scorer);
+            if (teammates.length > 0 && this.random.next() < 0.75) {
+                event.assist = this.random.pickWeighted(teammates, player => player.passing).id;
+            }
+            events.push(event);
+        }
+
+        return events;
+    }
+
+    /**
+     * Creates the card events for one side
+     * Defenders and midfielders are booked most often; a red card is rare
+     *
+     * @param {Team} team - The side
+     * @param {Object} [lineups={}] - The lineups picked for the match, by team ID
+     * @returns {Array<Object>} - Yellow and red card events
+     */
+    createCardEvents(team, lineups = {}) {
+        const players = this.availablePlayers(team, lineups);
+        const bookingWeight = player => ({ Defender: 3, Midfielder: 2, Forward: 1, Goalkeeper: 0.3 }[player.position] || 1);
+        const events = [];
+
+        const yellows = this.random.poisson(1.6);
+        for (let i = 0; i < yellows; i++) {
+            const player = this.random.pickWeighted(players, bookingWeight);
+            if (player) {
+                events.push({ type: 'yellow', team: team.id, player: player.id, minute: this.random.nextInt(1, 90) });
+            }
+        }
+
+        if (this.random.next() < 0.05) {
+            const player = this.random.pickWeighted(players, bookingWeight);
+            if (player) {
+                events.push({ type: 'red', team: team.id, player: player.id, minute: this.random.nextInt(1, 90) });
+            }
+        }
+
+        return events;
+    }
+
+    /**
+     * Simulates a match and records it in the league
+     * Lineups picked for the fixture decide who plays
+     *
+     * @param {League} league - The league to record the result in
+     * @param {string} homeTeamId - ID of the home team
+     * @param {string} awayTeamId - ID of the away team
+     * @returns {Object} - The recorded match
+     * @throws {LeagueError} - TEAM_NOT_FOUND if a team is not in the league,
+     *   or whatever League.recordMatch() throws (e.g. SAME_TEAM)
+     */
+    playMatch(league, homeTeamId, awayTeamId) {
+        const homeTeam = league.getTeam(homeTeamId);
+        const awayTeam = league.getTeam(awayTeamId);
+        if (!homeTeam || !awayTeam) {
+            throw new LeagueError(ERROR_CODES.TEAM_NOT_FOUND, 'Both teams must be in the league to play a match.');
+        }
+        const fixture = league.getNextFixture(homeTeamId, awayTeamId);
+        const lineups = fixture && fixture.lineups ? fixture.lineups : {};
+        const { homeGoals, awayGoals, events } = this.simulate(homeTeam, awayTeam, lineups);
+        return league.recordMatch(homeTeamId, awayTeamId, homeGoals, awayGoals, events);
+    }
+
+    /**
+     * Simulates every pending game of the next matchday that still has games to play,
+     * recording each result in the league
+     *
+     * @param {League} league - The league whose fixtures to play
+     * @returns {{matchday: number, matches: Array<Object>}|null} - The matchday played and
+     *   its recorded matches, or null if no games are pending
+     */
+    playNextMatchday(league) {
+        const matchday = league.fixtures.find(day => day.matches.some(fixture => !fixture.played));
+        if (!matchday) {
+            return null;
+        }
+
+        // Take the list first: recording a match ticks fixtures off as we go
+        const pending = matchday.matches.filter(fixture => !fixture.played);
+        const matches = pending
+            .map(fixture => this.playMatch(league, fixture.homeTeam, fixture.awayTeam));
+
+        return { matchday: matchday.matchday, matches };
+    }
+
+    /**
+     * Simulates a penalty shoot-out
+     * Five kicks each (stopping once one side cannot be caught), then one each until it is decided
+     *
+     * @returns {{homeGoals: number, awayGoals: number}} - The shoot-out score (never level)
+     */
+    penaltyShootout() {
+        const score = { homeGoals: 0, awayGoals: 0 };
+        const scores = () => this.random.next() < 0.75;
+        for (let kick = 0; kick < 5; kick++) {
+            score.homeGoals += scores() ? 1 : 0;
+            if (score.homeGoals > score.awayGoals + (5 - kick) || score.awayGoals > score.homeGoals + (4 - kick)) {
+                return score;
+            }
+            score.awayGoals += scores() ? 1 : 0;
+            if (Math.abs(score.homeGoals - score.awayGoals) > 4 - kick) {
+                return score;
+            }
+        }
+        while (score.homeGoals === score.awayGoals) {
+            score.homeGoals += scores() ? 1 : 0;
+            score.awayGoals += scores() ? 1 : 0;
+        }
+        return score;
+    }
+
+    /**
+     * Simulates the rest of a cup tie and records the result in the cup
+     * Legs still to play are simulated (the away team hosts the second leg); a level tie
+     * then gets extra time (if the cup plays it, with a third of a match's goals) and penalties
+     *
+     * @param {Cup} cup - The cup
+     * @param {League|Competitions} league - Where the cup's teams are found: the league, or every division
+     * @param {string} tieId - ID of the tie
+     * @returns {Object} - The updated tie
+     * @throws {LeagueError} - TIE_NOT_FOUND if the cup has no tie with that ID,
+     *   TIE_NOT_READY if a team is not known (or not found) yet or the tie is already decided
+     */
+    playTie(cup, league, tieId) {
+        const tie = cup.getTie(tieId);
+        if (!tie) {
+            throw new LeagueError(ERROR_CODES.TIE_NOT_FOUND, `That tie is no longer in ${cup.name}.`);
+        }
+        const homeTeam = league.getTeam(tie.home);
+        const awayTeam = league.getTeam(tie.away);
+        if (!homeTeam || !awayTeam || tie.winner) {
+            throw new LeagueError(ERROR_CODES.TIE_NOT_READY, 'This tie cannot be played: a team is not known yet, or it is already decided.');
+        }
+
+        const legs = tie.legs.map(leg => ({ ...leg }));
+        for (let leg = legs.length; leg < cup.legs; leg++) {
+            if (leg === 0) {
+                const expected = this.expectedGoals(homeTeam, awayTeam);
+                legs.push({ homeGoals: this.random.poisson(expected.home), awayGoals: this.random.poisson(expected.away) });
+            } else {
+                const expected = this.expectedGoals(awayTeam, homeTeam);
+                legs.push({ homeGoals: this.random.poisson(expected.away), awayGoals: this.random.poisson(expected.home) });
+            }
+        }
+
+        const total = legs.reduce((sum, leg) => ({
+            homeGoals: sum.homeGoals + leg.homeGoals,
+            awayGoals: sum.awayGoals + leg.awayGoals
+        }), { homeGoals: 0, awayGoals: 0 });
+        let extraTime = null;
+        let penalties = null;
+        if (total.homeGoals === total.awayGoals) {
+            if (cup.extraTime) {
+                const hosts = cup.legs === 1 ? [homeTeam, awayTeam] : [awayTeam, homeTeam];
+                const expected = this.expectedGoals(hosts[0], hosts[1]);
+                const hostGoals = this.random.poisson(expected.home / 3);
+                const visitorGoals = this.random.poisson(expected.away / 3);
+                extraTime = cup.legs === 1
+                    ? { homeGoals: hostGoals, awayGoals: visitorGoals }
+                    : { homeGoals: visitorGoals, awayGoals: hostGoals };
+            }
+            if (!extraTime || extraTime.homeGoals === extraTime.awayGoals) {
+                penalties = this.penaltyShootout();
+            }
+        }
+
+        return cup.recordResult(tieId, { legs, extraTime, penalties });
+    }
+
+    /**
+     * Simulates every tie of the earliest cup round that still has ties to play
+     *
+     * @param {Cup} cup - The cup
+     * @param {League|Competitions} league - Where the cup's teams are found: the league, or every division
+     * @returns {{round: string, ties: Array<Object>}|null} - The round played and its ties,
+     *   or null if no tie can be played
+     */
+    playCupRound(cup, league) {
+        const pending = cup.getPendingTies();
+        if (pending.length === 0) {
+            return null;
+        }
+        const round = cup.rounds.find(r => r.ties.includes(pending[0]));
+        // A tie whose team has since left the league is skipped rather than stopping the round
+        const ties = pending
+            .filter(tie => league.getTeam(tie.home) && league.getTeam(tie.away))
+            .map(tie => this.playTie(cup, league, tie.id));
+        return ties.length > 0 ? { round: round.name, ties } : null;
+    }
+}
@@ -6,30 +6,97 @@
  * 
  * WHAT A PLAYER HAS:
  * 1. Basic Information:
- *    - name: The player's full name
+ *    - id: A permanent, unique label (two players can share a name, never an ID)
+ *    - name: The player's full name (can be changed freely)
  *    - position: Where they play (Forward, Midfielder, etc.)
  *    - age: How old they are
- *    - nationality: Their country of origin
- *    - jerseyNumber: Their squad number
+ *    - dateOfBirth: Their birthday ('YYYY-MM-DD'), or null if only their age is known
+ *    - nationality: Their country of origin (one of COUNTRIES, or 'Unknown')
+ *    - jerseyNumber: Their squad number (0 = no number yet); no two players in a team share one
  * 
  * 2. Skills (rated 1-10):
  *    - pace: How fast they are
  *    - shooting: How good they are at shooting
  *    - passing: How good they are at passing
- *    - overallRating: Their total skill level
+ *    - defending: How good they are at tackling and marking
+ *    - physical: How strong and fit they are
+ *    - goalkeeping: How good they are in goal
+ *    - overallRating: Their total skill level, weighted by what matters for their position
+ *      (a goalkeeper is rated mostly on goalkeeping, a forward mostly on shooting)
+ *    - potential: The best overall rating they can grow into (hidden from the user;
+ *      see PlayerDevelopment)
+ *    - ratingHistory: Their skills after each development run, oldest first
  * 
  * 3. Status:
  *    - isInjured: Whether they're currently injured
+ *    - injuries: Every injury they have had, oldest first (the last one is the current
+ *      injury while isInjured is true). The league records injuries and sends players
+ *      back when the injury's length has passed (see League.injurePlayer)
  *    - yellowCards: Number of yellow cards received
  *    - redCards: Number of red cards received
+ *    - carriedCards: Cards received before the league's match log (e.g. from an import);
+ *      the league adds the cards shown in recorded matches on top of these
+ *    - suspendedMatches: How many of their team's matches they must still sit out
+ *    - suspensionReason: Why they are suspended (e.g. "Red card")
+ *    - suspendedUntilMatchday: The last matchday of the schedule they miss (null if not
+ *      suspended, or if their team has no fixtures that far ahead)
+ *    - accumulatedYellows: Yellow cards that count towards the next yellow-card ban
+ *    - isAvailable: Whether they can play (not injured and not suspended)
+ *    The league works all of these out from its match log and discipline rules
  * 
  * WHAT A PLAYER CAN DO:
- * - Update their stats (pace, shooting, passing)
- * - Get injured or recover
- * - Receive yellow or red cards
+ * - Update their stats (pace, shooting, passing, defending, physical, goalkeeping)
+ * - Change position, which changes how their overall rating is worked out
+ * - Have their age worked out from their date of birth
+ * - Write their current skills into their rating history
+ * - Get injured or recover, keeping an injury history
+ * - Receive yellow or red cards, and be suspended
  * - Provide their complete information
+ * - Save themselves for storage and be rebuilt from saved data
  */
 
+import IdGenerator from './IdGenerator.js';
+import LeagueError, { ERROR_CODES } from './LeagueError.js';
+
+/**
+ * The playing positions a player can have
+ */
+export const POSITIONS = ['Forward', 'Midfielder', 'Defender', 'Goalkeeper'];
+
+/**
+ * The skills every player is rated on, each from 1 to 10
+ */
+export const ATTRIBUTES = ['pace', 'shooting', 'passing', 'defending', 'physical', 'goalkeeping'];
+
+/**
+ * The countries offered when choosing a player's nationality, A-Z
+ * The home nations of the UK are listed separately, as they are in football
+ */
+export const COUNTRIES = [
+    'Albania', 'Algeria', 'Argentina', 'Armenia', 'Australia', 'Austria', 'Belgium', 'Bolivia',
+    'Bosnia and Herzegovina', 'Brazil', 'Bulgaria', 'Burkina Faso', 'Cameroon', 'Canada', 'Cape Verde',
+    'Chile', 'China', 'Colombia', 'Costa Rica', 'Croatia', 'Czech Republic', 'Denmark', 'DR Congo',
+    'Ecuador', 'Egypt', 'England', 'Finland', 'France', 'Gabon', 'Georgia', 'Germany', 'Ghana', 'Greece',
+    'Guinea', 'Honduras', 'Hungary', 'Iceland', 'Iran', 'Ireland', 'Israel', 'Italy', 'Ivory Coast',
+    'Jamaica', 'Japan', 'Kosovo', 'Mali', 'Mexico', 'Montenegro', 'Morocco', 'Netherlands', 'New Zealand',
+    'Nigeria', 'North Macedonia', 'Northern Ireland', 'Norway', 'Panama', 'Paraguay', 'Peru', 'Poland',
+    'Portugal', 'Qatar', 'Romania', 'Russia', 'Saudi Arabia', 'Scotland', 'Senegal', 'Serbia', 'Slovakia',
+    'Slovenia', 'South Africa', 'South Korea', 'Spain', 'Sweden', 'Switzerland', 'Tunisia', 'Turkey',
+    'Ukraine', 'United States', 'Uruguay', 'Venezuela', 'Wales', 'Zambia'
+];
+
+/**
+ * How much each skill counts towards the overall rating, by position
+ * The weights of a position add up to 1. A skill with no weight does not
+ * matter for that position (the forms hide it).
+ */
+export const ATTRIBUTE_WEIGHTS = {
+    Forward: { pace: 0.25, shooting: 0.4, passing: 0.15, defending: 0.05, physical: 0.15, goalkeeping: 0 },
+    Midfielder: { pace: 0.15, shooting: 0.15, passing: 0.35, defending: 0.15, physical: 0.2, goalkeeping: 0 },
+    Defender: { pace: 0.15, shooting: 0.05, passing: 0.15, defending: 0.45, physical: 0.2, goalkeeping: 0 },
+    Goalkeeper: { pace: 0.1, shooting: 0, passing: 0.1, defending: 0, physical: 0.1, goalkeeping: 0.7 }
+};
+
 export default class Player {
     /**
      * Creates a new Player instance
@@ -43,27 +110,54 @@ export default class Player {
      * @param {number} [age=25] - Player's age (defaults to 25)
      * @param {string} [nationality='Unknown'] - Player's country (defaults to 'Unknown')
      * @param {number} [jerseyNumber=0] - Squad number (defaults to 0)
+     * @param {Object} [ratings={}] - The other skills ({ defending, physical, goalkeeping });
+     *   any skill left out gets a sensible default (see Player.defaultRating)
      */
-    constructor(name, position, pace, shooting, passing, age = 25, nationality = 'Unknown', jerseyNumber = 0) {
+    constructor(name, position, pace, shooting, passing, age = 25, nationality = 'Unknown', jerseyNumber = 0, ratings = {}) {
         // Store basic player information
+        this.id = IdGenerator.generate('player');
         this.name = name;
         this.position = position;
         this.age = age;
+        this.dateOfBirth = null;
         this.nationality = nationality;
         this.jerseyNumber = jerseyNumber;
 
-        // Store and validate player skills
-        this.pace = this.validateAttribute(pace);
-        this.shooting = this.validateAttribute(shooting);
-        this.passing = this.validateAttribute(passing);
+        // Store and validate player skills, filling in any that were left out
+        const given = { ...ratings, pace, shooting, passing };
+        ATTRIBUTES.forEach(attribute => {
+            const value = Player.isRating(given[attribute])
+                ? given[attribute]
+                : Player.defaultRating(attribute, position, given);
+            this[attribute] = this.validateAttribute(value);
+        });
         
         // Calculate overall rating based on skills
         this.overallRating = this.calculateOverallRating();
+
+        // How good they can become, and how their ratings have changed so far
+        this.potential = Player.defaultPotential(age, this.overallRating);
+        this.ratingHistory = [];
         
         // Initialize player status
         this.isInjured = false;
+        this.injuries = [];
         this.yellowCards = 0;
         this.redCards = 0;
+        this.carriedCards = { yellow: 0, red: 0 };
+        this.accumulatedYellows = 0;
+        this.suspendedMatches = 0;
+        this.suspensionReason = null;
+        this.suspendedUntilMatchday = null;
+    }
+
+    /**
+     * Whether the player can be picked for the next match
+     * 
+     * @returns {boolean} - True unless they are injured or suspended
+     */
+    get isAvailable() {
+        return !this.isInjured && this.suspendedMatches === 0;
     }
 
     /**
@@ -77,87 +171,436 @@ export default class Player {
         return Math.max(1, Math.min(10, value));
     }
 
+    /**
+     * Checks whether a value is a usable skill rating
+     * 
+     * @param {*} value - The value to check
+     * @returns {boolean} - Whether the value is a number (not NaN)
+     */
+    static isRating(value) {
+        return typeof value === 'number' && !Number.isNaN(value);
+    }
+
+    /**
+     * Checks skill ratings typed in by a person
+     * The constructor and updateStats() quietly keep ratings within 1-10;
+     * this is for telling the person that a rating they typed cannot be used
+     * 
+     * @param {Object} ratings - The ratings, by skill name (e.g. { pace: 7 })
+     * @returns {LeagueError|null} - The first problem found, or null if every rating can be used:
+     *   MISSING_FIELD for a rating that is not a number (left empty),
+     *   INVALID_RATING for one that is not a whole number from 1 to 10
+     */
+    static checkRatings(ratings) {
+        for (const [attribute, value] of Object.entries(ratings)) {
+            const label = attribute.charAt(0).toUpperCase() + attribute.slice(1);
+            if (!Player.isRating(value)) {
+                return new LeagueError(ERROR_CODES.MISSING_FIELD, `Please enter a ${label} rating.`, attribute);
+            }
+            if (!Number.isInteger(value) || value < 1 || value > 10) {
+                return new LeagueError(ERROR_CODES.INVALID_RATING, `${label} must be a whole number from 1 to 10.`, attribute);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Works out a default for a skill that was not given
+     * - A skill that does not matter for the position (e.g. goalkeeping for a forward) defaults to 1
+     * - Any other skill defaults to the average of the skills that were given,
+     *   so a player's level stays about the same (5 if none were given)
+     * 
+     * @param {string} attribute - The skill (one of ATTRIBUTES)
+     * @param {string} position - The player's position
+     * @param {Object} given - The skills that are known, by name
+     * @returns {number} - The default rating (1-10)
+     */
+    static defaultRating(attribute, position, given) {
+        if (Player.getAttributeWeights(position)[attribute] === 0) {
+            return 1;
+        }
+        const known = ATTRIBUTES.map(name => given[name]).filter(Player.isRating);
+        if (known.length === 0) {
+            return 5;
+        }
+        return Math.round(known.reduce((sum, value) => sum + value, 0) / known.length);
+    }
+
+    /**
+     * Gets how much each skill counts for a position
+     * 
+     * @param {string} position - The position
+     * @returns {Object} - Weights by skill name (unknown positions are weighted like midfielders)
+     */
+    static getAttributeWeights(position) {
+        return ATTRIBUTE_WEIGHTS[position] || ATTRIBUTE_WEIGHTS.Midfielder;
+    }
+
+    /**
+     * Gets the skills that matter for a position
+     * These are the skills the add and edit forms show
+     * 
+     * @param {string} position - The position
+     * @returns {Array<string>} - Skill names, in the order of ATTRIBUTES
+     */
+    static getRelevantAttributes(position) {
+        const weights = Player.getAttributeWeights(position);
+        return ATTRIBUTES.filter(attribute => weights[attribute] > 0);
+    }
+
     /**
      * Calculates the player's overall rating
-     * This is like getting their FIFA rating
+     * This is like getting their FIFA rating: each skill counts as much as it
+     * matters for the player's position (see ATTRIBUTE_WEIGHTS)
      * 
-     * @returns {number} - The average of all skills, rounded to nearest whole number
+     * @returns {number} - The weighted average of the skills, rounded to nearest whole number
      */
     calculateOverallRating() {
-        return Math.round((this.pace + this.shooting + this.passing) / 3);
+        const weights = Player.getAttributeWeights(this.position);
+        const total = ATTRIBUTES.reduce((sum, attribute) => sum + weights[attribute] * this[attribute], 0);
+        return Math.round(total);
     }
 
     /**
      * Updates the player's skill ratings
      * This is like improving their stats after training
      * 
-     * @param {number} newPace - New pace rating
-     * @param {number} newShooting - New shooting rating
-     * @param {number} newPassing - New passing rating
+     * @param {Object} ratings - New ratings by skill name (e.g. { pace: 8, defending: 6 });
+     *   skills left out keep their current rating
+     */
+    updateStats(ratings) {
+        ATTRIBUTES.forEach(attribute => {
+            if (Player.isRating(ratings[attribute])) {
+                this[attribute] = this.validateAttribute(ratings[attribute]);
+            }
+        });
+        this.overallRating = this.calculateOverallRating();
+    }
+
+    /**
+     * Changes the player's position
+     * Their skills stay the same, but the overall rating is worked out again
+     * with the new position's weights (a striker moved into goal rates poorly)
+     * 
+     * @param {string} position - The new position (one of POSITIONS)
+     * @returns {boolean} - True once the position has been set
+     * @throws {LeagueError} - INVALID_POSITION if the position is not one of POSITIONS
      */
-    updateStats(newPace, newShooting, newPassing) {
-        this.pace = this.validateAttribute(newPace);
-        this.shooting = this.validateAttribute(newShooting);
-        this.passing = this.validateAttribute(newPassing);
+    setPosition(position) {
+        if (!POSITIONS.includes(position)) {
+            throw new LeagueError(ERROR_CODES.INVALID_POSITION, `Choose a position: ${POSITIONS.join(', ')}.`, 'position');
+        }
+        this.position = position;
         this.overallRating = this.calculateOverallRating();
+        return true;
+    }
+
+    /**
+     * Works out how old someone born on a day is on another day
+     * 
+     * @param {string} dateOfBirth - The birthday ('YYYY-MM-DD')
+     * @param {string} date - The day to work the age out on ('YYYY-MM-DD')
+     * @returns {number} - Their age in whole years
+     */
+    static ageOn(dateOfBirth, date) {
+        const [birthYear, birthMonth, birthDay] = dateOfBirth.split('-').map(Number);
+        const [year, month, day] = date.split('-').map(Number);
+        const hadBirthday = month > birthMonth || (month === birthMonth && day >= birthDay);
+        return year - birthYear - (hadBirthday ? 0 : 1);
+    }
+
+    /**
+     * Finds the nationality a piece of text stands for
+     * Upper and lower case count the same, so "italy" finds Italy
+     * 
+     * @param {string} text - A country name, or 'Unknown'
+     * @returns {string|null} - The country as spelled in COUNTRIES, 'Unknown', or null if it is neither
+     */
+    static findNationality(text) {
+        const wanted = String(text).trim().toLowerCase();
+        return ['Unknown', ...COUNTRIES].find(country => country.toLowerCase() === wanted) || null;
     }
 
     /**
-     * Sets the player's injury status
-     * This is like marking them as injured or fit to play
+     * Sets the player's date of birth, and their age from it
+     * 
+     * @param {string|null} dateOfBirth - The birthday ('YYYY-MM-DD'), or null to keep only the age
+     * @param {string} today - Today's date ('YYYY-MM-DD'), to work the age out on
+     */
+    setDateOfBirth(dateOfBirth, today) {
+        this.dateOfBirth = dateOfBirth;
+        if (dateOfBirth) {
+            this.age = Player.ageOn(dateOfBirth, today);
+        }
+    }
+
+    /**
+     * Works out a starting potential for a player
+     * Younger players have more room to grow: up to 3 points above their overall rating
+     * at 18, none from 27 on
+     * 
+     * @param {number} age - The player's age
+     * @param {number} overallRating - Their overall rating now
+     * @returns {number} - The potential (1-10)
+     */
+    static defaultPotential(age, overallRating) {
+        const room = Math.max(0, Math.ceil((27 - age) / 3));
+        return Math.min(10, overallRating + room);
+    }
+
+    /**
+     * Writes the player's current skills into their rating history
+     * 
+     * @param {string} date - The day ('YYYY-MM-DD')
+     * @param {string} label - What happened (e.g. "End of 2024/25")
+     */
+    recordRating(date, label) {
+        const entry = { date, label, age: this.age, overallRating: this.overallRating };
+        ATTRIBUTES.forEach(attribute => {
+            entry[attribute] = this[attribute];
+        });
+        this.ratingHistory.push(entry);
+    }
+
+    /**
+     * Sets the player's injury status without any details
+     * This is like a "fit / not fit" tick box (e.g. the Injured column of a CSV file).
+     * An injury set this way has an unknown type and length, so it lasts until the player is marked fit.
      * 
      * @param {boolean} isInjured - Whether the player is injured
      */
     setInjuryStatus(isInjured) {
-        this.isInjured = isInjured;
+        if (isInjured && !this.isInjured) {
+            this.injure({
+                id: IdGenerator.generate('injury'),
+                type: 'Unknown',
+                startDate: null,
+                recordedAt: new Date().toISOString(),
+                length: null,
+                unit: null,
+                expectedReturn: null
+            });
+        } else if (!isInjured && this.isInjured) {
+            this.recover(null);
+        }
+    }
+
+    /**
+     * Records a new injury and marks the player as injured
+     * 
+     * @param {Object} injury - The injury (see League.injurePlayer for its fields)
+     * @returns {boolean} - True once the injury has been recorded
+     * @throws {LeagueError} - PLAYER_INJURED if the player is already injured
+     */
+    injure(injury) {
+        if (this.isInjured) {
+            throw new LeagueError(ERROR_CODES.PLAYER_INJURED, `${this.name} is already injured.`);
+        }
+        this.injuries.push({ ...injury, endDate: null, matchesMissed: 0 });
+        this.isInjured = true;
+        return true;
     }
 
     /**
-     * Adds a disciplinary card to the player
-     * This tracks yellow and red cards like in a real match
+     * Ends the current injury and marks the player as fit
+     * 
+     * @param {string|null} endDate - The day they recovered ('YYYY-MM-DD', or null if unknown)
+     */
+    recover(endDate) {
+        const injury = this.getCurrentInjury();
+        if (injury) {
+            injury.endDate = endDate;
+        }
+        this.isInjured = false;
+    }
+
+    /**
+     * Gets the injury the player has now
+     * 
+     * @returns {Object|null} - The current injury, or null if the player is fit
+     *   (or was marked injured before injuries had details)
+     */
+    getCurrentInjury() {
+        if (!this.isInjured || this.injuries.length === 0) {
+            return null;
+        }
+        return this.injuries[this.injuries.length - 1];
+    }
+
+    /**
+     * Adds a disciplinary card to the player's totals
+     * Bans are handed out by the league, which knows the discipline rules
+     * (and whether two yellows came in the same match)
      * 
      * @param {string} cardType - Type of card ('yellow' or 'red')
      */
     addCard(cardType) {
         if (cardType === 'yellow') {
             this.yellowCards++;
-            // Two yellow cards = one red card
-            if (this.yellowCards >= 2) {
-                this.redCards++;
-                this.yellowCards = 0;
-            }
         } else if (cardType === 'red') {
             this.redCards++;
         }
     }
 
+    /**
+     * Bans the player for a number of their team's matches
+     * A new ban is added on top of any ban still being served
+     * 
+     * @param {number} matches - How many matches they must miss
+     * @param {string} reason - Why (e.g. "Red card")
+     */
+    suspend(matches, reason) {
+        if (matches <= 0) {
+            return;
+        }
+        this.suspendedMatches += matches;
+        this.suspensionReason = this.suspensionReason ? `${this.suspensionReason}, ${reason}` : reason;
+    }
+
+    /**
+     * Counts one of the team's matches towards the player's ban
+     * This is like ticking off a match on the ban sheet
+     */
+    serveSuspension() {
+        if (this.suspendedMatches > 0) {
+            this.suspendedMatches--;
+            if (this.suspendedMatches === 0) {
+                this.suspensionReason = null;
+                this.suspendedUntilMatchday = null;
+            }
+        }
+    }
+
+    /**
+     * Sets the player's card counts from outside the match log
+     * This is like copying a player's disciplinary record over from another competition
+     * 
+     * @param {number} yellowCards - Number of yellow cards
+     * @param {number} redCards - Number of red cards
+     */
+    setCards(yellowCards, redCards) {
+        this.carriedCards = { yellow: yellowCards, red: redCards };
+        this.resetCards();
+    }
+
+    /**
+     * Sets the card counts back to the cards carried in from outside the match log,
+     * and lifts any suspension
+     * The league then adds the cards (and bans) from every recorded match again
+     */
+    resetCards() {
+        this.yellowCards = this.carriedCards.yellow;
+        this.redCards = this.carriedCards.red;
+        this.accumulatedYellows = 0;
+        this.suspendedMatches = 0;
+        this.suspensionReason = null;
+        this.suspendedUntilMatchday = null;
+    }
+
     /**
      * Gets all the player's information
      * This is like reading their complete player card
      * 
      * @returns {Object} - Complete player information including:
      *   - Basic details (name, position, age, etc.)
-     *   - Skills (pace, shooting, passing, overall)
-     *   - Status (injuries, cards)
+     *   - Skills (pace, shooting, passing, defending, physical, goalkeeping, overall)
+     *   - Status (injury, availability, cards, suspension)
      */
     getPlayerInfo() {
         return {
+            id: this.id,
             name: this.name,
             position: this.position,
             age: this.age,
+            dateOfBirth: this.dateOfBirth,
             nationality: this.nationality,
             jerseyNumber: this.jerseyNumber,
             stats: {
                 pace: this.pace,
                 shooting: this.shooting,
                 passing: this.passing,
+                defending: this.defending,
+                physical: this.physical,
+                goalkeeping: this.goalkeeping,
                 overall: this.overallRating
             },
             status: {
                 isInjured: this.isInjured,
+                isAvailable: this.isAvailable,
+                injury: this.getCurrentInjury(),
                 yellowCards: this.yellowCards,
-                redCards: this.redCards
+                redCards: this.redCards,
+                suspendedMatches: this.suspendedMatches,
+                suspendedUntilMatchday: this.suspendedUntilMatchday
             }
         };
     }
+
+    /**
+     * Converts the player into plain data that can be saved
+     * This is like photocopying the player card so it can be filed away
+     * 
+     * @returns {Object} - Flat player data (no calculated values like overallRating).
+     *   yellowCards/redCards are the current totals; carriedYellowCards/carriedRedCards
+     *   are the part that does not come from the league's match log
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            position: this.position,
+            pace: this.pace,
+            shooting: this.shooting,
+            passing: this.passing,
+            defending: this.defending,
+            physical: this.physical,
+            goalkeeping: this.goalkeeping,
+            age: this.age,
+            dateOfBirth: this.dateOfBirth,
+            nationality: this.nationality,
+            jerseyNumber: this.jerseyNumber,
+            isInjured: this.isInjured,
+            injuries: this.injuries.map(injury => ({ ...injury })),
+            potential: this.potential,
+            ratingHistory: this.ratingHistory.map(entry => ({ ...entry })),
+            yellowCards: this.yellowCards,
+            redCards: this.redCards,
+            carriedYellowCards: this.carriedCards.yellow,
+            carriedRedCards: this.carriedCards.red
+        };
+    }
+
+    /**
+     * Rebuilds a real Player from saved data
+     * This is like taking the photocopy out of the filing cabinet and making a new card from it
+     * 
+     * @param {Object} data - Data previously produced by toJSON()
+     * @returns {Player} - A new Player instance with the saved ID, details and status
+     *   (cards from recorded matches are added back by the league)
+     */
+    static fromJSON(data) {
+        const player = new Player(
+            data.name,
+            data.position,
+            data.pace,
+            data.shooting,
+            data.passing,
+            data.age,
+            data.nationality,
+            data.jerseyNumber,
+            { defending: data.defending, physical: data.physical, goalkeeping: data.goalkeeping }
+        );
+        if (data.id) {
+            player.id = data.id;
+        }
+        player.dateOfBirth = data.dateOfBirth || null;
+        player.isInjured = Boolean(data.isInjured);
+        player.injuries = (data.injuries || []).map(injury => ({ ...injury }));
+        if (Player.isRating(data.potential)) {
+            player.potential = data.potential;
+        }
+        player.ratingHistory = (data.ratingHistory || []).map(entry => ({ ...entry }));
+        player.setCards(data.carriedYellowCards || 0, data.carriedRedCards || 0);
+        return player;
+    }
 } 
\ No newline at end of file
@@ -0,0 +1,186 @@
+/**
+ * PlayerDevelopment Class
+ *
+ * This class makes players better or worse over time, the way a season of training
+ * and matches (and birthdays) does.
+ * Think of it like the youth coach and the physio writing their end-of-season reports:
+ * the young players with talent who played a lot have come on, and the veterans have lost a yard of pace.
+ *
+ * HOW PLAYERS DEVELOP (one run is about one season):
+ * 1. Each skill that matters for the player's position (see ATTRIBUTE_WEIGHTS) may go up by 1:
+ *    - Young players improve most often, and the chance shrinks as they reach their peak
+ *    - Playing more of the team's matches makes improving more likely
+ *    - A player never improves past their hidden potential (the best overall rating they can reach)
+ * 2. Past their peak, skills may go down by 1. Pace goes first, then physical strength,
+ *    and the other skills only later in a career (see DECLINE_AGES)
+ * 3. Each player's new ratings are written into their rating history
+ *
+ * The same seed and the same players always give the same changes.
+ */
+
+import SeededRandom from './SeededRandom.js';
+import Player from './Player.js';
+import League from './League.js';
+
+/**
+ * The chance of each skill improving in a season, by age (before playing time is counted)
+ * The first band the player's age fits in is used; older players do not improve
+ */
+export const GROWTH_BY_AGE = [
+    { upTo: 20, chance: 0.6 },
+    { upTo: 23, chance: 0.45 },
+    { upTo: 26, chance: 0.25 },
+    { upTo: 29, chance: 0.1 }
+];
+
+/**
+ * The age from which each skill starts to decline
+ * The chance of losing a point grows by DECLINE_PER_YEAR for every year from that age on
+ */
+export const DECLINE_AGES = {
+    pace: 30,
+    physical: 31,
+    shooting: 33,
+    passing: 33,
+    defending: 33,
+    goalkeeping: 34
+};
+
+const DECLINE_PER_YEAR = 0.15;
+
+export default class PlayerDevelopment {
+    /**
+     * Creates a new PlayerDevelopment instance
+     *
+     * @param {number|string} [seed] - Seed for the random generator (a new one is made if left out)
+     */
+    constructor(seed = SeededRandom.createSeed()) {
+        this.seed = seed;
+        this.random = new SeededRandom(seed);
+    }
+
+    /**
+     * Works out the chance of a skill improving
+     *
+     * @param {number} age - The player's age
+     * @param {number} playingTime - The share of the team's matches the player played (0 to 1)
+     * @returns {number} - The chance, from 0 to 1
+     */
+    static growthChance(age, playingTime) {
+        const band = GROWTH_BY_AGE.find(entry => age <= entry.upTo);
+        if (!band) {
+            return 0;
+        }
+        // A player who never plays improves half as often; a regular starter half as often again
+        return Math.min(1, band.chance * (0.5 + playingTime));
+    }
+
+    /**
+     * Works out the chance of a skill declining
+     *
+     * @param {string} attribute - The skill (one of ATTRIBUTES)
+     * @param {number} age - The player's age
+     * @returns {number} - The chance, from 0 to 0.9
+     */
+    static declineChance(attribute, age) {
+        const years = age - DECLINE_AGES[attribute] + 1;
+        return years > 0 ? Math.min(0.9, years * DECLINE_PER_YEAR) : 0;
+    }
+
+    /**
+     * Develops one player
+     *
+     * @param {Player} player - The player
+     * @param {number} [playingTime=0.5] - The share of the team's matches the player played (0 to 1)
+     * @returns {Object} - The change in each skill that moved, by skill name (e.g. { pace: -1, passing: 1 })
+     */
+    developPlayer(player, playingTime = 0.5) {
+        const changes = {};
+        const growth = PlayerDevelopment.growthChance(player.age, playingTime);
+
+        Player.getRelevantAttributes(player.position).forEach(attribute => {
+            let change = 0;
+            if (this.random.next() < growth && player[attribute] < 10) {
+                change = 1;
+            } else if (this.random.next() < PlayerDevelopment.declineChance(attribute, player.age) && player[attribute] > 1) {
+                change = -1;
+            }
+            if (change === 0) {
+                return;
+            }
+
+            player.updateStats({ [attribute]: player[attribute] + change });
+            // Improving stops at the player's potential
+            if (change > 0 && player.overallRating > player.potential) {
+                player.updateStats({ [attribute]: player[attribute] - 1 });
+                return;
+            }
+            changes[attribute] = change;
+        });
+
+        return changes;
+    }
+
+    /**
+     * Develops every player in a league, using their playing time in its match log
+     *
+     * @param {League} league - The league
+     * @param {string} label - What the run is, written into the rating history (e.g. "End of 2024/25")
+     * @param {string} [date=today] - The day of the run ('YYYY-MM-DD')
+     * @returns {Array<{player: Player, team: Team, changes: Object}>} - Every player whose skills changed
+     */
+    developLeague(league, label, date = League.formatDate()) {
+        const appearances = PlayerDevelopment.countAppearances(league);
+        const developed = [];
+
+        league.teams.forEach(team => {
+            const teamMatches = league.matches.filter(match => match.homeTeam === team.id || match.awayTeam === team.id).length;
+            team.players.forEach(player => {
+                // Before any match, everyone counts as playing half the time
+                const playingTime = teamMatches === 0 ? 0.5 : (appearances.get(player.id) || 0) / teamMatches;
+                if (player.ratingHistory.length === 0) {
+                    player.recordRating(date, 'Before development');
+                }
+                const changes = this.developPlayer(player, playingTime);
+                player.recordRating(date, label);
+                if (Object.keys(changes).length > 0) {
+                    developed.push({ player, team, changes });
+                }
+            });
+        });
+
+        return developed;
+    }
+
+    /**
+     * Counts the matches each player played in a league's match log
+     * When a team picked a lineup, its starters and the substitutes who came on played;
+     * when it did not, the app cannot know who played, so everyone in the squad counts
+     *
+     * @param {League} league - The league
+     * @returns {Map<string, number>} - Matches played, by player ID
+     */
+    static countAppearances(league) {
+        const appearances = new Map();
+        const count = playerId => appearances.set(playerId, (appearances.get(playerId) || 0) + 1);
+
+        league.matches.forEach(match => {
+            [match.homeTeam, match.awayTeam].forEach(teamId => {
+                const lineup = match.lineups && match.lineups[teamId];
+                if (lineup) {
+                    lineup.starters.filter(Boolean).forEach(count);
+                    match.events
+                        .filter(event => event.type === 'substitution' && event.team === teamId && event.playerIn)
+                        .forEach(event => count(event.playerIn));
+                    return;
+                }
+                const team = league.getTeam(teamId);
+                if (team) {
+                    team.players.forEach(player => count(player.id));
+                }
+            });
+        });
+
+        return appearances;
+    }
+}
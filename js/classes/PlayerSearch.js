@@ -0,0 +1,213 @@
+/**
+ * PlayerSearch Class
+ *
+ * This class finds players across every team in every division.
+ * Think of it like a scout's database: type part of a name, tick a few boxes
+ * (only left-backs, under 23, not injured...) and get one sorted list back.
+ *
+ * WHAT PLAYER SEARCH DOES:
+ * 1. Filters players by name, position, nationality, age range, overall-rating range,
+ *    injury, suspension and team
+ * 2. Sorts the results by any player field (or by team name)
+ * 3. Turns a set of filters into URL query text and back again, so a search can be shared as a link
+ *
+ * THE FILTERS (every one can be left empty to let all players through):
+ * - name: Text the player's name must contain (upper and lower case count the same)
+ * - position: One of POSITIONS
+ * - nationality: The player's nationality, exactly
+ * - minAge / maxAge: The youngest and oldest age to show
+ * - minOverall / maxOverall: The lowest and highest overall rating to show
+ * - injured / suspended: 'yes' for only injured (suspended) players, 'no' for only fit (available) ones
+ * - team: The ID of the team
+ * - sort: The field to sort by (one of SORT_KEYS)
+ * - ascending: Whether to sort smallest (or A) first
+ */
+
+import { POSITIONS, ATTRIBUTES } from './Player.js';
+
+/**
+ * The fields results can be sorted by
+ * 'team' sorts by team name; the others are player fields
+ */
+export const SORT_KEYS = ['name', 'team', 'position', 'age', 'nationality', 'jerseyNumber', 'overallRating', ...ATTRIBUTES];
+
+/**
+ * The filters of a search that shows every player, best first
+ */
+export const DEFAULT_FILTERS = {
+    name: '',
+    position: '',
+    nationality: '',
+    minAge: null,
+    maxAge: null,
+    minOverall: null,
+    maxOverall: null,
+    injured: '',
+    suspended: '',
+    team: '',
+    sort: 'overallRating',
+    ascending: false
+};
+
+/**
+ * The filters that hold numbers (the rest hold text, apart from ascending)
+ */
+const NUMBER_FILTERS = ['minAge', 'maxAge', 'minOverall', 'maxOverall'];
+
+export default class PlayerSearch {
+    /**
+     * Searches the players of every division
+     *
+     * @param {Competitions} competitions - The divisions to search
+     * @param {Object} [filters=DEFAULT_FILTERS] - The filters (see the top of this file);
+     *   any left out take their default
+     * @returns {Array<{player: Player, team: Team, division: number}>} - The matching players,
+     *   sorted, each with their team and their division's place in the list
+     */
+    static search(competitions, filters = DEFAULT_FILTERS) {
+        const chosen = { ...DEFAULT_FILTERS, ...filters };
+        const rows = [];
+
+        competitions.divisions.forEach((league, division) => {
+            league.teams.forEach(team => {
+                team.players.forEach(player => {
+                    if (PlayerSearch.matches(player, team, chosen)) {
+                        rows.push({ player, team, division });
+                    }
+                });
+            });
+        });
+
+        return PlayerSearch.sort(rows, chosen.sort, chosen.ascending);
+    }
+
+    /**
+     * Checks one player against the filters
+     *
+     * @param {Player} player - The player
+     * @param {Team} team - The player's team
+     * @param {Object} filters - The filters, with every field filled in
+     * @returns {boolean} - Whether the player passes every filter
+     */
+    static matches(player, team, filters) {
+        const inRange = (value, min, max) => (min === null || value >= min) && (max === null || value <= max);
+        const yesNo = (choice, value) => choice === '' || (choice === 'yes') === value;
+
+        return player.name.toLowerCase().includes(filters.name.trim().toLowerCase()) &&
+            (filters.position === '' || player.position === filters.position) &&
+            (filters.nationality === '' || player.nationality === filters.nationality) &&
+            inRange(player.age, filters.minAge, filters.maxAge) &&
+            inRange(player.overallRating, filters.minOverall, filters.maxOverall) &&
+            yesNo(filters.injured, player.isInjured) &&
+            yesNo(filters.suspended, player.suspendedMatches > 0) &&
+            (filters.team === '' || team.id === filters.team);
+    }
+
+    /**
+     * Sorts search results
+     * Players level on the chosen field are sorted by name
+     *
+     * @param {Array<{player: Player, team: Team}>} rows - The results
+     * @param {string} key - The field to sort by (one of SORT_KEYS)
+     * @param {boolean} ascending - Whether to sort smallest (or A) first
+     * @returns {Array<Object>} - The same rows, sorted
+     */
+    static sort(rows, key, ascending) {
+        const valueOf = row => key === 'team' ? row.team.name : row.player[key];
+        return rows.sort((a, b) => {
+            const first = valueOf(a);
+            const second = valueOf(b);
+            const order = typeof first === 'number' && typeof second === 'number'
+                ? first - second
+                : String(first).localeCompare(String(second));
+            return (ascending ? order : -order) || a.player.name.localeCompare(b.player.name);
+        });
+    }
+
+    /**
+     * Lists every nationality in the divisions, for a filter dropdown
+     *
+     * @param {Competitions} competitions - The divisions
+     * @returns {Array<string>} - The nationalities, A-Z, each once
+     */
+    static getNationalities(competitions) {
+        const nationalities = new Set();
+        competitions.divisions.forEach(league => {
+            league.teams.forEach(team => team.players.forEach(player => nationalities.add(player.nationality)));
+        });
+        return [...nationalities].sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Turns filters into URL query text (e.g. "position=Forward&maxAge=23")
+     * Filters that still have their default are left out, so a plain search gives empty text
+     *
+     * @param {Object} filters - The filters
+     * @returns {string} - The query text, without a leading '?'
+     */
+    static toQuery(filters) {
+        const chosen = { ...DEFAULT_FILTERS, ...filters };
+        const params = new URLSearchParams();
+        Object.keys(DEFAULT_FILTERS).forEach(key => {
+            if (key === 'ascending' || chosen[key] === DEFAULT_FILTERS[key]) {
+                return;
+            }
+            params.set(key, chosen[key]);
+        });
+        if (chosen.ascending !== DEFAULT_FILTERS.ascending) {
+            params.set('order', chosen.ascending ? 'asc' : 'desc');
+        }
+        return params.toString();
+    }
+
+    /**
+     * Reads filters from URL query text, as written by toQuery()
+     * Anything unknown or invalid is ignored and keeps its default
+     *
+     * @param {string} query - The query text (a leading '?' is allowed)
+     * @returns {Object} - The filters, with every field filled in
+     */
+    static fromQuery(query) {
+        const params = new URLSearchParams(query);
+        const filters = { ...DEFAULT_FILTERS };
+
+        ['name', 'nationality', 'team'].forEach(key => {
+            if (params.has(key)) {
+                filters[key] = params.get(key);
+            }
+        });
+        if (POSITIONS.includes(params.get('position'))) {
+            filters.position = params.get('position');
+        }
+        ['injured', 'suspended'].forEach(key => {
+            if (['yes', 'no'].includes(params.get(key))) {
+                filters[key] = params.get(key);
+            }
+        });
+        NUMBER_FILTERS.forEach(key => {
+            const value = Number(params.get(key));
+            if (params.get(key) && Number.isInteger(value) && value >= 0) {
+                filters[key] = value;
+            }
+        });
+        if (SORT_KEYS.includes(params.get('sort'))) {
+            filters.sort = params.get('sort');
+        }
+        if (['asc', 'desc'].includes(params.get('order'))) {
+            filters.ascending = params.get('order') === 'asc';
+        }
+
+        return filters;
+    }
+
+    /**
+     * Whether the sort direction that reads best for a field is smallest (or A) first
+     * Names read best A-Z; ratings read best biggest first
+     *
+     * @param {string} key - The field (one of SORT_KEYS)
+     * @returns {boolean} - True to start ascending
+     */
+    static ascendingFirst(key) {
+        return !['overallRating', ...ATTRIBUTES].includes(key);
+    }
+}
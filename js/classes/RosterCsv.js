@@ -0,0 +1,365 @@
+/**
+ * RosterCsv Class
+ *
+ * This class turns team rosters into CSV (spreadsheet) text and back again.
+ * Think of it like copying the squad list between the app and a spreadsheet.
+ *
+ * WHAT ROSTER CSV DOES:
+ * 1. Exports the players of one team, or of the whole league, as CSV text
+ * 2. Reads CSV text, including quoted fields ("Smith, John") and line breaks inside quotes
+ * 3. Matches the header row to player fields, accepting common spellings
+ *    (e.g. "Club" for Team, "No." for Jersey Number)
+ * 4. Creates Player objects for good rows and reports the problem with every rejected row
+ */
+
+import Player, { POSITIONS } from './Player.js';
+
+/**
+ * The columns written on export, in order
+ * Each column has the header text and the player field it holds
+ */
+const COLUMNS = [
+    { header: 'Team', field: 'team' },
+    { header: 'Name', field: 'name' },
+    { header: 'Position', field: 'position' },
+    { header: 'Pace', field: 'pace' },
+    { header: 'Shooting', field: 'shooting' },
+    { header: 'Passing', field: 'passing' },
+    { header: 'Defending', field: 'defending' },
+    { header: 'Physical', field: 'physical' },
+    { header: 'Goalkeeping', field: 'goalkeeping' },
+    { header: 'Age', field: 'age' },
+    { header: 'Nationality', field: 'nationality' },
+    { header: 'Jersey Number', field: 'jerseyNumber' },
+    { header: 'Injured', field: 'isInjured' },
+    { header: 'Yellow Cards', field: 'yellowCards' },
+    { header: 'Red Cards', field: 'redCards' }
+];
+
+/**
+ * Other header spellings accepted on import, keyed by the field they map to
+ * Headers are compared in lower case with spaces and punctuation removed
+ */
+const HEADER_ALIASES = {
+    team: ['team', 'club', 'teamname'],
+    name: ['name', 'player', 'playername', 'fullname'],
+    position: ['position', 'pos'],
+    pace: ['pace', 'speed'],
+    shooting: ['shooting', 'shot', 'finishing'],
+    passing: ['passing', 'pass'],
+    defending: ['defending', 'defence', 'defense', 'tackling'],
+    physical: ['physical', 'strength', 'physique'],
+    goalkeeping: ['goalkeeping', 'keeping', 'gk'],
+    age: ['age'],
+    nationality: ['nationality', 'country', 'nation'],
+    jerseyNumber: ['jerseynumber', 'jersey', 'number', 'no', 'shirtnumber', 'squadnumber'],
+    isInjured: ['injured', 'isinjured', 'injury', 'injuryflag'],
+    yellowCards: ['yellowcards', 'yellows', 'yellow'],
+    redCards: ['redcards', 'reds', 'red']
+};
+
+/**
+ * Fields every imported row must have
+ */
+const REQUIRED_FIELDS = ['name', 'position', 'pace', 'shooting', 'passing'];
+
+/**
+ * Skills that may be left blank; the player then gets a default (see Player.defaultRating)
+ */
+const OPTIONAL_SKILLS = ['defending', 'physical', 'goalkeeping'];
+
+export default class RosterCsv {
+    /**
+     * Creates CSV text for the players of one team
+     *
+     * @param {Team} team - The team to export
+     * @returns {string} - CSV text with a header row and one row per player
+     */
+    static exportTeam(team) {
+        return RosterCsv.toCsv(team.players.map(player => ({ team, player })));
+    }
+
+    /**
+     * Creates CSV text for every player in the league
+     *
+     * @param {League} league - The league to export
+     * @returns {string} - CSV text with a header row and one row per player
+     */
+    static exportLeague(league) {
+        const rows = [];
+        league.teams.forEach(team => {
+            team.players.forEach(player => rows.push({ team, player }));
+        });
+        return RosterCsv.toCsv(rows);
+    }
+
+    /**
+     * Turns team/player pairs into CSV text
+     *
+     * @param {Array<{team: Team, player: Player}>} rows - The players to write
+     * @returns {string} - CSV text
+     */
+    static toCsv(rows) {
+        const lines = [COLUMNS.map(column => RosterCsv.escapeField(column.header)).join(',')];
+        rows.forEach(({ team, player }) => {
+            const values = COLUMNS.map(column => {
+                if (column.field === 'team') {
+                    return team.name;
+                }
+                if (column.field === 'isInjured') {
+                    return player.isInjured ? 'yes' : 'no';
+                }
+                return player[column.field];
+            });
+            lines.push(values.map(RosterCsv.escapeField).join(','));
+        });
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Puts quotes around a value if it contains a comma, quote or line break
+     *
+     * @param {*} value - The value to write
+     * @returns {string} - The value, safe to place in a CSV row
+     */
+    static escapeField(value) {
+        const text = String(value);
+        if (/[",\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+
+    /**
+     * Splits CSV text into rows of fields
+     * Handles quoted fields, doubled quotes ("") inside quotes and both \n and \r\n line endings.
+     * Completely empty lines are left out.
+     *
+     * @param {string} text - The CSV text
+     * @returns {Array<{line: number, fields: Array<string>}>} - Each row with the line it starts on
+     */
+    static parse(text) {
+        const rows = [];
+        let fields = [];
+        let field = '';
+        let inQuotes = false;
+        let line = 1;
+        let rowLine = 1;
+
+        const endRow = () => {
+            fields.push(field);
+            if (fields.length > 1 || fields[0].trim() !== '') {
+                rows.push({ line: rowLine, fields });
+            }
+            fields = [];
+            field = '';
+        };
+
+        // Drop a byte order mark left by some spreadsheet programs
+        const source = text.replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+
+            if (inQuotes) {
+                if (char === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    if (char === '\n') {
+                        line++;
+                    }
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                fields.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') {
+                    i++;
+                }
+                endRow();
+                line++;
+                rowLine = line;
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || fields.length > 0) {
+            endRow();
+        }
+
+        return rows;
+    }
+
+    /**
+     * Works out which column holds which player field
+     *
+     * @param {Array<string>} headers - The header row
+     * @returns {Object<string, number>} - Column index for each recognised field
+     */
+    static mapHeaders(headers) {
+        const mapping = {};
+        headers.forEach((header, index) => {
+            const key = header.toLowerCase().replace(/[^a-z0-9]/g, '');
+            Object.keys(HEADER_ALIASES).forEach(field => {
+                if (mapping[field] === undefined && HEADER_ALIASES[field].includes(key)) {
+                    mapping[field] = index;
+                }
+            });
+        });
+        return mapping;
+    }
+
+    /**
+     * Imports players from CSV text into the league's teams
+     * Good rows are added; rejected rows are reported and change nothing.
+     *
+     * @param {League} league - The league whose teams receive the players
+     * @param {string} text - The CSV text
+     * @param {Team|null} [defaultTeam=null] - Team used for rows without a Team column or value
+     * @returns {{imported: number, errors: Array<{line: number, message: string}>}} - How many
+     *   players were added and why each rejected row was rejected
+     */
+    static importPlayers(league, text, defaultTeam = null) {
+        const rows = RosterCsv.parse(text);
+        if (rows.length === 0) {
+            return { imported: 0, errors: [{ line: 1, message: 'The file is empty' }] };
+        }
+
+        const [headerRow, ...dataRows] = rows;
+        const mapping = RosterCsv.mapHeaders(headerRow.fields);
+        const missing = REQUIRED_FIELDS.filter(field => mapping[field] === undefined);
+        if (mapping.team === undefined && !defaultTeam) {
+            missing.unshift('team');
+        }
+        if (missing.length > 0) {
+            return {
+                imported: 0,
+                errors: [{ line: headerRow.line, message: `Missing column(s): ${missing.join(', ')}` }]
+            };
+        }
+
+        let imported = 0;
+        const errors = [];
+
+        dataRows.forEach(row => {
+            const result = RosterCsv.readRow(league, row.fields, mapping, defaultTeam);
+            if (result.error) {
+                errors.push({ line: row.line, message: result.error });
+                return;
+            }
+            result.team.addPlayer(result.player);
+            imported++;
+        });
+
+        return { imported, errors };
+    }
+
+    /**
+     * Reads one CSV row into a Player for a team
+     *
+     * @param {League} league - The league to find the team in
+     * @param {Array<string>} fields - The row's fields
+     * @param {Object<string, number>} mapping - Column index for each field (see mapHeaders())
+     * @param {Team|null} defaultTeam - Team used when the row has no team
+     * @returns {{team: Team, player: Player}|{error: string}} - The new player and their team, or why the row was rejected
+     */
+    static readRow(league, fields, mapping, defaultTeam) {
+        const value = field => (mapping[field] === undefined ? '' : (fields[mapping[field]] || '').trim());
+
+        const teamName = value('team');
+        const team = teamName ? league.findTeamByName(teamName) : defaultTeam;
+        if (!team) {
+            return { error: teamName ? `Unknown team "${teamName}"` : 'No team given' };
+        }
+
+        const name = value('name');
+        if (!name) {
+            return { error: 'Name is empty' };
+        }
+
+        const position = POSITIONS.find(p => p.toLowerCase() === value('position').toLowerCase());
+        if (!position) {
+            return { error: `Unknown position "${value('position')}" (expected one of ${POSITIONS.join(', ')})` };
+        }
+
+        const ratings = {};
+        for (const skill of ['pace', 'shooting', 'passing']) {
+            const rating = Number(value(skill));
+            if (value(skill) === '' || isNaN(rating)) {
+                const label = skill.charAt(0).toUpperCase() + skill.slice(1);
+                return { error: `${label} "${value(skill)}" is not a number` };
+            }
+            ratings[skill] = rating;
+        }
+        for (const skill of OPTIONAL_SKILLS) {
+            if (value(skill) === '') {
+                continue;
+            }
+            const rating = Number(value(skill));
+            if (isNaN(rating)) {
+                const label = skill.charAt(0).toUpperCase() + skill.slice(1);
+                return { error: `${label} "${value(skill)}" is not a number` };
+            }
+            ratings[skill] = rating;
+        }
+
+        // The same choices as the player form: a country from the list, or Unknown (also when left empty)
+        const nationality = value('nationality') === '' ? undefined : Player.findNationality(value('nationality'));
+        if (value('nationality') !== '' && !nationality) {
+            return { error: `Unknown nationality "${value('nationality')}" (expected a country from the player form's list, or Unknown)` };
+        }
+
+        const age = value('age') === '' ? undefined : Number(value('age'));
+        if (age !== undefined && !(Number.isInteger(age) && age > 0)) {
+            return { error: `Age "${value('age')}" is not a whole number` };
+        }
+
+        const jerseyNumber = value('jerseyNumber') === '' ? undefined : Number(value('jerseyNumber'));
+        if (jerseyNumber !== undefined && !(Number.isInteger(jerseyNumber) && jerseyNumber >= 0 && jerseyNumber <= 99)) {
+            return { error: `Jersey number "${value('jerseyNumber')}" must be a whole number from 0 to 99` };
+        }
+        // 0 means "no number yet", so only real numbers have to be unique
+        const holder = jerseyNumber === undefined ? null : team.getPlayerByNumber(jerseyNumber);
+        if (holder) {
+            return { error: `Jersey number ${jerseyNumber} is already worn by ${holder.name} at ${team.name}` };
+        }
+
+        const injured = value('isInjured').toLowerCase();
+        if (!['', 'yes', 'no', 'true', 'false', '1', '0', 'y', 'n'].includes(injured)) {
+            return { error: `Injured "${value('isInjured')}" must be yes or no` };
+        }
+
+        const cards = {};
+        for (const field of ['yellowCards', 'redCards']) {
+            const count = value(field) === '' ? 0 : Number(value(field));
+            if (!(Number.isInteger(count) && count >= 0)) {
+                return { error: `${field === 'yellowCards' ? 'Yellow' : 'Red'} cards "${value(field)}" is not a whole number` };
+            }
+            cards[field] = count;
+        }
+
+        // The constructor clamps the ratings to 1-10 through validateAttribute()
+        const player = new Player(
+            name,
+            position,
+            ratings.pace,
+            ratings.shooting,
+            ratings.passing,
+            age,
+            nationality,
+            jerseyNumber,
+            ratings
+        );
+        player.setInjuryStatus(['yes', 'true', '1', 'y'].includes(injured));
+        player.setCards(cards.yellowCards, cards.redCards);
+
+        return { team, player };
+    }
+}
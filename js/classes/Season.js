@@ -0,0 +1,194 @@
+/**
+ * Season Class
+ *
+ * This class represents a finished season, kept for the record books.
+ * Think of it like the yearbook printed when the season is over: the final tables,
+ * every result and the cards each player picked up, exactly as they were on the last day.
+ *
+ * WHAT A SEASON HAS:
+ * - id: A permanent, unique label
+ * - name: The season's name (e.g., "2024/25")
+ * - endedOn: The day the season was archived ('YYYY-MM-DD')
+ * - divisions: One archive per division, top division first, each with:
+ *   - name: The division's name at the time
+ *   - standings: The final table (the rows of League.getStandings())
+ *   - matches: The match log, with the team names of the time next to the team IDs
+ *   - discipline: Every player's yellow and red cards (the rows of League.getDisciplineTable())
+ *
+ * Names are copied into the archive, so renaming or removing a team later does not change history.
+ * Team IDs are kept too, so a club can be followed from season to season (and division to division).
+ *
+ * WHAT A SEASON CAN DO:
+ * - Archive the divisions of the season that is ending
+ * - Tell who won each division
+ * - Work out all-time records over several seasons: most titles, biggest win, longest unbeaten run
+ * - Save itself for storage and be rebuilt from saved data
+ */
+
+import League from './League.js';
+import IdGenerator from './IdGenerator.js';
+
+export default class Season {
+    /**
+     * Creates a new Season instance
+     *
+     * @param {string} name - The season's name
+     * @param {Array<Object>} [divisions=[]] - The archived divisions (see Season.archive())
+     * @param {string} [endedOn=today] - The day the season was archived ('YYYY-MM-DD')
+     */
+    constructor(name, divisions = [], endedOn = League.formatDate()) {
+        this.id = IdGenerator.generate('season');
+        this.name = name;
+        this.divisions = divisions;
+        this.endedOn = endedOn;
+    }
+
+    /**
+     * Archives the divisions of the season that is ending
+     * Nothing in the leagues is changed; the archive is a copy
+     *
+     * @param {string} name - The season's name
+     * @param {Array<League>} divisions - The divisions, top division first
+     * @param {string} [endedOn=today] - The day the season ends ('YYYY-MM-DD')
+     * @returns {Season} - The archived season
+     */
+    static archive(name, divisions, endedOn = League.formatDate()) {
+        return new Season(name, divisions.map(league => ({
+            name: league.name,
+            standings: league.getStandings().map(row => ({
+                position: row.position,
+                id: row.id,
+                name: row.name,
+                played: row.played,
+                won: row.won,
+                drawn: row.drawn,
+                lost: row.lost,
+                goalsFor: row.goalsFor,
+                goalsAgainst: row.goalsAgainst,
+                goalDifference: row.goalDifference,
+                points: row.points
+            })),
+            matches: league.toJSON().matches.map(match => ({
+                ...match,
+                homeName: league.getTeamName(match.homeTeam),
+                awayName: league.getTeamName(match.awayTeam)
+            })),
+            discipline: league.getDisciplineTable().map(row => ({ ...row }))
+        })), endedOn);
+    }
+
+    /**
+     * Gets the team that won a division
+     * A division in which no match was played has no winner
+     *
+     * @param {number} [divisionIndex=0] - The division (0 = the top division)
+     * @returns {Object|null} - The winner's final table row, or null
+     */
+    getChampion(divisionIndex = 0) {
+        const division = this.divisions[divisionIndex];
+        const first = division && division.standings[0];
+        return first && first.played > 0 ? first : null;
+    }
+
+    /**
+     * Works out the all-time records over several seasons
+     * Seasons are read in the order given (oldest first), and the matches of a season by date,
+     * so an unbeaten run can carry on from one season (or division) into the next.
+     *
+     * @param {Array<Season>} seasons - The seasons, oldest first
+     * @returns {Object} - The records:
+     *   - titles: { teamId, name, titles } for every team that won the top division, most titles first
+     *   - biggestWin: { season, division, match } for the match with the largest winning margin
+     *     (more goals for the winner breaks a tie), or null if no match was played
+     *   - longestUnbeatenRun: { teamId, name, matches, from, to } for the most matches in a row
+     *     without a defeat, from/to being the names of the seasons it started and ended in,
+     *     or null if no match was played
+     */
+    static getRecords(seasons) {
+        const titles = new Map();
+        let biggestWin = null;
+        let longestUnbeatenRun = null;
+        const runs = new Map();
+
+        seasons.forEach(season => {
+            const champion = season.getChampion(0);
+            if (champion) {
+                const entry = titles.get(champion.id) || { teamId: champion.id, name: champion.name, titles: 0 };
+                entry.name = champion.name;
+                entry.titles++;
+                titles.set(champion.id, entry);
+            }
+
+            const matches = season.divisions
+                .flatMap(division => division.matches.map(match => ({ division: division.name, match })))
+                .sort((a, b) => new Date(a.match.date) - new Date(b.match.date));
+
+            matches.forEach(({ division, match }) => {
+                const margin = Math.abs(match.homeGoals - match.awayGoals);
+                const winnerGoals = Math.max(match.homeGoals, match.awayGoals);
+                if (margin > 0 && (!biggestWin ||
+                    margin > biggestWin.margin ||
+                    margin === biggestWin.margin && winnerGoals > biggestWin.winnerGoals)) {
+                    biggestWin = { season: season.name, division, match, margin, winnerGoals };
+                }
+
+                [
+                    { teamId: match.homeTeam, name: match.homeName, lost: match.homeGoals < match.awayGoals },
+                    { teamId: match.awayTeam, name: match.awayName, lost: match.awayGoals < match.homeGoals }
+                ].forEach(({ teamId, name, lost }) => {
+                    if (lost) {
+                        runs.delete(teamId);
+                        return;
+                    }
+                    const run = runs.get(teamId) || { teamId, name, matches: 0, from: season.name, to: season.name };
+                    run.name = name;
+                    run.matches++;
+                    run.to = season.name;
+                    runs.set(teamId, run);
+                    if (!longestUnbeatenRun || run.matches > longestUnbeatenRun.matches) {
+                        longestUnbeatenRun = { ...run };
+                    }
+                });
+            });
+        });
+
+        return {
+            titles: [...titles.values()].sort((a, b) => b.titles - a.titles || a.name.localeCompare(b.name)),
+            biggestWin: biggestWin && { season: biggestWin.season, division: biggestWin.division, match: biggestWin.match },
+            longestUnbeatenRun
+        };
+    }
+
+    /**
+     * Converts the season into plain data that can be saved
+     *
+     * @returns {Object} - The season data
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            endedOn: this.endedOn,
+            divisions: this.divisions
+        };
+    }
+
+    /**
+     * Rebuilds a real Season from saved data
+     *
+     * @param {Object} data - Data previously produced by toJSON()
+     * @returns {Season} - A new Season instance
+     */
+    static fromJSON(data) {
+        const season = new Season(data.name, (data.divisions || []).map(division => ({
+            name: division.name,
+            standings: (division.standings || []).map(row => ({ ...row })),
+            matches: (division.matches || []).map(match => ({ ...match })),
+            discipline: (division.discipline || []).map(row => ({ ...row }))
+        })), data.endedOn);
+        if (data.id) {
+            season.id = data.id;
+        }
+        return season;
+    }
+}
@@ -0,0 +1,126 @@
+/**
+ * SeasonProjector Class
+ *
+ * This class answers the question "can we still make it?".
+ * It plays the rest of the season thousands of times with the match simulator's
+ * rating-based model and counts where every team finishes. Think of it like a
+ * weather forecast for the league table: "Inter win the title in 62% of seasons".
+ *
+ * HOW A PROJECTION WORKS:
+ * 1. Start from the real results already recorded
+ * 2. For every fixture still to play, work out each side's expected goals
+ *    from the players' ratings (the same model as MatchSimulator)
+ * 3. Play every remaining fixture with random scores, build the final table with
+ *    the league's own tiebreakers and note each team's position and points
+ * 4. Repeat, then turn the counts into probabilities
+ *
+ * The work is heavy, so the app runs it in a Web Worker (see js/projectionWorker.js)
+ * and the page stays responsive while it runs.
+ */
+
+import League from './League.js';
+import MatchSimulator from './MatchSimulator.js';
+import SeededRandom from './SeededRandom.js';
+
+export default class SeasonProjector {
+    /**
+     * Creates a new SeasonProjector instance
+     *
+     * @param {League} league - The league to project (it is copied, never changed)
+     * @param {number|string} [seed] - Seed for the random scores (a new one is made if left out)
+     */
+    constructor(league, seed = SeededRandom.createSeed()) {
+        // Work on a copy so simulated matches never reach the real results book
+        this.league = League.fromJSON(league.toJSON());
+        this.seed = seed;
+        this.simulator = new MatchSimulator(seed);
+    }
+
+    /**
+     * Plays the rest of the season many times
+     *
+     * @param {number} [iterations=5000] - How many seasons to play
+     * @param {Function} [onProgress] - Called now and then with the number of seasons played so far
+     * @returns {Object} - The projection:
+     *   - iterations, seed and remaining (number of fixtures still to play)
+     *   - teams: one entry per team in current table order, with id, name, expectedPoints,
+     *     positions (chance of finishing 1st, 2nd, ... as numbers from 0 to 1),
+     *     title, top4 and relegation chances
+     */
+    run(iterations = 5000, onProgress = null) {
+        const league = this.league;
+        const random = this.simulator.random;
+        const playedMatches = league.matches;
+        const teamCount = league.teams.length;
+
+        // Expected goals only depend on the two squads (or picked lineups), so work them out once per fixture
+        const remaining = league.getRemainingFixtures()
+            .filter(fixture => league.getTeam(fixture.homeTeam) && league.getTeam(fixture.awayTeam))
+            .map(fixture => ({
+                homeTeam: fixture.homeTeam,
+                awayTeam: fixture.awayTeam,
+                expected: this.simulator.expectedGoals(
+                    league.getTeam(fixture.homeTeam),
+                    league.getTeam(fixture.awayTeam),
+                    fixture.lineups || {}
+                )
+            }));
+
+        const counts = new Map(league.teams.map(team => [team.id, {
+            positions: new Array(teamCount).fill(0),
+            points: 0
+        }]));
+
+        for (let i = 0; i < iterations; i++) {
+            const simulated = remaining.map(fixture => ({
+                homeTeam: fixture.homeTeam,
+                awayTeam: fixture.awayTeam,
+                homeGoals: random.poisson(fixture.expected.home),
+                awayGoals: random.poisson(fixture.expected.away)
+            }));
+
+            league.matches = playedMatches.concat(simulated);
+            league.getStandings().forEach(row => {
+                const count = counts.get(row.id);
+                count.positions[row.position - 1]++;
+                count.points += row.points;
+            });
+
+            if (onProgress && (i + 1) % 250 === 0) {
+                onProgress(i + 1);
+            }
+        }
+        league.matches = playedMatches;
+
+        const relegationPositions = [];
+        for (let position = 1; position <= teamCount; position++) {
+            const zone = league.getZone(position);
+            if (zone && zone.type === 'relegation') {
+                relegationPositions.push(position);
+            }
+        }
+        const chanceOf = (positions, places) => places
+            .reduce((sum, position) => sum + positions[position - 1], 0);
+
+        const teams = league.getStandings().map(row => {
+            const count = counts.get(row.id);
+            const positions = count.positions.map(times => times / iterations);
+            return {
+                id: row.id,
+                name: row.name,
+                expectedPoints: count.points / iterations,
+                positions,
+                title: positions[0],
+                top4: positions.slice(0, 4).reduce((sum, chance) => sum + chance, 0),
+                relegation: chanceOf(positions, relegationPositions)
+            };
+        });
+
+        return {
+            iterations,
+            seed: this.seed,
+            remaining: remaining.length,
+            teams
+        };
+    }
+}
@@ -0,0 +1,113 @@
+/**
+ * SeededRandom Class
+ *
+ * This class makes "random" numbers that can be repeated.
+ * Think of it like a shuffled deck of cards that is always shuffled the same way
+ * for the same seed: start with the same seed and you get the same numbers again,
+ * so a simulated match or season can be replayed exactly.
+ *
+ * It uses the small and fast "mulberry32" generator.
+ */
+
+export default class SeededRandom {
+    /**
+     * Creates a new SeededRandom instance
+     *
+     * @param {number|string} seed - The seed; the same seed always gives the same numbers.
+     *   Text seeds (e.g. "derby-2024") are turned into a number first
+     */
+    constructor(seed) {
+        this.seed = seed;
+        this.state = typeof seed === 'number' ? seed >>> 0 : SeededRandom.hashString(String(seed));
+    }
+
+    /**
+     * Turns text into a 32-bit number (FNV-1a hash)
+     *
+     * @param {string} text - The text to turn into a number
+     * @returns {number} - A whole number from 0 to 4294967295
+     */
+    static hashString(text) {
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Creates a new seed, for when the user did not choose one
+     *
+     * @returns {number} - A random whole number that can be shown to the user and reused
+     */
+    static createSeed() {
+        return Math.floor(Math.random() * 1000000000);
+    }
+
+    /**
+     * Gets the next number
+     *
+     * @returns {number} - A number from 0 (included) to 1 (not included)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Gets a whole number in a range
+     *
+     * @param {number} min - Smallest possible number
+     * @param {number} max - Largest possible number
+     * @returns {number} - A whole number from min to max (both included)
+     */
+    nextInt(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * Picks an item, where items with a bigger weight are picked more often
+     *
+     * @param {Array} items - The items to pick from
+     * @param {Function} weightOf - Gives the weight of an item (0 means never picked)
+     * @returns {*} - The picked item, or null if there is nothing to pick
+     */
+    pickWeighted(items, weightOf) {
+        const weights = items.map(weightOf);
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        if (total <= 0) {
+            return null;
+        }
+        let target = this.next() * total;
+        for (let i = 0; i < items.length; i++) {
+            target -= weights[i];
+            if (target < 0) {
+                return items[i];
+            }
+        }
+        return items[items.length - 1];
+    }
+
+    /**
+     * Gets a count from a Poisson distribution
+     * This is how football goals are usually modelled: on average `mean` goals,
+     * but sometimes none and occasionally many
+     *
+     * @param {number} mean - The average count
+     * @returns {number} - A whole number of 0 or more
+     */
+    poisson(mean) {
+        const limit = Math.exp(-mean);
+        let count = 0;
+        let product = this.next();
+        while (product > limit) {
+            count++;
+            product *= this.next();
+        }
+        return count;
+    }
+}
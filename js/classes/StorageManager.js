@@ -0,0 +1,561 @@
+/**
+ * StorageManager Class
+ *
+ * This class saves the league divisions (with the cups played alongside them and the archive
+ * of finished seasons) in the browser's localStorage and loads them back.
+ * Think of it like a filing cabinet: the league is written down, dated and
+ * labelled with the version of the form it was written on.
+ *
+ * WHAT THE STORAGE MANAGER DOES:
+ * 1. Wraps the division, cup and season data in a versioned "envelope" before saving
+ * 2. Loads the saved envelope and rebuilds real League/Team/Player/Cup/Season objects
+ * 3. Upgrades (migrates) data saved by older versions of the app
+ * 4. Exports the divisions, cups and seasons as a JSON file and reads (and validates) imported files
+ *
+ * HOW VERSIONS WORK:
+ * - SCHEMA_VERSION is the version of the format the app writes today
+ * - Every time the saved format changes, SCHEMA_VERSION goes up by one and a
+ *   migration is added to MIGRATIONS that turns the previous version into the new one
+ * - On load, migrations run one after another until the data is current
+ *   (on every division, since each division is a league)
+ */
+
+import League from './League.js';
+import Player from './Player.js';
+import { DEFAULT_COLORS } from './Team.js';
+import Cup from './Cup.js';
+import Season from './Season.js';
+import Competitions from './Competitions.js';
+import LeagueValidator from './LeagueValidator.js';
+import IdGenerator from './IdGenerator.js';
+import LeagueError, { ERROR_CODES } from './LeagueError.js';
+
+/**
+ * The version of the saved data format written by this version of the app
+ */
+export const SCHEMA_VERSION = 19;
+
+/**
+ * Migrations from one schema version to the next
+ * MIGRATIONS[n] takes data saved as version n and returns it as version n + 1
+ */
+const MIGRATIONS = {
+    /**
+     * Version 0: an unversioned league snapshot shaped like League.getLeagueInfo(),
+     * with team stats nested under "stats" and player details under "stats"/"status"
+     */
+    0: data => ({
+        name: data.name,
+        country: data.country,
+        matches: data.matches || [],
+        teams: (data.teams || []).map(team => ({
+            name: team.name,
+            city: team.city,
+            stadium: team.stadium,
+            points: team.stats ? team.stats.points : team.points,
+            goalsFor: team.stats ? team.stats.goalsFor : team.goalsFor,
+            goalsAgainst: team.stats ? team.stats.goalsAgainst : team.goalsAgainst,
+            players: (team.players || []).map(player => ({
+                name: player.name,
+                position: player.position,
+                age: player.age,
+                nationality: player.nationality,
+                jerseyNumber: player.jerseyNumber,
+                pace: player.stats ? player.stats.pace : player.pace,
+                shooting: player.stats ? player.stats.shooting : player.shooting,
+                passing: player.stats ? player.stats.passing : player.passing,
+                isInjured: player.status ? player.status.isInjured : player.isInjured,
+                yellowCards: player.status ? player.status.yellowCards : player.yellowCards,
+                redCards: player.status ? player.status.redCards : player.redCards
+            }))
+        }))
+    }),
+
+    /**
+     * Version 1 to 2: leagues gained a fixture schedule, which starts out empty
+     */
+    1: data => ({ ...data, fixtures: [] }),
+
+    /**
+     * Version 2 to 3: matches gained permanent IDs, and team statistics are no longer
+     * saved because they are worked out from the match log
+     */
+    2: data => {
+        const matches = (data.matches || []).map(match => ({
+            ...match,
+            id: match.id || IdGenerator.generate('match')
+        }));
+        const teams = (data.teams || []).map(team => {
+            const { points, goalsFor, goalsAgainst, ...rest } = team;
+            return rest;
+        });
+        return { ...data, teams, matches };
+    },
+
+    /**
+     * Version 3 to 4: leagues gained a tiebreak chain; older leagues keep
+     * the original order (points, then goal difference)
+     */
+    3: data => ({ ...data, tiebreakers: ['goalDifference'] }),
+
+    /**
+     * Version 4 to 5: leagues gained table zones; older leagues get
+     * one champion and one relegation place
+     */
+    4: data => ({
+        ...data,
+        zones: [
+            { label: 'Champions', type: 'qualification', from: 1, to: 1 },
+            { label: 'Relegation', type: 'relegation', from: -1, to: -1 }
+        ]
+    }),
+
+    /**
+     * Version 5 to 6: matches gained events (goals, cards, substitutions) and player cards
+     * are worked out from them; cards saved before this all count as carried cards
+     */
+    5: data => ({
+        ...data,
+        matches: (data.matches || []).map(match => ({ ...match, events: [] })),
+        teams: (data.teams || []).map(team => ({
+            ...team,
+            players: (team.players || []).map(player => ({
+                ...player,
+                carriedYellowCards: player.yellowCards || 0,
+                carriedRedCards: player.redCards || 0
+            }))
+        }))
+    }),
+
+    /**
+     * Version 6 to 7: teams and players gained permanent IDs, and matches, events and
+     * fixtures refer to them by ID instead of by name. Players named in old events who
+     * are no longer in the team are kept as former players.
+     */
+    6: data => {
+        const formerPlayers = {};
+        const teamIds = new Map();
+        const playerIds = new Map(); // Team name -> (player name -> ID)
+
+        const teams = (data.teams || []).map(team => {
+            const id = IdGenerator.generate('team');
+            const roster = new Map();
+            teamIds.set(team.name, id);
+            playerIds.set(team.name, roster);
+            const players = (team.players || []).map(player => {
+                const playerId = IdGenerator.generate('player');
+                // With two players of the same name, old events go to the first
+                if (!roster.has(player.name)) {
+                    roster.set(player.name, playerId);
+                }
+                return { id: playerId, ...player };
+            });
+            return { id, ...team, players };
+        });
+
+        const teamId = name => (name ? teamIds.get(name) || name : name);
+        const playerId = (teamName, name) => {
+            if (!playerIds.has(teamName)) {
+                playerIds.set(teamName, new Map());
+            }
+            const roster = playerIds.get(teamName);
+            if (!roster.has(name)) {
+                const id = IdGenerator.generate('player');
+                roster.set(name, id);
+                formerPlayers[id] = name;
+            }
+            return roster.get(name);
+        };
+
+        const matches = (data.matches || []).map(match => ({
+            ...match,
+            homeTeam: teamId(match.homeTeam),
+            awayTeam: teamId(match.awayTeam),
+            events: (match.events || []).map(event => {
+                const converted = { ...event, team: teamId(event.team), player: playerId(event.team, event.player) };
+                ['assist', 'playerIn'].forEach(field => {
+                    if (event[field]) {
+                        converted[field] = playerId(event.team, event[field]);
+                    }
+                });
+                return converted;
+            })
+        }));
+
+        const fixtures = (data.fixtures || []).map(matchday => ({
+            ...matchday,
+            bye: teamId(matchday.bye),
+            matches: (matchday.matches || []).map(fixture => ({
+                ...fixture,
+                homeTeam: teamId(fixture.homeTeam),
+                awayTeam: teamId(fixture.awayTeam)
+            }))
+        }));
+
+        return { ...data, teams, matches, fixtures, formerPlayers };
+    },
+
+    /**
+     * Version 7 to 8: leagues gained a transfer register, transfer windows and a
+     * season end date; older leagues start with no transfers and no windows
+     */
+    7: data => ({ ...data, transfers: [], transferWindows: [], seasonEnd: null }),
+
+    /**
+     * Version 8 to 9: players gained defending, physical and goalkeeping skills.
+     * Defending and physical start at the average of the player's other skills, so their
+     * level stays about the same; goalkeepers get that average for goalkeeping too, while
+     * outfield players get 1 in goal (and goalkeepers 1 for defending)
+     */
+    8: data => ({
+        ...data,
+        teams: (data.teams || []).map(team => ({
+            ...team,
+            players: (team.players || []).map(player => {
+                const average = Math.round((player.pace + player.shooting + player.passing) / 3);
+                const isGoalkeeper = player.position === 'Goalkeeper';
+                return {
+                    ...player,
+                    defending: isGoalkeeper ? 1 : average,
+                    physical: average,
+                    goalkeeping: isGoalkeeper ? average : 1
+                };
+            })
+        }))
+    }),
+
+    /**
+     * Version 9 to 10: leagues gained discipline rules (bans for red cards and piled-up
+     * yellow cards); older leagues get a one-match ban for a red card or every five yellows
+     */
+    9: data => ({
+        ...data,
+        disciplineRules: { redCardBan: 1, yellowCardLimit: 5, yellowCardBan: 1, yellowResetAfter: null }
+    }),
+
+    /**
+     * Version 10 to 11: players gained an injury history. A player who was marked injured
+     * gets one injury of unknown type and length, which lasts until they are marked fit
+     */
+    10: data => ({
+        ...data,
+        teams: (data.teams || []).map(team => ({
+            ...team,
+            players: (team.players || []).map(player => ({
+                ...player,
+                injuries: player.isInjured
+                    ? [{
+                        id: IdGenerator.generate('injury'),
+                        type: 'Unknown',
+                        startDate: null,
+                        recordedAt: new Date().toISOString(),
+                        length: null,
+                        unit: null,
+                        expectedReturn: null,
+                        endDate: null,
+                        matchesMissed: 0
+                    }]
+                    : []
+            }))
+        }))
+    }),
+
+    /**
+     * Version 11 to 12: fixtures and matches gained the lineups picked for them,
+     * by team ID. Nothing was picked before, so they all start out empty
+     */
+    11: data => ({
+        ...data,
+        matches: (data.matches || []).map(match => ({ ...match, lineups: {} })),
+        fixtures: (data.fixtures || []).map(matchday => ({
+            ...matchday,
+            matches: (matchday.matches || []).map(fixture => ({ ...fixture, lineups: {} }))
+        }))
+    }),
+
+    /**
+     * Version 12 to 13: the envelope gained a list of cups next to the league
+     * (see readCups). The league data itself did not change
+     */
+    12: data => data,
+
+    /**
+     * Version 13 to 14: the envelope's single league became a list of divisions
+     * (see readDivisions). The league data itself did not change
+     */
+    13: data => data,
+
+    /**
+     * Version 14 to 15: the envelope gained the archive of finished seasons
+     * (see readSeasons). The league data itself did not change
+     */
+    14: data => data,
+
+    /**
+     * Version 15 to 16: players gained a hidden potential, worked out from their age and
+     * overall rating (see Player.defaultPotential), and a rating history that starts out empty
+     */
+    15: data => ({
+        ...data,
+        teams: (data.teams || []).map(team => ({
+            ...team,
+            players: (team.players || []).map(player => ({
+                ...player,
+                potential: Player.fromJSON(player).potential,
+                ratingHistory: []
+            }))
+        }))
+    }),
+
+    /**
+     * Version 16 to 17: players gained a date of birth, which is not known for existing players
+     */
+    16: data => ({
+        ...data,
+        teams: (data.teams || []).map(team => ({
+            ...team,
+            players: (team.players || []).map(player => ({ ...player, dateOfBirth: null }))
+        }))
+    }),
+
+    /**
+     * Version 17 to 18: teams gained a stadium capacity, a founded year, club colours and a crest;
+     * existing teams get the default colours and no other details
+     */
+    17: data => ({
+        ...data,
+        teams: (data.teams || []).map(team => ({
+            ...team,
+            capacity: null,
+            founded: null,
+            primaryColor: DEFAULT_COLORS.primary,
+            secondaryColor: DEFAULT_COLORS.secondary,
+            crest: null
+        }))
+    }),
+
+    /**
+     * Version 18 to 19: a player's nationality must be Unknown or a country from the list
+     * (as the player form and CSV import already required); other spellings of a listed
+     * country are corrected, and anything else becomes Unknown
+     */
+    18: data => ({
+        ...data,
+        teams: (data.teams || []).map(team => ({
+            ...team,
+            players: (team.players || []).map(player => (player.nationality === undefined
+                ? player
+                : { ...player, nationality: Player.findNationality(player.nationality) || 'Unknown' }))
+        }))
+    })
+};
+
+export default class StorageManager {
+    /**
+     * Creates a new StorageManager instance
+     *
+     * @param {string} [storageKey='football-league-manager'] - The localStorage key to save under
+     * @param {Storage} [storage=window.localStorage] - Where to save (can be swapped for another Storage)
+     */
+    constructor(storageKey = 'football-league-manager', storage = window.localStorage) {
+        this.storageKey = storageKey;
+        this.storage = storage;
+    }
+
+    /**
+     * Wraps the division, cup and season data in a versioned envelope
+     *
+     * @param {Competitions} competitions - The divisions, cups and seasons to wrap
+     * @returns {Object} - The envelope: { schemaVersion, savedAt, divisions, cups, seasons }
+     */
+    createEnvelope(competitions) {
+        return {
+            schemaVersion: SCHEMA_VERSION,
+            savedAt: new Date().toISOString(),
+            ...competitions.toJSON()
+        };
+    }
+
+    /**
+     * Brings saved league data up to the current schema version
+     *
+     * @param {Object} envelope - A saved envelope (or a bare, unversioned league snapshot)
+     * @returns {Object} - League data in the current format
+     * @throws {Error} - If the data was saved by a newer version of the app or a migration is missing
+     */
+    migrate(envelope) {
+        // Data without an envelope is treated as version 0
+        let version = typeof envelope.schemaVersion === 'number' ? envelope.schemaVersion : 0;
+        let data = version === 0 && !envelope.league ? envelope : envelope.league;
+
+        if (version > SCHEMA_VERSION) {
+            throw new Error(`Saved data uses schema version ${version}, but this app only understands up to ${SCHEMA_VERSION}`);
+        }
+
+        while (version < SCHEMA_VERSION) {
+            const migration = MIGRATIONS[version];
+            if (!migration) {
+                throw new Error(`No migration from schema version ${version}`);
+            }
+            data = migration(data);
+            version++;
+        }
+
+        return data;
+    }
+
+    /**
+     * Gets the data of every division from a saved envelope, brought up to the current version
+     * Envelopes written before divisions existed (schema version 13 and older) hold one league
+     *
+     * @param {Object} envelope - A saved envelope (or a bare, unversioned league snapshot)
+     * @returns {Array<Object>} - League data for each division, top division first
+     * @throws {Error} - If the data cannot be migrated (see migrate())
+     */
+    readDivisions(envelope) {
+        const version = typeof envelope.schemaVersion === 'number' ? envelope.schemaVersion : 0;
+        if (version < 14 || !Array.isArray(envelope.divisions)) {
+            return [this.migrate(envelope)];
+        }
+        return envelope.divisions.map(league => this.migrate({ schemaVersion: version, league }));
+    }
+
+    /**
+     * Gets the cup data from a saved envelope
+     * Envelopes written before cups existed (schema version 12 and older) have none
+     *
+     * @param {Object} envelope - A saved envelope
+     * @returns {Array<Object>} - The cup data
+     */
+    readCups(envelope) {
+        const version = typeof envelope.schemaVersion === 'number' ? envelope.schemaVersion : 0;
+        return version >= 13 && Array.isArray(envelope.cups) ? envelope.cups : [];
+    }
+
+    /**
+     * Gets the finished seasons from a saved envelope
+     * Envelopes written before seasons were archived (schema version 14 and older) have none
+     *
+     * @param {Object} envelope - A saved envelope
+     * @returns {Array<Object>} - The season data, oldest first
+     */
+    readSeasons(envelope) {
+        const version = typeof envelope.schemaVersion === 'number' ? envelope.schemaVersion : 0;
+        return version >= 15 && Array.isArray(envelope.seasons) ? envelope.seasons : [];
+    }
+
+    /**
+     * Saves the divisions, their cups and the finished seasons to storage
+     *
+     * @param {Competitions} competitions - The divisions, cups and seasons to save
+     * @returns {boolean} - True once they have been saved
+     * @throws {LeagueError} - SAVE_FAILED if the browser would not store them (usually because its storage is full)
+     */
+    save(competitions) {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.createEnvelope(competitions)));
+            return true;
+        } catch (error) {
+            throw new LeagueError(
+                ERROR_CODES.SAVE_FAILED,
+                'Could not save the league: the browser\'s storage is full (or turned off). Your latest changes will be lost when the page is reloaded. Remove some team crests or export the league to keep them.'
+            );
+        }
+    }
+
+    /**
+     * Loads the saved divisions, cups and seasons from storage
+     * If the saved data cannot be read, it is copied to a backup key so the next
+     * autosave does not overwrite it
+     *
+     * @returns {Competitions|null} - The rebuilt divisions, cups and seasons, or null if nothing has been saved
+     * @throws {LeagueError} - LOAD_FAILED if the saved data cannot be read (it has been backed up by then)
+     */
+    load() {
+        const raw = this.storage.getItem(this.storageKey);
+        if (raw === null) {
+            return null;
+        }
+
+        try {
+            const envelope = JSON.parse(raw);
+            return Competitions.fromJSON({
+                divisions: this.readDivisions(envelope),
+                cups: this.readCups(envelope),
+                seasons: this.readSeasons(envelope)
+            });
+        } catch (error) {
+            this.storage.setItem(`${this.storageKey}-backup`, raw);
+            throw new LeagueError(
+                ERROR_CODES.LOAD_FAILED,
+                `Your saved league could not be read (${error.message}), so a new one was started. The saved data was kept in the browser under "${this.storageKey}-backup".`
+            );
+        }
+    }
+
+    /**
+     * Creates the contents of a league export file
+     * The file uses the same versioned envelope as localStorage, so it can be
+     * imported by this or any later version of the app
+     *
+     * @param {Competitions} competitions - The divisions, cups and seasons to export
+     * @returns {string} - Pretty-printed JSON text
+     */
+    exportLeague(competitions) {
+        const envelope = this.createEnvelope(competitions);
+        envelope.exportedAt = envelope.savedAt;
+        return JSON.stringify(envelope, null, 2);
+    }
+
+    /**
+     * Reads the contents of an imported league file
+     * Nothing is changed here: the caller decides what to do with the result
+     *
+     * @param {string} text - The file contents
+     * @returns {{divisions: Array<League>|null, cups: Array<Cup>, seasons: Array<Season>, errors: Array<string>}} -
+     *   The rebuilt divisions (top division first), their cups and the finished seasons,
+     *   or null together with every problem found in the file
+     */
+    parseImport(text) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            return { divisions: null, cups: [], seasons: [], errors: [`Not a valid JSON file: ${error.message}`] };
+        }
+        if (!LeagueValidator.isObject(parsed)) {
+            return { divisions: null, cups: [], seasons: [], errors: ['The file does not contain a league'] };
+        }
+
+        let divisions;
+        try {
+            divisions = this.readDivisions(parsed);
+        } catch (error) {
+            return { divisions: null, cups: [], seasons: [], errors: [error.message] };
+        }
+
+        const cups = this.readCups(parsed);
+        const seasons = this.readSeasons(parsed);
+        const errors = [
+            ...LeagueValidator.validateDivisions(divisions),
+            ...LeagueValidator.validateCups(cups),
+            ...LeagueValidator.validateSeasons(seasons)
+        ];
+        if (errors.length > 0) {
+            return { divisions: null, cups: [], seasons: [], errors };
+        }
+        return {
+            divisions: divisions.map(data => League.fromJSON(data)),
+            cups: cups.map(cupData => Cup.fromJSON(cupData)),
+            seasons: seasons.map(seasonData => Season.fromJSON(seasonData)),
+            errors: []
+        };
+    }
+
+    /**
+     * Removes the saved league from storage
+     */
+    clear() {
+        this.storage.removeItem(this.storageKey);
+    }
+}
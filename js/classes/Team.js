@@ -6,27 +6,55 @@
  * 
  * WHAT A TEAM HAS:
  * 1. Basic Information:
- *    - name: The team's name (e.g., "Manchester United")
+ *    - id: A permanent, unique label used everywhere the team is referred to
+ *    - name: The team's name (e.g., "Manchester United"), which can be changed freely
  *    - city: The city where the team is based
  *    - stadium: The team's home stadium
+ *    - capacity: How many fans the stadium holds (null if not known)
+ *    - founded: The year the club was founded (null if not known)
+ *    - primaryColor / secondaryColor: The club colours ('#rrggbb'), used on its card and in tables
+ *    - crest: The club badge as an image data URL (null if none was uploaded)
  * 
  * 2. Players:
  *    - players: A list of all players in the team
  * 
  * 3. Statistics:
+ *    - played: Number of league matches played
  *    - points: Total points earned in the league
  *    - goalsFor: Total goals scored
  *    - goalsAgainst: Total goals conceded
+ *    - fairPlayPoints: -1 for every yellow card and -3 for every red card shown to the
+ *      team in the league's matches (0 is the best)
  * 
  * WHAT A TEAM CAN DO:
  * - Add new players to the roster
  * - Remove players from the roster
+ * - Update its details (name, city, stadium, capacity, founded year, colours and crest)
  * - Get information about specific players
+ * - Find who wears a jersey number (no two players share one)
  * - Update team statistics after matches
  * - Provide complete team information
+ * - Save itself for storage and be rebuilt from saved data
  */
 
 import Player from './Player.js';
+import IdGenerator from './IdGenerator.js';
+import LeagueError, { ERROR_CODES } from './LeagueError.js';
+
+/**
+ * The details of a team that can be edited, besides its roster
+ */
+export const TEAM_DETAILS = ['name', 'city', 'stadium', 'capacity', 'founded', 'primaryColor', 'secondaryColor', 'crest'];
+
+/**
+ * The colours a team gets until its own are chosen (the app's dark grey and white)
+ */
+export const DEFAULT_COLORS = { primary: '#1a1a1a', secondary: '#ffffff' };
+
+/**
+ * What a team colour looks like: '#' and six hexadecimal digits (the format of a colour picker)
+ */
+export const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
 
 /**
  * Team Class
@@ -43,15 +71,23 @@ export default class Team {
      */
     constructor(name, city = 'Unknown', stadium = 'Unknown') {
         // Store basic team information
+        this.id = IdGenerator.generate('team');
         this.name = name;
         this.city = city;
         this.stadium = stadium;
+        this.capacity = null;
+        this.founded = null;
+        this.primaryColor = DEFAULT_COLORS.primary;
+        this.secondaryColor = DEFAULT_COLORS.secondary;
+        this.crest = null;
         
         // Initialize team roster and statistics
         this.players = [];
+        this.played = 0;
         this.points = 0;
         this.goalsFor = 0;
         this.goalsAgainst = 0;
+        this.fairPlayPoints = 0;
     }
 
     /**
@@ -59,12 +95,21 @@ export default class Team {
      * This is like signing a new player to the team
      * 
      * @param {Player} player - The player to add
-     * @returns {boolean} - Whether the player was successfully added
+     * @returns {boolean} - True once the player has been added
+     * @throws {LeagueError} - INVALID_PLAYER if it is not a Player,
+     *   DUPLICATE_JERSEY if another player already wears their jersey number
      */
     addPlayer(player) {
         if (!(player instanceof Player)) {
-            console.error('Invalid player object');
-            return false;
+            throw new LeagueError(ERROR_CODES.INVALID_PLAYER, 'Only a player can join a team.');
+        }
+        const holder = player.jerseyNumber > 0 ? this.getPlayerByNumber(player.jerseyNumber) : null;
+        if (holder) {
+            throw new LeagueError(
+                ERROR_CODES.DUPLICATE_JERSEY,
+                `Jersey number ${player.jerseyNumber} is already worn by ${holder.name} at ${this.name}. Please choose another number.`,
+                'jerseyNumber'
+            );
         }
         this.players.push(player);
         return true;
@@ -74,28 +119,43 @@ export default class Team {
      * Removes a player from the team
      * This is like a player leaving the team
      * 
-     * @param {string} playerName - The name of the player to remove
-     * @returns {boolean} - Whether the player was successfully removed
+     * @param {string} playerId - The ID of the player to remove
+     * @returns {boolean} - True once the player has been removed
+     * @throws {LeagueError} - PLAYER_NOT_FOUND if no player in the team has that ID
      */
-    removePlayer(playerName) {
-        const index = this.players.findIndex(p => p.name === playerName);
+    removePlayer(playerId) {
+        const index = this.players.findIndex(p => p.id === playerId);
         if (index === -1) {
-            console.error('Player not found');
-            return false;
+            throw new LeagueError(ERROR_CODES.PLAYER_NOT_FOUND, `That player no longer plays for ${this.name}.`);
         }
         this.players.splice(index, 1);
         return true;
     }
 
     /**
-     * Gets a player by their name
-     * This is like looking up a player in the team roster
+     * Gets a player by their ID
+     * This is like looking up a player in the team roster by their registration number
      * 
-     * @param {string} playerName - The name of the player to find
+     * @param {string} playerId - The ID of the player to find
      * @returns {Player|null} - The found player or null if not found
      */
-    getPlayer(playerName) {
-        return this.players.find(p => p.name === playerName) || null;
+    getPlayer(playerId) {
+        return this.players.find(p => p.id === playerId) || null;
+    }
+
+    /**
+     * Finds the player wearing a jersey number
+     * This is like checking the back of the shirts in the dressing room
+     * 
+     * @param {number} jerseyNumber - The number (1-99; 0 means no number, and is never taken)
+     * @param {string} [exceptPlayerId=null] - A player to skip (e.g. the one being edited)
+     * @returns {Player|null} - The player wearing the number, or null if it is free
+     */
+    getPlayerByNumber(jerseyNumber, exceptPlayerId = null) {
+        if (jerseyNumber === 0) {
+            return null;
+        }
+        return this.players.find(p => p.jerseyNumber === jerseyNumber && p.id !== exceptPlayerId) || null;
     }
 
     /**
@@ -107,27 +167,73 @@ export default class Team {
      * @param {number} pointsEarned - Points earned (3 for win, 1 for draw, 0 for loss)
      */
     updateStats(goalsScored, goalsConceded, pointsEarned) {
+        this.played++;
         this.goalsFor += goalsScored;
         this.goalsAgainst += goalsConceded;
         this.points += pointsEarned;
     }
 
+    /**
+     * Counts a card shown to the team in a league match, for the fair-play table
+     * The card stays with the team it was shown to, even if the player moves on later
+     * 
+     * @param {string} type - 'yellow' (-1 point) or 'red' (-3 points)
+     */
+    addCard(type) {
+        this.fairPlayPoints -= type === 'red' ? 3 : 1;
+    }
+
+    /**
+     * Updates the team's details
+     * Matches, fixtures, cups and lineups refer to the team by ID, so a new name
+     * simply shows up everywhere (archived seasons keep the name of their time)
+     * 
+     * @param {Object} details - New values by detail name (see TEAM_DETAILS);
+     *   details left out keep their current value
+     */
+    updateDetails(details) {
+        TEAM_DETAILS.forEach(detail => {
+            if (details[detail] !== undefined) {
+                this[detail] = details[detail];
+            }
+        });
+    }
+
+    /**
+     * Sets the team statistics back to zero
+     * This is like wiping the team's line in the table before it is worked out again
+     */
+    resetStats() {
+        this.played = 0;
+        this.points = 0;
+        this.goalsFor = 0;
+        this.goalsAgainst = 0;
+        this.fairPlayPoints = 0;
+    }
+
     /**
      * Gets all the team's information
      * This is like reading the complete team roster and statistics
      * 
      * @returns {Object} - Complete team information including:
-     *   - Basic details (name, city, stadium)
+     *   - Basic details (id, name, city, stadium, capacity, founded year, colours, crest)
      *   - List of all players
-     *   - Team statistics (points, goals)
+     *   - Team statistics (played, points, goals)
      */
     getTeamInfo() {
         return {
+            id: this.id,
             name: this.name,
             city: this.city,
             stadium: this.stadium,
+            capacity: this.capacity,
+            founded: this.founded,
+            primaryColor: this.primaryColor,
+            secondaryColor: this.secondaryColor,
+            crest: this.crest,
             players: this.players.map(player => player.getPlayerInfo()),
             stats: {
+                played: this.played,
                 points: this.points,
                 goalsFor: this.goalsFor,
                 goalsAgainst: this.goalsAgainst,
@@ -135,4 +241,49 @@ export default class Team {
             }
         };
     }
+
+    /**
+     * Converts the team into plain data that can be saved
+     * This is like writing the whole roster down on paper.
+     * Statistics are left out: the league works them out from its match log.
+     * 
+     * @returns {Object} - Team data with every player converted too
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            city: this.city,
+            stadium: this.stadium,
+            capacity: this.capacity,
+            founded: this.founded,
+            primaryColor: this.primaryColor,
+            secondaryColor: this.secondaryColor,
+            crest: this.crest,
+            players: this.players.map(player => player.toJSON())
+        };
+    }
+
+    /**
+     * Rebuilds a real Team (with real Player objects) from saved data
+     * 
+     * @param {Object} data - Data previously produced by toJSON()
+     * @returns {Team} - A new Team instance with its roster restored (statistics start at zero)
+     */
+    static fromJSON(data) {
+        const team = new Team(data.name, data.city, data.stadium);
+        if (data.id) {
+            team.id = data.id;
+        }
+        team.updateDetails({
+            capacity: data.capacity,
+            founded: data.founded,
+            primaryColor: data.primaryColor,
+            secondaryColor: data.secondaryColor,
+            crest: data.crest
+        });
+        // Saved rosters are restored as they were, without the checks made when signing a player
+        team.players = (data.players || []).map(playerData => Player.fromJSON(playerData));
+        return team;
+    }
 } 
\ No newline at end of file
@@ -9,28 +9,108 @@
  * 2. Handles user input and form submissions
  * 3. Updates the display when data changes
  * 4. Manages modal dialogs and forms
+ * 5. Autosaves the league after every change
+ * 6. Runs every change through an undo history (Ctrl+Z to undo, Ctrl+Shift+Z to redo)
+ *    and asks before changes that throw data away
+ * 7. Shows the knockout cups played alongside the league as brackets
+ * 8. Switches between league divisions, and moves teams up and down at the end of the season
+ * 9. Archives every finished season and shows past tables, results and all-time records
+ * 10. Develops players as they age, and shows each player's rating over time
+ * 11. Searches, filters and sorts the players of every team, keeping the search in the page address
+ * 12. Shows each team in its colours and with its crest
+ * 13. Says why a change was refused: next to the form field it is about, or in a short notification
  */
 
-import Team from './Team.js';
-import Player from './Player.js';
+import Team, { DEFAULT_COLORS } from './Team.js';
+import Player, { POSITIONS, ATTRIBUTES, COUNTRIES } from './Player.js';
+import StorageManager from './StorageManager.js';
+import RosterCsv from './RosterCsv.js';
+import MatchSimulator from './MatchSimulator.js';
+import SeededRandom from './SeededRandom.js';
+import SeasonProjector from './SeasonProjector.js';
+import CommandHistory from './CommandHistory.js';
+import Lineup, { FORMATIONS, BENCH_SIZE } from './Lineup.js';
+import Cup from './Cup.js';
+import Competitions from './Competitions.js';
+import Season from './Season.js';
+import PlayerDevelopment from './PlayerDevelopment.js';
+import PlayerSearch, { DEFAULT_FILTERS } from './PlayerSearch.js';
+import League, { TIEBREAKERS, TIEBREAK_PRESETS, ZONE_TYPES, DEFAULT_DISCIPLINE_RULES, INJURY_UNITS } from './League.js';
+import LeagueError, { ERROR_CODES } from './LeagueError.js';
+
+/**
+ * The largest crest image that can be uploaded, in bytes
+ * Crests are saved inside the league in the browser's storage, which only holds a few megabytes
+ */
+const MAX_CREST_BYTES = 100 * 1024;
+
+/**
+ * The largest width and height a crest is kept at, in pixels
+ * Bigger uploads are shrunk to this size before they are saved (crests are shown small anyway)
+ */
+const CREST_SIZE = 128;
+
+/**
+ * The most seasons a projection can simulate
+ * More would keep the browser busy for a long time while hardly changing the chances
+ */
+const MAX_PROJECTION_ITERATIONS = 10000;
+
+/**
+ * How long a notification stays on screen, in seconds (it can also be closed by hand)
+ */
+const TOAST_SECONDS = 6;
 
 export default class UIManager {
     /**
      * Creates a new UIManager instance
      * 
-     * @param {League} league - The league instance to manage UI for
+     * @param {Competitions} competitions - The league divisions (and their cups) to manage UI for
      * 
      * What @param does:
      * - It's a special comment that tells other developers what information a function needs
-     * - {League} tells us what type of data we expect (in this case, a League object)
-     * - 'league' is the name of the variable we'll use inside the function
+     * - {Competitions} tells us what type of data we expect (in this case, a Competitions object)
+     * - 'competitions' is the name of the variable we'll use inside the function
      * - The text after the dash explains what this parameter is for
+     * 
+     * @param {StorageManager} [storage=null] - Where to autosave the league (no saving if null)
      */
-    constructor(league) {
-        this.league = league;
+    constructor(competitions, storage = null) {
+        this.competitions = competitions;
+        this.storage = storage;
+
+        // The division shown on the page (0 = the top division); see the league getter below
+        this.divisionIndex = 0;
+
+        // How the league table is sorted (clicking a column header changes this)
+        this.standingsSort = { key: 'position', ascending: true };
+
+        // The cup shown in the cups panel (null = the first one)
+        this.selectedCupId = null;
+
+        // The past season shown in the history panel (null = the most recent one)
+        this.selectedSeasonId = null;
+
+        // The player search filters, read from the page address so a search can be shared as a link
+        this.playerFilters = PlayerSearch.fromQuery(window.location.search);
+
+        // Every change to the league and cups goes through here, so it can be undone
+        this.history = new CommandHistory(competitions);
+
         this.initializeUI();
     }
 
+    /**
+     * The league division shown on the page
+     * Everything on the page (teams, table, fixtures, transfers) is about this division.
+     * It is looked up every time, so undo and import never leave the page holding an old division.
+     * 
+     * @returns {League} - The chosen division, or the top division if it no longer exists
+     */
+    get league() {
+        return this.competitions.getDivision(this.divisionIndex) || this.competitions.getDivision(0);
+    }
+
     /**
      * Sets up the initial user interface
      * 
@@ -43,6 +123,7 @@ export default class UIManager {
         const app = document.getElementById('app');
         const container = this.createMainContainer();
         app.appendChild(container);
+        document.addEventListener('keydown', event => this.handleKeyDown(event));
     }
 
     /**
@@ -60,8 +141,22 @@ export default class UIManager {
         container.className = 'container';
         
         container.appendChild(this.createTitle());
+        container.appendChild(this.createHistoryBar());
+        container.appendChild(this.createDivisionsPanel());
         container.appendChild(this.createTeamForm());
         container.appendChild(this.createPlayerForm());
+        container.appendChild(this.createDataPanel());
+        container.appendChild(this.createCsvPanel());
+        container.appendChild(this.createResultForm());
+        container.appendChild(this.createStandingsPanel());
+        container.appendChild(this.createProjectionPanel());
+        container.appendChild(this.createLeaderboardsPanel());
+        container.appendChild(this.createFixturesPanel());
+        container.appendChild(this.createResultsPanel());
+        container.appendChild(this.createCupsPanel());
+        container.appendChild(this.createHistoryPanel());
+        container.appendChild(this.createTransfersPanel());
+        container.appendChild(this.createPlayerSearchPanel());
         container.appendChild(this.createTeamsContainer());
         
         return container;
@@ -82,6 +177,91 @@ export default class UIManager {
         return title;
     }
 
+    /**
+     * Creates the undo and redo bar
+     * 
+     * @returns {HTMLElement} - The bar element
+     * 
+     * What this method does:
+     * - Creates an Undo and a Redo button, which are named after the change they will undo or redo
+     * - Creates a line that says what was just undone or redone
+     */
+    createHistoryBar() {
+        const bar = document.createElement('div');
+        bar.className = 'history-bar';
+        
+        const undoButton = document.createElement('button');
+        undoButton.id = 'undo-btn';
+        undoButton.onclick = () => this.handleUndo();
+        
+        const redoButton = document.createElement('button');
+        redoButton.id = 'redo-btn';
+        redoButton.onclick = () => this.handleRedo();
+        
+        const status = document.createElement('span');
+        status.id = 'history-status';
+        status.className = 'history-status';
+        
+        bar.appendChild(undoButton);
+        bar.appendChild(redoButton);
+        bar.appendChild(status);
+        
+        return bar;
+    }
+
+    /**
+     * Creates the divisions panel
+     * 
+     * @returns {HTMLElement} - The divisions panel element
+     * 
+     * What this method does:
+     * - Creates a dropdown to switch between the league divisions (the top division first)
+     * - Creates buttons to add and remove divisions
+     * - Creates an End Season button that shows who goes up and down before moving them
+     * - Creates a Develop Players button (with a seed box) that develops the shown division's players now
+     */
+    createDivisionsPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'form-container divisions-panel';
+        
+        const panelTitle = document.createElement('h2');
+        panelTitle.textContent = 'Divisions';
+        
+        const divisionSelect = document.createElement('select');
+        divisionSelect.id = 'division-select';
+        divisionSelect.onchange = () => this.handleSwitchDivision(Number(divisionSelect.value));
+        
+        const addButton = document.createElement('button');
+        addButton.textContent = 'Add Division';
+        addButton.onclick = () => this.handleAddDivision();
+        
+        const removeButton = document.createElement('button');
+        removeButton.id = 'remove-division-btn';
+        removeButton.className = 'remove-btn';
+        removeButton.textContent = 'Remove Division';
+        removeButton.onclick = () => this.handleRemoveDivision();
+        
+        const endSeasonButton = document.createElement('button');
+        endSeasonButton.textContent = 'End Season';
+        endSeasonButton.onclick = () => this.handleEndSeason();
+        
+        const developSeedInput = this.createSeedInput('develop-seed');
+        
+        const developButton = document.createElement('button');
+        developButton.textContent = 'Develop Players';
+        developButton.onclick = () => this.handleDevelopPlayers();
+        
+        panel.appendChild(panelTitle);
+        panel.appendChild(divisionSelect);
+        panel.appendChild(addButton);
+        panel.appendChild(removeButton);
+        panel.appendChild(endSeasonButton);
+        panel.appendChild(developSeedInput);
+        panel.appendChild(developButton);
+        
+        return panel;
+    }
+
     /**
      * Creates the team form
      * 
@@ -89,7 +269,8 @@ export default class UIManager {
      * 
      * What this method does:
      * - Creates a form where users can add new teams
-     * - Includes an input field and a button
+     * - Includes fields for the name, city, stadium, capacity, founded year, colours and crest
+     * - Has a line for the error when something entered cannot be used
      * - Returns the complete form as an HTML element
      */
     createTeamForm() {
@@ -99,22 +280,206 @@ export default class UIManager {
         const formTitle = document.createElement('h2');
         formTitle.textContent = 'Add New Team';
         
-        const teamInput = document.createElement('input');
-        teamInput.type = 'text';
-        teamInput.id = 'team-name';
-        teamInput.placeholder = 'Team Name';
+        const fields = this.createTeamFields('team');
+        
+        const error = document.createElement('p');
+        error.id = 'team-form-error';
+        error.className = 'form-error';
         
         const addButton = document.createElement('button');
         addButton.textContent = 'Add Team';
         addButton.onclick = () => this.handleAddTeam();
         
         formContainer.appendChild(formTitle);
-        formContainer.appendChild(teamInput);
+        formContainer.appendChild(fields);
+        formContainer.appendChild(error);
         formContainer.appendChild(addButton);
         
         return formContainer;
     }
 
+    /**
+     * Creates the fields for a team's details, used by the add team form and the edit team popup
+     * 
+     * @param {string} prefix - The start of the fields' IDs ('team' for the add form, 'edit-team' for the popup)
+     * @param {Team} [team=null] - The team whose details fill the fields (null for empty fields)
+     * @returns {HTMLElement} - The fields container
+     * 
+     * What this method does:
+     * - Creates labelled fields for the name, city, stadium, stadium capacity and founded year
+     * - Creates colour pickers for the primary and secondary colours
+     * - Creates a file picker for the crest, which is read into an image data URL and previewed,
+     *   with a button to take the crest away again
+     */
+    createTeamFields(prefix, team = null) {
+        const container = document.createElement('div');
+        container.className = 'team-fields';
+        
+        const addField = (field, labelText, type, value, attributes = {}) => {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+            const label = document.createElement('label');
+            label.htmlFor = `${prefix}-${field}`;
+            label.textContent = labelText;
+            const input = document.createElement('input');
+            input.type = type;
+            input.id = `${prefix}-${field}`;
+            Object.entries(attributes).forEach(([name, attributeValue]) => input.setAttribute(name, attributeValue));
+            input.value = value;
+            group.appendChild(label);
+            group.appendChild(input);
+            container.appendChild(group);
+            return group;
+        };
+        const known = value => value === 'Unknown' || value === null ? '' : value;
+        
+        addField('name', 'Name:', 'text', team ? team.name : '', { placeholder: 'Team Name' });
+        addField('city', 'City:', 'text', team ? known(team.city) : '');
+        addField('stadium', 'Stadium:', 'text', team ? known(team.stadium) : '');
+        addField('capacity', 'Stadium capacity:', 'number', team ? known(team.capacity) : '', { min: '0' });
+        addField('founded', 'Founded (year):', 'number', team ? known(team.founded) : '', { min: '1800', max: String(new Date().getFullYear()) });
+        addField('primary-color', 'Primary colour:', 'color', team ? team.primaryColor : DEFAULT_COLORS.primary);
+        addField('secondary-color', 'Secondary colour:', 'color', team ? team.secondaryColor : DEFAULT_COLORS.secondary);
+        
+        const crestGroup = addField('crest', 'Crest image:', 'file', '', { accept: 'image/*' });
+        const crestInput = crestGroup.querySelector('input');
+        const preview = document.createElement('img');
+        preview.id = `${prefix}-crest-preview`;
+        preview.className = 'team-crest';
+        preview.alt = 'Crest';
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.id = `${prefix}-crest-remove`;
+        removeButton.className = 'cancel-btn';
+        removeButton.textContent = 'Remove Crest';
+        const crestError = document.createElement('p');
+        crestError.className = 'form-error';
+        
+        // The preview holds the crest that will be saved; it is hidden when there is none
+        const showCrest = crest => {
+            if (crest) {
+                preview.src = crest;
+            } else {
+                preview.removeAttribute('src');
+            }
+            preview.style.display = crest ? '' : 'none';
+            removeButton.style.display = crest ? '' : 'none';
+        };
+        showCrest(team ? team.crest : null);
+        
+        crestInput.onchange = () => {
+            const file = crestInput.files[0];
+            crestError.textContent = '';
+            if (!file) {
+                return;
+            }
+            if (!file.type.startsWith('image/')) {
+                crestError.textContent = `${file.name} is not an image.`;
+                crestInput.value = '';
+                return;
+            }
+            if (file.size > MAX_CREST_BYTES) {
+                crestError.textContent = `${file.name} is too big: crests can be up to ${MAX_CREST_BYTES / 1024} KB.`;
+                crestInput.value = '';
+                return;
+            }
+            const reader = new FileReader();
+            reader.onload = () => this.shrinkCrest(reader.result, showCrest);
+            reader.readAsDataURL(file);
+        };
+        removeButton.onclick = () => {
+            crestInput.value = '';
+            showCrest(null);
+        };
+        
+        crestGroup.appendChild(preview);
+        crestGroup.appendChild(removeButton);
+        crestGroup.appendChild(crestError);
+        
+        return container;
+    }
+
+    /**
+     * Shrinks an uploaded crest so it takes up little of the browser's storage
+     * 
+     * @param {string} crest - The uploaded image, as a data: URL
+     * @param {Function} onDone - Called with the crest to keep, as a data: URL
+     * 
+     * What this method does:
+     * - Draws the image at most CREST_SIZE pixels wide and high, keeping its shape
+     * - Keeps the drawing as a PNG, so a see-through background stays see-through
+     * - Keeps the upload as it is if it is already small enough, cannot be drawn,
+     *   or the drawing would take up more room than the upload
+     */
+    shrinkCrest(crest, onDone) {
+        const image = new Image();
+        image.onerror = () => onDone(crest);
+        image.onload = () => {
+            const scale = CREST_SIZE / Math.max(image.naturalWidth, image.naturalHeight);
+            const canvas = document.createElement('canvas');
+            const context = canvas.getContext ? canvas.getContext('2d') : null;
+            if (!(scale < 1) || !context) {
+                onDone(crest);
+                return;
+            }
+            canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+            canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+            context.drawImage(image, 0, 0, canvas.width, canvas.height);
+            const shrunk = canvas.toDataURL('image/png');
+            onDone(shrunk.length < crest.length ? shrunk : crest);
+        };
+        image.src = crest;
+    }
+
+    /**
+     * Reads the team fields made by createTeamFields()
+     * 
+     * @param {string} prefix - The start of the fields' IDs
+     * @param {Team} [team=null] - The team being edited (null when adding a team)
+     * @returns {{details: Object|null, error: LeagueError|null}} - The details (see TEAM_DETAILS),
+     *   or the reason they cannot be used
+     */
+    readTeamFields(prefix, team = null) {
+        const value = field => document.getElementById(`${prefix}-${field}`).value.trim();
+        const refuse = (code, message, field) => ({ details: null, error: new LeagueError(code, message, field) });
+        const name = value('name');
+        if (!name) {
+            return refuse(ERROR_CODES.MISSING_FIELD, 'Please enter a team name.', 'name');
+        }
+        // Names are compared without case, so "inter" cannot sit next to "Inter" in a table or a CSV file
+        const clash = this.competitions.divisions
+            .flatMap(league => league.teams)
+            .find(other => other.name.toLowerCase() === name.toLowerCase() && (!team || other.id !== team.id));
+        if (clash) {
+            return refuse(ERROR_CODES.DUPLICATE_TEAM, `There is already a team called ${clash.name}. Please choose another name.`, 'name');
+        }
+
+        const capacity = value('capacity') === '' ? null : Number(value('capacity'));
+        if (capacity !== null && !(Number.isInteger(capacity) && capacity >= 0)) {
+            return refuse(ERROR_CODES.INVALID_VALUE, 'The stadium capacity must be a whole number of 0 or more.', 'capacity');
+        }
+        const thisYear = new Date().getFullYear();
+        const founded = value('founded') === '' ? null : Number(value('founded'));
+        if (founded !== null && !(Number.isInteger(founded) && founded >= 1800 && founded <= thisYear)) {
+            return refuse(ERROR_CODES.INVALID_VALUE, `The founded year must be from 1800 to ${thisYear}.`, 'founded');
+        }
+
+        const preview = document.getElementById(`${prefix}-crest-preview`);
+        return {
+            details: {
+                name,
+                city: value('city') || 'Unknown',
+                stadium: value('stadium') || 'Unknown',
+                capacity,
+                founded,
+                primaryColor: value('primary-color'),
+                secondaryColor: value('secondary-color'),
+                crest: preview.getAttribute('src') || null
+            },
+            error: null
+        };
+    }
+
     /**
      * Creates the player form
      * 
@@ -122,7 +487,8 @@ export default class UIManager {
      * 
      * What this method does:
      * - Creates a form where users can add new players
-     * - Includes fields for name, position, and stats
+     * - Includes fields for name, position, age or date of birth, nationality, jersey number and stats
+     * - Has a line for the error when something entered cannot be used
      * - Returns the complete form as an HTML element
      */
     createPlayerForm() {
@@ -135,254 +501,4153 @@ export default class UIManager {
         const teamSelect = this.createTeamSelect();
         const nameInputs = this.createNameInputs();
         const positionSelect = this.createPositionSelect();
+        const profileInputs = this.createProfileInputs();
         const attributeInputs = this.createAttributeInputs();
+        const error = document.createElement('p');
+        error.id = 'player-form-error';
+        error.className = 'form-error';
         const addButton = this.createAddPlayerButton();
         
         formContainer.appendChild(formTitle);
         formContainer.appendChild(teamSelect);
         formContainer.appendChild(nameInputs);
         formContainer.appendChild(positionSelect);
+        formContainer.appendChild(profileInputs);
         formContainer.appendChild(attributeInputs);
+        formContainer.appendChild(error);
         formContainer.appendChild(addButton);
         
+        // Only the skills that matter for the chosen position are asked for
+        this.showAttributeInputs(attributeInputs, positionSelect.value);
+        positionSelect.onchange = () => this.showAttributeInputs(attributeInputs, positionSelect.value);
+        
         return formContainer;
     }
 
     /**
-     * Creates the teams container
+     * Creates the league data panel
      * 
-     * @returns {HTMLElement} - The teams container element
+     * @returns {HTMLElement} - The data panel element
      * 
      * What this method does:
-     * - Creates a container where all teams will be displayed
-     * - Returns an empty div that will hold team cards
+     * - Creates a button that downloads the whole league as a JSON file
+     * - Creates a file picker and button to import a league JSON file
+     * - Returns the complete panel as an HTML element
      */
-    createTeamsContainer() {
-        const container = document.createElement('div');
-        container.id = 'teams-container';
-        return container;
+    createDataPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'form-container';
+        
+        const panelTitle = document.createElement('h2');
+        panelTitle.textContent = 'League Data';
+        
+        const exportButton = document.createElement('button');
+        exportButton.textContent = 'Export League (JSON)';
+        exportButton.onclick = () => this.handleExportLeague();
+        
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.id = 'league-import-file';
+        fileInput.accept = '.json,application/json';
+        
+        const importButton = document.createElement('button');
+        importButton.textContent = 'Import League (JSON)';
+        importButton.onclick = () => this.handleImportLeague();
+        
+        panel.appendChild(panelTitle);
+        panel.appendChild(exportButton);
+        panel.appendChild(fileInput);
+        panel.appendChild(importButton);
+        
+        return panel;
     }
 
     /**
-     * Creates the team selection dropdown
+     * Creates the CSV roster panel
      * 
-     * @returns {HTMLElement} - The team select element
+     * @returns {HTMLElement} - The CSV panel element
      * 
      * What this method does:
-     * - Creates a dropdown menu to select teams
-     * - Returns a select element that will be filled with team options
+     * - Creates a button that downloads every player in the league as a CSV file
+     * - Creates a team dropdown, file picker and button to import players from a CSV file
+     * - Returns the complete panel as an HTML element
      */
-    createTeamSelect() {
-        const select = document.createElement('select');
-        select.id = 'team-select';
-        return select;
+    createCsvPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'form-container';
+        
+        const panelTitle = document.createElement('h2');
+        panelTitle.textContent = 'Rosters (CSV)';
+        
+        const exportButton = document.createElement('button');
+        exportButton.textContent = 'Export All Players (CSV)';
+        exportButton.onclick = () => this.handleExportLeagueCsv();
+        
+        // Rows are placed by their Team column unless a team is chosen here
+        const teamSelect = document.createElement('select');
+        teamSelect.id = 'csv-team-select';
+        
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.id = 'csv-import-file';
+        fileInput.accept = '.csv,text/csv';
+        
+        const importButton = document.createElement('button');
+        importButton.textContent = 'Import Players (CSV)';
+        importButton.onclick = () => this.handleImportCsv();
+        
+        panel.appendChild(panelTitle);
+        panel.appendChild(exportButton);
+        panel.appendChild(teamSelect);
+        panel.appendChild(fileInput);
+        panel.appendChild(importButton);
+        
+        return panel;
     }
 
     /**
-     * Creates the name input fields
+     * Creates the result entry form
      * 
-     * @returns {HTMLElement} - The name inputs container
+     * @returns {HTMLElement} - The result form element
      * 
      * What this method does:
-     * - Creates input fields for first and last name
-     * - Returns a container with both input fields
+     * - Creates dropdowns to pick the home and away teams
+     * - Creates number inputs for each team's goals
+     * - Creates an editor for the match events (scorers, assists, cards, substitutions)
+     * - Creates a button to record the result and a line for error messages
+     * - Creates a seed box and a button to simulate the match instead
      */
-    createNameInputs() {
-        const container = document.createElement('div');
-        container.className = 'name-inputs';
-
-        const firstNameInput = document.createElement('input');
-        firstNameInput.type = 'text';
-        firstNameInput.id = 'player-first-name';
-        firstNameInput.placeholder = 'First Name';
-        firstNameInput.required = true;
+    createResultForm() {
+        const formContainer = document.createElement('div');
+        formContainer.className = 'form-container';
         
-        const lastNameInput = document.createElement('input');
-        lastNameInput.type = 'text';
-        lastNameInput.id = 'player-last-name';
-        lastNameInput.placeholder = 'Last Name';
-        lastNameInput.required = true;
-
-        container.appendChild(firstNameInput);
-        container.appendChild(lastNameInput);
-
-        return container;
+        const formTitle = document.createElement('h2');
+        formTitle.textContent = 'Record Result';
+        
+        const teamsRow = document.createElement('div');
+        teamsRow.className = 'name-inputs';
+        const homeSelect = document.createElement('select');
+        homeSelect.id = 'result-home-team';
+        homeSelect.onchange = () => this.resultEvents.refresh();
+        const awaySelect = document.createElement('select');
+        awaySelect.id = 'result-away-team';
+        awaySelect.onchange = () => this.resultEvents.refresh();
+        teamsRow.appendChild(homeSelect);
+        teamsRow.appendChild(awaySelect);
+        
+        const goalsRow = document.createElement('div');
+        goalsRow.className = 'attribute-inputs';
+        ['home', 'away'].forEach(side => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.id = `result-${side}-goals`;
+            input.placeholder = `${side.charAt(0).toUpperCase() + side.slice(1)} goals`;
+            input.min = '0';
+            goalsRow.appendChild(input);
+        });
+        
+        // Goals, cards and substitutions for the two chosen teams
+        this.resultEvents = this.createEventsEditor(() => ({
+            home: this.league.getTeam(homeSelect.value),
+            away: this.league.getTeam(awaySelect.value)
+        }));
+        
+        const error = document.createElement('p');
+        error.id = 'result-error';
+        error.className = 'form-error';
+        
+        const recordButton = document.createElement('button');
+        recordButton.textContent = 'Record Result';
+        recordButton.onclick = () => this.handleRecordResult();
+        
+        const seedInput = this.createSeedInput('result-seed');
+        
+        const simulateButton = document.createElement('button');
+        simulateButton.textContent = 'Simulate Match';
+        simulateButton.onclick = () => this.handleSimulateMatch();
+        
+        formContainer.appendChild(formTitle);
+        formContainer.appendChild(teamsRow);
+        formContainer.appendChild(goalsRow);
+        formContainer.appendChild(this.resultEvents.element);
+        formContainer.appendChild(error);
+        formContainer.appendChild(recordButton);
+        formContainer.appendChild(seedInput);
+        formContainer.appendChild(simulateButton);
+        
+        return formContainer;
     }
 
     /**
-     * Creates the position selection dropdown
+     * Creates an editor for match events
      * 
-     * @returns {HTMLElement} - The position select element
+     * @param {Function} getTeams - Gives the current { home, away } Team objects
+     * @param {Array<Object>} [events=[]] - Events to start with (when editing a match)
+     * @returns {{element: HTMLElement, getEvents: Function, refresh: Function, clear: Function}} -
+     *   The editor element, a function that reads the events, one that updates the
+     *   team and player choices after the teams change, and one that removes every event
      * 
      * What this method does:
-     * - Creates a dropdown menu for player positions
-     * - Adds options for Forward, Midfielder, Defender, and Goalkeeper
-     * - Returns the complete select element
+     * - Creates an "Add Event" button that adds a line to the editor
+     * - Each line has the event type, the team, the player, the minute and (for goals)
+     *   the assisting player or (for substitutions) the player coming on
      */
-    createPositionSelect() {
-        const select = document.createElement('select');
-        select.id = 'player-position';
+    createEventsEditor(getTeams, events = []) {
+        const element = document.createElement('div');
+        element.className = 'events-editor';
         
-        const positions = ['Forward', 'Midfielder', 'Defender', 'Goalkeeper'];
-        positions.forEach(position => {
-            const option = document.createElement('option');
-            option.value = position;
-            option.textContent = position;
-            select.appendChild(option);
-        });
+        const rows = document.createElement('div');
+        const eventLabels = {
+            goal: 'Goal',
+            ownGoal: 'Own goal',
+            yellow: 'Yellow card',
+            red: 'Red card',
+            substitution: 'Substitution'
+        };
         
-        return select;
+        const fillSelect = (select, options, selected) => {
+            select.innerHTML = '';
+            options.forEach(({ value, label }) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+            if (options.some(option => option.value === selected)) {
+                select.value = selected;
+            }
+        };
+        
+        // Fills the team and player dropdowns of one line, keeping earlier choices where possible
+        const refreshRow = row => {
+            const { home, away } = getTeams();
+            const sides = [home, away].filter(Boolean);
+            fillSelect(row.teamSelect, sides.map((team, index) => ({
+                value: team.id,
+                label: `${team.name} (${index === 0 ? 'home' : 'away'})`
+            })), row.teamSelect.value || row.initial.team);
+            
+            const team = sides.find(t => t.id === row.teamSelect.value);
+            const players = team ? team.players.map(player => ({ value: player.id, label: this.playerLabel(player) })) : [];
+            const type = row.typeSelect.value;
+            // A goal can be recorded without knowing who scored
+            const scorerOptions = type === 'goal' ? [...players, { value: '', label: 'Unknown scorer' }] : players;
+            fillSelect(row.playerSelect, scorerOptions, row.playerSelect.value || row.initial.player);
+            
+            const extraOptions = type === 'goal' ? [{ value: '', label: 'No assist' }, ...players] : players;
+            fillSelect(row.extraSelect, extraOptions, row.extraSelect.value || row.initial.extra);
+            row.extraSelect.style.display = type === 'goal' || type === 'substitution' ? '' : 'none';
+            row.extraSelect.title = type === 'goal' ? 'Assist' : 'Player coming on';
+            row.initial = {};
+        };
+        
+        const addRow = (event = {}) => {
+            const row = document.createElement('div');
+            row.className = 'event-row';
+            row.initial = {
+                team: event.team,
+                player: event.type === 'goal' && event.player === null ? '' : event.player,
+                extra: event.type === 'substitution' ? event.playerIn : (event.assist || '')
+            };
+            
+            row.typeSelect = document.createElement('select');
+            fillSelect(row.typeSelect, Object.keys(eventLabels).map(type => ({ value: type, label: eventLabels[type] })), event.type);
+            row.teamSelect = document.createElement('select');
+            row.playerSelect = document.createElement('select');
+            row.extraSelect = document.createElement('select');
+            
+            row.minuteInput = document.createElement('input');
+            row.minuteInput.type = 'number';
+            row.minuteInput.min = '1';
+            row.minuteInput.max = '120';
+            row.minuteInput.placeholder = 'Min';
+            row.minuteInput.value = event.minute || '';
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'remove-btn';
+            removeBtn.textContent = 'X';
+            removeBtn.onclick = () => rows.removeChild(row);
+            
+            row.typeSelect.onchange = () => refreshRow(row);
+            row.teamSelect.onchange = () => refreshRow(row);
+            
+            [row.typeSelect, row.teamSelect, row.playerSelect, row.extraSelect, row.minuteInput, removeBtn]
+                .forEach(child => row.appendChild(child));
+            rows.appendChild(row);
+            refreshRow(row);
+        };
+        
+        const addButton = document.createElement('button');
+        addButton.className = 'edit-btn';
+        addButton.textContent = 'Add Event';
+        addButton.onclick = () => addRow();
+        
+        element.appendChild(rows);
+        element.appendChild(addButton);
+        events.forEach(addRow);
+        
+        return {
+            element,
+            getEvents: () => [...rows.children].map(row => {
+                const event = {
+                    type: row.typeSelect.value,
+                    team: row.teamSelect.value,
+                    player: row.playerSelect.value || (row.typeSelect.value === 'goal' ? null : ''),
+                    minute: Number(row.minuteInput.value)
+                };
+                if (event.type === 'goal' && row.extraSelect.value) {
+                    event.assist = row.extraSelect.value;
+                }
+                if (event.type === 'substitution') {
+                    event.playerIn = row.extraSelect.value;
+                }
+                return event;
+            }),
+            refresh: () => [...rows.children].forEach(refreshRow),
+            clear: () => {
+                rows.innerHTML = '';
+            }
+        };
     }
 
     /**
-     * Creates the attribute input fields
+     * Creates the leaderboards panel
      * 
-     * @returns {HTMLElement} - The attribute inputs container
+     * @returns {HTMLElement} - The leaderboards panel element
      * 
      * What this method does:
-     * - Creates number input fields for player attributes
-     * - Sets up fields for pace, shooting, and passing
-     * - Returns a container with all attribute inputs
+     * - Creates an empty container that will hold the top scorers,
+     *   top assists and discipline tables
      */
-    createAttributeInputs() {
-        const container = document.createElement('div');
-        container.className = 'attribute-inputs';
+    createLeaderboardsPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'form-container';
         
-        const attributes = ['pace', 'shooting', 'passing'];
-        attributes.forEach(attr => {
-            const input = document.createElement('input');
-            input.type = 'number';
-            input.id = `player-${attr}`;
-            input.placeholder = `${attr.charAt(0).toUpperCase() + attr.slice(1)} (1-10)`;
-            input.min = '1';
-            input.max = '10';
-            container.appendChild(input);
-        });
+        const panelTitle = document.createElement('h2');
+        panelTitle.textContent = 'Leaderboards';
         
-        return container;
+        const rules = document.createElement('p');
+        rules.id = 'discipline-rules';
+        rules.className = 'tiebreak-chain';
+        
+        const rulesButton = document.createElement('button');
+        rulesButton.textContent = 'Edit Discipline Rules';
+        rulesButton.onclick = () => this.handleEditDisciplineRules();
+        
+        const boards = document.createElement('div');
+        boards.id = 'leaderboards';
+        boards.className = 'leaderboards';
+        
+        panel.appendChild(panelTitle);
+        panel.appendChild(rules);
+        panel.appendChild(rulesButton);
+        panel.appendChild(boards);
+        
+        return panel;
     }
 
     /**
-     * Creates the add player button
+     * Creates the standings panel
      * 
-     * @returns {HTMLElement} - The add player button
+     * @returns {HTMLElement} - The standings panel element
      * 
      * What this method does:
-     * - Creates a button to add new players
-     * - Sets up the click handler
-     * - Returns the button element
+     * - Creates a dropdown to choose the tiebreak rules (e.g. Premier League or Serie A)
+     * - Creates a line that lists the tiebreakers in use
+     * - Creates an empty container that will hold the league table
      */
-    createAddPlayerButton() {
-        const button = document.createElement('button');
-        button.textContent = 'Add Player';
-        button.onclick = () => this.handleAddPlayer();
-        return button;
+    createStandingsPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'form-container';
+        
+        const panelTitle = document.createElement('h2');
+        panelTitle.textContent = 'Standings';
+        
+        const presetSelect = document.createElement('select');
+        presetSelect.id = 'tiebreak-preset';
+        Object.keys(TIEBREAK_PRESETS).forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset;
+            option.textContent = `${preset} tiebreakers`;
+            presetSelect.appendChild(option);
+        });
+        presetSelect.onchange = () => {
+            this.perform(
+                `Use ${presetSelect.value} tiebreakers`,
+                () => this.league.setTiebreakers(TIEBREAK_PRESETS[presetSelect.value])
+            );
+        };
+        
+        const chain = document.createElement('p');
+        chain.id = 'tiebreak-chain';
+        chain.className = 'tiebreak-chain';
+        
+        const table = document.createElement('div');
+        table.id = 'standings-table';
+        
+        const zonesButton = document.createElement('button');
+        zonesButton.textContent = 'Edit Zones';
+        zonesButton.onclick = () => this.handleEditZones();
+        
+        panel.appendChild(panelTitle);
+        panel.appendChild(presetSelect);
+        panel.appendChild(chain);
+        panel.appendChild(table);
+        panel.appendChild(zonesButton);
+        
+        return panel;
     }
 
     /**
-     * Handles adding a new team
+     * Creates the season projection panel
+     * 
+     * @returns {HTMLElement} - The projection panel element
      * 
      * What this method does:
-     * - Gets the team name from the input field
-     * - Creates a new team and adds it to the league
-     * - Updates the display to show the new team
+     * - Creates a dropdown to choose how many seasons to simulate
+     * - Creates a button to run the projection and a line that shows its progress
+     * - Creates an empty area for the table of chances
      */
-    handleAddTeam() {
-        const teamNameInput = document.getElementById('team-name');
-        const teamName = teamNameInput.value.trim();
+    createProjectionPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'form-container';
         
-        if (teamName) {
-            this.league.addTeam(new Team(teamName));
-            teamNameInput.value = '';
-            this.updateDisplay();
-        }
-    }
-
-    /**
-     * Handles adding a new player
-     * 
+        const panelTitle = document.createElement('h2');
+        panelTitle.textContent = 'Season Projection';
+        
+        const iterationsSelect = document.createElement('select');
+        iterationsSelect.id = 'projection-iterations';
+        [1000, 5000, 10000].forEach(iterations => {
+            const option = document.createElement('option');
+            option.value = String(iterations);
+            option.textContent = `${iterations.toLocaleString('en-GB')} simulated seasons`;
+            iterationsSelect.appendChild(option);
+        });
+        iterationsSelect.value = '5000';
+        
+        const runButton = document.createElement('button');
+        runButton.textContent = 'Run Projection';
+        runButton.onclick = () => this.handleRunProjection();
+        
+        const status = document.createElement('p');
+        status.id = 'projection-status';
+        status.className = 'tiebreak-chain';
+        
+        const error = document.createElement('p');
+        error.id = 'projection-error';
+        error.className = 'form-error';
+        
+        const table = document.createElement('div');
+        table.id = 'projection-table';
+        
+        panel.appendChild(panelTitle);
+        panel.appendChild(iterationsSelect);
+        panel.appendChild(runButton);
+        panel.appendChild(error);
+        panel.appendChild(status);
+        panel.appendChild(table);
+        
+        return panel;
+    }
+
+    /**
+     * Creates the fixtures panel
+     * 
+     * @returns {HTMLElement} - The fixtures panel element
+     * 
+     * What this method does:
+     * - Creates a dropdown to choose a single or double round-robin
+     * - Creates a button to generate the fixture schedule
+     * - Creates a seed box and a button to simulate the next matchday
+     * - Creates an empty list that will show every matchday
+     */
+    createFixturesPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'form-container';
+        
+        const panelTitle = document.createElement('h2');
+        panelTitle.textContent = 'Fixtures';
+        
+        const formatSelect = document.createElement('select');
+        formatSelect.id = 'fixtures-format';
+        [
+            { value: 'single', label: 'Single round-robin (play each team once)' },
+            { value: 'double', label: 'Double round-robin (home and away)' }
+        ].forEach(format => {
+            const option = document.createElement('option');
+            option.value = format.value;
+            option.textContent = format.label;
+            formatSelect.appendChild(option);
+        });
+        
+        const generateButton = document.createElement('button');
+        generateButton.textContent = 'Generate Fixtures';
+        generateButton.onclick = () => this.handleGenerateFixtures();
+        
+        const seedInput = this.createSeedInput('fixtures-seed');
+        
+        const simulateButton = document.createElement('button');
+        simulateButton.textContent = 'Simulate Next Matchday';
+        simulateButton.onclick = () => this.handleSimulateMatchday();
+        
+        const list = document.createElement('div');
+        list.id = 'fixtures-list';
+        
+        panel.appendChild(panelTitle);
+        panel.appendChild(formatSelect);
+        panel.appendChild(generateButton);
+        panel.appendChild(seedInput);
+        panel.appendChild(simulateButton);
+        panel.appendChild(list);
+        
+        return panel;
+    }
+
+    /**
+     * Creates the transfers panel
+     * 
+     * @returns {HTMLElement} - The transfers panel element
+     * 
+     * What this method does:
+     * - Creates a date box for the last day of the season (when loans end)
+     * - Creates a line saying whether the transfer window is open, and a button to edit the windows
+     * - Creates an empty list that will show the transfer register
+     */
+    createTransfersPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'form-container';
+        
+        const panelTitle = document.createElement('h2');
+        panelTitle.textContent = 'Transfers';
+        
+        const seasonEndLabel = document.createElement('label');
+        seasonEndLabel.htmlFor = 'season-end';
+        seasonEndLabel.textContent = 'Season ends (loans return): ';
+        const seasonEndInput = document.createElement('input');
+        seasonEndInput.type = 'date';
+        seasonEndInput.id = 'season-end';
+        seasonEndInput.onchange = () => {
+            const seasonEnd = seasonEndInput.value || null;
+            this.perform(
+                seasonEnd ? `Set the season end to ${seasonEnd}` : 'Clear the season end',
+                () => this.league.setSeasonEnd(seasonEnd)
+            );
+        };
+        seasonEndLabel.appendChild(seasonEndInput);
+        
+        const status = document.createElement('p');
+        status.id = 'transfer-window-status';
+        status.className = 'tiebreak-chain';
+        
+        const windowsButton = document.createElement('button');
+        windowsButton.textContent = 'Edit Transfer Windows';
+        windowsButton.onclick = () => this.handleEditTransferWindows();
+        
+        const list = document.createElement('div');
+        list.id = 'transfers-list';
+        
+        panel.appendChild(panelTitle);
+        panel.appendChild(seasonEndLabel);
+        panel.appendChild(status);
+        panel.appendChild(windowsButton);
+        panel.appendChild(list);
+        
+        return panel;
+    }
+
+    /**
+     * Creates a text box for a simulation seed
+     * 
+     * @param {string} id - The ID to give the box
+     * @returns {HTMLInputElement} - The seed box
+     */
+    createSeedInput(id) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.id = id;
+        input.className = 'seed-input';
+        input.placeholder = 'Seed (optional, for repeatable results)';
+        return input;
+    }
+
+    /**
+     * Reads a seed box, making up a new seed when it is empty
+     * Whole numbers stay numbers, so "42" and 42 give the same results
+     * 
+     * @param {string} id - The ID of the seed box
+     * @returns {number|string} - The seed to simulate with
+     */
+    readSeed(id) {
+        const text = document.getElementById(id).value.trim();
+        if (text === '') {
+            return SeededRandom.createSeed();
+        }
+        return /^\d+$/.test(text) ? Number(text) : text;
+    }
+
+    /**
+     * Creates the results panel
+     * 
+     * @returns {HTMLElement} - The results panel element
+     * 
+     * What this method does:
+     * - Creates an empty list that will show every recorded match,
+     *   each with buttons to correct or delete it
+     */
+    createResultsPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'form-container';
+        
+        const panelTitle = document.createElement('h2');
+        panelTitle.textContent = 'Results';
+        
+        const list = document.createElement('div');
+        list.id = 'results-list';
+        
+        panel.appendChild(panelTitle);
+        panel.appendChild(list);
+        
+        return panel;
+    }
+
+    /**
+     * Creates the cups panel
+     * 
+     * @returns {HTMLElement} - The cups panel element
+     * 
+     * What this method does:
+     * - Creates a dropdown to choose which cup to show
+     * - Creates buttons to create a cup, simulate its next round and delete it
+     * - Creates an empty area that will show the chosen cup's bracket
+     */
+    createCupsPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'form-container';
+        
+        const panelTitle = document.createElement('h2');
+        panelTitle.textContent = 'Cups';
+        
+        const cupSelect = document.createElement('select');
+        cupSelect.id = 'cup-select';
+        cupSelect.onchange = () => {
+            this.selectedCupId = cupSelect.value;
+            this.displayCups();
+        };
+        
+        const createButton = document.createElement('button');
+        createButton.textContent = 'Create Cup';
+        createButton.onclick = () => this.handleCreateCup();
+        
+        const seedInput = this.createSeedInput('cup-seed');
+        
+        const simulateButton = document.createElement('button');
+        simulateButton.textContent = 'Simulate Next Round';
+        simulateButton.onclick = () => this.handleSimulateCupRound();
+        
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'remove-btn';
+        deleteButton.textContent = 'Delete Cup';
+        deleteButton.onclick = () => this.handleDeleteCup();
+        
+        const bracket = document.createElement('div');
+        bracket.id = 'cup-bracket';
+        
+        panel.appendChild(panelTitle);
+        panel.appendChild(cupSelect);
+        panel.appendChild(createButton);
+        panel.appendChild(seedInput);
+        panel.appendChild(simulateButton);
+        panel.appendChild(deleteButton);
+        panel.appendChild(bracket);
+        
+        return panel;
+    }
+
+    /**
+     * Creates the season history panel
+     * 
+     * @returns {HTMLElement} - The history panel element
+     * 
+     * What this method does:
+     * - Creates a dropdown of the finished seasons
+     * - Creates an area for the chosen season's tables, results and cards
+     * - Creates an area for the all-time records
+     */
+    createHistoryPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'form-container';
+        
+        const panelTitle = document.createElement('h2');
+        panelTitle.textContent = 'Season History';
+        
+        const seasonSelect = document.createElement('select');
+        seasonSelect.id = 'history-season-select';
+        seasonSelect.onchange = () => {
+            this.selectedSeasonId = seasonSelect.value;
+            this.displaySeasonHistory();
+        };
+        
+        const season = document.createElement('div');
+        season.id = 'season-history';
+        
+        const records = document.createElement('div');
+        records.id = 'all-time-records';
+        records.className = 'all-time-records';
+        
+        panel.appendChild(panelTitle);
+        panel.appendChild(seasonSelect);
+        panel.appendChild(season);
+        panel.appendChild(records);
+        
+        return panel;
+    }
+
+    /**
+     * Creates the player search panel
+     * 
+     * @returns {HTMLElement} - The player search panel element
+     * 
+     * What this method does:
+     * - Creates a search box for player names
+     * - Creates filters for position, nationality, team, age, overall rating, injuries and suspensions
+     * - Creates a button that clears every filter
+     * - Creates an empty container that will hold the table of matching players
+     */
+    createPlayerSearchPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'form-container';
+        
+        const panelTitle = document.createElement('h2');
+        panelTitle.textContent = 'Player Search';
+        
+        const filters = document.createElement('div');
+        filters.className = 'search-filters';
+        
+        const nameInput = document.createElement('input');
+        nameInput.type = 'search';
+        nameInput.id = 'search-name';
+        nameInput.placeholder = 'Search players by name';
+        nameInput.oninput = () => this.handlePlayerSearch();
+        filters.appendChild(nameInput);
+        
+        // Dropdowns: the first option lets every player through
+        const addSelect = (id, anyLabel, choices = []) => {
+            const select = document.createElement('select');
+            select.id = id;
+            [['', anyLabel], ...choices].forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+            select.onchange = () => this.handlePlayerSearch();
+            filters.appendChild(select);
+        };
+        addSelect('search-position', 'Any position', POSITIONS.map(position => [position, position]));
+        addSelect('search-nationality', 'Any nationality');
+        addSelect('search-team', 'Any team');
+        addSelect('search-injured', 'Injured or fit', [['yes', 'Injured only'], ['no', 'Fit only']]);
+        addSelect('search-suspended', 'Suspended or not', [['yes', 'Suspended only'], ['no', 'Available only']]);
+        
+        // Number boxes: left empty, they set no limit
+        [
+            { id: 'search-min-age', placeholder: 'Min age', min: 0 },
+            { id: 'search-max-age', placeholder: 'Max age', min: 0 },
+            { id: 'search-min-overall', placeholder: 'Min overall', min: 1, max: 10 },
+            { id: 'search-max-overall', placeholder: 'Max overall', min: 1, max: 10 }
+        ].forEach(({ id, placeholder, min, max }) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.id = id;
+            input.placeholder = placeholder;
+            input.min = String(min);
+            if (max) {
+                input.max = String(max);
+            }
+            input.oninput = () => this.handlePlayerSearch();
+            filters.appendChild(input);
+        });
+        
+        const clearButton = document.createElement('button');
+        clearButton.textContent = 'Clear Filters';
+        clearButton.onclick = () => {
+            this.playerFilters = { ...DEFAULT_FILTERS };
+            this.updateSearchAddress();
+            this.displayPlayerSearch();
+        };
+        filters.appendChild(clearButton);
+        
+        const summary = document.createElement('p');
+        summary.id = 'search-summary';
+        summary.className = 'tiebreak-chain';
+        
+        const results = document.createElement('div');
+        results.id = 'player-search-results';
+        
+        panel.appendChild(panelTitle);
+        panel.appendChild(filters);
+        panel.appendChild(summary);
+        panel.appendChild(results);
+        
+        return panel;
+    }
+
+    /**
+     * Creates the teams container
+     * 
+     * @returns {HTMLElement} - The teams container element
+     * 
+     * What this method does:
+     * - Creates a container where all teams will be displayed
+     * - Returns an empty div that will hold team cards
+     */
+    createTeamsContainer() {
+        const container = document.createElement('div');
+        container.id = 'teams-container';
+        return container;
+    }
+
+    /**
+     * Creates the team selection dropdown
+     * 
+     * @returns {HTMLElement} - The team select element
+     * 
+     * What this method does:
+     * - Creates a dropdown menu to select teams
+     * - Returns a select element that will be filled with team options
+     */
+    createTeamSelect() {
+        const select = document.createElement('select');
+        select.id = 'team-select';
+        return select;
+    }
+
+    /**
+     * Creates the name input fields
+     * 
+     * @returns {HTMLElement} - The name inputs container
+     * 
+     * What this method does:
+     * - Creates input fields for first and last name
+     * - Returns a container with both input fields
+     */
+    createNameInputs() {
+        const container = document.createElement('div');
+        container.className = 'name-inputs';
+
+        const firstNameInput = document.createElement('input');
+        firstNameInput.type = 'text';
+        firstNameInput.id = 'player-first-name';
+        firstNameInput.placeholder = 'First Name';
+        firstNameInput.required = true;
+        
+        const lastNameInput = document.createElement('input');
+        lastNameInput.type = 'text';
+        lastNameInput.id = 'player-last-name';
+        lastNameInput.placeholder = 'Last Name';
+        lastNameInput.required = true;
+
+        container.appendChild(firstNameInput);
+        container.appendChild(lastNameInput);
+
+        return container;
+    }
+
+    /**
+     * Creates the position selection dropdown
+     * 
+     * @returns {HTMLElement} - The position select element
+     * 
+     * What this method does:
+     * - Creates a dropdown menu for player positions
+     * - Adds options for Forward, Midfielder, Defender, and Goalkeeper
+     * - Returns the complete select element
+     */
+    createPositionSelect() {
+        const select = document.createElement('select');
+        select.id = 'player-position';
+        
+        POSITIONS.forEach(position => {
+            const option = document.createElement('option');
+            option.value = position;
+            option.textContent = position;
+            select.appendChild(option);
+        });
+        
+        return select;
+    }
+
+    /**
+     * Creates the age, date of birth, nationality and jersey number fields of the add player form
+     * 
+     * @returns {HTMLElement} - The profile inputs container
+     * 
+     * What this method does:
+     * - Creates a number field for the age, and a date field for the date of birth
+     *   (when a date of birth is given, the age is worked out from it)
+     * - Creates a dropdown of countries for the nationality
+     * - Creates a number field for the jersey number (left empty, the player gets no number yet)
+     */
+    createProfileInputs() {
+        const container = document.createElement('div');
+        container.className = 'profile-inputs';
+        
+        const ageInput = document.createElement('input');
+        ageInput.type = 'number';
+        ageInput.id = 'player-age';
+        ageInput.placeholder = 'Age (default 25)';
+        ageInput.min = '10';
+        ageInput.max = '60';
+        
+        const birthLabel = document.createElement('label');
+        birthLabel.htmlFor = 'player-date-of-birth';
+        birthLabel.textContent = 'or born on ';
+        const birthInput = document.createElement('input');
+        birthInput.type = 'date';
+        birthInput.id = 'player-date-of-birth';
+        birthLabel.appendChild(birthInput);
+        
+        const nationalitySelect = document.createElement('select');
+        nationalitySelect.id = 'player-nationality';
+        this.fillCountryOptions(nationalitySelect, 'Unknown');
+        
+        const jerseyInput = document.createElement('input');
+        jerseyInput.type = 'number';
+        jerseyInput.id = 'player-jersey-number';
+        jerseyInput.placeholder = 'Jersey number (1-99)';
+        jerseyInput.min = '1';
+        jerseyInput.max = '99';
+        
+        container.appendChild(ageInput);
+        container.appendChild(birthLabel);
+        container.appendChild(nationalitySelect);
+        container.appendChild(jerseyInput);
+        
+        return container;
+    }
+
+    /**
+     * Fills a nationality dropdown with the country list
+     * 
+     * @param {HTMLSelectElement} select - The dropdown
+     * @param {string} current - The nationality to select; it is added to the list if it is not
+     *   a listed country (e.g. one typed into an imported CSV file)
+     */
+    fillCountryOptions(select, current) {
+        const countries = ['Unknown', ...COUNTRIES];
+        if (!countries.includes(current)) {
+            countries.push(current);
+        }
+        countries.forEach(country => {
+            const option = document.createElement('option');
+            option.value = country;
+            option.textContent = country;
+            select.appendChild(option);
+        });
+        select.value = current;
+    }
+
+    /**
+     * Reads the age, date of birth, nationality and jersey number fields of a player form
+     * 
+     * @param {string} prefix - The start of the fields' IDs ('player' for the add form, 'edit' for the edit form)
+     * @param {Team} team - The team the player is joining or playing for (jersey numbers are unique in it)
+     * @param {Player} [player=null] - The player being edited (null when adding a player)
+     * @returns {{profile: Object|null, error: LeagueError|null}} - The details
+     *   ({ age, dateOfBirth, nationality, jerseyNumber }), or the reason they cannot be used
+     */
+    readProfileInputs(prefix, team, player = null) {
+        const value = field => document.getElementById(`${prefix}-${field}`).value.trim();
+        const refuse = (code, message, field) => ({ profile: null, error: new LeagueError(code, message, field) });
+        const dateOfBirth = value('date-of-birth') || null;
+        const ageText = value('age');
+        const jerseyText = value('jersey-number');
+
+        let age = ageText === '' ? (player ? player.age : 25) : Number(ageText);
+        if (dateOfBirth) {
+            const today = League.formatDate();
+            if (dateOfBirth > today) {
+                return refuse(ERROR_CODES.INVALID_VALUE, 'The date of birth cannot be in the future.', 'dateOfBirth');
+            }
+            age = Player.ageOn(dateOfBirth, today);
+        }
+        if (!Number.isInteger(age) || age < 10 || age > 60) {
+            return refuse(
+                ERROR_CODES.INVALID_VALUE,
+                `The age must be a whole number from 10 to 60${dateOfBirth ? ` (that date of birth makes the player ${age})` : ''}.`,
+                dateOfBirth ? 'dateOfBirth' : 'age'
+            );
+        }
+
+        const jerseyNumber = jerseyText === '' ? 0 : Number(jerseyText);
+        if (!Number.isInteger(jerseyNumber) || jerseyNumber < 0 || jerseyNumber > 99) {
+            return refuse(ERROR_CODES.INVALID_VALUE, 'The jersey number must be a whole number from 1 to 99 (or left empty).', 'jerseyNumber');
+        }
+        const holder = team.getPlayerByNumber(jerseyNumber, player ? player.id : null);
+        if (holder) {
+            return refuse(
+                ERROR_CODES.DUPLICATE_JERSEY,
+                `Jersey number ${jerseyNumber} is already worn by ${holder.name} at ${team.name}. Please choose another number.`,
+                'jerseyNumber'
+            );
+        }
+
+        return {
+            profile: { age, dateOfBirth, nationality: value('nationality'), jerseyNumber },
+            error: null
+        };
+    }
+
+    /**
+     * Creates the attribute input fields
+     * 
+     * @returns {HTMLElement} - The attribute inputs container
+     * 
+     * What this method does:
+     * - Creates number input fields for player attributes
+     * - Sets up fields for pace, shooting, passing, defending, physical and goalkeeping
+     * - Returns a container with all attribute inputs
+     */
+    createAttributeInputs() {
+        const container = document.createElement('div');
+        container.className = 'attribute-inputs';
+        
+        ATTRIBUTES.forEach(attr => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.id = `player-${attr}`;
+            input.dataset.attribute = attr;
+            input.placeholder = `${this.attributeLabel(attr)} (1-10)`;
+            input.min = '1';
+            input.max = '10';
+            container.appendChild(input);
+        });
+        
+        return container;
+    }
+
+    /**
+     * Shows only the attribute inputs that matter for a position
+     * 
+     * @param {HTMLElement} container - The element holding the attribute inputs
+     * @param {string} position - The chosen position
+     * 
+     * What this method does:
+     * - Shows the inputs (or, in the edit form, the rows) marked with a skill that counts
+     *   towards the position's overall rating
+     * - Hides the others (e.g. goalkeeping for a forward); those skills get a default
+     */
+    showAttributeInputs(container, position) {
+        const relevant = Player.getRelevantAttributes(position);
+        container.querySelectorAll('[data-attribute]').forEach(element => {
+            element.style.display = relevant.includes(element.dataset.attribute) ? '' : 'none';
+        });
+    }
+
+    /**
+     * Turns a skill name into a label
+     * 
+     * @param {string} attribute - The skill (e.g. 'goalkeeping')
+     * @returns {string} - The label (e.g. 'Goalkeeping')
+     */
+    attributeLabel(attribute) {
+        return attribute.charAt(0).toUpperCase() + attribute.slice(1);
+    }
+
+    /**
+     * Creates the add player button
+     * 
+     * @returns {HTMLElement} - The add player button
+     * 
+     * What this method does:
+     * - Creates a button to add new players
+     * - Sets up the click handler
+     * - Returns the button element
+     */
+    createAddPlayerButton() {
+        const button = document.createElement('button');
+        button.textContent = 'Add Player';
+        button.onclick = () => this.handleAddPlayer();
+        return button;
+    }
+
+    /**
+     * Handles adding a new team
+     * 
+     * What this method does:
+     * - Gets the team's details from the form
+     * - Shows an error next to the field instead if they cannot be used (e.g. the name is taken)
+     * - Creates a new team and adds it to the league
+     * - Clears the form and updates the display to show the new team
+     */
+    handleAddTeam() {
+        const form = { prefix: 'team', error: document.getElementById('team-form-error') };
+        const { details, error: detailsError } = this.readTeamFields('team');
+        if (!details) {
+            this.showFormError(form.prefix, form.error, detailsError);
+            return;
+        }
+        this.clearFormErrors(form.error);
+
+        const team = new Team(details.name);
+        team.updateDetails(details);
+        if (!this.perform(`Add team ${team.name}`, () => this.league.addTeam(team), form)) {
+            return;
+        }
+
+        ['name', 'city', 'stadium', 'capacity', 'founded'].forEach(field => {
+            document.getElementById(`team-${field}`).value = '';
+        });
+        document.getElementById('team-primary-color').value = DEFAULT_COLORS.primary;
+        document.getElementById('team-secondary-color').value = DEFAULT_COLORS.secondary;
+        document.getElementById('team-crest-remove').click();
+    }
+
+    /**
+     * Handles adding a new player
+     * 
+     * What this method does:
+     * - Gets all player information from the form
+     * - Shows an error next to the field instead if something is missing or cannot be used
+     *   (e.g. an empty name, a rating of 11 or a number already worn by a teammate)
+     * - Creates a new player and adds it to the selected team
+     * - Clears the form and updates the display to show the new player
+     */
+    handleAddPlayer() {
+        const form = { prefix: 'player', error: document.getElementById('player-form-error') };
+        const selectedTeam = this.league.getTeam(document.getElementById('team-select').value);
+        const firstName = document.getElementById('player-first-name').value.trim();
+        const lastName = document.getElementById('player-last-name').value.trim();
+        const position = document.getElementById('player-position').value;
+
+        // Only the skills shown for the position are needed; the rest get defaults
+        const ratings = {};
+        Player.getRelevantAttributes(position).forEach(attr => {
+            const text = document.getElementById(`player-${attr}`).value.trim();
+            ratings[attr] = text === '' ? NaN : Number(text);
+        });
+
+        let problem = null;
+        let profile = null;
+        if (!selectedTeam) {
+            problem = new LeagueError(ERROR_CODES.TEAM_NOT_FOUND, 'Please add a team before adding players.');
+        } else if (!firstName) {
+            problem = new LeagueError(ERROR_CODES.MISSING_FIELD, 'Please enter a first name.', 'firstName');
+        } else if (!lastName) {
+            problem = new LeagueError(ERROR_CODES.MISSING_FIELD, 'Please enter a last name.', 'lastName');
+        } else {
+            problem = Player.checkRatings(ratings);
+        }
+        if (!problem) {
+            const read = this.readProfileInputs('player', selectedTeam);
+            profile = read.profile;
+            problem = read.error;
+        }
+        if (problem) {
+            this.showFormError(form.prefix, form.error, problem);
+            return;
+        }
+        this.clearFormErrors(form.error);
+
+        const fullName = `${firstName} ${lastName}`;
+        const newPlayer = new Player(
+            fullName, position, ratings.pace, ratings.shooting, ratings.passing,
+            profile.age, profile.nationality, profile.jerseyNumber, ratings
+        );
+        newPlayer.setDateOfBirth(profile.dateOfBirth, League.formatDate());
+        if (!this.perform(`Add player ${fullName} to ${selectedTeam.name}`, () => selectedTeam.addPlayer(newPlayer), form)) {
+            return;
+        }
+
+        // Clear form fields (the nationality is kept, as squads are often added country by country)
+        ['first-name', 'last-name', 'age', 'date-of-birth', 'jersey-number', ...ATTRIBUTES].forEach(field => {
+            document.getElementById(`player-${field}`).value = '';
+        });
+    }
+
+    /**
+     * Handles exporting the league
+     * 
+     * What this method does:
+     * - Turns every division (teams, players, matches, details), the cups and past seasons into JSON
+     * - Makes the browser download it as a file named after the top division
+     */
+    handleExportLeague() {
+        const exporter = this.storage || new StorageManager();
+        const fileName = `${this.competitions.getDivision(0).name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.json`;
+        this.downloadFile(fileName, exporter.exportLeague(this.competitions), 'application/json');
+    }
+
+    /**
+     * Handles importing a league file
+     * 
+     * What this method does:
+     * - Reads the JSON file chosen in the file picker
+     * - Checks it for problems and lists them if there are any (nothing is changed)
+     * - Otherwise asks whether to replace the current divisions (with the cups and past seasons)
+     *   or merge the teams of every imported division into the division shown
+     * - Either way, brings everything up to today (ended loans and injuries)
+     */
+    handleImportLeague() {
+        const fileInput = document.getElementById('league-import-file');
+        const file = fileInput.files[0];
+        if (!file) {
+            this.showMessage('Import League', ['Choose a league JSON file first.']);
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            const importer = this.storage || new StorageManager();
+            const { divisions, cups, seasons, errors } = importer.parseImport(reader.result);
+            fileInput.value = '';
+
+            if (errors.length > 0) {
+                this.showMessage(`Cannot import ${file.name}`, errors);
+                return;
+            }
+
+            const teamCount = divisions.reduce((sum, league) => sum + league.teams.length, 0);
+            const matchCount = divisions.reduce((sum, league) => sum + league.matches.length, 0);
+            const divisionText = divisions.length > 1 ? ` in ${divisions.length} divisions` : '';
+            this.showChoice(
+                'Import League',
+                `"${divisions[0].name}" has ${teamCount} teams${divisionText} and ${matchCount} matches. Replace the current league, or add its teams to it?`,
+                [
+                    {
+                        label: 'Replace',
+                        onClick: () => {
+                            this.perform(
+                                `Replace the league with ${file.name}`,
+                                () => {
+                                    this.competitions.replaceWith(new Competitions(divisions, cups, seasons));
+                                    this.competitions.catchUp();
+                                }
+                            );
+                        }
+                    },
+                    {
+                        label: 'Merge Teams',
+                        onClick: () => {
+                            const report = this.perform(
+                                `Merge the teams of ${file.name}`,
+                                () => {
+                                    const merged = this.competitions.mergeTeams(this.league, divisions);
+                                    // The file may be older than today, so injuries that have ended since are ended
+                                    this.competitions.catchUp();
+                                    return merged;
+                                }
+                            );
+                            if (!report) {
+                                return;
+                            }
+                            const { added, skipped } = report;
+                            const summary = [`Added ${added.length} team(s)${added.length ? `: ${added.join(', ')}` : ''}`];
+                            if (skipped.length > 0) {
+                                summary.push(`Skipped ${skipped.length} team(s) that already exist: ${skipped.join(', ')}`);
+                            }
+                            this.showMessage('Merge complete', summary);
+                        }
+                    }
+                ]
+            );
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Handles exporting every player in the league as CSV
+     */
+    handleExportLeagueCsv() {
+        this.downloadFile('players.csv', RosterCsv.exportLeague(this.league), 'text/csv');
+    }
+
+    /**
+     * Handles exporting one team's players as CSV
+     * 
+     * @param {Team} team - The team to export
+     */
+    handleExportTeamCsv(team) {
+        const fileName = `${team.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-players.csv`;
+        this.downloadFile(fileName, RosterCsv.exportTeam(team), 'text/csv');
+    }
+
+    /**
+     * Handles importing players from a CSV file
+     * 
+     * What this method does:
+     * - Reads the CSV file chosen in the file picker
+     * - Adds a player for every good row (to the chosen team, or the team named in the row)
+     * - Shows how many players were added and why any rows were rejected
+     */
+    handleImportCsv() {
+        const fileInput = document.getElementById('csv-import-file');
+        const file = fileInput.files[0];
+        if (!file) {
+            this.showMessage('Import Players', ['Choose a CSV file first.']);
+            return;
+        }
+        const defaultTeam = this.league.getTeam(document.getElementById('csv-team-select').value);
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            let report = null;
+            this.perform(`Import players from ${file.name}`, () => {
+                report = RosterCsv.importPlayers(this.league, reader.result, defaultTeam);
+                // Nothing to undo if every row was rejected
+                return report.imported > 0 ? report : false;
+            });
+            fileInput.value = '';
+            // The file was refused as a whole (perform() has already said why)
+            if (!report) {
+                return;
+            }
+            const { imported, errors } = report;
+
+            const lines = [`Imported ${imported} player(s) from ${file.name}`];
+            if (errors.length > 0) {
+                lines.push(`Rejected ${errors.length} row(s):`);
+                errors.forEach(error => lines.push(`Line ${error.line}: ${error.message}`));
+            }
+            this.showMessage('Import Players', lines);
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Handles recording a match result
+     * 
+     * What this method does:
+     * - Reads the two teams and their goals from the result form
+     * - Shows an error next to the field for a missing team or missing goals
+     * - Shows why, if the league refuses the result (a team playing itself, negative or
+     *   non-whole goals, or events that name the wrong players or do not add up to the score)
+     * - Records the result (which also ticks off its fixture), clears the form and updates the display
+     */
+    handleRecordResult() {
+        const homeTeam = document.getElementById('result-home-team').value;
+        const awayTeam = document.getElementById('result-away-team').value;
+        const homeGoalsInput = document.getElementById('result-home-goals');
+        const awayGoalsInput = document.getElementById('result-away-goals');
+        const form = { prefix: 'result', error: document.getElementById('result-error') };
+
+        if (!homeTeam || !awayTeam) {
+            this.showFormError(form.prefix, form.error,
+                new LeagueError(ERROR_CODES.MISSING_FIELD, 'Choose both teams.', homeTeam ? 'awayTeam' : 'homeTeam'));
+            return;
+        }
+        if (homeGoalsInput.value === '' || awayGoalsInput.value === '') {
+            this.showFormError(form.prefix, form.error,
+                new LeagueError(ERROR_CODES.MISSING_FIELD, 'Enter the goals for both teams.', homeGoalsInput.value === '' ? 'homeGoals' : 'awayGoals'));
+            return;
+        }
+        this.clearFormErrors(form.error);
+
+        // The league refuses a team playing itself, bad scores and events that do not fit
+        const homeGoals = Number(homeGoalsInput.value);
+        const awayGoals = Number(awayGoalsInput.value);
+        const match = this.perform(
+            `Record ${this.league.getTeamName(homeTeam)} ${homeGoals} - ${awayGoals} ${this.league.getTeamName(awayTeam)}`,
+            () => this.league.recordMatch(homeTeam, awayTeam, homeGoals, awayGoals, this.resultEvents.getEvents()),
+            form
+        );
+        if (!match) {
+            return;
+        }
+
+        homeGoalsInput.value = '';
+        awayGoalsInput.value = '';
+        this.resultEvents.clear();
+    }
+
+    /**
+     * Handles simulating a match between the two teams chosen in the result form
+     * 
+     * What this method does:
+     * - Reads the two teams and the seed (a new seed is made if the box is empty)
+     * - Plays the match with the simulator and records the result and its events
+     * - Shows the score, the events and the seed, so the same match can be replayed
+     */
+    handleSimulateMatch() {
+        const homeTeam = document.getElementById('result-home-team').value;
+        const awayTeam = document.getElementById('result-away-team').value;
+        const form = { prefix: 'result', error: document.getElementById('result-error') };
+
+        if (!homeTeam || !awayTeam) {
+            this.showFormError(form.prefix, form.error,
+                new LeagueError(ERROR_CODES.MISSING_FIELD, 'Choose both teams.', homeTeam ? 'awayTeam' : 'homeTeam'));
+            return;
+        }
+        this.clearFormErrors(form.error);
+
+        const simulator = new MatchSimulator(this.readSeed('result-seed'));
+        const match = this.perform(
+            `Simulate ${this.league.getTeamName(homeTeam)} v ${this.league.getTeamName(awayTeam)}`,
+            () => simulator.playMatch(this.league, homeTeam, awayTeam),
+            form
+        );
+        if (!match) {
+            return;
+        }
+
+        this.showMessage('Simulated Match', [
+            this.describeScore(match),
+            this.describeEvents(match.events) || 'No events',
+            `Seed: ${simulator.seed}`
+        ]);
+    }
+
+    /**
+     * Handles simulating the next matchday of the fixture schedule
+     * 
+     * What this method does:
+     * - Finds the first matchday that still has games to play
+     * - Simulates and records each of its unplayed games with one seed
+     * - Shows the scores and the seed, so the same matchday can be replayed
+     */
+    handleSimulateMatchday() {
+        if (this.league.fixtures.length === 0) {
+            this.showMessage('Simulate Matchday', ['Generate fixtures before simulating a matchday.']);
+            return;
+        }
+
+        const simulator = new MatchSimulator(this.readSeed('fixtures-seed'));
+        const played = this.perform('Simulate the next matchday', () => simulator.playNextMatchday(this.league));
+        if (!played) {
+            this.showMessage('Simulate Matchday', ['Every fixture has been played.']);
+            return;
+        }
+
+        this.showMessage(`Matchday ${played.matchday}`, [
+            ...played.matches.map(match => this.describeScore(match)),
+            `Seed: ${simulator.seed}`
+        ]);
+    }
+
+    /**
+     * Handles running a season projection
+     * 
+     * What this method does:
+     * - Checks the number of seasons to simulate is a whole number from 1 to MAX_PROJECTION_ITERATIONS
+     * - Stops a projection that is still running
+     * - Sends a copy of the league to a Web Worker, which plays the rest of the season
+     *   many times in the background, and shows its progress
+     * - Runs the projection on the page itself if the browser has no Web Workers
+     * - Shows the chances as a table when it is done
+     */
+    handleRunProjection() {
+        if (this.league.getRemainingFixtures().length === 0) {
+            this.showMessage('Season Projection', [
+                this.league.fixtures.length === 0
+                    ? 'Generate fixtures before running a projection.'
+                    : 'Every fixture has been played, so the table is final.'
+            ]);
+            return;
+        }
+
+        const error = document.getElementById('projection-error');
+        this.clearFormErrors(error);
+        const iterations = Number(document.getElementById('projection-iterations').value);
+        if (!Number.isInteger(iterations) || iterations < 1 || iterations > MAX_PROJECTION_ITERATIONS) {
+            this.showFormError('projection', error, new LeagueError(
+                ERROR_CODES.INVALID_VALUE,
+                `The number of seasons to simulate must be a whole number from 1 to ${MAX_PROJECTION_ITERATIONS.toLocaleString('en-GB')}.`,
+                'iterations'
+            ));
+            return;
+        }
+
+        this.clearProjection();
+        const status = document.getElementById('projection-status');
+        status.textContent = 'Simulating...';
+
+        if (typeof Worker === 'undefined') {
+            this.displayProjection(new SeasonProjector(this.league).run(iterations));
+            return;
+        }
+
+        this.projectionWorker = new Worker(new URL('../projectionWorker.js', import.meta.url), { type: 'module' });
+        this.projectionWorker.onmessage = event => {
+            if (event.data.type === 'progress') {
+                status.textContent = `Simulating... ${event.data.done} of ${event.data.iterations} seasons`;
+            } else if (event.data.type === 'result') {
+                this.projectionWorker.terminate();
+                this.projectionWorker = null;
+                this.displayProjection(event.data.result);
+            }
+        };
+        this.projectionWorker.onerror = () => {
+            this.clearProjection();
+            status.textContent = 'The projection could not be run.';
+        };
+        this.projectionWorker.postMessage({ league: this.league.toJSON(), iterations });
+    }
+
+    /**
+     * Removes the projection (and stops one that is still running)
+     * Called whenever the league changes, since old chances would no longer be right
+     */
+    clearProjection() {
+        if (this.projectionWorker) {
+            this.projectionWorker.terminate();
+            this.projectionWorker = null;
+        }
+        document.getElementById('projection-status').textContent = '';
+        document.getElementById('projection-table').innerHTML = '';
+    }
+
+    /**
+     * Shows a finished projection as a table of chances
+     * 
+     * @param {Object} result - The projection made by SeasonProjector.run()
+     * 
+     * What this method does:
+     * - Shows one row per team in current table order, with expected points,
+     *   title, top-4 and relegation chances
+     * - Adds a column for every finishing position, shaded by how likely it is
+     */
+    displayProjection(result) {
+        document.getElementById('projection-status').textContent =
+            `${result.iterations} seasons simulated from ${result.remaining} remaining fixtures (seed ${result.seed})`;
+
+        const container = document.getElementById('projection-table');
+        container.innerHTML = '';
+
+        const percent = chance => {
+            if (chance === 0) {
+                return '-';
+            }
+            return chance < 0.005 ? '<1%' : `${Math.round(chance * 100)}%`;
+        };
+
+        const table = document.createElement('table');
+        table.className = 'standings projection';
+
+        const headerRow = document.createElement('tr');
+        ['Team', 'xPts', 'Title', 'Top 4', 'Relegation', ...result.teams.map((_, index) => String(index + 1))]
+            .forEach(label => {
+                const th = document.createElement('th');
+                th.textContent = label;
+                headerRow.appendChild(th);
+            });
+        table.appendChild(headerRow);
+
+        result.teams.forEach(team => {
+            const tr = document.createElement('tr');
+            [team.name, team.expectedPoints.toFixed(1), percent(team.title), percent(team.top4), percent(team.relegation)]
+                .forEach(text => {
+                    const td = document.createElement('td');
+                    td.textContent = text;
+                    tr.appendChild(td);
+                });
+            team.positions.forEach(chance => {
+                const td = document.createElement('td');
+                td.className = 'projection-cell';
+                td.textContent = percent(chance);
+                td.style.backgroundColor = `rgba(46, 139, 87, ${chance.toFixed(2)})`;
+                tr.appendChild(td);
+            });
+            table.appendChild(tr);
+        });
+
+        container.appendChild(table);
+    }
+
+    /**
+     * Handles editing the table zones
+     * 
+     * What this method does:
+     * - Shows a popup with one line per zone (name, type, first and last position)
+     * - Lets the user add and remove zones
+     * - Saves the zones and redraws the table
+     */
+    handleEditZones() {
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        
+        const form = document.createElement('div');
+        form.className = 'edit-form';
+        
+        const heading = document.createElement('h3');
+        heading.textContent = 'Table Zones';
+        
+        const help = document.createElement('p');
+        help.className = 'tiebreak-chain';
+        help.textContent = 'Positions count from the top (1 = first). Use negative numbers to count from the bottom (-1 = last).';
+        
+        const rows = document.createElement('div');
+        const addZoneRow = zone => {
+            const row = document.createElement('div');
+            row.className = 'zone-row';
+            
+            const label = document.createElement('input');
+            label.type = 'text';
+            label.className = 'zone-label';
+            label.placeholder = 'Name';
+            label.value = zone.label;
+            
+            const type = document.createElement('select');
+            type.className = 'zone-type';
+            ZONE_TYPES.forEach(zoneType => {
+                const option = document.createElement('option');
+                option.value = zoneType;
+                option.textContent = zoneType;
+                type.appendChild(option);
+            });
+            type.value = zone.type;
+            
+            const from = document.createElement('input');
+            from.type = 'number';
+            from.className = 'zone-from';
+            from.value = zone.from;
+            
+            const to = document.createElement('input');
+            to.type = 'number';
+            to.className = 'zone-to';
+            to.value = zone.to;
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'remove-btn';
+            removeBtn.textContent = 'X';
+            removeBtn.onclick = () => rows.removeChild(row);
+            
+            [label, type, from, to, removeBtn].forEach(element => row.appendChild(element));
+            rows.appendChild(row);
+        };
+        this.league.zones.forEach(addZoneRow);
+        
+        const addButton = document.createElement('button');
+        addButton.className = 'edit-btn';
+        addButton.textContent = 'Add Zone';
+        addButton.onclick = () => addZoneRow({ label: '', type: 'qualification', from: 1, to: 1 });
+        
+        const error = document.createElement('p');
+        error.className = 'form-error';
+        
+        const buttonGroup = document.createElement('div');
+        buttonGroup.className = 'button-group';
+        const saveButton = document.createElement('button');
+        saveButton.className = 'save-btn';
+        saveButton.textContent = 'Save';
+        const cancelButton = document.createElement('button');
+        cancelButton.className = 'cancel-btn';
+        cancelButton.textContent = 'Cancel';
+        buttonGroup.appendChild(saveButton);
+        buttonGroup.appendChild(cancelButton);
+        
+        [heading, help, rows, addButton, error, buttonGroup].forEach(element => form.appendChild(element));
+        modal.appendChild(form);
+        document.body.appendChild(modal);
+        
+        saveButton.onclick = () => {
+            const zones = [...rows.querySelectorAll('.zone-row')].map(row => ({
+                label: row.querySelector('.zone-label').value.trim(),
+                type: row.querySelector('.zone-type').value,
+                from: Number(row.querySelector('.zone-from').value),
+                to: Number(row.querySelector('.zone-to').value)
+            }));
+            if (!this.perform('Edit table zones', () => this.league.setZones(zones), { prefix: 'zone', error })) {
+                return;
+            }
+            document.body.removeChild(modal);
+        };
+        cancelButton.onclick = () => document.body.removeChild(modal);
+    }
+
+    /**
+     * Handles generating the fixture schedule
+     * 
+     * What this method does:
+     * - Reads the chosen format (single or double round-robin)
+     * - Asks first if a schedule already exists, since it will be replaced
+     * - Builds the schedule and shows it
+     */
+    handleGenerateFixtures() {
+        const doubleRoundRobin = document.getElementById('fixtures-format').value === 'double';
+        if (this.league.teams.length < 2) {
+            this.showMessage('Fixtures', ['Add at least two teams before generating fixtures.']);
+            return;
+        }
+
+        const generate = () => {
+            this.perform(
+                `Generate ${doubleRoundRobin ? 'double' : 'single'} round-robin fixtures`,
+                () => this.league.generateFixtures(doubleRoundRobin)
+            );
+        };
+
+        if (this.league.fixtures.length > 0) {
+            this.showChoice(
+                'Fixtures',
+                'This replaces the current schedule. Results already recorded stay and are matched to the new fixtures.',
+                [{ label: 'Replace Schedule', onClick: generate }]
+            );
+        } else {
+            generate();
+        }
+    }
+
+    /**
+     * Makes the browser download some text as a file
+     * 
+     * @param {string} fileName - The name of the downloaded file
+     * @param {string} content - The text to put in the file
+     * @param {string} mimeType - The type of file (e.g. 'application/json')
+     */
+    downloadFile(fileName, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Shows a popup with a title and a list of lines
+     * 
+     * @param {string} title - The popup title
+     * @param {Array<string>} lines - The lines to list (e.g. problems found in a file)
+     */
+    showMessage(title, lines) {
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        
+        const form = document.createElement('div');
+        form.className = 'edit-form';
+        
+        const heading = document.createElement('h3');
+        heading.textContent = title;
+        
+        const list = document.createElement('ul');
+        list.className = 'message-list';
+        lines.forEach(line => {
+            const item = document.createElement('li');
+            item.textContent = line;
+            list.appendChild(item);
+        });
+        
+        const closeButton = document.createElement('button');
+        closeButton.className = 'save-btn';
+        closeButton.textContent = 'OK';
+        closeButton.onclick = () => document.body.removeChild(modal);
+        
+        form.appendChild(heading);
+        form.appendChild(list);
+        form.appendChild(closeButton);
+        modal.appendChild(form);
+        document.body.appendChild(modal);
+    }
+
+    /**
+     * Shows a popup that asks the user to pick one of several actions
+     * A Cancel button is always added
+     * 
+     * @param {string} title - The popup title
+     * @param {string} question - The question to ask
+     * @param {Array<{label: string, onClick: Function}>} choices - The buttons to offer
+     */
+    showChoice(title, question, choices) {
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        
+        const form = document.createElement('div');
+        form.className = 'edit-form';
+        
+        const heading = document.createElement('h3');
+        heading.textContent = title;
+        
+        const text = document.createElement('p');
+        text.textContent = question;
+        
+        const buttonGroup = document.createElement('div');
+        buttonGroup.className = 'button-group';
+        choices.forEach(choice => {
+            const button = document.createElement('button');
+            button.className = 'save-btn';
+            button.textContent = choice.label;
+            button.onclick = () => {
+                document.body.removeChild(modal);
+                choice.onClick();
+            };
+            buttonGroup.appendChild(button);
+        });
+        
+        const cancelButton = document.createElement('button');
+        cancelButton.className = 'cancel-btn';
+        cancelButton.textContent = 'Cancel';
+        cancelButton.onclick = () => document.body.removeChild(modal);
+        buttonGroup.appendChild(cancelButton);
+        
+        form.appendChild(heading);
+        form.appendChild(text);
+        form.appendChild(buttonGroup);
+        modal.appendChild(form);
+        document.body.appendChild(modal);
+    }
+
+    /**
+     * Updates the team selection dropdown
+     * 
+     * What this method does:
+     * - Clears the current dropdown options
+     * - Adds all teams from the league as new options
+     * - Does the same for the CSV import dropdown, which also offers "use the Team column"
+     * - Does the same for the home and away dropdowns of the result form
+     * - Makes sure the dropdown shows all available teams
+     */
+    updateTeamSelect() {
+        const teamSelect = document.getElementById('team-select');
+        teamSelect.innerHTML = '';
+        
+        this.league.teams.forEach(team => {
+            const option = document.createElement('option');
+            option.value = team.id;
+            option.textContent = team.name;
+            teamSelect.appendChild(option);
+        });
+
+        const csvTeamSelect = document.getElementById('csv-team-select');
+        const selectedCsvTeam = csvTeamSelect.value;
+        csvTeamSelect.innerHTML = '';
+
+        const columnOption = document.createElement('option');
+        columnOption.value = '';
+        columnOption.textContent = 'Use the Team column';
+        csvTeamSelect.appendChild(columnOption);
+
+        this.league.teams.forEach(team => {
+            const option = document.createElement('option');
+            option.value = team.id;
+            option.textContent = `All rows to ${team.name}`;
+            csvTeamSelect.appendChild(option);
+        });
+        csvTeamSelect.value = this.league.getTeam(selectedCsvTeam) ? selectedCsvTeam : '';
+
+        // The result form keeps its choices where possible, and starts with two different teams
+        ['result-home-team', 'result-away-team'].forEach((id, index) => {
+            const select = document.getElementById(id);
+            const selected = select.value;
+            select.innerHTML = '';
+            this.league.teams.forEach(team => {
+                const option = document.createElement('option');
+                option.value = team.id;
+                option.textContent = `${index === 0 ? 'Home' : 'Away'}: ${team.name}`;
+                select.appendChild(option);
+            });
+            if (this.league.getTeam(selected)) {
+                select.value = selected;
+            } else if (this.league.teams[index]) {
+                select.value = this.league.teams[index].id;
+            }
+        });
+        this.resultEvents.refresh();
+    }
+
+    /**
+     * Updates the entire display
+     * 
+     * What this method does:
+     * - Updates the team selection dropdown
+     * - Refreshes the display of all teams and players
+     * - Saves the league, since every change ends with a display update
+     * - Names the changes the Undo and Redo buttons will undo or redo
+     * - Makes sure everything is up to date
+     */
+    updateDisplay() {
+        this.saveLeague();
+        this.displayDivisions();
+        this.updateTeamSelect();
+        this.displayStandings();
+        this.clearProjection();
+        this.displayLeaderboards();
+        this.displayFixtures();
+        this.displayResults();
+        this.displayCups();
+        this.displaySeasonHistory();
+        this.displayTransfers();
+        this.displayPlayerSearch();
+        this.displayTeams();
+        this.displayHistory();
+    }
+
+    /**
+     * Saves the league to storage
+     * 
+     * What this method does:
+     * - Writes the current league and its cups to localStorage so they survive a page refresh
+     * - Warns the user if they could not be written (usually because the storage is full),
+     *   since the change would otherwise be lost without notice on the next refresh
+     * - Does nothing if no storage was given to the UI manager
+     */
+    saveLeague() {
+        if (!this.storage) {
+            return;
+        }
+        try {
+            this.storage.save(this.competitions);
+        } catch (error) {
+            // Anything else is a bug, not a storage problem, and should not be hidden
+            if (!(error instanceof LeagueError)) {
+                throw error;
+            }
+            this.showToast(error.message);
+        }
+    }
+
+    /**
+     * Makes a change to the league through the undo history
+     * 
+     * @param {string} label - What the change does, shown on the Undo button (e.g. "Add team Inter")
+     * @param {Function} action - The code that changes the league
+     * @param {{prefix: string, error: HTMLElement}} [form=null] - The form the change was made in
+     *   (the start of its fields' IDs and its error line); a refused change is explained there
+     * @returns {*} - Whatever the action returned, or null if the league refused the change
+     * 
+     * What this method does:
+     * - Runs the change, remembering the league as it was so it can be undone
+     * - If the league refuses the change (the action throws a LeagueError), nothing is kept and
+     *   the reason is shown: in the form, next to the field it is about, or else as a notification
+     * - Updates the display, unless the change was refused (or the action returned false or null)
+     */
+    perform(label, action, form = null) {
+        let result;
+        try {
+            result = this.history.execute(label, action);
+        } catch (error) {
+            // Anything else is a bug, not a refusal, and should not be hidden
+            if (!(error instanceof LeagueError)) {
+                throw error;
+            }
+            if (form) {
+                this.showFormError(form.prefix, form.error, error);
+            } else {
+                this.showToast(error.message);
+            }
+            return null;
+        }
+        if (result !== false && result !== null) {
+            document.getElementById('history-status').textContent = '';
+            this.updateDisplay();
+        }
+        return result;
+    }
+
+    /**
+     * Shows a short notification in the corner of the page
+     * 
+     * @param {string} message - The text to show
+     * 
+     * What this method does:
+     * - Creates the area notifications appear in, the first time one is shown
+     *   (screen readers read out each new notification)
+     * - Adds the message with a button to close it
+     * - Removes it by itself after TOAST_SECONDS
+     */
+    showToast(message) {
+        let container = document.getElementById('toast-container');
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'toast-container';
+            container.className = 'toast-container';
+            container.setAttribute('role', 'status');
+            container.setAttribute('aria-live', 'polite');
+            document.body.appendChild(container);
+        }
+        
+        const toast = document.createElement('div');
+        toast.className = 'toast';
+        const text = document.createElement('span');
+        text.textContent = message;
+        const closeButton = document.createElement('button');
+        closeButton.className = 'toast-close';
+        closeButton.textContent = '×';
+        closeButton.setAttribute('aria-label', 'Close notification');
+        closeButton.onclick = () => toast.remove();
+        toast.appendChild(text);
+        toast.appendChild(closeButton);
+        container.appendChild(toast);
+        
+        setTimeout(() => toast.remove(), TOAST_SECONDS * 1000);
+    }
+
+    /**
+     * Shows why something entered in a form cannot be used
+     * 
+     * @param {string} prefix - The start of the form fields' IDs (e.g. 'player')
+     * @param {HTMLElement} errorLine - The form's error line
+     * @param {LeagueError} error - The problem; its field (e.g. 'jerseyNumber') names the input
+     *   it is about (here 'player-jersey-number')
+     * 
+     * What this method does:
+     * - Clears the errors the form was already showing
+     * - Marks the input the problem is about and writes the message just below it,
+     *   then puts the cursor in it
+     * - Writes the message in the form's error line instead when the problem is not about
+     *   one input (or that input is not in the form)
+     */
+    showFormError(prefix, errorLine, error) {
+        this.clearFormErrors(errorLine);
+        const fieldId = error.field ? `${prefix}-${error.field.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}` : null;
+        const input = fieldId ? document.getElementById(fieldId) : null;
+        if (!input) {
+            errorLine.textContent = error.message;
+            return;
+        }
+        
+        input.classList.add('field-invalid');
+        input.setAttribute('aria-invalid', 'true');
+        const message = document.createElement('p');
+        message.className = 'field-error';
+        message.textContent = error.message;
+        input.after(message);
+        input.focus();
+    }
+
+    /**
+     * Clears the errors shown in a form by showFormError()
+     * 
+     * @param {HTMLElement} errorLine - The form's error line (the form is the element holding it)
+     */
+    clearFormErrors(errorLine) {
+        const form = errorLine.parentElement;
+        errorLine.textContent = '';
+        form.querySelectorAll('.field-error').forEach(message => message.remove());
+        form.querySelectorAll('.field-invalid').forEach(input => {
+            input.classList.remove('field-invalid');
+            input.removeAttribute('aria-invalid');
+        });
+    }
+
+    /**
+     * Handles undoing the most recent change
+     * 
+     * What this method does:
+     * - Puts the league back as it was before the change
+     * - Says which change was undone
+     */
+    handleUndo() {
+        const label = this.history.undo();
+        if (label) {
+            this.updateDisplay();
+            document.getElementById('history-status').textContent = `Undone: ${label}`;
+        }
+    }
+
+    /**
+     * Handles redoing the most recently undone change
+     * 
+     * What this method does:
+     * - Makes the change again
+     * - Says which change was redone
+     */
+    handleRedo() {
+        const label = this.history.redo();
+        if (label) {
+            this.updateDisplay();
+            document.getElementById('history-status').textContent = `Redone: ${label}`;
+        }
+    }
+
+    /**
+     * Handles the undo and redo keyboard shortcuts
+     * 
+     * @param {KeyboardEvent} event - The key press
+     * 
+     * What this method does:
+     * - Ctrl+Z (Cmd+Z on a Mac) undoes, Ctrl+Shift+Z redoes
+     * - Leaves text boxes alone, so they keep their own undo for typing
+     * - Does nothing while a popup is open, since the popup works on the league as it was when it opened
+     */
+    handleKeyDown(event) {
+        if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z') {
+            return;
+        }
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) {
+            return;
+        }
+        if (document.querySelector('.modal-overlay')) {
+            return;
+        }
+
+        event.preventDefault();
+        if (event.shiftKey) {
+            this.handleRedo();
+        } else {
+            this.handleUndo();
+        }
+    }
+
+    /**
+     * Updates the Undo and Redo buttons
+     * 
+     * What this method does:
+     * - Names each button after the change it would undo or redo
+     * - Greys out a button when there is nothing to undo or redo
+     */
+    displayHistory() {
+        const undoLabel = this.history.getUndoLabel();
+        const redoLabel = this.history.getRedoLabel();
+        const undoButton = document.getElementById('undo-btn');
+        const redoButton = document.getElementById('redo-btn');
+
+        undoButton.textContent = undoLabel ? `Undo: ${undoLabel}` : 'Undo';
+        undoButton.disabled = !undoLabel;
+        undoButton.title = 'Ctrl+Z';
+        redoButton.textContent = redoLabel ? `Redo: ${redoLabel}` : 'Redo';
+        redoButton.disabled = !redoLabel;
+        redoButton.title = 'Ctrl+Shift+Z';
+    }
+
+    /**
+     * Displays all teams and their players
+     * 
+     * What this method does:
+     * - Clears the current display
+     * - Creates cards for each team
+     * - Shows all teams and their players
+     */
+    displayTeams() {
+        const container = document.getElementById('teams-container');
+        container.innerHTML = '';
+
+        this.league.teams.forEach(team => {
+            const teamCard = this.createTeamCard(team);
+            container.appendChild(teamCard);
+        });
+    }
+
+    /**
+     * Handles a change to any player search filter
+     * 
+     * What this method does:
+     * - Reads every filter box (the sort order is kept)
+     * - Puts the filters in the page address, so the search can be shared as a link
+     * - Shows the matching players
+     */
+    handlePlayerSearch() {
+        const value = id => document.getElementById(id).value;
+        const number = id => value(id) === '' ? null : Number(value(id));
+
+        this.playerFilters = {
+            ...this.playerFilters,
+            name: value('search-name'),
+            position: value('search-position'),
+            nationality: value('search-nationality'),
+            team: value('search-team'),
+            injured: value('search-injured'),
+            suspended: value('search-suspended'),
+            minAge: number('search-min-age'),
+            maxAge: number('search-max-age'),
+            minOverall: number('search-min-overall'),
+            maxOverall: number('search-max-overall')
+        };
+        this.updateSearchAddress();
+        this.displayPlayerSearch();
+    }
+
+    /**
+     * Writes the player search filters into the page address
+     * The page is not reloaded and no new browser history entry is made
+     */
+    updateSearchAddress() {
+        const query = PlayerSearch.toQuery(this.playerFilters);
+        window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+    }
+
+    /**
+     * Displays the players matching the search filters
+     * 
+     * What this method does:
+     * - Fills the nationality and team dropdowns from every division,
+     *   dropping a chosen nationality or team that no longer exists
+     * - Shows the chosen filters in their boxes (they may have come from the page address)
+     * - Builds a table of the matching players, sorted by the chosen column;
+     *   clicking a header sorts by that column, clicking it again reverses the order
+     * - Links each player's team to its team card (switching division if needed)
+     */
+    displayPlayerSearch() {
+        const filters = this.playerFilters;
+        const showDivision = this.competitions.divisions.length > 1;
+        let dropped = false;
+
+        const fillSelect = (id, choices, key) => {
+            const select = document.getElementById(id);
+            while (select.options.length > 1) {
+                select.removeChild(select.lastChild);
+            }
+            choices.forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+            if (filters[key] !== '' && !choices.some(([value]) => value === filters[key])) {
+                filters[key] = '';
+                dropped = true;
+            }
+        };
+        fillSelect('search-nationality', PlayerSearch.getNationalities(this.competitions)
+            .map(nationality => [nationality, nationality]), 'nationality');
+        fillSelect('search-team', this.competitions.divisions.flatMap(league => league.teams
+            .map(team => [team.id, showDivision ? `${team.name} (${league.name})` : team.name])), 'team');
+        if (dropped) {
+            this.updateSearchAddress();
+        }
+
+        document.getElementById('search-name').value = filters.name;
+        document.getElementById('search-position').value = filters.position;
+        document.getElementById('search-nationality').value = filters.nationality;
+        document.getElementById('search-team').value = filters.team;
+        document.getElementById('search-injured').value = filters.injured;
+        document.getElementById('search-suspended').value = filters.suspended;
+        document.getElementById('search-min-age').value = filters.minAge === null ? '' : filters.minAge;
+        document.getElementById('search-max-age').value = filters.maxAge === null ? '' : filters.maxAge;
+        document.getElementById('search-min-overall').value = filters.minOverall === null ? '' : filters.minOverall;
+        document.getElementById('search-max-overall').value = filters.maxOverall === null ? '' : filters.maxOverall;
+
+        const rows = PlayerSearch.search(this.competitions, filters);
+        const total = this.competitions.divisions
+            .reduce((sum, league) => sum + league.teams.reduce((count, team) => count + team.players.length, 0), 0);
+        document.getElementById('search-summary').textContent = `Showing ${rows.length} of ${total} players`;
+
+        const container = document.getElementById('player-search-results');
+        container.innerHTML = '';
+        if (rows.length === 0) {
+            const empty = document.createElement('p');
+            empty.textContent = 'No players match these filters.';
+            container.appendChild(empty);
+            return;
+        }
+
+        const columns = [
+            { key: 'name', label: 'Name' },
+            { key: 'team', label: 'Team' },
+            { key: 'position', label: 'Pos' },
+            { key: 'age', label: 'Age' },
+            { key: 'nationality', label: 'Nationality' },
+            { key: 'jerseyNumber', label: 'No.' },
+            { key: 'overallRating', label: 'Overall' },
+            ...ATTRIBUTES.map(attribute => ({ key: attribute, label: this.attributeLabel(attribute) })),
+            { key: null, label: 'Status' }
+        ];
+
+        const table = document.createElement('table');
+        table.className = 'standings player-search';
+
+        const headerRow = document.createElement('tr');
+        columns.forEach(column => {
+            const th = document.createElement('th');
+            th.textContent = column.label;
+            if (column.key) {
+                th.className = 'sortable';
+                if (filters.sort === column.key) {
+                    th.textContent += filters.ascending ? ' ▲' : ' ▼';
+                }
+                th.onclick = () => {
+                    this.playerFilters = filters.sort === column.key
+                        ? { ...filters, ascending: !filters.ascending }
+                        : { ...filters, sort: column.key, ascending: PlayerSearch.ascendingFirst(column.key) };
+                    this.updateSearchAddress();
+                    this.displayPlayerSearch();
+                };
+            }
+            headerRow.appendChild(th);
+        });
+        table.appendChild(headerRow);
+
+        rows.forEach(({ player, team, division }) => {
+            const tr = document.createElement('tr');
+            columns.forEach(column => {
+                const td = document.createElement('td');
+                if (column.key === 'team') {
+                    // Following the link switches to the team's division first, so its card is on the page
+                    const link = document.createElement('a');
+                    link.href = `#${team.id}`;
+                    link.textContent = team.name;
+                    if (showDivision) {
+                        link.title = this.competitions.getDivision(division).name;
+                    }
+                    link.onclick = () => {
+                        if (division !== this.divisionIndex) {
+                            this.handleSwitchDivision(division);
+                        }
+                    };
+                    td.appendChild(link);
+                } else if (column.key) {
+                    td.textContent = player[column.key];
+                } else {
+                    const status = [];
+                    if (player.isInjured) {
+                        status.push('Injured');
+                    }
+                    if (player.suspendedMatches > 0) {
+                        status.push('Suspended');
+                    }
+                    td.textContent = status.join(', ');
+                }
+                tr.appendChild(td);
+            });
+            table.appendChild(tr);
+        });
+
+        container.appendChild(table);
+    }
+
+    /**
+     * Displays the league table
+     * 
+     * What this method does:
+     * - Shows which tiebreak rules are in use
+     * - Builds a table with every team's position, badge and name, record, goals and points
+     * - Shows which tiebreaker decided the place of teams level on points
+     * - Sorts the rows by the chosen column and highlights qualification,
+     *   playoff and relegation zones
+     */
+    displayStandings() {
+        const presetSelect = document.getElementById('tiebreak-preset');
+        const chainText = this.league.tiebreakers.join(',');
+        const preset = Object.keys(TIEBREAK_PRESETS).find(name => TIEBREAK_PRESETS[name].join(',') === chainText);
+        let customOption = presetSelect.querySelector('option[value=""]');
+        if (!preset && !customOption) {
+            customOption = document.createElement('option');
+            customOption.value = '';
+            customOption.textContent = 'Custom tiebreakers';
+            presetSelect.appendChild(customOption);
+        } else if (preset && customOption) {
+            presetSelect.removeChild(customOption);
+        }
+        presetSelect.value = preset || '';
+
+        document.getElementById('tiebreak-chain').textContent =
+            `Level on points: ${this.league.tiebreakers.map(key => TIEBREAKERS[key].label).join(', then ')}`;
+
+        const container = document.getElementById('standings-table');
+        container.innerHTML = '';
+
+        const columns = [
+            { key: 'position', label: 'Pos' },
+            { key: 'name', label: 'Team' },
+            { key: 'played', label: 'P' },
+            { key: 'won', label: 'W' },
+            { key: 'drawn', label: 'D' },
+            { key: 'lost', label: 'L' },
+            { key: 'goalsFor', label: 'GF' },
+            { key: 'goalsAgainst', label: 'GA' },
+            { key: 'goalDifference', label: 'GD' },
+            { key: 'points', label: 'Pts' },
+            { key: 'decidedBy', label: 'Decided by' }
+        ];
+
+        const table = document.createElement('table');
+        table.className = 'standings';
+
+        // Clicking a header sorts by that column; clicking it again reverses the order
+        const headerRow = document.createElement('tr');
+        columns.forEach(column => {
+            const th = document.createElement('th');
+            th.className = 'sortable';
+            th.textContent = column.label;
+            if (this.standingsSort.key === column.key) {
+                th.textContent += this.standingsSort.ascending ? ' ▲' : ' ▼';
+            }
+            th.onclick = () => {
+                if (this.standingsSort.key === column.key) {
+                    this.standingsSort.ascending = !this.standingsSort.ascending;
+                } else {
+                    // Numbers read best biggest-first; position and names read best A-Z / 1-20
+                    const ascendingFirst = ['position', 'name', 'decidedBy', 'lost', 'goalsAgainst'].includes(column.key);
+                    this.standingsSort = { key: column.key, ascending: ascendingFirst };
+                }
+                this.displayStandings();
+            };
+            headerRow.appendChild(th);
+        });
+        table.appendChild(headerRow);
+
+        const { key, ascending } = this.standingsSort;
+        const rows = this.league.getStandings().sort((a, b) => {
+            const first = a[key] === null ? '' : a[key];
+            const second = b[key] === null ? '' : b[key];
+            const order = typeof first === 'number' && typeof second === 'number'
+                ? first - second
+                : String(first).localeCompare(String(second));
+            // Ties keep table order
+            return (ascending ? order : -order) || a.position - b.position;
+        });
+
+        rows.forEach(row => {
+            const tr = document.createElement('tr');
+            const zone = this.league.getZone(row.position);
+            if (zone) {
+                tr.className = `zone-${zone.type}`;
+                tr.title = zone.label;
+            }
+            columns.forEach(column => {
+                const td = document.createElement('td');
+                if (column.key === 'name') {
+                    td.appendChild(this.createTeamLabel(row.id));
+                } else {
+                    td.textContent = row[column.key] === null ? '' : row[column.key];
+                }
+                tr.appendChild(td);
+            });
+            table.appendChild(tr);
+        });
+
+        container.appendChild(table);
+
+        // A key explaining the highlighted zones
+        if (this.league.zones.length > 0) {
+            const legend = document.createElement('div');
+            legend.className = 'zone-legend';
+            this.league.zones.forEach(zone => {
+                const item = document.createElement('span');
+                item.className = `zone-${zone.type}`;
+                item.textContent = zone.label;
+                legend.appendChild(item);
+            });
+            container.appendChild(legend);
+        }
+    }
+
+    /**
+     * Displays the top scorers, top assists and discipline tables
+     * 
+     * What this method does:
+     * - Clears the current leaderboards
+     * - Builds a small table for each one from the recorded match events
+     */
+    displayLeaderboards() {
+        const container = document.getElementById('leaderboards');
+        container.innerHTML = '';
+
+        const boards = [
+            {
+                title: 'Top Scorers',
+                rows: this.league.getTopScorers(),
+                columns: [{ key: 'player', label: 'Player' }, { key: 'team', label: 'Team' }, { key: 'goals', label: 'Goals' }]
+            },
+            {
+                title: 'Top Assists',
+                rows: this.league.getTopAssists(),
+                columns: [{ key: 'player', label: 'Player' }, { key: 'team', label: 'Team' }, { key: 'assists', label: 'Assists' }]
+            },
+            {
+                title: 'Discipline',
+                rows: this.league.getDisciplineTable(),
+                columns: [
+                    { key: 'player', label: 'Player' },
+                    { key: 'team', label: 'Team' },
+                    { key: 'yellowCards', label: 'Yellow' },
+                    { key: 'redCards', label: 'Red' }
+                ]
+            },
+            {
+                title: 'Suspensions',
+                empty: 'No one is suspended.',
+                rows: this.league.getSuspensions().map(row => ({
+                    ...row,
+                    out: this.describeSuspension(row.matches, row.untilMatchday)
+                })),
+                columns: [
+                    { key: 'player', label: 'Player' },
+                    { key: 'team', label: 'Team' },
+                    { key: 'out', label: 'Out' },
+                    { key: 'reason', label: 'Reason' }
+                ]
+            }
+        ];
+
+        const rules = this.league.disciplineRules;
+        const yellowRule = rules.yellowCardLimit > 0
+            ? `every ${rules.yellowCardLimit} yellow cards, ${rules.yellowCardBan} match(es)`
+            : 'yellow cards never lead to a ban';
+        const resetRule = rules.yellowResetAfter
+            ? `yellow card tallies start again after ${rules.yellowResetAfter} matches`
+            : 'yellow card tallies never start again';
+        document.getElementById('discipline-rules').textContent =
+            `Bans: red card or two yellows in a match, ${rules.redCardBan} match(es); ${yellowRule}; ${resetRule}.`;
+
+        boards.forEach(board => {
+            const block = document.createElement('div');
+            block.className = 'leaderboard';
+
+            const heading = document.createElement('h3');
+            heading.textContent = board.title;
+            block.appendChild(heading);
+
+            if (board.rows.length === 0) {
+                const empty = document.createElement('p');
+                empty.textContent = board.empty || 'Nothing recorded yet.';
+                block.appendChild(empty);
+            } else {
+                const table = document.createElement('table');
+                table.className = 'standings';
+                const headerRow = document.createElement('tr');
+                board.columns.forEach(column => {
+                    const th = document.createElement('th');
+                    th.textContent = column.label;
+                    headerRow.appendChild(th);
+                });
+                table.appendChild(headerRow);
+                board.rows.forEach(row => {
+                    const tr = document.createElement('tr');
+                    board.columns.forEach(column => {
+                        const td = document.createElement('td');
+                        td.textContent = row[column.key];
+                        tr.appendChild(td);
+                    });
+                    table.appendChild(tr);
+                });
+                block.appendChild(table);
+            }
+
+            container.appendChild(block);
+        });
+    }
+
+    /**
+     * Describes how long a player is still suspended
+     * 
+     * @param {number} matches - Matches still to serve
+     * @param {number|null} untilMatchday - Last matchday missed (null if beyond the schedule)
+     * @returns {string} - e.g. "2 matches (until matchday 14)"
+     */
+    describeSuspension(matches, untilMatchday) {
+        const length = matches === 1 ? '1 match' : `${matches} matches`;
+        return untilMatchday ? `${length} (until matchday ${untilMatchday})` : length;
+    }
+
+    /**
+     * Handles editing the discipline rules
+     * 
+     * What this method does:
+     * - Shows a popup with the ban for a red card, the yellow card limit and its ban,
+     *   and when yellow card tallies start again
+     * - Saves the rules, which works out every player's bans again from the recorded matches
+     */
+    handleEditDisciplineRules() {
+        const rules = this.league.disciplineRules;
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        
+        const form = document.createElement('div');
+        form.className = 'edit-form';
+        form.innerHTML = `
+            <h3>Discipline Rules</h3>
+            <div class="form-group">
+                <label for="rule-red-ban">Matches banned for a red card (or two yellows in a match):</label>
+                <input type="number" id="rule-red-ban" min="0" value="${rules.redCardBan}">
+            </div>
+            <div class="form-group">
+                <label for="rule-yellow-limit">Yellow cards that lead to a ban (0 = never):</label>
+                <input type="number" id="rule-yellow-limit" min="0" value="${rules.yellowCardLimit}">
+            </div>
+            <div class="form-group">
+                <label for="rule-yellow-ban">Matches banned for reaching the yellow card limit:</label>
+                <input type="number" id="rule-yellow-ban" min="0" value="${rules.yellowCardBan}">
+            </div>
+            <div class="form-group">
+                <label for="rule-yellow-reset">Start yellow card tallies again after this many matches (empty = never):</label>
+                <input type="number" id="rule-yellow-reset" min="1" value="${rules.yellowResetAfter || ''}">
+            </div>
+            <p class="form-error"></p>
+            <div class="button-group">
+                <button class="save-btn">Save</button>
+                <button class="edit-btn">Defaults</button>
+                <button class="cancel-btn">Cancel</button>
+            </div>
+        `;
+        modal.appendChild(form);
+        document.body.appendChild(modal);
+        
+        form.querySelector('.edit-btn').onclick = () => {
+            form.querySelector('#rule-red-ban').value = DEFAULT_DISCIPLINE_RULES.redCardBan;
+            form.querySelector('#rule-yellow-limit').value = DEFAULT_DISCIPLINE_RULES.yellowCardLimit;
+            form.querySelector('#rule-yellow-ban').value = DEFAULT_DISCIPLINE_RULES.yellowCardBan;
+            form.querySelector('#rule-yellow-reset').value = DEFAULT_DISCIPLINE_RULES.yellowResetAfter || '';
+        };
+        
+        form.querySelector('.save-btn').onclick = () => {
+            const number = id => {
+                const text = form.querySelector(id).value;
+                return text === '' ? NaN : Number(text);
+            };
+            const resetText = form.querySelector('#rule-yellow-reset').value;
+            const newRules = {
+                redCardBan: number('#rule-red-ban'),
+                yellowCardLimit: number('#rule-yellow-limit'),
+                yellowCardBan: number('#rule-yellow-ban'),
+                yellowResetAfter: resetText === '' ? null : Number(resetText)
+            };
+            const error = form.querySelector('.form-error');
+            if (!this.perform('Edit discipline rules', () => this.league.setDisciplineRules(newRules), { prefix: 'rule', error })) {
+                return;
+            }
+            document.body.removeChild(modal);
+        };
+        
+        form.querySelector('.cancel-btn').onclick = () => {
+            document.body.removeChild(modal);
+        };
+    }
+
+    /**
+     * Displays the fixture schedule
+     * 
+     * What this method does:
+     * - Clears the current fixture list
+     * - Shows every matchday with its games (each team with its badge), marking each as played
+     *   (with the score) or pending
+     * - Adds a lineup button for each side of a pending game
+     * - Shows which team has a bye, if any
+     */
+    displayFixtures() {
+        const list = document.getElementById('fixtures-list');
+        list.innerHTML = '';
+
+        if (this.league.fixtures.length === 0) {
+            const empty = document.createElement('p');
+            empty.textContent = 'No fixtures yet.';
+            list.appendChild(empty);
+            return;
+        }
+
+        this.league.fixtures.forEach(matchday => {
+            const block = document.createElement('div');
+            block.className = 'matchday';
+
+            const heading = document.createElement('h3');
+            const playedCount = matchday.matches.filter(fixture => fixture.played).length;
+            heading.textContent = `Matchday ${matchday.matchday} (${playedCount}/${matchday.matches.length} played)`;
+            block.appendChild(heading);
+
+            matchday.matches.forEach(fixture => {
+                const row = document.createElement('div');
+                row.className = fixture.played ? 'fixture played' : 'fixture pending';
+
+                const teams = document.createElement('span');
+                teams.appendChild(this.createTeamLabel(fixture.homeTeam));
+                teams.appendChild(document.createTextNode(' vs '));
+                teams.appendChild(this.createTeamLabel(fixture.awayTeam));
+
+                const result = document.createElement('span');
+                result.className = 'fixture-result';
+                result.textContent = fixture.played ? `${fixture.homeGoals} - ${fixture.awayGoals}` : 'Pending';
+
+                row.appendChild(teams);
+                if (!fixture.played) {
+                    const lineups = document.createElement('span');
+                    lineups.className = 'fixture-lineups';
+                    [fixture.homeTeam, fixture.awayTeam].forEach(teamId => {
+                        const lineup = fixture.lineups && fixture.lineups[teamId];
+                        const button = document.createElement('button');
+                        button.className = 'edit-btn';
+                        button.textContent = lineup
+                            ? `${this.league.getTeamName(teamId)} XI (${lineup.formation})`
+                            : `Pick ${this.league.getTeamName(teamId)} XI`;
+                        button.onclick = () => this.handleEditLineup(matchday.matchday, teamId);
+                        lineups.appendChild(button);
+                    });
+                    row.appendChild(lineups);
+                }
+                row.appendChild(result);
+                block.appendChild(row);
+            });
+
+            if (matchday.bye) {
+                const bye = document.createElement('div');
+                bye.className = 'fixture bye';
+                bye.textContent = `Bye: ${this.league.getTeamName(matchday.bye)}`;
+                block.appendChild(bye);
+            }
+
+            list.appendChild(block);
+        });
+    }
+
+    /**
+     * Handles picking a team's lineup for one of its fixtures
+     * 
+     * @param {number} matchdayNumber - The matchday of the fixture
+     * @param {string} teamId - ID of the team
+     * 
+     * What this method does:
+     * - Shows a popup with a formation choice, a pitch with the eleven starting places,
+     *   the bench and the rest of the squad
+     * - Players are dragged between places (or clicked, then the place is clicked);
+     *   dropping on a filled place swaps the two players
+     * - Injured and suspended players are greyed out and cannot be picked
+     * - "Best XI" fills every place with the highest-rated player of its position
+     * - Saves the lineup once it is complete: every place filled by a player of that
+     *   position and exactly one goalkeeper
+     */
+    handleEditLineup(matchdayNumber, teamId) {
+        const team = this.league.getTeam(teamId);
+        const fixture = this.league.getFixture(matchdayNumber, teamId);
+        if (!team || !fixture) {
+            return;
+        }
+        const saved = fixture.lineups && fixture.lineups[teamId];
+        const opponentId = fixture.homeTeam === teamId ? fixture.awayTeam : fixture.homeTeam;
+
+        // Work on a copy; players who have left the team since it was saved are dropped
+        let lineup = saved
+            ? {
+                formation: saved.formation,
+                starters: saved.starters.map(playerId => (team.getPlayer(playerId) ? playerId : null)),
+                bench: saved.bench.filter(playerId => team.getPlayer(playerId))
+            }
+            : Lineup.create();
+        let selected = null;
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        
+        const form = document.createElement('div');
+        form.className = 'edit-form lineup-editor';
+        form.innerHTML = `
+            <h3></h3>
+            <div class="form-group">
+                <label for="lineup-formation">Formation:</label>
+                <select id="lineup-formation">
+                    ${FORMATIONS.map(formation => `<option value="${formation}">${formation}</option>`).join('')}
+                    <option value="custom">Custom</option>
+                </select>
+                <input type="text" id="lineup-custom" placeholder="e.g. 4-2-3-1">
+            </div>
+            <div class="button-group">
+                <button class="edit-btn" id="lineup-best">Best XI</button>
+                <button class="edit-btn" id="lineup-clear">Clear</button>
+            </div>
+            <div class="pitch" id="lineup-pitch"></div>
+            <h4>Bench</h4>
+            <div class="bench" id="lineup-bench"></div>
+            <h4>Squad</h4>
+            <div class="squad" id="lineup-squad"></div>
+            <p class="form-error"></p>
+            <div class="button-group">
+                <button class="save-btn">Save</button>
+                <button class="remove-btn">Remove Lineup</button>
+                <button class="cancel-btn">Cancel</button>
+            </div>
+        `;
+        form.querySelector('h3').textContent =
+            `${team.name} lineup: matchday ${matchdayNumber} vs ${this.league.getTeamName(opponentId)}`;
+        modal.appendChild(form);
+        document.body.appendChild(modal);
+
+        const formationSelect = form.querySelector('#lineup-formation');
+        const customInput = form.querySelector('#lineup-custom');
+        const error = form.querySelector('.form-error');
+        const shortPosition = { Goalkeeper: 'GK', Defender: 'DEF', Midfielder: 'MID', Forward: 'FWD' };
+
+        const moveTo = place => {
+            if (selected) {
+                lineup = Lineup.move(lineup, selected, place);
+                selected = null;
+                render();
+            }
+        };
+
+        // Every place (and the squad list) can be dropped on, or clicked after clicking a player
+        const makeTarget = (element, place) => {
+            element.ondragover = event => event.preventDefault();
+            element.ondrop = event => {
+                event.preventDefault();
+                selected = JSON.parse(event.dataTransfer.getData('text/plain'));
+                moveTo(place);
+            };
+        };
+        const makeDraggable = (element, from) => {
+            element.draggable = true;
+            element.ondragstart = event => event.dataTransfer.setData('text/plain', JSON.stringify(from));
+            if (selected && selected.area === from.area && selected.index === from.index && selected.playerId === from.playerId) {
+                element.classList.add('selected');
+            }
+        };
+
+        const createSlot = (place, playerId, label, position) => {
+            const slot = document.createElement('div');
+            slot.className = 'lineup-slot';
+            const tag = document.createElement('span');
+            tag.className = 'slot-position';
+            tag.textContent = label;
+            const name = document.createElement('span');
+            const player = playerId ? team.getPlayer(playerId) : null;
+            name.textContent = player ? player.name : 'Empty';
+            slot.appendChild(tag);
+            slot.appendChild(name);
+
+            makeTarget(slot, place);
+            if (player) {
+                makeDraggable(slot, { ...place, playerId });
+                if (position && player.position !== position) {
+                    slot.classList.add('wrong-position');
+                    slot.title = `${player.name} is a ${player.position}`;
+                }
+            } else {
+                slot.classList.add('empty');
+            }
+            slot.onclick = event => {
+                event.stopPropagation();
+                if (selected) {
+                    moveTo(place);
+                } else if (player) {
+                    selected = { ...place, playerId };
+                    render();
+                }
+            };
+            return slot;
+        };
+
+        const render = () => {
+            const slots = Lineup.getSlots(lineup.formation);
+            const isPreset = FORMATIONS.includes(lineup.formation);
+            formationSelect.value = isPreset ? lineup.formation : 'custom';
+            customInput.style.display = isPreset ? 'none' : '';
+            if (!isPreset) {
+                customInput.value = lineup.formation;
+            }
+
+            // Forwards at the top of the pitch, the goalkeeper at the bottom
+            const pitch = form.querySelector('#lineup-pitch');
+            pitch.innerHTML = '';
+            Lineup.getLines(lineup.formation).reverse().forEach(line => {
+                const row = document.createElement('div');
+                row.className = 'pitch-line';
+                line.forEach(index => row.appendChild(createSlot(
+                    { area: 'starters', index },
+                    lineup.starters[index],
+                    shortPosition[slots[index]],
+                    slots[index]
+                )));
+                pitch.appendChild(row);
+            });
+
+            const bench = form.querySelector('#lineup-bench');
+            bench.innerHTML = '';
+            for (let index = 0; index < BENCH_SIZE; index++) {
+                bench.appendChild(createSlot({ area: 'bench', index }, lineup.bench[index] || null, 'SUB', null));
+            }
+
+            const squad = form.querySelector('#lineup-squad');
+            squad.innerHTML = '';
+            makeTarget(squad, { area: 'squad' });
+            squad.onclick = () => moveTo({ area: 'squad' });
+            const picked = Lineup.getPlayerIds(lineup);
+            const unpicked = team.players.filter(player => !picked.includes(player.id));
+            if (unpicked.length === 0) {
+                squad.textContent = 'Everyone has been picked.';
+            }
+            unpicked.forEach(player => {
+                const item = document.createElement('div');
+                item.className = 'squad-player';
+                item.textContent = this.playerLabel(player);
+                if (Lineup.canPick(player, matchdayNumber)) {
+                    makeDraggable(item, { area: 'squad', playerId: player.id });
+                    item.onclick = event => {
+                        event.stopPropagation();
+                        selected = { area: 'squad', playerId: player.id };
+                        render();
+                    };
+                } else {
+                    item.classList.add('unavailable');
+                    item.textContent += player.isInjured ? ' - injured' : ' - suspended';
+                }
+                squad.appendChild(item);
+            });
+        };
+
+        formationSelect.onchange = () => {
+            if (formationSelect.value === 'custom') {
+                customInput.style.display = '';
+                customInput.focus();
+                return;
+            }
+            lineup = Lineup.changeFormation(lineup, team, formationSelect.value);
+            error.textContent = '';
+            render();
+        };
+        customInput.onchange = () => {
+            const changed = Lineup.changeFormation(lineup, team, customInput.value.trim());
+            if (!changed) {
+                error.textContent = 'A formation lists defenders, midfielders and forwards adding up to 10, e.g. 4-2-3-1.';
+                return;
+            }
+            lineup = changed;
+            error.textContent = '';
+            render();
+        };
+
+        form.querySelector('#lineup-best').onclick = () => {
+            lineup = Lineup.bestXI(team, lineup.formation, matchdayNumber);
+            selected = null;
+            error.textContent = '';
+            render();
+        };
+        form.querySelector('#lineup-clear').onclick = () => {
+            lineup = Lineup.create(lineup.formation);
+            selected = null;
+            render();
+        };
+
+        const removeButton = form.querySelector('.remove-btn');
+        if (saved) {
+            removeButton.onclick = () => {
+                document.body.removeChild(modal);
+                this.perform(
+                    `Remove ${team.name} lineup for matchday ${matchdayNumber}`,
+                    () => this.league.setLineup(matchdayNumber, teamId, null)
+                );
+            };
+        } else {
+            removeButton.style.display = 'none';
+        }
+
+        form.querySelector('.save-btn').onclick = () => {
+            const errors = this.league.validateLineup(matchdayNumber, teamId, lineup);
+            if (errors.length > 0) {
+                error.textContent = errors.join('. ') + '.';
+                return;
+            }
+            document.body.removeChild(modal);
+            this.perform(
+                `Pick ${team.name} lineup for matchday ${matchdayNumber}`,
+                () => this.league.setLineup(matchdayNumber, teamId, lineup)
+            );
+        };
+        
+        form.querySelector('.cancel-btn').onclick = () => {
+            document.body.removeChild(modal);
+        };
+
+        render();
+    }
+
+    /**
+     * Describes the lineup a team played with
+     * 
+     * @param {string} teamId - ID of the team
+     * @param {Object} lineup - The lineup
+     * @returns {string} - e.g. "Inter (4-4-2): A. Keeper; B. Back, ...; Bench: C. Sub"
+     */
+    describeLineup(teamId, lineup) {
+        const names = playerIds => playerIds.map(playerId => this.league.getPlayerName(playerId)).join(', ');
+        const lines = Lineup.getLines(lineup.formation)
+            .map(line => names(line.map(index => lineup.starters[index]).filter(Boolean)));
+        const bench = lineup.bench.length > 0 ? names(lineup.bench) : 'nobody';
+        return `${this.league.getTeamName(teamId)} (${lineup.formation}): ${lines.join('; ')}; Bench: ${bench}`;
+    }
+
+    /**
+     * Displays every recorded match
+     * 
+     * What this method does:
+     * - Clears the current results list
+     * - Shows each match, newest first, with its date and score
+     * - Adds edit and delete buttons to each match, and a lineups button when lineups were picked
+     */
+    displayResults() {
+        const list = document.getElementById('results-list');
+        list.innerHTML = '';
+
+        if (this.league.matches.length === 0) {
+            const empty = document.createElement('p');
+            empty.textContent = 'No results yet.';
+            list.appendChild(empty);
+            return;
+        }
+
+        [...this.league.matches].reverse().forEach(match => {
+            const row = document.createElement('div');
+            row.className = 'player';
+
+            const info = document.createElement('div');
+            const score = document.createElement('div');
+            score.textContent = `${match.date.toLocaleDateString()}: ${this.describeScore(match)}`;
+            info.appendChild(score);
+            if (match.events.length > 0) {
+                const events = document.createElement('div');
+                events.className = 'match-events';
+                events.textContent = this.describeEvents(match.events);
+                info.appendChild(events);
+            }
+
+            const buttonContainer = document.createElement('div');
+            buttonContainer.className = 'button-container';
+
+            const editBtn = document.createElement('button');
+            editBtn.className = 'edit-btn';
+            editBtn.textContent = 'Edit';
+            editBtn.onclick = () => this.handleEditMatch(match);
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'remove-btn';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.onclick = () => this.handleDeleteMatch(match);
+
+            const lineups = Object.entries(match.lineups || {});
+            if (lineups.length > 0) {
+                const lineupBtn = document.createElement('button');
+                lineupBtn.className = 'edit-btn';
+                lineupBtn.textContent = 'Lineups';
+                lineupBtn.onclick = () => this.showMessage(
+                    `Lineups: ${this.describeScore(match)}`,
+                    lineups.map(([teamId, lineup]) => this.describeLineup(teamId, lineup))
+                );
+                buttonContainer.appendChild(lineupBtn);
+            }
+            buttonContainer.appendChild(editBtn);
+            buttonContainer.appendChild(deleteBtn);
+
+            row.appendChild(info);
+            row.appendChild(buttonContainer);
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Handles deleting a recorded match
+     * 
+     * @param {Object} match - The match to delete
+     * 
+     * What this method does:
+     * - Asks first, saying what will be lost
+     * - Deletes the match (its fixture goes back to unplayed; the change can still be undone)
+     */
+    handleDeleteMatch(match) {
+        const eventText = match.events.length > 0 ? ` and its ${match.events.length} event(s)` : '';
+        this.showChoice(
+            'Delete Result',
+            `Delete ${this.describeScore(match)}${eventText}? The table is worked out again without it. You can undo this with Ctrl+Z.`,
+            [{
+                label: 'Delete Result',
+                onClick: () => this.perform(`Delete ${this.describeScore(match)}`, () => this.league.deleteMatch(match.id))
+            }]
+        );
+    }
+
+    /**
+     * Describes match events in one line, in the order they happened
+     * 
+     * @param {Array<Object>} events - The match events
+     * @returns {string} - e.g. "12' Goal: John Smith (assist Jane Doe), 40' Yellow card: Sam Lee"
+     */
+    describeEvents(events) {
+        const labels = {
+            goal: 'Goal',
+            ownGoal: 'Own goal',
+            yellow: 'Yellow card',
+            red: 'Red card',
+            substitution: 'Sub'
+        };
+        return [...events]
+            .sort((a, b) => a.minute - b.minute)
+            .map(event => {
+                const name = playerId => (playerId === null ? 'unknown scorer' : this.league.getPlayerName(playerId));
+                let text = `${event.minute}' ${labels[event.type]}: ${name(event.player)}`;
+                if (event.type === 'goal' && event.assist) {
+                    text += ` (assist ${name(event.assist)})`;
+                }
+                if (event.type === 'substitution') {
+                    text += ` off, ${name(event.playerIn)} on`;
+                }
+                return `${text} [${this.league.getTeamName(event.team)}]`;
+            })
+            .join(', ');
+    }
+
+    /**
+     * Displays the cups and the bracket of the chosen cup
+     * 
+     * What this method does:
+     * - Fills the cup dropdown, keeping the chosen cup selected
+     * - Shows one column per round, from the first round to the final
+     * - Shows each tie's teams and score, with the team going through in bold
+     * - Adds buttons to record, simulate or clear each tie that can be played
+     * - Shows the winner once the final is decided
+     */
+    displayCups() {
+        const cupSelect = document.getElementById('cup-select');
+        const bracket = document.getElementById('cup-bracket');
+        cupSelect.innerHTML = '';
+        bracket.innerHTML = '';
+
+        const cups = this.competitions.cups;
+        if (cups.length === 0) {
+            const empty = document.createElement('p');
+            empty.textContent = 'No cups yet.';
+            bracket.appendChild(empty);
+            return;
+        }
+
+        const cup = this.competitions.getCup(this.selectedCupId) || cups[0];
+        this.selectedCupId = cup.id;
+        cups.forEach(other => {
+            const option = document.createElement('option');
+            option.value = other.id;
+            option.textContent = other.name;
+            cupSelect.appendChild(option);
+        });
+        cupSelect.value = cup.id;
+
+        const rules = document.createElement('p');
+        rules.className = 'cup-rules';
+        rules.textContent = [
+            cup.legs === 2 ? 'Two-legged ties' : 'Single-match ties',
+            cup.extraTime ? 'extra time and penalties' : 'straight to penalties',
+            cup.draw === 'seeded' ? 'seeded draw' : 'random draw'
+        ].join(', ');
+        bracket.appendChild(rules);
+
+        const rounds = document.createElement('div');
+        rounds.className = 'bracket';
+        cup.rounds.forEach(round => {
+            const column = document.createElement('div');
+            column.className = 'bracket-round';
+
+            const heading = document.createElement('h3');
+            heading.textContent = round.name;
+            column.appendChild(heading);
+
+            round.ties.forEach(tie => column.appendChild(this.createTieElement(cup, tie)));
+            rounds.appendChild(column);
+        });
+        bracket.appendChild(rounds);
+
+        const winner = cup.getWinner();
+        if (winner) {
+            const champion = document.createElement('p');
+            champion.className = 'cup-winner';
+            champion.textContent = `Winner: ${this.competitions.getTeamName(winner)}`;
+            bracket.appendChild(champion);
+        }
+    }
+
+    /**
+     * Creates the box for one tie of a cup bracket
+     * 
+     * @param {Cup} cup - The cup
+     * @param {Object} tie - The tie
+     * @returns {HTMLElement} - The tie element
+     */
+    createTieElement(cup, tie) {
+        const box = document.createElement('div');
+        box.className = 'bracket-tie';
+
+        [tie.home, tie.away].forEach(teamId => {
+            const row = document.createElement('div');
+            row.className = 'bracket-team';
+            if (teamId && teamId === tie.winner) {
+                row.classList.add('winner');
+            }
+            if (teamId) {
+                row.textContent = this.competitions.getTeamName(teamId);
+            } else {
+                row.textContent = tie.bye ? 'Bye' : 'To be decided';
+                row.classList.add('unknown');
+            }
+            box.appendChild(row);
+        });
+
+        if (tie.legs.length > 0) {
+            const score = document.createElement('div');
+            score.className = 'bracket-score';
+            score.textContent = this.describeTie(cup, tie);
+            box.appendChild(score);
+        }
+
+        if (!tie.bye && tie.home && tie.away) {
+            const buttonContainer = document.createElement('div');
+            buttonContainer.className = 'button-container';
+
+            const recordBtn = document.createElement('button');
+            recordBtn.className = 'edit-btn';
+            recordBtn.textContent = tie.legs.length > 0 ? 'Edit' : 'Record';
+            recordBtn.onclick = () => this.handleRecordTie(cup, tie);
+            buttonContainer.appendChild(recordBtn);
+
+            if (!tie.winner) {
+                const simulateBtn = document.createElement('button');
+                simulateBtn.className = 'edit-btn';
+                simulateBtn.textContent = 'Simulate';
+                simulateBtn.onclick = () => {
+                    const simulator = new MatchSimulator(this.readSeed('cup-seed'));
+                    this.perform(
+                        `Simulate ${cup.name} tie`,
+                        () => simulator.playTie(this.competitions.getCup(cup.id), this.competitions, tie.id)
+                    );
+                };
+                buttonContainer.appendChild(simulateBtn);
+            }
+
+            if (tie.legs.length > 0) {
+                const clearBtn = document.createElement('button');
+                clearBtn.className = 'remove-btn';
+                clearBtn.textContent = 'Clear';
+                clearBtn.onclick = () => this.perform(
+                    `Clear ${cup.name} tie`,
+                    () => this.competitions.getCup(cup.id).clearResult(tie.id)
+                );
+                buttonContainer.appendChild(clearBtn);
+            }
+            box.appendChild(buttonContainer);
+        }
+        return box;
+    }
+
+    /**
+     * Describes the score of a cup tie
+     * 
+     * @param {Cup} cup - The cup
+     * @param {Object} tie - The tie
+     * @returns {string} - e.g. "2-1", "1-0, 1-2 (agg 2-2) aet 3-2" or "1-1 aet 1-1, 4-3 pens"
+     */
+    describeTie(cup, tie) {
+        const score = goals => `${goals.homeGoals}-${goals.awayGoals}`;
+        let text = tie.legs.map(score).join(', ');
+        if (cup.legs === 2 && tie.legs.length === 2) {
+            const aggregate = cup.getAggregate({ legs: tie.legs, extraTime: null });
+            text += ` (agg ${score(aggregate)})`;
+        }
+        if (tie.extraTime) {
+            text += ` aet ${score(cup.getAggregate(tie))}`;
+        }
+        if (tie.penalties) {
+            text += `, ${score(tie.penalties)} pens`;
+        }
+        return text;
+    }
+
+    /**
+     * Handles creating a cup
+     * 
+     * What this method does:
+     * - Shows a popup for the cup's name, the teams taking part (all ticked to start with),
+     *   the draw, the number of legs and whether level ties get extra time
+     * - A seeded draw ranks the teams by their league position; a random draw uses the seed box
+     * - Creates the cup with its bracket and shows it
+     */
+    handleCreateCup() {
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        
+        const form = document.createElement('div');
+        form.className = 'edit-form';
+        form.innerHTML = `
+            <h3>Create Cup</h3>
+            <div class="form-group">
+                <label for="cup-name">Name:</label>
+                <input type="text" id="cup-name" placeholder="e.g. Coppa Italia">
+            </div>
+            <div class="form-group">
+                <label>Teams:</label>
+                <div class="cup-entrants"></div>
+            </div>
+            <div class="form-group">
+                <label for="cup-draw">Draw:</label>
+                <select id="cup-draw">
+                    <option value="seeded">Seeded by league position</option>
+                    <option value="random">Random</option>
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="cup-legs">Ties:</label>
+                <select id="cup-legs">
+                    <option value="1">Single match</option>
+                    <option value="2">Two legs (home and away)</option>
+                </select>
+            </div>
+            <div class="form-group">
+                <label><input type="checkbox" id="cup-extra-time" checked> Extra time before penalties</label>
+            </div>
+            <p class="form-error"></p>
+            <div class="button-group">
+                <button class="save-btn">Create</button>
+                <button class="cancel-btn">Cancel</button>
+            </div>
+        `;
+
+        // Teams are listed in table order, top division first, which is also the seeding
+        const entrants = form.querySelector('.cup-entrants');
+        const divisions = this.competitions.divisions;
+        divisions.forEach(league => {
+            league.getStandings().forEach(row => {
+                const label = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.value = row.id;
+                checkbox.checked = true;
+                label.appendChild(checkbox);
+                label.appendChild(document.createTextNode(divisions.length > 1 ? ` ${row.name} (${league.name})` : ` ${row.name}`));
+                entrants.appendChild(label);
+            });
+        });
+        modal.appendChild(form);
+        document.body.appendChild(modal);
+        
+        form.querySelector('.save-btn').onclick = () => {
+            const name = form.querySelector('#cup-name').value.trim();
+            const teamIds = [...entrants.querySelectorAll('input:checked')].map(checkbox => checkbox.value);
+            const options = {
+                draw: form.querySelector('#cup-draw').value,
+                legs: Number(form.querySelector('#cup-legs').value),
+                extraTime: form.querySelector('#cup-extra-time').checked
+            };
+            const errors = Cup.validateSettings(name, teamIds, options);
+            if (errors.length > 0) {
+                form.querySelector('.form-error').textContent = errors.join('. ') + '.';
+                return;
+            }
+            document.body.removeChild(modal);
+            const seed = this.readSeed('cup-seed');
+            const cup = this.perform(`Create cup ${name}`, () => this.competitions.addCup(Cup.create(name, teamIds, options, seed)));
+            if (cup) {
+                this.selectedCupId = cup.id;
+                this.displayCups();
+            }
+        };
+        
+        form.querySelector('.cancel-btn').onclick = () => {
+            document.body.removeChild(modal);
+        };
+    }
+
+    /**
+     * Handles recording the result of a cup tie
+     * 
+     * @param {Cup} cup - The cup
+     * @param {Object} tie - The tie
+     * 
      * What this method does:
-     * - Gets all player information from the form
-     * - Creates a new player and adds it to the selected team
-     * - Updates the display to show the new player
+     * - Shows a popup with a score for each leg (a two-legged tie can be entered one leg at a time),
+     *   then extra time and penalties, which are only filled in when the tie is level
+     * - Records the result; the team going through moves into the next round
      */
-    handleAddPlayer() {
-        const teamSelect = document.getElementById('team-select');
-        const firstName = document.getElementById('player-first-name').value.trim();
-        const lastName = document.getElementById('player-last-name').value.trim();
-        const position = document.getElementById('player-position').value;
-        const pace = parseInt(document.getElementById('player-pace').value);
-        const shooting = parseInt(document.getElementById('player-shooting').value);
-        const passing = parseInt(document.getElementById('player-passing').value);
+    handleRecordTie(cup, tie) {
+        const homeName = this.competitions.getTeamName(tie.home);
+        const awayName = this.competitions.getTeamName(tie.away);
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        
+        const form = document.createElement('div');
+        form.className = 'edit-form';
+        
+        const heading = document.createElement('h3');
+        heading.textContent = `${cup.name}: ${homeName} vs ${awayName}`;
+        form.appendChild(heading);
 
-        if (firstName && lastName && !isNaN(pace) && !isNaN(shooting) && !isNaN(passing)) {
-            const selectedTeam = this.league.getTeam(teamSelect.value);
-            
-            if (selectedTeam) {
-                const fullName = `${firstName} ${lastName}`;
-                const newPlayer = new Player(fullName, position, pace, shooting, passing);
-                selectedTeam.addPlayer(newPlayer);
-                this.updateDisplay();
-                
-                // Clear form fields
-                document.getElementById('player-first-name').value = '';
-                document.getElementById('player-last-name').value = '';
-                document.getElementById('player-pace').value = '';
-                document.getElementById('player-shooting').value = '';
-                document.getElementById('player-passing').value = '';
+        // One row of two goal boxes per stage, each always in home team / away team order
+        const createScoreRow = (id, labelText, score) => {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+            const label = document.createElement('label');
+            label.textContent = labelText;
+            const row = document.createElement('div');
+            row.className = 'score-row';
+            ['home', 'away'].forEach(side => {
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = '0';
+                input.id = `${id}-${side}`;
+                input.placeholder = side === 'home' ? homeName : awayName;
+                input.value = score ? score[`${side}Goals`] : '';
+                row.appendChild(input);
+            });
+            group.appendChild(label);
+            group.appendChild(row);
+            form.appendChild(group);
+        };
+        for (let leg = 0; leg < cup.legs; leg++) {
+            const labelText = cup.legs === 1
+                ? `Score (${homeName} - ${awayName}):`
+                : `Leg ${leg + 1}, at ${leg === 0 ? homeName : awayName} (${homeName} - ${awayName}):`;
+            createScoreRow(`tie-leg-${leg}`, labelText, tie.legs[leg]);
+        }
+        if (cup.extraTime) {
+            createScoreRow('tie-extra-time', 'Goals in extra time (only if level):', tie.extraTime);
+        }
+        createScoreRow('tie-penalties', 'Penalties (only if still level):', tie.penalties);
+
+        const error = document.createElement('p');
+        error.className = 'form-error';
+        form.appendChild(error);
+
+        const buttonGroup = document.createElement('div');
+        buttonGroup.className = 'button-group';
+        const saveButton = document.createElement('button');
+        saveButton.className = 'save-btn';
+        saveButton.textContent = 'Save';
+        const cancelButton = document.createElement('button');
+        cancelButton.className = 'cancel-btn';
+        cancelButton.textContent = 'Cancel';
+        buttonGroup.appendChild(saveButton);
+        buttonGroup.appendChild(cancelButton);
+        form.appendChild(buttonGroup);
+
+        modal.appendChild(form);
+        document.body.appendChild(modal);
+
+        // A stage left completely empty was not played
+        const readScore = id => {
+            const home = form.querySelector(`#${id}-home`);
+            const away = form.querySelector(`#${id}-away`);
+            if (!home || (home.value === '' && away.value === '')) {
+                return null;
+            }
+            const number = input => (input.value === '' ? NaN : Number(input.value));
+            return { homeGoals: number(home), awayGoals: number(away) };
+        };
+
+        saveButton.onclick = () => {
+            const legs = [];
+            for (let leg = 0; leg < cup.legs; leg++) {
+                const score = readScore(`tie-leg-${leg}`);
+                if (!score) {
+                    break;
+                }
+                legs.push(score);
             }
+            const result = {
+                legs,
+                extraTime: readScore('tie-extra-time'),
+                penalties: readScore('tie-penalties')
+            };
+            const errors = cup.validateResult(tie.id, result);
+            if (errors.length > 0) {
+                error.textContent = errors.join('. ') + '.';
+                return;
+            }
+            document.body.removeChild(modal);
+            this.perform(
+                `Record ${cup.name} tie ${homeName} vs ${awayName}`,
+                () => this.competitions.getCup(cup.id).recordResult(tie.id, result)
+            );
+        };
+
+        cancelButton.onclick = () => {
+            document.body.removeChild(modal);
+        };
+    }
+
+    /**
+     * Handles simulating the next round of the chosen cup
+     * 
+     * What this method does:
+     * - Simulates every tie of the earliest round that still has ties to play, with one seed
+     * - Shows the results and the seed, so the same round can be replayed
+     */
+    handleSimulateCupRound() {
+        const cup = this.competitions.getCup(this.selectedCupId);
+        if (!cup) {
+            this.showMessage('Simulate Cup Round', ['Create a cup first.']);
+            return;
         }
+
+        const simulator = new MatchSimulator(this.readSeed('cup-seed'));
+        const played = this.perform(`Simulate a round of ${cup.name}`, () => simulator.playCupRound(cup, this.competitions));
+        if (!played) {
+            this.showMessage('Simulate Cup Round', [cup.getWinner() ? 'The cup has been won.' : 'No tie is ready to play.']);
+            return;
+        }
+
+        this.showMessage(`${cup.name}: ${played.round}`, [
+            ...played.ties.map(tie => {
+                const through = tie.winner ? ` - ${this.competitions.getTeamName(tie.winner)} go through` : '';
+                return `${this.competitions.getTeamName(tie.home)} vs ${this.competitions.getTeamName(tie.away)}: ${this.describeTie(cup, tie)}${through}`;
+            }),
+            `Seed: ${simulator.seed}`
+        ]);
     }
 
     /**
-     * Updates the team selection dropdown
+     * Handles deleting the chosen cup
      * 
      * What this method does:
-     * - Clears the current dropdown options
-     * - Adds all teams from the league as new options
-     * - Makes sure the dropdown shows all available teams
+     * - Asks first, since the cup's bracket and results are thrown away (the change can still be undone)
+     * - Deletes the cup and shows the next one, if any
      */
-    updateTeamSelect() {
-        const teamSelect = document.getElementById('team-select');
-        teamSelect.innerHTML = '';
-        
-        this.league.teams.forEach(team => {
+    handleDeleteCup() {
+        const cup = this.competitions.getCup(this.selectedCupId);
+        if (!cup) {
+            this.showMessage('Delete Cup', ['There is no cup to delete.']);
+            return;
+        }
+        this.showChoice(
+            'Delete Cup',
+            `Delete ${cup.name} and all its results?`,
+            [{
+                label: 'Delete',
+                onClick: () => {
+                    this.selectedCupId = null;
+                    this.perform(`Delete cup ${cup.name}`, () => this.competitions.removeCup(cup.id));
+                }
+            }]
+        );
+    }
+
+    /**
+     * Displays the list of divisions
+     * 
+     * What this method does:
+     * - Fills the division dropdown (top division first), keeping the shown division selected
+     * - Goes back to the top division if the shown one no longer exists (e.g. after an undo)
+     * - Only lets a division be removed when there is more than one
+     */
+    displayDivisions() {
+        const divisions = this.competitions.divisions;
+        if (!this.competitions.getDivision(this.divisionIndex)) {
+            this.divisionIndex = 0;
+        }
+
+        const divisionSelect = document.getElementById('division-select');
+        divisionSelect.innerHTML = '';
+        divisions.forEach((league, index) => {
             const option = document.createElement('option');
-            option.value = team.name;
-            option.textContent = team.name;
-            teamSelect.appendChild(option);
+            option.value = index;
+            option.textContent = `${index + 1}. ${league.name} (${league.teams.length} teams)`;
+            divisionSelect.appendChild(option);
         });
+        divisionSelect.value = this.divisionIndex;
+
+        document.getElementById('remove-division-btn').disabled = divisions.length === 1;
     }
 
     /**
-     * Updates the entire display
+     * Handles switching to another division
+     * 
+     * @param {number} index - The division to show (0 = the top division)
      * 
      * What this method does:
-     * - Updates the team selection dropdown
-     * - Refreshes the display of all teams and players
-     * - Makes sure everything is up to date
+     * - Shows the teams, table, fixtures and transfers of the chosen division
      */
-    updateDisplay() {
-        this.updateTeamSelect();
-        this.displayTeams();
+    handleSwitchDivision(index) {
+        this.divisionIndex = index;
+        this.updateDisplay();
     }
 
     /**
-     * Displays all teams and their players
+     * Handles adding a division
      * 
      * What this method does:
-     * - Clears the current display
-     * - Creates cards for each team
-     * - Shows all teams and their players
+     * - Shows a popup for the new division's name and country
+     * - Adds it below the existing divisions, with one promotion place and one relegation place
+     *   (these can be changed with Edit Zones), and shows it
      */
-    displayTeams() {
-        const container = document.getElementById('teams-container');
+    handleAddDivision() {
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        
+        const form = document.createElement('div');
+        form.className = 'edit-form';
+        form.innerHTML = `
+            <h3>Add Division</h3>
+            <div class="form-group">
+                <label for="division-name">Name:</label>
+                <input type="text" id="division-name" placeholder="e.g. Championship">
+            </div>
+            <div class="form-group">
+                <label for="division-country">Country:</label>
+                <input type="text" id="division-country">
+            </div>
+            <p class="form-error"></p>
+            <div class="button-group">
+                <button class="save-btn">Add</button>
+                <button class="cancel-btn">Cancel</button>
+            </div>
+        `;
+        form.querySelector('#division-country').value = this.competitions.getDivision(0).country;
+        modal.appendChild(form);
+        document.body.appendChild(modal);
+        
+        form.querySelector('.save-btn').onclick = () => {
+            const name = form.querySelector('#division-name').value.trim();
+            const country = form.querySelector('#division-country').value.trim() || undefined;
+            if (!name) {
+                form.querySelector('.form-error').textContent = 'Please enter a name for the division.';
+                return;
+            }
+            document.body.removeChild(modal);
+
+            const division = new League(name, country);
+            division.setZones([
+                { label: 'Promotion', type: 'promotion', from: 1, to: 1 },
+                { label: 'Relegation', type: 'relegation', from: -1, to: -1 }
+            ]);
+            if (this.perform(`Add division ${name}`, () => this.competitions.addDivision(division))) {
+                this.handleSwitchDivision(this.competitions.divisions.indexOf(division));
+            }
+        };
+        
+        form.querySelector('.cancel-btn').onclick = () => {
+            document.body.removeChild(modal);
+        };
+    }
+
+    /**
+     * Handles removing the division shown
+     * 
+     * What this method does:
+     * - Asks first, since the division's teams, players and results are thrown away
+     *   (the change can still be undone)
+     * - Removes the division and shows the one above it
+     */
+    handleRemoveDivision() {
+        const league = this.league;
+        const index = this.competitions.divisions.indexOf(league);
+        if (this.competitions.divisions.length === 1) {
+            this.showMessage('Remove Division', ['The only division cannot be removed.']);
+            return;
+        }
+        this.showChoice(
+            'Remove Division',
+            `Remove ${league.name} with its ${league.teams.length} teams, their players and all its results?`,
+            [{
+                label: 'Remove',
+                onClick: () => {
+                    this.divisionIndex = Math.max(0, index - 1);
+                    this.perform(`Remove division ${league.name}`, () => this.competitions.removeDivision(index));
+                }
+            }]
+        );
+    }
+
+    /**
+     * Handles developing the players of the shown division
+     * 
+     * What this method does:
+     * - Develops every player once (see PlayerDevelopment), using the seed box if it is filled in
+     * - Writes the new ratings into each player's rating history
+     * - Shows which players got better or worse
+     */
+    handleDevelopPlayers() {
+        const development = new PlayerDevelopment(this.readSeed('develop-seed'));
+        const developed = this.perform(
+            'Develop players',
+            () => development.developLeague(this.league, 'Development')
+        );
+        if (!developed) {
+            return;
+        }
+
+        const lines = developed.map(({ player, team, changes }) => {
+            const moves = Object.entries(changes)
+                .map(([attribute, change]) => `${attribute} ${change > 0 ? '+' : ''}${change}`)
+                .join(', ');
+            return `${player.name} (${team.name}): ${moves}`;
+        });
+        this.showMessage(
+            `Players developed (seed ${development.seed})`,
+            lines.length > 0 ? lines : ['No player\'s skills changed this time.']
+        );
+    }
+
+    /**
+     * Handles ending the season
+     * 
+     * What this method does:
+     * - Shows a summary of every division: who goes up, who goes down, and who plays off
+     * - Lets the user pick the winner of each playoff (the best-placed playoff team to start with)
+     * - Warns about fixtures that have not been played, and shows how big each division will be
+     * - Asks for the season's name, whether players get a year older and whether they develop
+     * - On confirmation, archives the season (see the history panel), clears every division's
+     *   results, fixtures and cards, and moves the teams
+     */
+    handleEndSeason() {
+        const divisions = this.competitions.divisions;
+        const playoffWinners = {};
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        
+        const form = document.createElement('div');
+        form.className = 'edit-form season-end';
+        
+        const heading = document.createElement('h3');
+        heading.textContent = 'End of Season';
+        form.appendChild(heading);
+
+        const unplayed = divisions.reduce((sum, league) => sum + league.getRemainingFixtures().length, 0);
+        if (unplayed > 0) {
+            const warning = document.createElement('p');
+            warning.className = 'form-error';
+            warning.textContent = `${unplayed} fixture(s) have not been played yet and will be dropped.`;
+            form.appendChild(warning);
+        }
+
+        const summary = document.createElement('div');
+        form.appendChild(summary);
+
+        // The summary is drawn again whenever a playoff winner is changed
+        const showPlan = () => {
+            summary.innerHTML = '';
+            const plan = this.competitions.planSeasonEnd(playoffWinners);
+
+            if (divisions.length === 1) {
+                const note = document.createElement('p');
+                note.textContent = 'There is only one division, so no team goes up or down.';
+                summary.appendChild(note);
+            }
+
+            divisions.forEach((league, index) => {
+                const section = document.createElement('div');
+                section.className = 'season-end-division';
+                
+                const title = document.createElement('h4');
+                title.textContent = `${index + 1}. ${league.name}`;
+                section.appendChild(title);
+
+                const playoff = plan.playoffs.find(entry => entry.division === index);
+                if (playoff && playoff.teamIds.length > 1) {
+                    const group = document.createElement('div');
+                    group.className = 'form-group';
+                    const label = document.createElement('label');
+                    label.htmlFor = `playoff-winner-${index}`;
+                    label.textContent = 'Playoff winner:';
+                    const select = document.createElement('select');
+                    select.id = `playoff-winner-${index}`;
+                    playoff.teamIds.forEach(teamId => {
+                        const option = document.createElement('option');
+                        option.value = teamId;
+                        option.textContent = league.getTeamName(teamId);
+                        select.appendChild(option);
+                    });
+                    select.value = playoff.winner;
+                    select.onchange = () => {
+                        playoffWinners[index] = select.value;
+                        showPlan();
+                    };
+                    group.appendChild(label);
+                    group.appendChild(select);
+                    section.appendChild(group);
+                }
+
+                const reasons = { promotion: 'promoted', playoff: 'playoff winner', relegation: 'relegated' };
+                const list = document.createElement('ul');
+                list.className = 'message-list';
+                plan.moves.filter(move => move.from === index).forEach(move => {
+                    const item = document.createElement('li');
+                    item.className = move.to < move.from ? 'season-end-up' : 'season-end-down';
+                    item.textContent = `${move.to < move.from ? 'Up' : 'Down'}: ${move.name} to ${divisions[move.to].name} (${reasons[move.reason]})`;
+                    list.appendChild(item);
+                });
+                if (list.children.length === 0) {
+                    const item = document.createElement('li');
+                    item.textContent = 'No teams leave this division.';
+                    list.appendChild(item);
+                }
+                section.appendChild(list);
+
+                const arriving = plan.moves.filter(move => move.to === index).length;
+                const leaving = plan.moves.filter(move => move.from === index).length;
+                const size = document.createElement('p');
+                size.textContent = `Next season: ${league.teams.length + arriving - leaving} teams`;
+                section.appendChild(size);
+
+                summary.appendChild(section);
+            });
+        };
+        showPlan();
+
+        const nameGroup = document.createElement('div');
+        nameGroup.className = 'form-group';
+        const nameLabel = document.createElement('label');
+        nameLabel.htmlFor = 'season-name';
+        nameLabel.textContent = 'Season name:';
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.id = 'season-name';
+        nameInput.value = `Season ${this.competitions.seasons.length + 1}`;
+        nameGroup.appendChild(nameLabel);
+        nameGroup.appendChild(nameInput);
+        form.appendChild(nameGroup);
+
+        const ageGroup = document.createElement('div');
+        ageGroup.className = 'form-group';
+        const ageLabel = document.createElement('label');
+        const ageCheckbox = document.createElement('input');
+        ageCheckbox.type = 'checkbox';
+        ageCheckbox.id = 'season-age-players';
+        ageCheckbox.checked = true;
+        ageLabel.appendChild(ageCheckbox);
+        ageLabel.appendChild(document.createTextNode(' Players get a year older'));
+        ageGroup.appendChild(ageLabel);
+        form.appendChild(ageGroup);
+
+        const developGroup = document.createElement('div');
+        developGroup.className = 'form-group';
+        const developLabel = document.createElement('label');
+        const developCheckbox = document.createElement('input');
+        developCheckbox.type = 'checkbox';
+        developCheckbox.id = 'season-develop-players';
+        developCheckbox.checked = true;
+        developLabel.appendChild(developCheckbox);
+        developLabel.appendChild(document.createTextNode(' Develop players (young players improve, veterans decline)'));
+        developGroup.appendChild(developLabel);
+        developGroup.appendChild(this.createSeedInput('season-seed'));
+        form.appendChild(developGroup);
+
+        const note = document.createElement('p');
+        note.textContent = 'The final tables, results and cards are kept in Season History. Every division\'s results, ' +
+            'fixtures, cards and bans are cleared for the new season, and loans ending with the season go back. ' +
+            'Rosters, rules and cups are kept.';
+        form.appendChild(note);
+
+        const error = document.createElement('p');
+        error.className = 'form-error';
+        form.appendChild(error);
+
+        const buttons = document.createElement('div');
+        buttons.className = 'button-group';
+        
+        const confirmButton = document.createElement('button');
+        confirmButton.className = 'save-btn';
+        confirmButton.textContent = 'Start New Season';
+        confirmButton.onclick = () => {
+            const name = nameInput.value.trim();
+            const developSeed = developCheckbox.checked ? this.readSeed('season-seed') : null;
+            const plan = this.competitions.planSeasonEnd(playoffWinners);
+            // The season needs a name: the league refuses an empty one, and the popup stays open to say so
+            const season = this.perform(
+                `End season ${name}`,
+                () => this.competitions.applySeasonEnd(plan, { name, agePlayers: ageCheckbox.checked, developSeed }),
+                { prefix: 'season', error }
+            );
+            if (!season) {
+                return;
+            }
+            document.body.removeChild(modal);
+            this.selectedSeasonId = season.id;
+            this.displaySeasonHistory();
+        };
+        
+        const cancelButton = document.createElement('button');
+        cancelButton.className = 'cancel-btn';
+        cancelButton.textContent = 'Cancel';
+        cancelButton.onclick = () => document.body.removeChild(modal);
+        
+        buttons.appendChild(confirmButton);
+        buttons.appendChild(cancelButton);
+        form.appendChild(buttons);
+        modal.appendChild(form);
+        document.body.appendChild(modal);
+    }
+
+    /**
+     * Displays a finished season and the all-time records
+     * 
+     * What this method does:
+     * - Fills the season dropdown (most recent first), keeping the chosen season selected
+     * - Shows each division of the chosen season: its winner, final table, results and cards
+     * - Shows the all-time records over every finished season: most titles, biggest win
+     *   and longest unbeaten run
+     */
+    displaySeasonHistory() {
+        const seasonSelect = document.getElementById('history-season-select');
+        const container = document.getElementById('season-history');
+        const records = document.getElementById('all-time-records');
+        seasonSelect.innerHTML = '';
         container.innerHTML = '';
+        records.innerHTML = '';
 
-        this.league.teams.forEach(team => {
-            const teamCard = this.createTeamCard(team);
-            container.appendChild(teamCard);
+        const seasons = this.competitions.seasons;
+        if (seasons.length === 0) {
+            const empty = document.createElement('p');
+            empty.textContent = 'No finished seasons yet. Use End Season to archive the current one.';
+            container.appendChild(empty);
+            return;
+        }
+
+        const season = this.competitions.getSeason(this.selectedSeasonId) || seasons[seasons.length - 1];
+        this.selectedSeasonId = season.id;
+        [...seasons].reverse().forEach(other => {
+            const option = document.createElement('option');
+            option.value = other.id;
+            option.textContent = other.name;
+            seasonSelect.appendChild(option);
         });
+        seasonSelect.value = season.id;
+
+        const ended = document.createElement('p');
+        ended.textContent = `Ended on ${season.endedOn}`;
+        container.appendChild(ended);
+
+        season.divisions.forEach((division, index) => {
+            const heading = document.createElement('h3');
+            const champion = season.getChampion(index);
+            heading.textContent = champion ? `${division.name} - won by ${champion.name}` : division.name;
+            container.appendChild(heading);
+
+            container.appendChild(this.createHistoryTable([
+                { key: 'position', label: 'Pos' },
+                { key: 'name', label: 'Team' },
+                { key: 'played', label: 'P' },
+                { key: 'won', label: 'W' },
+                { key: 'drawn', label: 'D' },
+                { key: 'lost', label: 'L' },
+                { key: 'goalsFor', label: 'GF' },
+                { key: 'goalsAgainst', label: 'GA' },
+                { key: 'goalDifference', label: 'GD' },
+                { key: 'points', label: 'Pts' }
+            ], division.standings));
+
+            const results = document.createElement('details');
+            const resultsSummary = document.createElement('summary');
+            resultsSummary.textContent = `Results (${division.matches.length})`;
+            results.appendChild(resultsSummary);
+            division.matches.forEach(match => {
+                const row = document.createElement('div');
+                row.className = 'history-result';
+                row.textContent = `${new Date(match.date).toLocaleDateString()}: ` +
+                    `${match.homeName} ${match.homeGoals} - ${match.awayGoals} ${match.awayName}`;
+                results.appendChild(row);
+            });
+            container.appendChild(results);
+
+            const cards = document.createElement('details');
+            const cardsSummary = document.createElement('summary');
+            cardsSummary.textContent = `Cards (${division.discipline.length} players)`;
+            cards.appendChild(cardsSummary);
+            cards.appendChild(this.createHistoryTable([
+                { key: 'player', label: 'Player' },
+                { key: 'team', label: 'Team' },
+                { key: 'yellowCards', label: 'Yellow' },
+                { key: 'redCards', label: 'Red' }
+            ], division.discipline));
+            container.appendChild(cards);
+        });
+
+        const { titles, biggestWin, longestUnbeatenRun } = Season.getRecords(seasons);
+        const heading = document.createElement('h3');
+        heading.textContent = 'All-Time Records';
+        records.appendChild(heading);
+
+        const lines = [
+            `Most titles: ${titles.length > 0
+                ? titles.map(entry => `${entry.name} ${entry.titles}`).join(', ')
+                : 'no titles won yet'}`,
+            `Biggest win: ${biggestWin
+                ? `${biggestWin.match.homeName} ${biggestWin.match.homeGoals} - ${biggestWin.match.awayGoals} ` +
+                  `${biggestWin.match.awayName} (${biggestWin.season}, ${biggestWin.division})`
+                : 'no matches played yet'}`,
+            `Longest unbeaten run: ${longestUnbeatenRun
+                ? `${longestUnbeatenRun.name}, ${longestUnbeatenRun.matches} matches (` +
+                  (longestUnbeatenRun.from === longestUnbeatenRun.to
+                      ? longestUnbeatenRun.from
+                      : `${longestUnbeatenRun.from} to ${longestUnbeatenRun.to}`) + ')'
+                : 'no matches played yet'}`
+        ];
+        const list = document.createElement('ul');
+        list.className = 'message-list';
+        lines.forEach(line => {
+            const item = document.createElement('li');
+            item.textContent = line;
+            list.appendChild(item);
+        });
+        records.appendChild(list);
+    }
+
+    /**
+     * Creates a plain table for the history panel
+     * 
+     * @param {Array<{key: string, label: string}>} columns - The columns, in order
+     * @param {Array<Object>} rows - One object per row, with a value for each column key
+     * @returns {HTMLElement} - The table (or a short note if there are no rows)
+     */
+    createHistoryTable(columns, rows) {
+        if (rows.length === 0) {
+            const empty = document.createElement('p');
+            empty.textContent = 'Nothing recorded.';
+            return empty;
+        }
+        const table = document.createElement('table');
+        table.className = 'standings';
+        const headerRow = document.createElement('tr');
+        columns.forEach(column => {
+            const th = document.createElement('th');
+            th.textContent = column.label;
+            headerRow.appendChild(th);
+        });
+        table.appendChild(headerRow);
+        rows.forEach(row => {
+            const tr = document.createElement('tr');
+            columns.forEach(column => {
+                const td = document.createElement('td');
+                td.textContent = row[column.key];
+                tr.appendChild(td);
+            });
+            table.appendChild(tr);
+        });
+        return table;
+    }
+
+    /**
+     * Displays the transfer register and the transfer window status
+     * 
+     * What this method does:
+     * - Shows the season end date and whether transfers are allowed today
+     * - Lists every transfer, newest first
+     */
+    displayTransfers() {
+        document.getElementById('season-end').value = this.league.seasonEnd || '';
+
+        const today = League.formatDate();
+        const windows = this.league.transferWindows;
+        let status = 'No transfer windows set: transfers are allowed at any time.';
+        if (windows.length > 0) {
+            const open = windows.find(window => window.from <= today && today <= window.to);
+            const next = windows
+                .filter(window => window.from > today)
+                .sort((a, b) => a.from.localeCompare(b.from))[0];
+            if (open) {
+                status = `The ${open.label} window is open until ${open.to}.`;
+            } else {
+                status = next
+                    ? `The transfer window is closed. The ${next.label} window opens on ${next.from}.`
+                    : 'The transfer window is closed.';
+            }
+        }
+        document.getElementById('transfer-window-status').textContent = status;
+
+        const list = document.getElementById('transfers-list');
+        list.innerHTML = '';
+        if (this.league.transfers.length === 0) {
+            const empty = document.createElement('p');
+            empty.textContent = 'No transfers yet.';
+            list.appendChild(empty);
+            return;
+        }
+
+        [...this.league.transfers]
+            .sort((a, b) => b.date.localeCompare(a.date))
+            .forEach(transfer => {
+                const row = document.createElement('div');
+                row.className = 'transfer';
+                row.textContent = `${this.league.getPlayerName(transfer.playerId)}: ${this.describeTransfer(transfer)}`;
+                list.appendChild(row);
+            });
+    }
+
+    /**
+     * Writes one entry of the transfer register as text
+     * 
+     * @param {Object} transfer - The transfer register entry
+     * @returns {string} - e.g. "2024-08-30 Inter → Bologna (loan until 2025-06-30, fee 500,000)"
+     */
+    describeTransfer(transfer) {
+        const move = `${transfer.date} ${this.competitions.getTeamName(transfer.from)} → ${this.competitions.getTeamName(transfer.to)}`;
+        if (transfer.type === 'loanReturn') {
+            return `${move} (back from loan)`;
+        }
+        const kind = transfer.type === 'loan' ? `loan until ${transfer.until}` : 'permanent';
+        const fee = transfer.fee > 0 ? `fee ${transfer.fee.toLocaleString('en-GB')}` : 'free';
+        return `${move} (${kind}, ${fee})`;
+    }
+
+    /**
+     * Writes a match score as one line of text
+     * 
+     * @param {Object} match - A recorded match
+     * @returns {string} - e.g. "Inter 2 - 1 Bologna", with the teams' current names
+     */
+    describeScore(match) {
+        const home = this.league.getTeamName(match.homeTeam);
+        const away = this.league.getTeamName(match.awayTeam);
+        return `${home} ${match.homeGoals} - ${match.awayGoals} ${away}`;
+    }
+
+    /**
+     * Gets the text to show for a player in a dropdown
+     * The squad number (when set) tells apart players who share a name
+     * 
+     * @param {Player} player - The player
+     * @returns {string} - e.g. "John Smith #9 (Forward)"
+     */
+    playerLabel(player) {
+        const number = player.jerseyNumber > 0 ? ` #${player.jerseyNumber}` : '';
+        return `${player.name}${number} (${player.position})`;
+    }
+
+    /**
+     * Handles correcting a match score
+     * 
+     * @param {Object} match - The recorded match to correct
+     * 
+     * What this method does:
+     * - Shows a popup form with the current score and match events
+     * - Saves the corrected score and events (the table is worked out again from all results)
+     * - Refreshes the display to show changes
+     */
+    handleEditMatch(match) {
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        
+        const form = document.createElement('div');
+        form.className = 'edit-form';
+        form.innerHTML = `
+            <h3></h3>
+            <div class="form-group">
+                <label for="edit-home-goals"></label>
+                <input type="number" id="edit-home-goals" min="0" value="${match.homeGoals}">
+            </div>
+            <div class="form-group">
+                <label for="edit-away-goals"></label>
+                <input type="number" id="edit-away-goals" min="0" value="${match.awayGoals}">
+            </div>
+            <div class="form-group events-group"></div>
+            <p class="form-error"></p>
+            <div class="button-group">
+                <button class="save-btn">Save</button>
+                <button class="cancel-btn">Cancel</button>
+            </div>
+        `;
+        // Team names are set as text so they are never read as HTML
+        const homeName = this.league.getTeamName(match.homeTeam);
+        const awayName = this.league.getTeamName(match.awayTeam);
+        form.querySelector('h3').textContent = `Edit ${homeName} vs ${awayName}`;
+        form.querySelector('label[for="edit-home-goals"]').textContent = `${homeName} goals:`;
+        form.querySelector('label[for="edit-away-goals"]').textContent = `${awayName} goals:`;
+        
+        const eventsEditor = this.createEventsEditor(() => ({
+            home: this.league.getTeam(match.homeTeam),
+            away: this.league.getTeam(match.awayTeam)
+        }), match.events);
+        form.querySelector('.events-group').appendChild(eventsEditor.element);
+        modal.appendChild(form);
+        
+        document.body.appendChild(modal);
+        
+        form.querySelector('.save-btn').onclick = () => {
+            const homeGoals = Number(form.querySelector('#edit-home-goals').value);
+            const awayGoals = Number(form.querySelector('#edit-away-goals').value);
+            const error = form.querySelector('.form-error');
+            
+            if (!(Number.isInteger(homeGoals) && Number.isInteger(awayGoals) && homeGoals >= 0 && awayGoals >= 0)) {
+                error.textContent = 'Goals must be whole numbers of 0 or more.';
+                return;
+            }
+            
+            const events = eventsEditor.getEvents();
+            const eventErrors = this.league.validateMatchEvents(match.homeTeam, match.awayTeam, homeGoals, awayGoals, events);
+            if (eventErrors.length > 0) {
+                error.textContent = eventErrors.join(' ');
+                return;
+            }
+            
+            document.body.removeChild(modal);
+            this.perform(
+                `Edit ${this.league.getTeamName(match.homeTeam)} v ${this.league.getTeamName(match.awayTeam)}`,
+                () => this.league.editMatch(match.id, homeGoals, awayGoals, events)
+            );
+        };
+        
+        form.querySelector('.cancel-btn').onclick = () => {
+            document.body.removeChild(modal);
+        };
     }
 
     /**
@@ -393,22 +4658,63 @@ export default class UIManager {
      * 
      * What this method does:
      * - Creates a card to display a team's information
+     * - Gives the card an ID, so the player search can link to it
+     * - Draws the card's border in the team's primary colour
      * - Shows the team name and a list of players
      * - Returns the complete team card
      */
     createTeamCard(team) {
         const teamCard = document.createElement('div');
         teamCard.className = 'team-card';
+        teamCard.id = team.id;
+        teamCard.style.borderColor = team.primaryColor;
 
         const teamHeader = this.createTeamHeader(team);
         const playerList = this.createPlayerList(team);
+        const injuryList = this.createInjuryList(team);
 
         teamCard.appendChild(teamHeader);
         teamCard.appendChild(playerList);
+        teamCard.appendChild(injuryList);
 
         return teamCard;
     }
 
+    /**
+     * Creates the injury list of a team
+     * 
+     * @param {Team} team - The team
+     * @returns {HTMLElement} - The injury list element
+     * 
+     * What this method does:
+     * - Lists every injured player of the team with their injury and when they are expected back
+     * - Says so when nobody is injured
+     */
+    createInjuryList(team) {
+        const list = document.createElement('div');
+        list.className = 'injury-list';
+        
+        const heading = document.createElement('h4');
+        heading.textContent = 'Injuries';
+        list.appendChild(heading);
+        
+        const injured = team.players.filter(player => player.isInjured);
+        if (injured.length === 0) {
+            const empty = document.createElement('p');
+            empty.textContent = 'No injuries.';
+            list.appendChild(empty);
+            return list;
+        }
+        
+        injured.forEach(player => {
+            const row = document.createElement('div');
+            const injury = player.getCurrentInjury();
+            row.textContent = `${player.name}: ${injury ? this.describeInjury(injury) : 'injured'}`;
+            list.appendChild(row);
+        });
+        return list;
+    }
+
     /**
      * Creates a team header element
      * 
@@ -417,27 +4723,54 @@ export default class UIManager {
      * 
      * What this method does:
      * - Creates the header part of a team card
-     * - Shows the team name and a remove button
+     * - Shows the team's crest (or colours) and name, with its city, stadium and founded year underneath
+     * - Adds export, edit and remove buttons
      * - Returns the complete header
      */
     createTeamHeader(team) {
         const header = document.createElement('div');
         header.className = 'team-header';
         
-        const name = document.createElement('span');
-        name.textContent = team.name;
+        const name = document.createElement('div');
+        name.appendChild(this.createTeamLabel(team.id));
+        
+        const details = [];
+        if (team.city !== 'Unknown') {
+            details.push(team.city);
+        }
+        if (team.stadium !== 'Unknown') {
+            details.push(team.capacity === null ? team.stadium : `${team.stadium} (${team.capacity.toLocaleString()})`);
+        }
+        if (team.founded !== null) {
+            details.push(`Founded ${team.founded}`);
+        }
+        if (details.length > 0) {
+            const detailLine = document.createElement('div');
+            detailLine.className = 'team-details';
+            detailLine.textContent = details.join(' · ');
+            name.appendChild(detailLine);
+        }
         
         const buttonContainer = document.createElement('div');
         buttonContainer.className = 'button-container';
         
+        const exportBtn = document.createElement('button');
+        exportBtn.className = 'edit-btn';
+        exportBtn.textContent = 'Export CSV';
+        exportBtn.onclick = () => this.handleExportTeamCsv(team);
+        
+        const editBtn = document.createElement('button');
+        editBtn.className = 'edit-btn';
+        editBtn.textContent = 'Edit Team';
+        editBtn.onclick = () => this.handleEditTeam(team);
+        
         const removeBtn = document.createElement('button');
         removeBtn.className = 'remove-btn';
         removeBtn.textContent = 'Remove Team';
-        removeBtn.onclick = () => {
-            this.league.removeTeam(team.name);
-            this.updateDisplay();
-        };
+        removeBtn.onclick = () => this.handleRemoveTeam(team);
         
+        buttonContainer.appendChild(exportBtn);
+        buttonContainer.appendChild(editBtn);
         buttonContainer.appendChild(removeBtn);
         
         header.appendChild(name);
@@ -446,6 +4779,91 @@ export default class UIManager {
         return header;
     }
 
+    /**
+     * Creates a team's badge: its crest, or a patch of its two colours if it has no crest
+     * 
+     * @param {Team} team - The team
+     * @returns {HTMLElement} - The badge element
+     */
+    createTeamBadge(team) {
+        if (team.crest) {
+            const crest = document.createElement('img');
+            crest.className = 'team-crest small';
+            crest.src = team.crest;
+            crest.alt = `${team.name} crest`;
+            return crest;
+        }
+        const swatch = document.createElement('span');
+        swatch.className = 'team-swatch';
+        swatch.style.background = `linear-gradient(135deg, ${team.primaryColor} 50%, ${team.secondaryColor} 50%)`;
+        swatch.title = team.name;
+        return swatch;
+    }
+
+    /**
+     * Creates a team's name with its badge in front, for tables and fixture lists
+     * 
+     * @param {string} teamId - The ID of the team
+     * @param {League} [league=this.league] - The league to look the team up in
+     * @returns {HTMLElement} - The label element (just the name 'Unknown team' if the team is gone)
+     */
+    createTeamLabel(teamId, league = this.league) {
+        const label = document.createElement('span');
+        label.className = 'team-label';
+        const team = league.getTeam(teamId);
+        if (team) {
+            label.appendChild(this.createTeamBadge(team));
+        }
+        label.appendChild(document.createTextNode(league.getTeamName(teamId)));
+        return label;
+    }
+
+    /**
+     * Creates a small line chart (a sparkline) of a player's overall rating over time
+     * 
+     * @param {Player} player - The player
+     * @returns {SVGElement|null} - The chart, or null if there are fewer than two ratings to draw
+     * 
+     * What this method does:
+     * - Draws one point per entry in the player's rating history, plus the current rating
+     *   if it has changed since the last entry (e.g. after the player was edited)
+     * - Scales the ratings 1 to 10 to the chart's height
+     * - Lists every rating in a tooltip
+     */
+    createRatingSparkline(player) {
+        const points = player.ratingHistory.map(entry => ({ label: entry.label, rating: entry.overallRating }));
+        const last = points[points.length - 1];
+        if (last && last.rating !== player.overallRating) {
+            points.push({ label: 'Now', rating: player.overallRating });
+        }
+        if (points.length < 2) {
+            return null;
+        }
+
+        const width = 60;
+        const height = 16;
+        const svgNamespace = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(svgNamespace, 'svg');
+        svg.setAttribute('class', 'rating-sparkline');
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+        const title = document.createElementNS(svgNamespace, 'title');
+        title.textContent = points.map(point => `${point.label}: ${point.rating}`).join('\n');
+        svg.appendChild(title);
+
+        const line = document.createElementNS(svgNamespace, 'polyline');
+        line.setAttribute('points', points.map((point, index) => {
+            const x = (index / (points.length - 1)) * (width - 2) + 1;
+            const y = height - 1 - ((point.rating - 1) / 9) * (height - 2);
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        }).join(' '));
+        svg.appendChild(line);
+
+        return svg;
+    }
+
     /**
      * Creates a player list element
      * 
@@ -478,7 +4896,10 @@ export default class UIManager {
      * 
      * What this method does:
      * - Creates a display element for a single player
-     * - Shows the player's name, position, and stats
+     * - Shows the player's jersey number, name, position, age, nationality and stats
+     * - Shows a badge if the player is suspended or injured
+     * - Shows a small line chart of the player's overall rating over time
+     * - Adds edit, injure (or mark fit), transfer, history and remove buttons
      * - Adds edit and remove buttons
      * - Returns the complete player element
      */
@@ -487,7 +4908,29 @@ export default class UIManager {
         element.className = 'player';
         
         const info = document.createElement('span');
-        info.textContent = `${player.name} (${player.position}) - Pace: ${player.pace}, Shooting: ${player.shooting}, Passing: ${player.passing}`;
+        const skills = Player.getRelevantAttributes(player.position)
+            .map(attr => `${this.attributeLabel(attr)}: ${player[attr]}`)
+            .join(', ');
+        const number = player.jerseyNumber > 0 ? `#${player.jerseyNumber} ` : '';
+        info.textContent = `${number}${player.name} (${player.position}, ${player.age}, ${player.nationality}) - Overall: ${player.overallRating} | ${skills}`;
+        if (player.suspendedMatches > 0) {
+            const badge = document.createElement('span');
+            badge.className = 'badge suspended';
+            badge.textContent = `Suspended: ${this.describeSuspension(player.suspendedMatches, player.suspendedUntilMatchday)}`;
+            badge.title = player.suspensionReason;
+            info.appendChild(badge);
+        }
+        if (player.isInjured) {
+            const badge = document.createElement('span');
+            badge.className = 'badge injured';
+            const injury = player.getCurrentInjury();
+            badge.textContent = injury ? `Injured: ${this.describeInjury(injury)}` : 'Injured';
+            info.appendChild(badge);
+        }
+        const sparkline = this.createRatingSparkline(player);
+        if (sparkline) {
+            info.appendChild(sparkline);
+        }
         
         const buttonContainer = document.createElement('div');
         buttonContainer.className = 'button-container';
@@ -497,15 +4940,38 @@ export default class UIManager {
         editBtn.textContent = 'Edit';
         editBtn.onclick = () => this.handleEditPlayer(team, player);
         
+        const injuryBtn = document.createElement('button');
+        injuryBtn.className = 'edit-btn';
+        if (player.isInjured) {
+            injuryBtn.textContent = 'Mark Fit';
+            injuryBtn.onclick = () => this.perform(
+                `Mark ${player.name} fit`,
+                () => this.league.recoverPlayer(player.id)
+            );
+        } else {
+            injuryBtn.textContent = 'Injure';
+            injuryBtn.onclick = () => this.handleInjurePlayer(player);
+        }
+        
+        const transferBtn = document.createElement('button');
+        transferBtn.className = 'edit-btn';
+        transferBtn.textContent = 'Transfer';
+        transferBtn.onclick = () => this.handleTransferPlayer(team, player);
+        
+        const historyBtn = document.createElement('button');
+        historyBtn.className = 'edit-btn';
+        historyBtn.textContent = 'History';
+        historyBtn.onclick = () => this.handleShowPlayerHistory(team, player);
+        
         const removeBtn = document.createElement('button');
         removeBtn.className = 'remove-btn';
         removeBtn.textContent = 'Remove';
-        removeBtn.onclick = () => {
-            team.removePlayer(player.name);
-            this.updateDisplay();
-        };
+        removeBtn.onclick = () => this.handleRemovePlayer(team, player);
         
         buttonContainer.appendChild(editBtn);
+        buttonContainer.appendChild(injuryBtn);
+        buttonContainer.appendChild(transferBtn);
+        buttonContainer.appendChild(historyBtn);
         buttonContainer.appendChild(removeBtn);
         
         element.appendChild(info);
@@ -515,14 +4981,440 @@ export default class UIManager {
     }
 
     /**
-     * Handles editing a player's stats
+     * Describes a current injury in a few words
+     * 
+     * @param {Object} injury - The injury
+     * @returns {string} - e.g. "Hamstring, back on 2024-11-02" or "Knock, 2 more matches"
+     */
+    describeInjury(injury) {
+        if (injury.unit === 'days') {
+            return `${injury.type}, back on ${injury.expectedReturn}`;
+        }
+        if (injury.unit === 'matches') {
+            const left = injury.length - injury.matchesMissed;
+            return `${injury.type}, ${left === 1 ? '1 more match' : `${left} more matches`}`;
+        }
+        return `${injury.type}, return unknown`;
+    }
+
+    /**
+     * Handles recording an injury
+     * 
+     * @param {Player} player - The injured player
+     * 
+     * What this method does:
+     * - Shows a popup for the kind of injury, the day it happened and how long it should last
+     *   (in days, or in the team's matches)
+     * - Records the injury; the player comes back by themselves once it is over
+     */
+    handleInjurePlayer(player) {
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        
+        const form = document.createElement('div');
+        form.className = 'edit-form';
+        form.innerHTML = `
+            <h3></h3>
+            <div class="form-group">
+                <label for="injury-type">Injury:</label>
+                <input type="text" id="injury-type" placeholder="e.g. Hamstring">
+            </div>
+            <div class="form-group">
+                <label for="injury-date">Date:</label>
+                <input type="date" id="injury-date">
+            </div>
+            <div class="form-group">
+                <label for="injury-length">Expected to be out for:</label>
+                <input type="number" id="injury-length" min="1" value="7">
+                <select id="injury-unit">
+                    ${INJURY_UNITS.map(unit => `<option value="${unit}">${unit}</option>`).join('')}
+                </select>
+            </div>
+            <p class="form-error"></p>
+            <div class="button-group">
+                <button class="save-btn">Save</button>
+                <button class="cancel-btn">Cancel</button>
+            </div>
+        `;
+        form.querySelector('h3').textContent = `Injure ${player.name}`;
+        form.querySelector('#injury-date').value = League.formatDate();
+        modal.appendChild(form);
+        document.body.appendChild(modal);
+        
+        form.querySelector('.save-btn').onclick = () => {
+            const lengthText = form.querySelector('#injury-length').value;
+            const options = {
+                type: form.querySelector('#injury-type').value.trim(),
+                startDate: form.querySelector('#injury-date').value,
+                length: lengthText === '' ? NaN : Number(lengthText),
+                unit: form.querySelector('#injury-unit').value
+            };
+            const errors = this.league.validateInjury(player.id, options);
+            if (errors.length > 0) {
+                form.querySelector('.form-error').textContent = errors.join('. ') + '.';
+                return;
+            }
+            document.body.removeChild(modal);
+            this.perform(`Injure ${player.name}`, () => this.league.injurePlayer(player.id, options));
+        };
+        
+        form.querySelector('.cancel-btn').onclick = () => {
+            document.body.removeChild(modal);
+        };
+    }
+
+    /**
+     * Handles transferring a player to another team
+     * 
+     * @param {Team} team - The player's current team
+     * @param {Player} player - The player to transfer
+     * 
+     * What this method does:
+     * - Shows a popup to choose the new team (from any division), permanent or loan, the fee and the date
+     * - Refuses transfers outside the transfer windows, loans with no season end, and the like,
+     *   keeping the popup open
+     * - Moves the player (with their cards and injury) and writes it in the transfer register
+     */
+    handleTransferPlayer(team, player) {
+        const divisions = this.competitions.divisions
+            .map(league => ({ league, teams: league.teams.filter(t => t.id !== team.id) }))
+            .filter(division => division.teams.length > 0);
+        if (divisions.length === 0) {
+            this.showMessage('Transfer', ['Add another team before transferring players.']);
+            return;
+        }
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        
+        const form = document.createElement('div');
+        form.className = 'edit-form';
+        form.innerHTML = `
+            <h3></h3>
+            <div class="form-group">
+                <label for="transfer-team">New team:</label>
+                <select id="transfer-team"></select>
+            </div>
+            <div class="form-group">
+                <label for="transfer-type">Type:</label>
+                <select id="transfer-type">
+                    <option value="permanent">Permanent</option>
+                    <option value="loan">Loan (until the end of the season)</option>
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="transfer-fee">Fee:</label>
+                <input type="number" id="transfer-fee" min="0" value="0">
+            </div>
+            <div class="form-group">
+                <label for="transfer-date">Date:</label>
+                <input type="date" id="transfer-date">
+            </div>
+            <p class="form-error"></p>
+            <div class="button-group">
+                <button class="save-btn">Transfer</button>
+                <button class="cancel-btn">Cancel</button>
+            </div>
+        `;
+        form.querySelector('h3').textContent = `Transfer ${player.name} from ${team.name}`;
+        const teamSelect = form.querySelector('#transfer-team');
+        divisions.forEach(({ league, teams }) => {
+            // With several divisions, each division's teams are listed under its name
+            let group = teamSelect;
+            if (this.competitions.divisions.length > 1) {
+                group = document.createElement('optgroup');
+                group.label = league.name;
+                teamSelect.appendChild(group);
+            }
+            teams.forEach(other => {
+                const option = document.createElement('option');
+                option.value = other.id;
+                option.textContent = other.name;
+                group.appendChild(option);
+            });
+        });
+        form.querySelector('#transfer-date').value = League.formatDate();
+        modal.appendChild(form);
+        document.body.appendChild(modal);
+        
+        form.querySelector('.save-btn').onclick = () => {
+            const feeText = form.querySelector('#transfer-fee').value;
+            const options = {
+                type: form.querySelector('#transfer-type').value,
+                fee: feeText === '' ? 0 : Number(feeText),
+                date: form.querySelector('#transfer-date').value
+            };
+            // A refused transfer keeps the form open with what was chosen
+            const transfer = this.perform(
+                `${options.type === 'loan' ? 'Loan' : 'Transfer'} ${player.name} to ${this.competitions.getTeamName(teamSelect.value)}`,
+                () => this.competitions.transferPlayer(player.id, teamSelect.value, options),
+                { prefix: 'transfer', error: form.querySelector('.form-error') }
+            );
+            if (transfer === null) {
+                return;
+            }
+            document.body.removeChild(modal);
+        };
+        
+        form.querySelector('.cancel-btn').onclick = () => {
+            document.body.removeChild(modal);
+        };
+    }
+
+    /**
+     * Handles showing a player's career history
+     * 
+     * @param {Team} team - The player's current team
+     * @param {Player} player - The player
+     * 
+     * What this method does:
+     * - Lists every transfer, loan and loan return of the player, oldest first,
+     *   followed by the team they play for now
+     * - Then lists every injury they have had
+     */
+    handleShowPlayerHistory(team, player) {
+        const history = this.league.getPlayerHistory(player.id)
+            .map(transfer => this.describeTransfer(transfer));
+        const loan = this.league.getActiveLoan(player.id);
+        const now = loan
+            ? `Now: on loan at ${team.name} from ${this.competitions.getTeamName(loan.from)} until ${loan.until}`
+            : `Now: ${team.name}`;
+        const injuries = player.injuries.map(injury => {
+            const from = injury.startDate || 'date unknown';
+            const to = injury.endDate || (player.getCurrentInjury() === injury ? 'now' : 'date unknown');
+            const length = injury.unit ? ` (expected ${injury.length} ${injury.unit})` : '';
+            return `Injury: ${injury.type}, ${from} to ${to}${length}`;
+        });
+        this.showMessage(`${player.name}: Career`, [
+            ...(history.length > 0 ? history : ['No transfers recorded.']),
+            now,
+            ...(injuries.length > 0 ? injuries : ['No injuries recorded.'])
+        ]);
+    }
+
+    /**
+     * Handles editing the transfer windows
+     * 
+     * What this method does:
+     * - Shows a popup with one line per window (name, first and last day)
+     * - Lets the user add and remove windows; with none, transfers are always allowed
+     * - Saves the windows and redraws the transfers panel
+     */
+    handleEditTransferWindows() {
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        
+        const form = document.createElement('div');
+        form.className = 'edit-form';
+        
+        const heading = document.createElement('h3');
+        heading.textContent = 'Transfer Windows';
+        
+        const help = document.createElement('p');
+        help.className = 'tiebreak-chain';
+        help.textContent = 'Players can only move between the first and last day of a window. With no windows, they can move at any time.';
+        
+        const rows = document.createElement('div');
+        const addWindowRow = window => {
+            const row = document.createElement('div');
+            row.className = 'zone-row';
+            
+            const label = document.createElement('input');
+            label.type = 'text';
+            label.className = 'window-label';
+            label.placeholder = 'Name';
+            label.value = window.label;
+            
+            const from = document.createElement('input');
+            from.type = 'date';
+            from.className = 'window-from';
+            from.value = window.from;
+            
+            const to = document.createElement('input');
+            to.type = 'date';
+            to.className = 'window-to';
+            to.value = window.to;
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'remove-btn';
+            removeBtn.textContent = 'X';
+            removeBtn.onclick = () => rows.removeChild(row);
+            
+            [label, from, to, removeBtn].forEach(element => row.appendChild(element));
+            rows.appendChild(row);
+        };
+        this.league.transferWindows.forEach(addWindowRow);
+        
+        const addButton = document.createElement('button');
+        addButton.className = 'edit-btn';
+        addButton.textContent = 'Add Window';
+        addButton.onclick = () => addWindowRow({ label: '', from: '', to: '' });
+        
+        const error = document.createElement('p');
+        error.className = 'form-error';
+        
+        const buttonGroup = document.createElement('div');
+        buttonGroup.className = 'button-group';
+        const saveButton = document.createElement('button');
+        saveButton.className = 'save-btn';
+        saveButton.textContent = 'Save';
+        const cancelButton = document.createElement('button');
+        cancelButton.className = 'cancel-btn';
+        cancelButton.textContent = 'Cancel';
+        buttonGroup.appendChild(saveButton);
+        buttonGroup.appendChild(cancelButton);
+        
+        [heading, help, rows, addButton, error, buttonGroup].forEach(element => form.appendChild(element));
+        modal.appendChild(form);
+        document.body.appendChild(modal);
+        
+        saveButton.onclick = () => {
+            const windows = [...rows.querySelectorAll('.zone-row')].map(row => ({
+                label: row.querySelector('.window-label').value.trim(),
+                from: row.querySelector('.window-from').value,
+                to: row.querySelector('.window-to').value
+            }));
+            if (!this.perform('Edit transfer windows', () => this.league.setTransferWindows(windows), { prefix: 'window', error })) {
+                return;
+            }
+            document.body.removeChild(modal);
+        };
+        cancelButton.onclick = () => document.body.removeChild(modal);
+    }
+
+    /**
+     * Handles removing a team
+     * 
+     * @param {Team} team - The team to remove
+     * 
+     * What this method does:
+     * - Asks first, saying what will be lost: the players, the recorded matches (and the points
+     *   other teams won in them) and the fixtures
+     * - Removes the team (the change can still be undone)
+     */
+    handleRemoveTeam(team) {
+        const matchCount = this.league.matches
+            .filter(match => match.homeTeam === team.id || match.awayTeam === team.id).length;
+        const lost = [`its ${team.players.length} player(s)`, `${matchCount} recorded match(es) it played`];
+        if (this.league.fixtures.length > 0) {
+            lost.push('its fixtures');
+        }
+
+        this.showChoice(
+            'Remove Team',
+            `Remove ${team.name}? This also deletes ${lost.join(', ')}, and the table is worked out again without them: other teams lose the points they won against ${team.name}. You can undo this with Ctrl+Z.`,
+            [{
+                label: 'Remove Team',
+                onClick: () => this.perform(`Remove team ${team.name}`, () => this.league.removeTeam(team.id))
+            }]
+        );
+    }
+
+    /**
+     * Handles removing a player from their team
+     * 
+     * @param {Team} team - The player's team
+     * @param {Player} player - The player to remove
+     * 
+     * What this method does:
+     * - Asks first, saying what will be lost
+     * - Removes the player (the change can still be undone)
+     */
+    handleRemovePlayer(team, player) {
+        this.showChoice(
+            'Remove Player',
+            `Remove ${player.name} from ${team.name}? Their details and ratings are deleted; goals and cards in recorded matches keep their name. You can undo this with Ctrl+Z.`,
+            [{
+                label: 'Remove Player',
+                onClick: () => this.perform(
+                    `Remove player ${player.name}`,
+                    () => this.league.removePlayer(team.id, player.id)
+                )
+            }]
+        );
+    }
+
+    /**
+     * Handles editing a team's details
+     * 
+     * @param {Team} team - The team to edit
+     * 
+     * What this method does:
+     * - Shows a popup with the team's name, city, stadium, capacity, founded year, colours and crest
+     * - Shows an error next to the field and keeps the popup open if something cannot be used
+     *   (e.g. the name is taken)
+     * - Saves the new details; results, fixtures, cups and lineups refer to the team by ID,
+     *   so a new name simply shows up everywhere (past seasons keep the name of their time)
+     */
+    handleEditTeam(team) {
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        
+        const form = document.createElement('div');
+        form.className = 'edit-form';
+        
+        const heading = document.createElement('h3');
+        heading.textContent = `Edit ${team.name}`;
+        
+        const error = document.createElement('p');
+        error.className = 'form-error';
+        
+        const buttons = document.createElement('div');
+        buttons.className = 'button-group';
+        const saveButton = document.createElement('button');
+        saveButton.className = 'save-btn';
+        saveButton.textContent = 'Save';
+        const cancelButton = document.createElement('button');
+        cancelButton.className = 'cancel-btn';
+        cancelButton.textContent = 'Cancel';
+        buttons.appendChild(saveButton);
+        buttons.appendChild(cancelButton);
+        
+        form.appendChild(heading);
+        form.appendChild(this.createTeamFields('edit-team', team));
+        form.appendChild(error);
+        form.appendChild(buttons);
+        modal.appendChild(form);
+        document.body.appendChild(modal);
+        
+        saveButton.onclick = () => {
+            // A refused change puts back a copy of the league, so the team is looked up again
+            const current = this.competitions.getTeam(team.id);
+            if (!current) {
+                this.showFormError('edit-team', error, new LeagueError(ERROR_CODES.TEAM_NOT_FOUND, 'That team is no longer in the league.'));
+                return;
+            }
+            const { details, error: detailsError } = this.readTeamFields('edit-team', current);
+            if (!details) {
+                this.showFormError('edit-team', error, detailsError);
+                return;
+            }
+            const label = details.name === current.name ? `Edit ${current.name}` : `Rename ${current.name} to ${details.name}`;
+            // updateDetails() returns nothing, so only a refusal (null) keeps the form open
+            if (this.perform(label, () => current.updateDetails(details), { prefix: 'edit-team', error }) === null) {
+                return;
+            }
+            document.body.removeChild(modal);
+        };
+        
+        cancelButton.onclick = () => {
+            document.body.removeChild(modal);
+        };
+    }
+
+    /**
+     * Handles editing a player's profile and stats
      * 
      * @param {Team} team - The team the player belongs to
      * @param {Player} player - The player to edit
      * 
      * What this method does:
-     * - Shows a popup form to edit player stats
-     * - Updates the player's stats when saved
+     * - Shows a popup form to edit the player's name, position, age or date of birth,
+     *   nationality, jersey number and stats
+     * - Shows the stats that matter for the chosen position, changing them when the position changes
+     * - Shows an error next to the field and keeps the form open if something cannot be used
+     *   (e.g. a rating of 11, or a jersey number already worn by a teammate)
+     * - Updates the player when saved; a new position means a new overall rating
      * - Refreshes the display to show changes
      */
     handleEditPlayer(team, player) {
@@ -534,16 +5426,56 @@ export default class UIManager {
         
         document.body.appendChild(modal);
         
+        const positionSelect = form.querySelector('#edit-position');
+        this.showAttributeInputs(form, positionSelect.value);
+        positionSelect.onchange = () => this.showAttributeInputs(form, positionSelect.value);
+        
         form.querySelector('.save-btn').onclick = () => {
-            const newPace = parseInt(form.querySelector('#edit-pace').value);
-            const newShooting = parseInt(form.querySelector('#edit-shooting').value);
-            const newPassing = parseInt(form.querySelector('#edit-passing').value);
+            const error = form.querySelector('.form-error');
+            // A refused change puts back a copy of the league, so the player is looked up again
+            const found = this.league.findPlayer(player.id);
+            if (!found) {
+                this.showFormError('edit', error, new LeagueError(ERROR_CODES.PLAYER_NOT_FOUND, 'That player is no longer in the league.'));
+                return;
+            }
+            const current = found.player;
+            const newName = form.querySelector('#edit-name').value.trim();
+            const position = positionSelect.value;
+            const ratings = {};
+            Player.getRelevantAttributes(position).forEach(attr => {
+                const text = form.querySelector(`#edit-${attr}`).value.trim();
+                ratings[attr] = text === '' ? NaN : Number(text);
+            });
             
-            if (!isNaN(newPace) && !isNaN(newShooting) && !isNaN(newPassing)) {
-                player.updateStats(newPace, newShooting, newPassing);
-                this.updateDisplay();
+            if (!newName) {
+                this.showFormError('edit', error, new LeagueError(ERROR_CODES.MISSING_FIELD, 'Please enter a name.', 'name'));
+                return;
+            }
+            const ratingError = Player.checkRatings(ratings);
+            if (ratingError) {
+                this.showFormError('edit', error, ratingError);
+                return;
+            }
+            const { profile, error: profileError } = this.readProfileInputs('edit', found.team, current);
+            if (!profile) {
+                this.showFormError('edit', error, profileError);
+                return;
             }
             
+            // Results refer to the player by ID, so renaming never breaks them.
+            // A refused edit keeps the form open with what was typed
+            const edited = this.perform(`Edit ${current.name}`, () => {
+                current.name = newName;
+                current.age = profile.age;
+                current.setDateOfBirth(profile.dateOfBirth, League.formatDate());
+                current.nationality = profile.nationality;
+                current.jerseyNumber = profile.jerseyNumber;
+                current.setPosition(position);
+                current.updateStats(ratings);
+            }, { prefix: 'edit', error });
+            if (edited === null) {
+                return;
+            }
             document.body.removeChild(modal);
         };
         
@@ -559,33 +5491,60 @@ export default class UIManager {
      * @returns {HTMLElement} - The edit form element
      * 
      * What this method does:
-     * - Creates a form to edit player stats
-     * - Shows current stats in input fields
-     * - Adds save and cancel buttons
+     * - Creates a form to edit the player's name, position, age or date of birth,
+     *   nationality, jersey number and stats
+     * - Fills every field with the player's current details (all six stats are there;
+     *   the handler shows the ones that matter for the chosen position)
+     * - Adds a line for errors, and save and cancel buttons
      * - Returns the complete edit form
      */
     createEditForm(player) {
         const form = document.createElement('div');
         form.className = 'edit-form';
         form.innerHTML = `
-            <h3>Edit ${player.name}</h3>
+            <h3></h3>
+            <div class="form-group">
+                <label for="edit-name">Name:</label>
+                <input type="text" id="edit-name">
+            </div>
+            <div class="form-group">
+                <label for="edit-position">Position:</label>
+                <select id="edit-position">
+                    ${POSITIONS.map(position => `<option value="${position}">${position}</option>`).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="edit-age">Age:</label>
+                <input type="number" id="edit-age" min="10" max="60" value="${player.age}">
+            </div>
             <div class="form-group">
-                <label for="edit-pace">Pace (1-10):</label>
-                <input type="number" id="edit-pace" min="1" max="10" value="${player.pace}">
+                <label for="edit-date-of-birth">Date of birth (sets the age):</label>
+                <input type="date" id="edit-date-of-birth" value="${player.dateOfBirth || ''}">
             </div>
             <div class="form-group">
-                <label for="edit-shooting">Shooting (1-10):</label>
-                <input type="number" id="edit-shooting" min="1" max="10" value="${player.shooting}">
+                <label for="edit-nationality">Nationality:</label>
+                <select id="edit-nationality"></select>
             </div>
             <div class="form-group">
-                <label for="edit-passing">Passing (1-10):</label>
-                <input type="number" id="edit-passing" min="1" max="10" value="${player.passing}">
+                <label for="edit-jersey-number">Jersey number (1-99, empty for none):</label>
+                <input type="number" id="edit-jersey-number" min="1" max="99" value="${player.jerseyNumber || ''}">
             </div>
+            ${ATTRIBUTES.map(attr => `
+            <div class="form-group" data-attribute="${attr}">
+                <label for="edit-${attr}">${this.attributeLabel(attr)} (1-10):</label>
+                <input type="number" id="edit-${attr}" min="1" max="10" value="${player[attr]}">
+            </div>`).join('')}
+            <p class="form-error"></p>
             <div class="button-group">
                 <button class="save-btn">Save</button>
                 <button class="cancel-btn">Cancel</button>
             </div>
         `;
+        // The name and nationality are set as text so they are never read as HTML
+        form.querySelector('h3').textContent = `Edit ${player.name}`;
+        form.querySelector('#edit-name').value = player.name;
+        form.querySelector('#edit-position').value = player.position;
+        this.fillCountryOptions(form.querySelector('#edit-nationality'), player.nationality);
         return form;
     }
 } 
\ No newline at end of file
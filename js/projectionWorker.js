@@ -0,0 +1,23 @@
+/*
+ * SEASON PROJECTION WORKER
+ *
+ * This file runs in a Web Worker: a separate background thread, so the
+ * thousands of simulated seasons do not freeze the page.
+ *
+ * HOW IT TALKS TO THE PAGE:
+ * - The page sends { league, iterations, seed }, where league is league.toJSON()
+ * - The worker sends { type: 'progress', done, iterations } now and then
+ * - When finished it sends { type: 'result', result } (see SeasonProjector.run)
+ */
+
+import League from './classes/League.js';
+import SeasonProjector from './classes/SeasonProjector.js';
+
+self.onmessage = event => {
+    const { league, iterations, seed } = event.data;
+    const projector = new SeasonProjector(League.fromJSON(league), seed);
+    const result = projector.run(iterations, done => {
+        self.postMessage({ type: 'progress', done, iterations });
+    });
+    self.postMessage({ type: 'result', result });
+};
@@ -5,7 +5,7 @@
  * Think of it like a digital notebook where you can:
  * - Create football teams
  * - Add players to teams (with first and last names)
- * - Track player stats (pace, shooting, passing)
+ * - Track player stats (pace, shooting, passing, defending, physical, goalkeeping)
  * - Remove teams and players
  * 
  * HOW IT WORKS:
@@ -18,7 +18,14 @@
  *    - js/classes/Player.js: Defines what a player is and what they can do
  *    - js/classes/Team.js: Defines what a team is and how to manage players
  *    - js/classes/League.js: Defines the league and handles the user interface
+ *    - js/classes/LeagueError.js: Describes a change the league refused, with a code and a message
  *    - js/classes/UIManager.js: Handles all UI-related functionality
+ *    - js/classes/Cup.js: Defines a knockout cup played by the league's teams
+ *    - js/classes/Competitions.js: Holds the league divisions, their cups and past seasons together
+ *    - js/classes/Season.js: Defines a finished season kept in the history
+ *    - js/classes/PlayerDevelopment.js: Makes players improve and decline as they age
+ *    - js/classes/PlayerSearch.js: Finds, filters and sorts players across every team
+ *    - js/classes/StorageManager.js: Saves and loads the divisions and cups in the browser
  *    - js/script.js: This file - sets up the application and initial data
  * 
  * 3. How the Code is Organized:
@@ -29,13 +36,13 @@
  * 
  * 4. Key Features:
  *    - Create and manage teams with names, cities, and stadiums
- *    - Add players with detailed stats (pace, shooting, passing)
+ *    - Add players with detailed stats (pace, shooting, passing, defending, physical, goalkeeping)
  *    - Track team performance and player statistics
  *    - User-friendly interface for all operations
  * 
  * 5. Getting Started:
- *    - The application starts by creating a League instance
- *    - Initial teams and players are created for demonstration
+ *    - The application starts by loading the saved League from the browser
+ *    - If nothing has been saved yet, demo teams and players are created
  *    - The interface is set up when the page loads
  *    - Users can then add, edit, or remove teams and players
  */
@@ -49,50 +56,87 @@
  * 
  * What happens here:
  * 1. We import the necessary classes from their files
- * 2. Create a new League instance (the main manager)
- * 3. Create some initial teams with their details
- * 4. Add some initial players to each team
- * 5. Set up the display when the page loads
+ * 2. Load the league (and its cups) saved in the browser, if there is one
+ * 3. Otherwise (or if the saved league cannot be read) create a demo League with some initial
+ *    teams and players
+ * 4. Set up the display when the page loads (which also autosaves), and say if the saved
+ *    league could not be read
  */
 
 // Import the classes we need
 import Player from './classes/Player.js';
 import Team from './classes/Team.js';
 import League from './classes/League.js';
+import Competitions from './classes/Competitions.js';
 import UIManager from './classes/UIManager.js';
+import StorageManager from './classes/StorageManager.js';
+import LeagueError from './classes/LeagueError.js';
 
-// Create the main league manager instance
-// This is like creating a new notebook to track our teams
-const premierLeague = new League('Premier League', 'England');
+// Create the storage manager
+// This is like the filing cabinet where the league is kept between visits
+const storage = new StorageManager();
 
-// Create initial teams with their details
-// Each team has a name, city, and stadium
-const initialTeams = [
-    new Team('Inter', 'Milan', 'San Siro'),
-    new Team('Bologna', 'Bologna', 'Renato Dall\'Ara'),
-    new Team('Atalanta', 'Bergamo', 'Gewiss Stadium'),
-    new Team('Monza', 'Monza', 'U-Power Stadium'),
-    new Team('Lazio', 'Rome', 'Stadio Olimpico')
-];
+/**
+ * Creates the demonstration league
+ * Only used the very first time the app is opened, before anything has been saved
+ * 
+ * @returns {League} - A league with five teams of five players each
+ */
+function createDemoLeague() {
+    // Create the main league manager instance
+    // This is like creating a new notebook to track our teams
+    const league = new League('Premier League', 'England');
+
+    // Create initial teams with their details
+    // Each team has a name, city, and stadium
+    const initialTeams = [
+        new Team('Inter', 'Milan', 'San Siro'),
+        new Team('Bologna', 'Bologna', 'Renato Dall\'Ara'),
+        new Team('Atalanta', 'Bergamo', 'Gewiss Stadium'),
+        new Team('Monza', 'Monza', 'U-Power Stadium'),
+        new Team('Lazio', 'Rome', 'Stadio Olimpico')
+    ];
+
+    // Add initial players to each team
+    // Each player has a name, position, and stats
+    initialTeams.forEach(team => {
+        // Add 5 players to each team with different positions and stats
+        team.addPlayer(new Player('Player 1', 'Forward', 9, 8, 7));
+        team.addPlayer(new Player('Player 2', 'Midfielder', 7, 6, 9));
+        // Skills that are left out (defending, physical, goalkeeping) get defaults
+        team.addPlayer(new Player('Player 3', 'Defender', 6, 4, 6, 25, 'Unknown', 0, { defending: 8, physical: 7 }));
+        team.addPlayer(new Player('Player 4', 'Goalkeeper', 5, 2, 5, 25, 'Unknown', 0, { goalkeeping: 8, physical: 6 }));
+        team.addPlayer(new Player('Player 5', 'Midfielder', 8, 7, 8));
+        
+        // Add the team to the league
+        league.addTeam(team);
+    });
 
-// Add initial players to each team
-// Each player has a name, position, and stats
-initialTeams.forEach(team => {
-    // Add 5 players to each team with different positions and stats
-    team.addPlayer(new Player('Player 1', 'Forward', 9, 8, 7));
-    team.addPlayer(new Player('Player 2', 'Midfielder', 7, 6, 9));
-    team.addPlayer(new Player('Player 3', 'Defender', 6, 4, 6));
-    team.addPlayer(new Player('Player 4', 'Goalkeeper', 5, 2, 5));
-    team.addPlayer(new Player('Player 5', 'Midfielder', 8, 7, 8));
-    
-    // Add the team to the league
-    premierLeague.addTeam(team);
-});
+    return league;
+}
+
+// Load the saved divisions and cups, or fall back to the demo league (one division, no cups) if nothing has been saved yet.
+// Saved data that cannot be read has been backed up by the storage manager; the page says so once it is shown
+let loadError = null;
+let competitions;
+try {
+    competitions = storage.load() || new Competitions(createDemoLeague());
+} catch (error) {
+    if (!(error instanceof LeagueError)) {
+        throw error;
+    }
+    loadError = error;
+    competitions = new Competitions(createDemoLeague());
+}
+
+// Loans and injuries that ended while the app was closed end now, before anything can be undone
+competitions.catchUp();
 
 // When the page loads, create the UI manager and display everything
 window.onload = function() {
-    const uiManager = new UIManager(premierLeague);
+    const uiManager = new UIManager(competitions, storage);
     uiManager.updateDisplay(); // Make sure to update the display after initialization
-};
-
-
+    if (loadError) {
+        uiManager.showToast(loadError.message);
+    }
+};
\ No newline at end of file